@@ -27,14 +27,37 @@ export default [
         Map: "readonly",
         GameMap: "readonly",
         Physics: "readonly",
+        Simulation: "readonly",
+        SimPlayer: "readonly",
+        SimSnowball: "readonly",
+        SimDiamond: "readonly",
+        SimPowerUp: "readonly",
+        SimIgloo: "readonly",
+        Arena: "readonly",
+        Random: "readonly",
         Player: "readonly",
         AIPlayer: "readonly",
         AI: "readonly",
+        Aiming: "readonly",
         Snowball: "readonly",
         UI: "readonly",
         SnowBrawlUI: "writable",
         Utils: "readonly",
-        CharacterModels: "readonly"
+        CharacterModels: "readonly",
+        Diamond: "readonly",
+        DiamondGarden: "readonly",
+        PowerUp: "readonly",
+        Weather: "readonly",
+        DayNight: "readonly",
+        Storm: "readonly",
+        Hill: "readonly",
+        Terrain: "readonly",
+        MapLoader: "readonly",
+        MapEditor: "readonly",
+        NetworkClient: "readonly",
+        ReplayRecorder: "readonly",
+        ReplayPlayer: "readonly",
+        AudioManager: "readonly"
       }
     },
     rules: {
@@ -63,5 +86,15 @@ export default [
       "sonarjs/no-redundant-boolean": "warn",
       "sonarjs/no-small-switch": "warn"
     }
+  },
+  {
+    // The multiplayer server runs in Node
+    files: ["server/**/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: {
+        ...globals.node
+      }
+    }
   }
 ];
\ No newline at end of file
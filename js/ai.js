@@ -1,7 +1,7 @@
 /**
  * AI Player class for SnowBrawl game
  * Handles AI decision making and behavior
- * This is a simplified version for initial implementation
+ * AI runs a small state machine: idle, pursuing, attacking, retreating, collecting, restocking, sieging, escapingStorm, takingHill
  */
 
 // Using SnowBrawlAI instead of AIPlayer to avoid conflicts with built-in globals
@@ -17,12 +17,37 @@ class SnowBrawlAI extends Player {
         this.lastUpdateTime = 0;
         
         // AI state
-        this.state = 'idle'; // idle, pursuing, attacking, retreating, collecting
+        this.state = 'idle'; // idle, pursuing, attacking, retreating, collecting, restocking, sieging, escapingStorm, takingHill
+        this.stateStartTime = this.now();
+        this.target = null; // Player being pursued or attacked
+        this.targetPickup = null; // Diamond or power-up being collected
+        this.targetIgloo = null; // Igloo under siege
+        this.targetAcquiredTime = 0; // When the current target was picked (for reaction time)
+        this.nextRetreatTime = 0; // Earliest time the AI may retreat again
+        this.strafeDirection = 1; // 1 or -1, flipped periodically while attacking
+        this.lastStrafeChange = 0;
+        this.chargeStartTime = null; // When the AI started charging its next throw, null when not charging
+        this.wantsToScoop = false; // Set by the restocking behavior each tick it wants to crouch and scoop
+        
+        // Personality traits, rolled from the ranges in constants
+        const aiConstants = GAME_CONSTANTS.AI;
+        this.traits = {
+            aggression: Utils.randomRange(aiConstants.AGGRESSION.MIN, aiConstants.AGGRESSION.MAX),
+            diamondInterest: Utils.randomRange(aiConstants.DIAMOND_INTEREST.MIN, aiConstants.DIAMOND_INTEREST.MAX),
+            reactionTime: Utils.randomRange(aiConstants.REACTION_TIME.MIN, aiConstants.REACTION_TIME.MAX) / difficultyMultiplier,
+            accuracy: Utils.randomRange(aiConstants.ACCURACY.MIN, aiConstants.ACCURACY.MAX)
+        };
+        
+        // Difficulty shrinks the remaining inaccuracy, so later rounds close in on perfect aim
+        this.accuracy = 1 - (1 - this.traits.accuracy) / difficultyMultiplier;
         
         // Ensure AI has proper collision properties
         this.radius = GAME_CONSTANTS.PLAYER.RADIUS || 0.5;
         this.height = GAME_CONSTANTS.PLAYER.HEIGHT || 2.0;
         
+        // Let the simulation drive this AI every tick
+        this.body.controller = this;
+        
         // Movement properties for smoother AI movement
         this.targetPosition = null;
         this.movementTimer = 0;
@@ -31,11 +56,17 @@ class SnowBrawlAI extends Player {
         // Scale AI properties based on difficulty
         this.applyDifficultyScaling();
         
+        // How far our throws can reach, given the (scaled) throw speed
+        this.throwLaunchOffset = this.radius + 0.5;
+        this.maxThrowRange = Aiming.getMaxRange(this.throwSpeed, this.throwLaunchOffset);
+        
         // Create character model instead of default mesh
         this.createCharacterModel();
         
         // Debug log to confirm AI creation
-        console.log(`AI Player ${id} created with difficulty ${difficultyMultiplier.toFixed(1)}, radius: ${this.radius}, height: ${this.height}`);
+        console.log(`AI Player ${id} created with difficulty ${difficultyMultiplier.toFixed(1)}, radius: ${this.radius}, height: ${this.height}, ` +
+            `aggression: ${this.traits.aggression.toFixed(2)}, diamond interest: ${this.traits.diamondInterest.toFixed(2)}, ` +
+            `accuracy: ${this.accuracy.toFixed(2)}, throw range: ${this.maxThrowRange}`);
     }
     
     /**
@@ -195,83 +226,469 @@ class SnowBrawlAI extends Player {
     
     /**
      * Update AI state and behavior
-     * @param {number} deltaTime - Time since last update in seconds
+     * Called by the body every simulation tick (as its controller), so AI decisions and their random draws
+     * happen at the same points in the match whatever the frame rate
+     * @param {number} deltaTime - Step length in seconds
      */
-    update(deltaTime) {
-        // Call parent update method
-        super.update(deltaTime);
-        
+    think(deltaTime) {
         if (!this.isAlive) return;
         
-        // Debug: Periodically log AI position to verify it's where we expect
-        const currentTime = Date.now();
-        // For now, just implement simple random movement
-        this.simpleRandomMovement(deltaTime);
+        try {
+            // Re-evaluate the current state every update interval
+            const currentTime = this.now();
+            if (currentTime - this.lastUpdateTime > this.updateInterval) {
+                this.lastUpdateTime = currentTime;
+                this.decideState();
+            }
+            
+            // Act on the current state every tick
+            this.wantsToScoop = false;
+            this.executeState(deltaTime);
+            this.body.updateScoop(deltaTime, this.wantsToScoop);
+        } catch (error) {
+            console.error('Error in AI update:', error);
+        }
+    }
+    
+    /**
+     * Pick the state to be in based on health, nearby players, pickups and personality
+     */
+    decideState() {
+        // Spend diamonds as soon as we have them
+        if (this.diamondCount > 0) {
+            this.chooseUpgrade();
+        }
+        
+        // Get out of the storm (or out of the way of where it's closing in) before anything else
+        if (this.isOutsideStormRefuge()) {
+            this.setState('escapingStorm');
+            return;
+        }
+        
+        // Low health - run home, and keep at it until the retreat behavior decides we're done
+        if (this.shouldRetreat()) {
+            this.setState('retreating');
+            return;
+        }
+        
+        // In King of the Hill, make for the zone and hold it - fighting and topping up from inside it, unless the bag is empty
+        if (this.shouldTakeHill()) {
+            this.setState('takingHill');
+            return;
+        }
+        
+        // Running low on snowballs - get more, and keep at it until the bag is reasonably full again
+        if (this.shouldRestock()) {
+            this.setState('restocking');
+            return;
+        }
+        
+        const nearestPlayer = this.findNearestPlayer();
+        const nearestPickup = this.findNearestPickup();
+        
+        // Score each option by personality, preferring closer targets
+        const sightRange = this.getSightRange();
+        const attackScore = nearestPlayer ?
+            this.traits.aggression * (1 - 0.5 * this.position.distanceTo(nearestPlayer.position) / sightRange) : 0;
+        const collectScore = nearestPickup ?
+            this.traits.diamondInterest * (1 - 0.5 * this.position.distanceTo(nearestPickup.position) / sightRange) : 0;
+        
+        if (nearestPickup && collectScore > attackScore) {
+            this.targetPickup = nearestPickup;
+            this.setState('collecting');
+        } else if (nearestPlayer) {
+            this.setTarget(nearestPlayer);
+            const inRange = this.position.distanceTo(nearestPlayer.position) <= this.getAttackRange();
+            this.setState(inRange ? 'attacking' : 'pursuing');
+        } else {
+            this.laySiegeOrIdle();
+        }
+    }
+    
+    /**
+     * With nobody out in the open, lay siege to an igloo someone is hiding in, or wander if there isn't one
+     */
+    laySiegeOrIdle() {
+        this.targetIgloo = this.findSiegeTarget();
+        this.setState(this.targetIgloo ? 'sieging' : 'idle');
+    }
+    
+    /**
+     * Switch to a new state
+     * @param {string} state - New state (idle, pursuing, attacking, retreating, collecting, restocking, sieging, escapingStorm, takingHill)
+     */
+    setState(state) {
+        if (this.state === state) return;
+        
+        this.state = state;
+        this.stateStartTime = this.now();
+        this.chargeStartTime = null;
+        
+        // Let replay recorders log the decision
+        this.body.emit('aiDecision', { player: this.body, state });
+        
+        // Pick a fresh wander target when going idle
+        if (state === 'idle') {
+            this.targetPosition = null;
+        }
+    }
+    
+    /**
+     * Set the player to pursue or attack
+     * @param {Object} player - Target player
+     */
+    setTarget(player) {
+        if (this.target !== player) {
+            this.target = player;
+            this.targetAcquiredTime = this.now();
+        }
     }
     
     /**
-     * Simple random movement for AI
+     * Run the behavior for the current state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    executeState(deltaTime) {
+        switch (this.state) {
+            case 'pursuing':
+                this.executePursuingBehavior();
+                break;
+            case 'attacking':
+                this.executeAttackingBehavior();
+                break;
+            case 'retreating':
+                this.executeRetreatingBehavior();
+                break;
+            case 'collecting':
+                this.executeCollectingBehavior();
+                break;
+            case 'restocking':
+                this.executeRestockingBehavior(deltaTime);
+                break;
+            case 'sieging':
+                this.executeSiegingBehavior();
+                break;
+            case 'escapingStorm':
+                this.executeEscapingStormBehavior();
+                break;
+            case 'takingHill':
+                this.executeTakingHillBehavior();
+                break;
+            default:
+                this.simpleRandomMovement(deltaTime);
+        }
+    }
+    
+    /**
+     * Simple random movement for AI when it has nothing better to do
      * @param {number} deltaTime - Time since last frame in seconds
      */
     simpleRandomMovement(deltaTime) {
-        try {
-            const currentTime = Date.now();
-            
-            // Update movement timer
-            this.movementTimer += deltaTime * 1000; // Convert to milliseconds
+        // Update movement timer
+        this.movementTimer += deltaTime * 1000; // Convert to milliseconds
+        
+        // Only change direction after the movement duration has passed
+        if (!this.targetPosition || this.movementTimer >= this.movementDuration) {
+            this.movementTimer = 0;
             
-            // Only change direction after the movement duration has passed
-            if (!this.targetPosition || this.movementTimer >= this.movementDuration) {
-                this.movementTimer = 0;
-                
-                // Random movement in the game area - no safe zone logic
-                const gameSize = 100; // Assuming game area is 100x100
-                const margin = 10;
-                
-                // Pick a random position within game bounds
-                this.targetPosition = {
-                    x: Utils.randomRange(-gameSize/2 + margin, gameSize/2 - margin),
-                    z: Utils.randomRange(-gameSize/2 + margin, gameSize/2 - margin)
-                };
-                
-                // Set a shorter initial movement duration to make AI start moving quickly
-                if (this.movementDuration > 5000) {
-                    this.movementDuration = Utils.randomRange(2000, 4000);
-                }
-                
-                // Calculate velocity towards target position
-                const dx = this.targetPosition.x - this.position.x;
-                const dz = this.targetPosition.z - this.position.z;
-                const distance = Math.sqrt(dx * dx + dz * dz);
-                
-                if (distance > 0.1) {
-                    this.velocity.x = (dx / distance) * this.moveSpeed * 0.7;
-                    this.velocity.z = (dz / distance) * this.moveSpeed * 0.7;
-                }
-            } else {
-                // Check if we've reached the target position
-                const dx = this.targetPosition.x - this.position.x;
-                const dz = this.targetPosition.z - this.position.z;
-                const distanceSquared = dx * dx + dz * dz;
-                
-                if (distanceSquared < 1) {
-                    // We've reached the target, reset timer to pick a new target next frame
-                    this.movementTimer = this.movementDuration;
-                }
-            }
+            // Pick a random position within the map bounds
+            const margin = 10;
+            const halfWidth = GAME_CONSTANTS.MAP.WIDTH / 2;
+            const halfLength = GAME_CONSTANTS.MAP.LENGTH / 2;
+            this.targetPosition = {
+                x: Utils.randomRange(-halfWidth + margin, halfWidth - margin),
+                z: Utils.randomRange(-halfLength + margin, halfLength - margin)
+            };
+            Utils.clampToArena(this.targetPosition, margin);
+            this.keepInsideStorm(this.targetPosition);
             
-            // Change behavior occasionally
-            if (currentTime - this.lastUpdateTime > this.updateInterval) {
-                this.lastUpdateTime = currentTime;
-                
-                // Occasionally throw a snowball, with increased frequency based on difficulty
-                const throwChance = 0.1 * (this.difficultyMultiplier || 1.0);
-                if (Math.random() < throwChance) {
-                    this.throwSnowball();
-                }
+            // Set a shorter initial movement duration to make AI start moving quickly
+            if (this.movementDuration > 5000) {
+                this.movementDuration = Utils.randomRange(2000, 4000);
             }
-        } catch (error) {
-            console.error('Error in AI movement:', error);
+        }
+        
+        // Check if we've reached the target position
+        const dx = this.targetPosition.x - this.position.x;
+        const dz = this.targetPosition.z - this.position.z;
+        const distanceSquared = dx * dx + dz * dz;
+        
+        if (distanceSquared < 1) {
+            // We've reached the target, reset timer to pick a new target next frame
+            this.movementTimer = this.movementDuration;
+            return;
+        }
+        
+        this.moveTowards(this.targetPosition, 0.7);
+    }
+    
+    /**
+     * Execute pursuing behavior - close the distance to the target player
+     */
+    executePursuingBehavior() {
+        if (!this.isTargetValid()) {
+            this.target = null;
+            this.setState('idle');
+            return;
+        }
+        
+        this.moveTowards(this.target.position);
+        
+        // Start attacking once in range
+        if (this.position.distanceTo(this.target.position) <= this.getAttackRange()) {
+            this.setState('attacking');
+        }
+    }
+    
+    /**
+     * Execute attacking behavior - strafe around the target and throw at it
+     */
+    executeAttackingBehavior() {
+        if (!this.isTargetValid()) {
+            this.target = null;
+            this.setState('idle');
+            return;
+        }
+        
+        const currentTime = this.now();
+        const toTarget = new THREE.Vector3().subVectors(this.target.position, this.position);
+        toTarget.y = 0;
+        const distance = toTarget.length();
+        
+        // Fall back to pursuing if the target got away
+        const attackRange = this.getAttackRange();
+        if (distance > attackRange * 1.2) {
+            this.setState('pursuing');
+            return;
+        }
+        
+        toTarget.normalize();
+        
+        // Flip strafe direction every couple of seconds to be harder to hit
+        if (currentTime - this.lastStrafeChange > 2000) {
+            this.lastStrafeChange = currentTime;
+            this.strafeDirection = Utils.random() < 0.5 ? -1 : 1;
+        }
+        
+        // Strafe sideways, drifting towards the preferred range
+        const strafe = new THREE.Vector3(-toTarget.z, 0, toTarget.x).multiplyScalar(this.strafeDirection);
+        const preferredRange = attackRange * 0.6;
+        const rangeCorrection = Utils.clamp((distance - preferredRange) / preferredRange, -1, 1);
+        const moveDirection = strafe.add(toTarget.multiplyScalar(rangeCorrection)).normalize();
+        
+        this.velocity.x = moveDirection.x * this.body.getMoveSpeed() * 0.6;
+        this.velocity.z = moveDirection.z * this.body.getMoveSpeed() * 0.6;
+        this.faceTowards(this.target.position);
+        
+        this.throwAtTarget(distance / attackRange);
+    }
+    
+    /**
+     * Charge up and throw at the current target once the reaction time after picking it is over
+     * Less aggressive AI pauses longer between throws
+     * @param {number} rangeFraction - Distance to the target as a fraction of the attack range
+     */
+    throwAtTarget(rangeFraction) {
+        // Nothing to throw - don't start charging a throw that can't happen
+        if (!this.body.hasSnowball('normal')) return;
+        
+        const currentTime = this.now();
+        const throwDelay = this.body.getThrowCooldown() + (1 - this.traits.aggression) * 1000 / this.difficultyMultiplier;
+        if (currentTime - this.targetAcquiredTime >= this.traits.reactionTime &&
+            currentTime - this.lastThrowTime >= throwDelay) {
+            this.chargeThrowAt(this.target, rangeFraction);
+        }
+    }
+    
+    /**
+     * Execute sieging behavior - close in on an igloo with someone camping in it and pelt it until it collapses
+     */
+    executeSiegingBehavior() {
+        const igloo = this.targetIgloo;
+        if (!igloo || igloo.isCollapsed || !igloo.world) {
+            this.targetIgloo = null;
+            this.setState('idle');
+            return;
+        }
+        
+        const dx = igloo.position.x - this.position.x;
+        const dz = igloo.position.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const attackRange = this.getAttackRange();
+        if (distance > attackRange) {
+            this.moveTowards(igloo.position);
+            return;
+        }
+        
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.faceTowards(igloo.position);
+        
+        // Igloos don't dodge, so there's no reaction time to wait out - just the usual pause between throws
+        const throwDelay = this.body.getThrowCooldown() + (1 - this.traits.aggression) * 1000 / this.difficultyMultiplier;
+        if (this.now() - this.lastThrowTime >= throwDelay) {
+            this.chargeThrowAt(igloo, distance / attackRange);
+        }
+    }
+    
+    /**
+     * Charge a throw at a target and let it go once it has enough power
+     * Direct throws are charged harder the further away the target is (and the more aggressive the AI);
+     * a target behind cover gets a fully charged lob over it
+     * @param {Object} target - Target player or igloo
+     * @param {number} rangeFraction - Distance to the target as a fraction of the attack range
+     */
+    chargeThrowAt(target, rangeFraction) {
+        const currentTime = this.now();
+        if (this.chargeStartTime === null) {
+            this.chargeStartTime = currentTime;
+        }
+        
+        const isLob = this.isLineOfFireBlocked(target);
+        const charge = isLob ? 1 : this.traits.aggression * Utils.clamp(rangeFraction, 0, 1);
+        if (currentTime - this.chargeStartTime < charge * GAME_CONSTANTS.SNOWBALL.CHARGE_TIME) {
+            return;
+        }
+        
+        this.chargeStartTime = null;
+        
+        const speed = SimPlayer.getChargedSpeed(this.throwSpeed, charge, isLob);
+        const aimDirection = this.getAimDirection(target, speed, isLob);
+        if (aimDirection) {
+            this.throwSnowball(aimDirection, charge, speed);
+        }
+    }
+    
+    /**
+     * Check whether walls or obstacles stand between the AI's hand and a target
+     * @param {Object} target - Target player or igloo
+     * @returns {boolean} True if a direct throw would hit cover
+     */
+    isLineOfFireBlocked(target) {
+        if (!this.body.world) return false;
+        
+        const origin = this.position.clone();
+        origin.y += GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
+        
+        const aimPoint = target.position.clone();
+        aimPoint.y += (target.height || GAME_CONSTANTS.PLAYER.HEIGHT) * 0.5;
+        
+        return this.body.world.physics.isPathBlocked(origin, aimPoint);
+    }
+    
+    /**
+     * Distance at which the AI stops closing in and starts throwing
+     * @returns {number} Attack range, limited by how far our throws can reach
+     */
+    getAttackRange() {
+        return Math.min(GAME_CONSTANTS.AI.ATTACK_RANGE, this.maxThrowRange * 0.9);
+    }
+    
+    /**
+     * How far the AI can see, shortened by fog and falling snow and lengthened by looking down from high ground
+     * @param {THREE.Vector3|null} position - Where the AI is looking, or null for its sight range on level ground
+     * @returns {number} Sight range for the current weather
+     */
+    getSightRange(position = null) {
+        const world = this.body.world;
+        const multiplier = world ? world.getWeatherSettings().SIGHT_MULTIPLIER : 1;
+        
+        let heightBonus = 0;
+        if (position) {
+            const terrain = GAME_CONSTANTS.TERRAIN;
+            heightBonus = Utils.clamp((this.position.y - position.y) * terrain.SIGHT_BONUS_PER_HEIGHT, 0, terrain.MAX_SIGHT_BONUS);
+        }
+        
+        return GAME_CONSTANTS.AI.SIGHT_RANGE * multiplier * (1 + heightBonus);
+    }
+    
+    /**
+     * Check whether the AI can see a player - close enough, with no hill in the way between its eyes and theirs
+     * @param {Object} player - Player to look for
+     * @returns {boolean} True if the player is in sight
+     */
+    canSee(player) {
+        if (this.position.distanceTo(player.position) > this.getSightRange(player.position)) return false;
+        
+        const world = this.body.world;
+        const terrain = world && world.arena ? world.arena.terrain : null;
+        if (!terrain) return true;
+        
+        const eyeHeight = GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
+        const eye = this.position.clone().setY(this.position.y + eyeHeight);
+        const target = player.position.clone().setY(player.position.y + eyeHeight);
+        return terrain.isLineOfSightClear(eye, target);
+    }
+    
+    /**
+     * Check whether the current target can still be pursued
+     * @returns {boolean} True if target is an alive opponent, visible and not protected by its safe zone
+     */
+    isTargetValid() {
+        if (!this.target || !this.target.isAlive || this.isTeammate(this.target)) return false;
+        if (Physics.isPlayerProtected(this.target)) return false;
+        return this.canSee(this.target);
+    }
+    
+    /**
+     * Calculate a throw direction towards a target player or igloo
+     * Solves the ballistic arc (wind included) to where the target will be, then applies this AI's aim error
+     * @param {Object} target - Target player or igloo
+     * @param {number} speed - Launch speed of the throw
+     * @param {boolean} isLob - Aim a high arc rather than the flattest one
+     * @returns {THREE.Vector3|null} Normalized throw direction, or null if the target is out of range
+     */
+    getAimDirection(target, speed = this.throwSpeed, isLob = false) {
+        const origin = this.position.clone();
+        origin.y += GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
+        
+        // Aim for the chest
+        const aimPoint = target.position.clone();
+        aimPoint.y += (target.height || GAME_CONSTANTS.PLAYER.HEIGHT) * 0.5;
+        
+        // Allow for the wind (the AI reads its general drift, not the gusts)
+        const world = this.body.world;
+        const solution = Aiming.solveLaunchDirection(
+            origin,
+            aimPoint,
+            target.velocity,
+            speed,
+            this.throwLaunchOffset,
+            isLob,
+            world ? world.wind : null
+        );
+        
+        if (!solution) {
+            return null;
+        }
+        
+        return Aiming.applyAimError(solution.direction, Aiming.getErrorAngle(this.accuracy));
+    }
+    
+    /**
+     * Set velocity to move towards a point on the XZ plane
+     * @param {Object} point - Point with x and z coordinates
+     * @param {number} speedFactor - Fraction of move speed to use
+     */
+    moveTowards(point, speedFactor = 1) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        
+        if (distance > 0.1) {
+            this.velocity.x = (dx / distance) * this.body.getMoveSpeed() * speedFactor;
+            this.velocity.z = (dz / distance) * this.body.getMoveSpeed() * speedFactor;
+            this.faceTowards(point);
+        }
+    }
+    
+    /**
+     * Turn the AI's mesh to face a point
+     * @param {Object} point - Point with x and z coordinates
+     */
+    faceTowards(point) {
+        if (this.mesh) {
+            this.mesh.rotation.y = Math.atan2(point.x - this.position.x, point.z - this.position.z);
         }
     }
     
@@ -287,19 +704,22 @@ class SnowBrawlAI extends Player {
     
     /**
      * Override the throwSnowball method for AI players
-     * AI players have unlimited snowballs
+     * AI players throw from the same bag as everyone else, but aim with a direction rather than the camera
      * @param {THREE.Vector3} [inputDirection] - Optional direction to throw, random if not provided
+     * @param {number} charge - How far the throw was charged (0-1), scaling its damage
+     * @param {number} speed - Launch speed (defaults to the AI's uncharged throw speed)
      */
-    throwSnowball(inputDirection) {
+    throwSnowball(inputDirection, charge = 0, speed = this.throwSpeed) {
         try {
-            // Check cooldown
-            const currentTime = Date.now();
-            if (currentTime - this.lastThrowTime < this.throwCooldown) {
+            // Check snowballs and cooldown
+            const currentTime = this.now();
+            if (!this.body.hasSnowball('normal') || currentTime - this.lastThrowTime < this.body.getThrowCooldown()) {
                 return;
             }
             
-            // Update last throw time
+            // Update last throw time and take the snowball out of the bag
             this.lastThrowTime = currentTime;
+            this.body.spendSnowball('normal');
             
             // Create a local direction variable
             let throwDirection;
@@ -317,117 +737,361 @@ class SnowBrawlAI extends Player {
             }
             
             // Create snowball at player position + offset in direction
+            // (offset a clone so the throw direction stays normalized for the snowball's velocity)
             const spawnPosition = new THREE.Vector3().copy(this.position);
             spawnPosition.y += GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
-            spawnPosition.add(throwDirection.multiplyScalar(this.radius + 0.5));
+            spawnPosition.add(throwDirection.clone().multiplyScalar(this.throwLaunchOffset));
             
-            // Create snowball with proper parameters
-            const snowball = new Snowball(
-                this.scene,
+            // Launch with the AI's own damage and a fixed size (AI players don't buy size upgrades, but do pick up giant snowballs)
+            this.body.launchSnowball(
                 spawnPosition,
                 throwDirection,
-                this.id,
-                this.throwDamage || GAME_CONSTANTS.SNOWBALL.DAMAGE,
-                GAME_CONSTANTS.SNOWBALL.RADIUS,
-                this.throwSpeed,
-                GAME_CONSTANTS.SNOWBALL.MAX_DISTANCE
+                SimPlayer.getChargedDamage(this.throwDamage || GAME_CONSTANTS.SNOWBALL.DAMAGE, charge),
+                this.body.getSnowballSize(GAME_CONSTANTS.SNOWBALL.RADIUS),
+                speed
             );
-            
-            // Properly register with Game.physics system
-            if (window.Game && window.Game.physics) {
-                window.Game.physics.registerCollider(snowball, 'snowballs');
-            }
-            
-            // Add to Game.snowballs array (not gameSnowballs)
-            if (window.Game && Array.isArray(window.Game.snowballs)) {
-                window.Game.snowballs.push(snowball);
-            }
         } catch (error) {
             console.error('Error throwing AI snowball:', error);
         }
     }
     
     /**
-     * Execute retreating behavior - move toward igloo
-     * @param {number} deltaTime - Time since last update in seconds
+     * Execute retreating behavior - move toward igloo and wait in the safe zone
      */
     executeRetreatingBehavior() {
-        // Check if igloo position is set
-        if (!this.iglooPosition) {
-            this.state = 'idle';
-            this.stateStartTime = Date.now();
+        // Check there's still an igloo to shelter in
+        if (!this.canRetreat()) {
+            this.setState('idle');
             return;
         }
         
-        // Calculate direction to igloo
-        const direction = new THREE.Vector3()
-            .subVectors(this.iglooPosition, this.position)
-            .normalize();
-        
-        // Set velocity toward igloo
-        this.velocity.x = direction.x * this.moveSpeed;
-        this.velocity.z = direction.z * this.moveSpeed;
-        
-        // Check if reached safe zone 
+        // Check if reached safe zone
         if (Physics.isPlayerInSafeZone(this)) {
-            // If health is good, exit retreat mode
+            // Wait inside the safe zone
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            
+            // If health is good (the safe zone heals), exit retreat mode
+            const currentTime = this.now();
+            const protectionLeft = this.body.getProtectionEndTime() - currentTime;
             if (this.health > GAME_CONSTANTS.PLAYER.INITIAL_HEALTH * 0.8) {
-                this.state = 'idle';
-                this.stateStartTime = Date.now();
+                this.setState('idle');
+            } else if (protectionLeft < GAME_CONSTANTS.AI.SAFE_ZONE_EXIT_MARGIN ||
+                currentTime - this.stateStartTime > GAME_CONSTANTS.AI.MAX_RETREAT_TIME) {
+                // Don't camp forever - leave while still protected (so exit protection covers the getaway)
+                // and hold off retreating for a while
+                this.nextRetreatTime = currentTime + GAME_CONSTANTS.AI.RETREAT_COOLDOWN;
+                this.setState('idle');
             }
+            return;
         }
+        
+        // Move toward igloo
+        this.moveTowards(this.iglooPosition);
     }
     
     /**
-     * Execute collecting behavior - move toward target diamond
+     * Execute escaping storm behavior - head for the middle of the storm refuge until well inside it
+     */
+    executeEscapingStormBehavior() {
+        const refuge = this.getStormRefuge();
+        if (!refuge || Math.hypot(this.position.x - refuge.x, this.position.z - refuge.z) <= SnowBrawlAI.getRefugeRadius(refuge) * 0.8) {
+            this.setState('idle');
+            return;
+        }
+        
+        this.moveTowards(refuge);
+    }
+    
+    /**
+     * Execute taking hill behavior - head for the King of the Hill zone and hold it
+     * Enemies within attack range get snowballs thrown at them on the way and from inside the zone, but aren't chased off it;
+     * with nobody to fight (or nothing to throw until the next decision sends it restocking), the AI scoops snow where it
+     * stands when running low
+     */
+    executeTakingHillBehavior() {
+        const hill = this.body.world ? this.body.world.hill : null;
+        if (!hill) {
+            this.setState('idle');
+            return;
+        }
+        
+        const enemy = this.findNearestPlayer();
+        const attackRange = this.getAttackRange();
+        const enemyDistance = enemy ? this.position.distanceTo(enemy.position) : Infinity;
+        const isOffCenter = Math.hypot(this.position.x - hill.x, this.position.z - hill.z) > hill.radius * GAME_CONSTANTS.AI.HILL_HOLD_RADIUS;
+        
+        if (enemyDistance <= attackRange && this.body.hasSnowball('normal')) {
+            this.holdHillAgainst(enemy, enemyDistance / attackRange, isOffCenter ? hill : null);
+            return;
+        }
+        
+        this.target = null;
+        this.chargeStartTime = null;
+        if (isOffCenter) {
+            this.moveTowards(hill);
+            return;
+        }
+        
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.wantsToScoop = this.shouldRestock() && !this.body.scoopBlocked && this.body.canScoop();
+    }
+    
+    /**
+     * Fight an enemy from the King of the Hill zone - strafe while well inside it, head back in when drifting out,
+     * and throw at the enemy throughout
+     * @param {SimPlayer} enemy - Enemy within attack range
+     * @param {number} rangeFraction - Distance to the enemy as a fraction of the attack range
+     * @param {Object|null} hill - Zone to head back into, or null while well inside it
+     */
+    holdHillAgainst(enemy, rangeFraction, hill) {
+        this.setTarget(enemy);
+        
+        if (hill) {
+            this.moveTowards(hill);
+        } else {
+            // Flip strafe direction every couple of seconds to be harder to hit; leaving the middle brings the AI back in
+            const currentTime = this.now();
+            if (currentTime - this.lastStrafeChange > 2000) {
+                this.lastStrafeChange = currentTime;
+                this.strafeDirection = Utils.random() < 0.5 ? -1 : 1;
+            }
+            
+            const toEnemy = new THREE.Vector3(enemy.position.x - this.position.x, 0, enemy.position.z - this.position.z).normalize();
+            this.velocity.x = -toEnemy.z * this.strafeDirection * this.body.getMoveSpeed() * 0.6;
+            this.velocity.z = toEnemy.x * this.strafeDirection * this.body.getMoveSpeed() * 0.6;
+        }
+        this.faceTowards(enemy.position);
+        
+        this.throwAtTarget(rangeFraction);
+    }
+    
+    /**
+     * Execute collecting behavior - move toward target diamond or power-up
      */
     executeCollectingBehavior() {
-        // Check if target is still valid
-        if (!this.targetDiamond || this.targetDiamond.isCollected) {
-            this.targetDiamond = null;
-            this.state = 'idle';
-            this.stateStartTime = Date.now();
+        // Check if target is still valid (power-ups can also melt away before anyone gets to them)
+        const pickup = this.targetPickup;
+        if (!pickup || pickup.isCollected || (pickup.isPowerUp && !Game.powerUps.includes(pickup))) {
+            this.targetPickup = null;
+            this.setState('idle');
+            return;
+        }
+        
+        // Move toward pickup
+        this.moveTowards(pickup.position);
+        
+        // Check if pickup was collected
+        const distance = this.position.distanceTo(pickup.position);
+        const collectionRadius = pickup.isPowerUp ?
+            GAME_CONSTANTS.POWER_UPS.COLLECTION_RADIUS : GAME_CONSTANTS.DIAMOND_GARDEN.COLLECTION_RADIUS;
+        if (distance < collectionRadius) {
+            // Pickup will be collected by physics system
+            this.setState('idle');
+        }
+    }
+    
+    /**
+     * Execute restocking behavior - scoop snowballs from the ground when far from home, otherwise
+     * walk back into the igloo entrance and let it refill the bag
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    executeRestockingBehavior(deltaTime) {
+        if (this.isRestocked()) {
+            this.setState('idle');
+            return;
+        }
+        
+        const entrance = this.findIglooEntrance();
+        if (entrance && this.position.distanceTo(entrance) <= GAME_CONSTANTS.AI.SCOOP_DISTANCE) {
+            this.moveTowards(entrance);
             return;
         }
         
-        // Calculate direction to diamond
-        const direction = new THREE.Vector3()
-            .subVectors(this.targetDiamond.position, this.position)
-            .normalize();
+        // Hit while crouched - stop and deal with it, then try again on the next decision
+        if (this.body.scoopBlocked) {
+            this.setState('idle');
+            return;
+        }
         
-        // Set velocity toward diamond
-        this.velocity.x = direction.x * this.moveSpeed;
-        this.velocity.z = direction.z * this.moveSpeed;
+        // Nothing to scoop on ice or rock - keep moving until there's snow underfoot
+        if (!this.isScooping && !this.body.canScoop()) {
+            if (entrance) {
+                this.moveTowards(entrance);
+            } else {
+                this.simpleRandomMovement(deltaTime);
+            }
+            return;
+        }
+        
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.wantsToScoop = true;
+    }
+    
+    /**
+     * Check whether the AI should be running home to its igloo
+     * @returns {boolean} True at low health, unless it just gave up on camping there or home has collapsed,
+     *                    or while still retreating and home is still there
+     */
+    shouldRetreat() {
+        if (!this.canRetreat()) return false;
         
-        // Check if diamond was collected
-        const distance = this.position.distanceTo(this.targetDiamond.position);
-        if (distance < GAME_CONSTANTS.DIAMOND_GARDEN.COLLECTION_RADIUS) {
-            // Diamond will be collected by physics system
-            this.state = 'idle';
-            this.stateStartTime = Date.now();
+        const healthRatio = this.health / GAME_CONSTANTS.PLAYER.INITIAL_HEALTH;
+        if (healthRatio <= GAME_CONSTANTS.AI.RETREAT_HEALTH_THRESHOLD && this.now() >= this.nextRetreatTime) return true;
+        return this.state === 'retreating';
+    }
+    
+    /**
+     * Check whether the AI should be getting more snowballs
+     * @returns {boolean} True when down to RESTOCK_THRESHOLD, or still restocking and not yet done
+     */
+    shouldRestock() {
+        // No need while infinite ammo lasts
+        if (this.body.hasPowerUp('infinite_ammo')) return false;
+        if (this.snowballCount <= GAME_CONSTANTS.AI.RESTOCK_THRESHOLD) return true;
+        return this.state === 'restocking' && !this.isRestocked();
+    }
+    
+    /**
+     * Check whether the AI has gathered enough snowballs to stop restocking
+     * @returns {boolean} True once the bag is RESTOCK_TARGET full
+     */
+    isRestocked() {
+        return this.snowballCount >= Math.ceil(this.maxSnowballCount * GAME_CONSTANTS.AI.RESTOCK_TARGET);
+    }
+    
+    /**
+     * Find where the AI's igloo (or its team's shared igloo) can be entered
+     * @returns {THREE.Vector3|null} Igloo entrance position, or null if the AI has no igloo
+     */
+    findIglooEntrance() {
+        const igloo = this.body.getIgloo();
+        return igloo && !igloo.isCollapsed ? igloo.entrancePosition : null;
+    }
+    
+    /**
+     * Check whether the AI has a safe zone to run home to
+     * @returns {boolean} True if the AI has an igloo position, its igloo is still standing outside the storm
+     *   and the zone isn't recharging
+     */
+    canRetreat() {
+        const world = this.body.world;
+        const isInStorm = !!world && world.isInStorm(this.iglooPosition);
+        return !!this.iglooPosition && this.hasIgloo && !isInStorm && this.now() >= this.safeZoneCooldownUntil;
+    }
+    
+    /**
+     * The circle the AI wants to be inside - the storm's, or the one it's closing in to once the warning is out
+     * @returns {Object|null} Circle (x, z and radius), or null without a storm
+     */
+    getStormRefuge() {
+        const world = this.body.world;
+        const status = world ? world.getStormStatus() : null;
+        if (!status) return null;
+        
+        const isWarned = status.next && (status.shrinking || status.remaining <= GAME_CONSTANTS.STORM.WARNING_TIME);
+        return isWarned ? status.next : status.circle;
+    }
+    
+    /**
+     * How far from the middle of a storm refuge the AI can be and still count as inside it
+     * @param {Object} refuge - Circle (see getStormRefuge)
+     * @returns {number} Distance from the center, STORM_MARGIN in from the edge (or halfway in for the smallest circles)
+     */
+    static getRefugeRadius(refuge) {
+        return Math.max(refuge.radius - GAME_CONSTANTS.AI.STORM_MARGIN, refuge.radius / 2);
+    }
+    
+    /**
+     * Check whether the AI should be heading out of the storm
+     * @returns {boolean} True outside the storm refuge
+     */
+    isOutsideStormRefuge() {
+        const refuge = this.getStormRefuge();
+        return !!refuge && Math.hypot(this.position.x - refuge.x, this.position.z - refuge.z) > SnowBrawlAI.getRefugeRadius(refuge);
+    }
+    
+    /**
+     * Pull a point into the storm refuge, so wandering doesn't lead back out into the storm
+     * @param {Object} point - Point to move (only X and Z are changed)
+     */
+    keepInsideStorm(point) {
+        const refuge = this.getStormRefuge();
+        if (!refuge) return;
+        
+        const limit = SnowBrawlAI.getRefugeRadius(refuge) * 0.8;
+        const dx = point.x - refuge.x;
+        const dz = point.z - refuge.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance > limit) {
+            point.x = refuge.x + dx / distance * limit;
+            point.z = refuge.z + dz / distance * limit;
+        }
+    }
+    
+    /**
+     * Check whether the AI should be taking and holding the King of the Hill zone
+     * An empty bag can't hold it, so the AI restocks first (scooping where it stands when far from home) and
+     * keeps at it until the bag is reasonably full again
+     * @returns {boolean} True in a King of the Hill round with snowballs to throw and no restocking to finish
+     */
+    shouldTakeHill() {
+        const world = this.body.world;
+        if (!world || !world.hill) return false;
+        
+        return this.body.hasSnowball('normal') && !(this.state === 'restocking' && this.shouldRestock());
+    }
+    
+    /**
+     * Find the nearest standing enemy igloo within sight range that one of its owners is sheltering in
+     * @returns {SimIgloo|null} Igloo to lay siege to, or null if nobody is hiding
+     */
+    findSiegeTarget() {
+        const world = this.body.world;
+        if (!world) return null;
+        
+        let nearestIgloo = null;
+        let nearestDistance = this.getSightRange();
+        
+        for (const igloo of world.igloos) {
+            if (!igloo.canBeDamagedBy(this.id, this.teamId)) continue;
+            
+            const isCamped = world.players.some(player => player.isAlive && player.isInSafeZone &&
+                Physics.isPlayerProtected(player) && world.physics.isIglooOwner(player, igloo));
+            if (!isCamped) continue;
+            
+            const distance = this.position.distanceTo(igloo.position);
+            if (distance < nearestDistance) {
+                nearestIgloo = igloo;
+                nearestDistance = distance;
+            }
         }
+        
+        return nearestIgloo;
     }
     
     /**
-     * Find the nearest player within sight range
+     * Find the nearest player in sight (see canSee)
      * @returns {Object|null} Nearest player or null if none found
      */
     findNearestPlayer() {
         let nearestPlayer = null;
-        let nearestDistance = GAME_CONSTANTS.AI.SIGHT_RANGE;
+        let nearestDistance = Infinity;
         
         for (const player of Game.players) {
-            // Skip self and non-alive players
-            if (player.id === this.id || !player.isAlive) continue;
+            // Skip self, teammates and non-alive players
+            if (player.id === this.id || this.isTeammate(player) || !player.isAlive) continue;
             
-            // Skip players in safe zones
-            if (Physics.isPlayerInSafeZone(player)) continue;
+            // Skip players protected by their safe zone (those whose protection has worn off are fair game)
+            if (Physics.isPlayerProtected(player)) continue;
             
             // Calculate distance
             const distance = this.position.distanceTo(player.position);
             
-            // Check if within sight range and closer than current nearest
-            if (distance < nearestDistance) {
+            // Check if in sight and closer than current nearest
+            if (distance < nearestDistance && this.canSee(player)) {
                 nearestPlayer = player;
                 nearestDistance = distance;
             }
@@ -442,7 +1106,7 @@ class SnowBrawlAI extends Player {
      */
     findNearestDiamond() {
         let nearestDiamond = null;
-        let nearestDistance = GAME_CONSTANTS.AI.SIGHT_RANGE;
+        let nearestDistance = this.getSightRange();
         
         for (const diamond of Game.diamonds) {
             // Skip collected diamonds
@@ -461,6 +1125,40 @@ class SnowBrawlAI extends Player {
         return nearestDiamond;
     }
     
+    /**
+     * Find the nearest power-up within sight range
+     * @returns {Object|null} Nearest power-up or null if none found
+     */
+    findNearestPowerUp() {
+        let nearestPowerUp = null;
+        let nearestDistance = this.getSightRange();
+        
+        for (const powerUp of Game.powerUps) {
+            if (powerUp.isCollected) continue;
+            
+            const distance = this.position.distanceTo(powerUp.position);
+            if (distance < nearestDistance) {
+                nearestPowerUp = powerUp;
+                nearestDistance = distance;
+            }
+        }
+        
+        return nearestPowerUp;
+    }
+    
+    /**
+     * Find the nearest thing worth picking up - a diamond or a power-up
+     * @returns {Object|null} Nearest diamond or power-up, or null if none is in sight
+     */
+    findNearestPickup() {
+        const diamond = this.findNearestDiamond();
+        const powerUp = this.findNearestPowerUp();
+        if (!diamond || !powerUp) {
+            return diamond || powerUp;
+        }
+        return this.position.distanceTo(powerUp.position) < this.position.distanceTo(diamond.position) ? powerUp : diamond;
+    }
+    
     /**
      * Apply an upgrade based on AI preferences
      */
@@ -504,7 +1202,7 @@ class SnowBrawlAI extends Player {
         // If no valid upgrades, return
         if (totalWeight <= 0) return;
         
-        const random = Math.random() * totalWeight;
+        const random = Utils.random() * totalWeight;
         let cumulativeWeight = 0;
         
         for (let i = 0; i < upgrades.length; i++) {
@@ -0,0 +1,311 @@
+/**
+ * Aiming solver for SnowBrawl game
+ * Computes snowball launch directions that account for gravity, drag, wind and target movement
+ */
+
+// Using SnowBrawlAiming instead of Aiming to avoid conflicts with built-in globals
+class SnowBrawlAiming {
+    // Max-range pitch per (rounded) launch speed, offset and (rounded) tailwind - rounding keeps charged throws and a shifting wind
+    // to a handful of entries
+    static maxRangePitchCache = new Map();
+    
+    // Still air, for throws that ignore the wind
+    static NO_WIND = Object.freeze({ along: 0, across: 0 });
+    
+    /**
+     * Simulate a snowball flight until it has covered a horizontal distance
+     * Mirrors the game loop: gravity and drag towards the wind in Physics.applySnowballForces, then movement
+     * @param {number} pitch - Launch angle above the horizontal in radians
+     * @param {number} speed - Launch speed
+     * @param {number} distance - Horizontal distance to travel
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @param {Object} wind - Wind relative to the throw, with along (tailwind) and across (to the thrower's right) speeds
+     * @returns {Object|null} Object with height (relative to the origin), drift (sideways, to the right) and time,
+     * or null if the snowball never gets there
+     */
+    static simulateFlight(pitch, speed, distance, launchOffset = 0, wind = SnowBrawlAiming.NO_WIND) {
+        const timeStep = GAME_CONSTANTS.PHYSICS.TIME_STEP;
+        const gravity = GAME_CONSTANTS.SNOWBALL.GRAVITY;
+        const dragFactor = Math.exp(-GAME_CONSTANTS.SNOWBALL.DRAG * timeStep);
+        const maxTime = GAME_CONSTANTS.SNOWBALL.LIFETIME / 1000;
+        
+        let horizontal = Math.cos(pitch) * launchOffset;
+        let height = Math.sin(pitch) * launchOffset;
+        let drift = 0;
+        let horizontalVelocity = Math.cos(pitch) * speed;
+        let verticalVelocity = Math.sin(pitch) * speed;
+        let driftVelocity = 0;
+        let time = 0;
+        
+        while (time < maxTime) {
+            // Already past the target distance at launch
+            if (horizontal >= distance) {
+                return { height, drift, time };
+            }
+            
+            verticalVelocity -= gravity * timeStep;
+            horizontalVelocity = wind.along + (horizontalVelocity - wind.along) * dragFactor;
+            verticalVelocity *= dragFactor;
+            driftVelocity = wind.across + (driftVelocity - wind.across) * dragFactor;
+            
+            // Stalled out (or blown back) before reaching the target
+            if (horizontalVelocity * timeStep < 1e-4) {
+                return null;
+            }
+            
+            const nextHorizontal = horizontal + horizontalVelocity * timeStep;
+            const nextHeight = height + verticalVelocity * timeStep;
+            const nextDrift = drift + driftVelocity * timeStep;
+            
+            if (nextHorizontal >= distance) {
+                // Interpolate within the step for a smooth answer
+                const t = (distance - horizontal) / (nextHorizontal - horizontal);
+                return {
+                    height: Utils.lerp(height, nextHeight, t),
+                    drift: Utils.lerp(drift, nextDrift, t),
+                    time: time + t * timeStep
+                };
+            }
+            
+            horizontal = nextHorizontal;
+            height = nextHeight;
+            drift = nextDrift;
+            time += timeStep;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the flattest launch angle that passes through a point
+     * @param {number} distance - Horizontal distance to the point
+     * @param {number} heightDifference - Height of the point relative to the origin
+     * @param {number} speed - Launch speed
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @param {Object} wind - Wind relative to the throw (see simulateFlight)
+     * @returns {Object|null} Object with pitch, time and drift, or null if the point is out of range
+     */
+    static solvePitch(distance, heightDifference, speed, launchOffset = 0, wind = SnowBrawlAiming.NO_WIND) {
+        const maxPitch = SnowBrawlAiming.getMaxRangePitch(speed, launchOffset, wind);
+        
+        // Height at the target distance rises with pitch up to the max-range angle, so bisect on it
+        const highest = SnowBrawlAiming.simulateFlight(maxPitch, speed, distance, launchOffset, wind);
+        if (!highest || highest.height < heightDifference) {
+            return null;
+        }
+        
+        let low = -Math.PI / 3;
+        let high = maxPitch;
+        let result = highest;
+        
+        for (let i = 0; i < 24; i++) {
+            const pitch = (low + high) / 2;
+            const flight = SnowBrawlAiming.simulateFlight(pitch, speed, distance, launchOffset, wind);
+            
+            if (flight && flight.height >= heightDifference) {
+                high = pitch;
+                result = flight;
+            } else {
+                low = pitch;
+            }
+        }
+        
+        return { pitch: high, time: result.time, drift: result.drift };
+    }
+    
+    /**
+     * Find the steep (lob) launch angle that comes down through a point
+     * Past the max-range angle the height at the target distance falls as the pitch rises, so bisect on that side
+     * @param {number} distance - Horizontal distance to the point
+     * @param {number} heightDifference - Height of the point relative to the origin
+     * @param {number} speed - Launch speed
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @param {Object} wind - Wind relative to the throw (see simulateFlight)
+     * @returns {Object|null} Object with pitch, time and drift, or null if the point is out of range
+     */
+    static solveLobPitch(distance, heightDifference, speed, launchOffset = 0, wind = SnowBrawlAiming.NO_WIND) {
+        const maxPitch = SnowBrawlAiming.getMaxRangePitch(speed, launchOffset, wind);
+        
+        const highest = SnowBrawlAiming.simulateFlight(maxPitch, speed, distance, launchOffset, wind);
+        if (!highest || highest.height < heightDifference) {
+            return null;
+        }
+        
+        let low = maxPitch;
+        let high = GAME_CONSTANTS.SNOWBALL.LOB_MAX_PITCH;
+        let result = highest;
+        
+        for (let i = 0; i < 24; i++) {
+            const pitch = (low + high) / 2;
+            const flight = SnowBrawlAiming.simulateFlight(pitch, speed, distance, launchOffset, wind);
+            
+            if (flight && flight.height >= heightDifference) {
+                low = pitch;
+                result = flight;
+            } else {
+                high = pitch;
+            }
+        }
+        
+        return { pitch: low, time: result.time, drift: result.drift };
+    }
+    
+    /**
+     * Find the launch angle that gives the longest horizontal range
+     * Drag pulls this below 45 degrees (and a tailwind pushes it back up), so it's found by sampling
+     * @param {number} speed - Launch speed
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @param {Object} wind - Wind relative to the throw (see simulateFlight)
+     * @returns {number} Pitch in radians
+     */
+    static getMaxRangePitch(speed, launchOffset = 0, wind = SnowBrawlAiming.NO_WIND) {
+        // Charged throws launch at any speed in between, and only the tailwind changes the range -
+        // round both so they don't fill the cache (the best pitch barely moves within a step)
+        const roundedSpeed = Math.round(speed);
+        const along = Math.round(wind.along * 2) / 2;
+        const cacheKey = `${roundedSpeed}|${launchOffset}|${along}`;
+        if (SnowBrawlAiming.maxRangePitchCache.has(cacheKey)) {
+            return SnowBrawlAiming.maxRangePitchCache.get(cacheKey);
+        }
+        
+        let bestPitch = Math.PI / 4;
+        let bestRange = 0;
+        
+        for (let degrees = 20; degrees <= 50; degrees += 2) {
+            const pitch = degrees * Math.PI / 180;
+            const range = SnowBrawlAiming.getRangeAtPitch(pitch, roundedSpeed, launchOffset, { along, across: 0 });
+            if (range > bestRange) {
+                bestRange = range;
+                bestPitch = pitch;
+            }
+        }
+        
+        SnowBrawlAiming.maxRangePitchCache.set(cacheKey, bestPitch);
+        return bestPitch;
+    }
+    
+    /**
+     * Horizontal distance a snowball covers before dropping back to launch height
+     * @param {number} pitch - Launch angle in radians
+     * @param {number} speed - Launch speed
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @param {Object} wind - Wind relative to the throw (see simulateFlight)
+     * @returns {number} Horizontal range
+     */
+    static getRangeAtPitch(pitch, speed, launchOffset = 0, wind = SnowBrawlAiming.NO_WIND) {
+        // Step out in one-unit increments until the snowball has fallen below launch height
+        let distance = 1;
+        let flight = SnowBrawlAiming.simulateFlight(pitch, speed, distance, launchOffset, wind);
+        while (flight && flight.height >= 0) {
+            distance += 1;
+            flight = SnowBrawlAiming.simulateFlight(pitch, speed, distance, launchOffset, wind);
+        }
+        return distance - 1;
+    }
+    
+    /**
+     * Maximum horizontal range for a launch speed in still air
+     * @param {number} speed - Launch speed
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @returns {number} Maximum range at launch height
+     */
+    static getMaxRange(speed, launchOffset = 0) {
+        const pitch = SnowBrawlAiming.getMaxRangePitch(speed, launchOffset);
+        return SnowBrawlAiming.getRangeAtPitch(pitch, speed, launchOffset);
+    }
+    
+    /**
+     * Compute a launch direction that intercepts a moving target
+     * @param {THREE.Vector3} origin - Launch origin
+     * @param {THREE.Vector3} targetPosition - Current position of the point to hit
+     * @param {THREE.Vector3} targetVelocity - Current velocity of the target
+     * @param {number} speed - Launch speed
+     * @param {number} launchOffset - Distance along the throw direction the snowball spawns at
+     * @param {boolean} isLob - Aim a high arc that drops onto the target instead of the flattest one
+     * @param {THREE.Vector3|null} wind - Air velocity to allow for (gusts aside), or null to aim as if the air were still
+     * @returns {Object|null} Object with direction (normalized) and flightTime, or null if out of range
+     */
+    static solveLaunchDirection(origin, targetPosition, targetVelocity, speed, launchOffset = 0, isLob = false, wind = null) {
+        const leadPoint = targetPosition.clone();
+        const aimPoint = targetPosition.clone();
+        let solution = null;
+        
+        // Refine a few times: aim, estimate flight time and crosswind drift, predict where the target will be
+        // and aim upwind of it by the drift
+        for (let i = 0; i < 4; i++) {
+            const dx = aimPoint.x - origin.x;
+            const dz = aimPoint.z - origin.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            const heightDifference = aimPoint.y - origin.y;
+            
+            const heading = distance > 1e-6 ? new THREE.Vector2(dx / distance, dz / distance) : new THREE.Vector2(1, 0);
+            const right = new THREE.Vector2(-heading.y, heading.x);
+            const relativeWind = wind ? {
+                along: wind.x * heading.x + wind.z * heading.y,
+                across: wind.x * right.x + wind.z * right.y
+            } : SnowBrawlAiming.NO_WIND;
+            
+            const pitchSolution = isLob
+                ? SnowBrawlAiming.solveLobPitch(distance, heightDifference, speed, launchOffset, relativeWind)
+                : SnowBrawlAiming.solvePitch(distance, heightDifference, speed, launchOffset, relativeWind);
+            if (!pitchSolution) {
+                return solution;
+            }
+            
+            solution = {
+                direction: new THREE.Vector3(
+                    heading.x * Math.cos(pitchSolution.pitch),
+                    Math.sin(pitchSolution.pitch),
+                    heading.y * Math.cos(pitchSolution.pitch)
+                ).normalize(),
+                flightTime: pitchSolution.time
+            };
+            
+            // Lead only on the ground plane - vertical velocity is mostly jumps and knockback
+            if (targetVelocity) {
+                leadPoint.x = targetPosition.x + targetVelocity.x * pitchSolution.time;
+                leadPoint.z = targetPosition.z + targetVelocity.z * pitchSolution.time;
+            }
+            
+            // The crosswind will carry the snowball sideways by the drift, so aim that far the other way
+            aimPoint.x = leadPoint.x - right.x * pitchSolution.drift;
+            aimPoint.z = leadPoint.z - right.y * pitchSolution.drift;
+        }
+        
+        return solution;
+    }
+    
+    /**
+     * Deflect a direction by a random angle within an error cone
+     * @param {THREE.Vector3} direction - Normalized direction
+     * @param {number} maxAngle - Half-angle of the cone in radians
+     * @returns {THREE.Vector3} New normalized direction
+     */
+    static applyAimError(direction, maxAngle) {
+        if (maxAngle <= 0) {
+            return direction.clone();
+        }
+        
+        // Any axis perpendicular to the direction, spun to a random angle around it
+        const helper = Math.abs(direction.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        const axis = new THREE.Vector3().crossVectors(direction, helper).normalize();
+        axis.applyAxisAngle(direction, Utils.randomRange(0, Math.PI * 2));
+        
+        // sqrt spreads the samples evenly over the area of the cone
+        const angle = Math.sqrt(Utils.random()) * maxAngle;
+        return direction.clone().applyAxisAngle(axis, angle).normalize();
+    }
+    
+    /**
+     * Aim error cone for an accuracy value
+     * @param {number} accuracy - Accuracy between 0 and 1
+     * @returns {number} Half-angle of the error cone in radians
+     */
+    static getErrorAngle(accuracy) {
+        return (1 - Utils.clamp(accuracy, 0, 1)) * GAME_CONSTANTS.AI.MAX_AIM_ERROR;
+    }
+}
+
+// Expose SnowBrawlAiming to the global scope as Aiming to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Aiming = SnowBrawlAiming;
@@ -0,0 +1,505 @@
+/**
+ * Arena class for SnowBrawl game
+ * Layout of the map as plain collision boxes - boundary walls (straight, or a ring of blocks around a circular map),
+ * obstacles and the diamond garden wall -
+ * plus flat ice patches, which don't collide but change the surface underfoot, and the terrain they all stand on
+ * (the ground itself - physics samples its height rather than colliding with a box)
+ * The simulation collides against these directly; GameMap and DiamondGarden build the meshes for them
+ */
+
+// Using SnowBrawlArena instead of Arena to avoid conflicts with built-in globals
+class SnowBrawlArena {
+    // Obstacle types that can be scattered around the map
+    static OBSTACLE_TYPES = ['snowWall', 'rock', 'snowman', 'tree'];
+    
+    // Surface on top of each obstacle type, for anyone standing on it (the ground itself is snow)
+    static OBSTACLE_SURFACES = { snowWall: 'snow', rock: 'rock', snowman: 'snow', tree: 'wood' };
+    
+    /**
+     * Create the arena layout
+     * @param {number} numIgloos - Number of igloo spots around the map that obstacles must keep clear of
+     * @param {Array|null} obstacleLayout - Obstacles to use (from getObstacleLayout), or null to scatter new ones
+     * @param {Object|null} terrainLayout - Terrain to use (from getTerrainLayout), or null to generate new terrain
+     */
+    constructor(numIgloos = GAME_CONSTANTS.NUM_AI_PLAYERS + 1, obstacleLayout = null, terrainLayout = null) {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        this.numIgloos = numIgloos;
+        this.width = mapConstants.WIDTH;
+        this.length = mapConstants.LENGTH;
+        this.boundary = mapConstants.BOUNDARY;
+        this.wallHeight = mapConstants.WALL_HEIGHT;
+        
+        this.walls = this.createBoundaryWalls();
+        this.gardenWalls = this.createGardenWalls();
+        this.obstacles = [];
+        this.icePatches = [];
+        
+        // Hills and drifts, laid out before the obstacles so they can stand on the slopes
+        this.terrain = null;
+        if (terrainLayout) {
+            this.setTerrain(Terrain.fromLayout(terrainLayout));
+        } else {
+            this.createTerrain();
+        }
+        
+        if (obstacleLayout) {
+            this.loadObstacleLayout(obstacleLayout);
+        } else {
+            this.createObstacles();
+        }
+    }
+    
+    /**
+     * Create an axis-aligned collision box
+     * @param {number} x - Center X position
+     * @param {number} y - Center Y position
+     * @param {number} z - Center Z position
+     * @param {number} width - Size along the X axis
+     * @param {number} height - Size along the Y axis
+     * @param {number} depth - Size along the Z axis
+     * @returns {Object} Box with position, width, height and depth
+     */
+    static createBox(x, y, z, width, height, depth) {
+        return {
+            position: new THREE.Vector3(x, y, z),
+            width,
+            height,
+            depth,
+            isWall: true
+        };
+    }
+    
+    /**
+     * Every collision box in the arena
+     * @returns {Array} Boundary walls, garden wall blocks and obstacles
+     */
+    get colliders() {
+        return [...this.walls, ...this.gardenWalls, ...this.obstacles];
+    }
+    
+    /**
+     * Create the walls around the map
+     * @returns {Array} North, south, east and west wall boxes, or the blocks of a circular wall
+     */
+    createBoundaryWalls() {
+        if (this.boundary === 'circle') {
+            return this.createCircularWall();
+        }
+        
+        const halfWidth = this.width / 2;
+        const halfLength = this.length / 2;
+        const y = this.wallHeight / 2;
+        
+        return [
+            SnowBrawlArena.createBox(0, y, -halfLength, this.width, this.wallHeight, 1),
+            SnowBrawlArena.createBox(0, y, halfLength, this.width, this.wallHeight, 1),
+            SnowBrawlArena.createBox(halfWidth, y, 0, 1, this.wallHeight, this.length),
+            SnowBrawlArena.createBox(-halfWidth, y, 0, 1, this.wallHeight, this.length)
+        ];
+    }
+    
+    /**
+     * Create a ring of snow blocks around a circular map, just outside its radius
+     * Like the garden wall it is made of axis-aligned blocks; the physics keeps players inside the circle itself
+     * @returns {Array} Wall block boxes
+     */
+    createCircularWall() {
+        const blockSize = GAME_CONSTANTS.MAP.BOUNDARY_BLOCK_SIZE;
+        const radius = Utils.getArenaRadius() + blockSize / 2;
+        const numBlocks = Math.ceil((2 * Math.PI * radius) / blockSize);
+        const blocks = [];
+        
+        for (let i = 0; i < numBlocks; i++) {
+            const angle = (i / numBlocks) * Math.PI * 2;
+            blocks.push(SnowBrawlArena.createBox(
+                Math.cos(angle) * radius,
+                this.wallHeight / 2,
+                Math.sin(angle) * radius,
+                blockSize,
+                this.wallHeight,
+                blockSize
+            ));
+        }
+        
+        return blocks;
+    }
+    
+    /**
+     * Create the low wall around the diamond garden
+     * The wall is a ring of axis-aligned snow blocks (the physics system only handles AABBs)
+     * with an entrance gap at each of the four compass directions
+     * @returns {Array} Wall block boxes
+     */
+    createGardenWalls() {
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        const blockSize = garden.WALL_BLOCK_SIZE;
+        const numBlocks = Math.floor((2 * Math.PI * garden.RADIUS) / blockSize);
+        const blocks = [];
+        
+        for (let i = 0; i < numBlocks; i++) {
+            const angle = (i / numBlocks) * Math.PI * 2;
+            
+            // Leave gaps for the entrances
+            if (SnowBrawlArena.isGardenEntranceAngle(angle, garden.ENTRANCE_ANGLE)) continue;
+            
+            blocks.push(SnowBrawlArena.createBox(
+                garden.CENTER_X + Math.cos(angle) * garden.RADIUS,
+                garden.WALL_HEIGHT / 2,
+                garden.CENTER_Z + Math.sin(angle) * garden.RADIUS,
+                blockSize,
+                garden.WALL_HEIGHT,
+                blockSize
+            ));
+        }
+        
+        return blocks;
+    }
+    
+    /**
+     * Generate new hills and drifts from the gameplay random stream
+     * Terrain loaded from a heightmap is kept instead - a designed map should look the same every match
+     */
+    createTerrain() {
+        if (this.terrain && this.terrain.seed === null) {
+            return;
+        }
+        
+        this.setTerrain(Terrain.generate(Math.floor(Utils.random() * 4294967296)));
+    }
+    
+    /**
+     * Replace the terrain, settling the obstacles and ice patches onto the new ground
+     * @param {Terrain} terrain - New terrain
+     */
+    setTerrain(terrain) {
+        this.terrain = terrain;
+        this.obstacles.forEach(obstacle => this.placeOnTerrain(obstacle));
+        this.icePatches.forEach(patch => this.placeOnTerrain(patch));
+    }
+    
+    /**
+     * Describe the terrain so another arena can recreate it (used to sync network clients and in replays)
+     * @returns {Object} Terrain layout (see Terrain.getLayout)
+     */
+    getTerrainLayout() {
+        return this.terrain.getLayout();
+    }
+    
+    /**
+     * Height of the ground at a position
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @returns {number} Terrain height, or 0 without terrain
+     */
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+    
+    /**
+     * Stand an obstacle on the ground, sunk down to the lowest point under it so it never floats over a slope,
+     * or lay an ice patch over the highest point under it so the ground never pokes through
+     * @param {Object} object - Obstacle box or ice patch
+     * @returns {Object} The same object
+     */
+    placeOnTerrain(object) {
+        if (!this.terrain) {
+            object.position.y = object.type === 'icePatch' ? 0 : object.height / 2;
+        } else if (object.type === 'icePatch') {
+            object.position.y = this.terrain.getHeightRange(object.position.x, object.position.z, object.radius).max;
+        } else {
+            const range = this.terrain.getHeightRange(object.position.x, object.position.z, object.width / 2, object.depth / 2);
+            object.position.y = range.min + object.height / 2;
+        }
+        return object;
+    }
+    
+    /**
+     * Check if an angle falls inside one of the four garden entrance gaps
+     * @param {number} angle - Angle around the garden in radians
+     * @param {number} halfWidth - Half-width of each entrance in radians
+     * @returns {boolean} True if the angle is inside an entrance
+     */
+    static isGardenEntranceAngle(angle, halfWidth) {
+        const quarter = Math.PI / 2;
+        const offset = angle % quarter;
+        return offset < halfWidth || quarter - offset < halfWidth;
+    }
+    
+    /**
+     * Collision size of an obstacle
+     * @param {string} type - Obstacle type (snowWall, rock, snowman or tree)
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @param {boolean} alongX - Whether a snow wall runs along the X axis
+     * @returns {Object} Collision width, height and depth
+     */
+    static getObstacleDimensions(type, size, alongX) {
+        switch (type) {
+            case 'snowWall': {
+                // Walls run along either the X or the Z axis (the physics system only handles AABBs)
+                const length = size * 3;
+                const thickness = 0.8;
+                return {
+                    width: alongX ? length : thickness,
+                    height: 1.5 + size * 0.5,
+                    depth: alongX ? thickness : length
+                };
+            }
+            case 'rock': {
+                // Flattened to 70% of its radius vertically
+                const radius = size * 0.8;
+                return { width: radius * 2, height: radius * 1.4, depth: radius * 2 };
+            }
+            case 'snowman': {
+                // Three stacked balls, each overlapping the one below
+                const bottomRadius = 0.5 + size * 0.3;
+                const height = (bottomRadius + bottomRadius * 0.75 + bottomRadius * 0.5) * 2 * 0.9;
+                return { width: bottomRadius * 2, height, depth: bottomRadius * 2 };
+            }
+            case 'tree': {
+                // Collide with the dense middle of the tree rather than the outer branches
+                const foliageRadius = 0.8 + size * 0.5;
+                const height = (1 + size * 0.4) + (2 + size * 1.2);
+                return { width: foliageRadius, height, depth: foliageRadius };
+            }
+            default:
+                throw new Error(`Unknown obstacle type: ${type}`);
+        }
+    }
+    
+    /**
+     * Create an obstacle's collision box
+     * @param {string} type - Obstacle type (snowWall, rock, snowman or tree)
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {boolean} alongX - Whether a snow wall runs along the X axis
+     * @returns {Object} Obstacle box with its type, size and alongX
+     */
+    static createObstacle(type, size, x, z, alongX = false) {
+        const dimensions = SnowBrawlArena.getObstacleDimensions(type, size, alongX);
+        const obstacle = SnowBrawlArena.createBox(x, dimensions.height / 2, z, dimensions.width, dimensions.height, dimensions.depth);
+        obstacle.type = type;
+        obstacle.size = size;
+        obstacle.alongX = alongX;
+        return obstacle;
+    }
+    
+    /**
+     * Create a flat, round ice patch
+     * @param {number} radius - Patch radius between ICE_PATCH_MIN_RADIUS and ICE_PATCH_MAX_RADIUS
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @returns {Object} Ice patch with its type, position, radius and size (the radius, for layouts)
+     */
+    static createIcePatch(radius, x, z) {
+        return {
+            type: 'icePatch',
+            position: new THREE.Vector3(x, 0, z),
+            radius,
+            size: radius
+        };
+    }
+    
+    /**
+     * Scatter obstacles (snow walls, rocks, snowmen, trees) around the map for cover, then the ice patches
+     * Obstacles keep clear of igloo safe zones and the diamond garden
+     * A map with a fixed OBSTACLE_LAYOUT gets the same obstacles every match instead
+     */
+    createObstacles() {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        if (mapConstants.OBSTACLE_LAYOUT) {
+            this.loadObstacleLayout(mapConstants.OBSTACLE_LAYOUT);
+            return;
+        }
+        
+        this.obstacles = [];
+        this.icePatches = [];
+        
+        const numObstacles = mapConstants.NUM_OBSTACLES || 0;
+        const maxAttempts = numObstacles * 20;
+        const types = mapConstants.OBSTACLE_TYPES || SnowBrawlArena.OBSTACLE_TYPES;
+        
+        let attempts = 0;
+        while (this.obstacles.length < numObstacles && attempts < maxAttempts) {
+            attempts++;
+            
+            const type = types[Utils.randomInt(0, types.length - 1)];
+            const size = Utils.randomRange(mapConstants.OBSTACLE_MIN_SIZE, mapConstants.OBSTACLE_MAX_SIZE);
+            const alongX = Utils.randomInt(0, 1) === 0;
+            const dimensions = SnowBrawlArena.getObstacleDimensions(type, size, alongX);
+            
+            // Pick a random position inside the boundary walls
+            const margin = mapConstants.OBSTACLE_CLEARANCE + Math.max(dimensions.width, dimensions.depth) / 2;
+            const x = Utils.randomRange(-this.width / 2 + margin, this.width / 2 - margin);
+            const z = Utils.randomRange(-this.length / 2 + margin, this.length / 2 - margin);
+            
+            if (!Utils.isPointInArena(x, z, margin) || !this.isObstaclePositionClear(x, z, dimensions)) {
+                continue;
+            }
+            
+            this.obstacles.push(this.placeOnTerrain(SnowBrawlArena.createObstacle(type, size, x, z, alongX)));
+        }
+        
+        console.log(`Created ${this.obstacles.length} obstacles in ${attempts} attempts`);
+        
+        this.createIcePatches();
+    }
+    
+    /**
+     * Place frozen ponds on open, level ground, clear of igloos, the garden and obstacles like any obstacle
+     */
+    createIcePatches() {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        const numPatches = mapConstants.NUM_ICE_PATCHES || 0;
+        const maxAttempts = numPatches * 20;
+        
+        let attempts = 0;
+        while (this.icePatches.length < numPatches && attempts < maxAttempts) {
+            attempts++;
+            
+            const radius = Utils.randomRange(mapConstants.ICE_PATCH_MIN_RADIUS, mapConstants.ICE_PATCH_MAX_RADIUS);
+            const margin = mapConstants.OBSTACLE_CLEARANCE + radius;
+            const x = Utils.randomRange(-this.width / 2 + margin, this.width / 2 - margin);
+            const z = Utils.randomRange(-this.length / 2 + margin, this.length / 2 - margin);
+            
+            if (!Utils.isPointInArena(x, z, margin) || !this.isObstaclePositionClear(x, z, { width: radius * 2, depth: radius * 2 })) {
+                continue;
+            }
+            
+            // Ponds only freeze over on level ground
+            const range = this.terrain.getHeightRange(x, z, radius);
+            if (range.max - range.min > GAME_CONSTANTS.TERRAIN.MAX_ICE_UNEVENNESS) {
+                continue;
+            }
+            
+            this.icePatches.push(this.placeOnTerrain(SnowBrawlArena.createIcePatch(radius, x, z)));
+        }
+        
+        console.log(`Created ${this.icePatches.length} ice patches in ${attempts} attempts`);
+    }
+    
+    /**
+     * What the ground is made of at a position
+     * Anyone whose center is over an obstacle's footprint is standing on top of it, since physics pushes players
+     * out of an obstacle's sides
+     * @param {THREE.Vector3} position - Position to check (only X and Z are used)
+     * @returns {string} Surface type (snow, ice, rock or wood)
+     */
+    getSurfaceAt(position) {
+        for (const obstacle of this.obstacles) {
+            if (Math.abs(position.x - obstacle.position.x) <= obstacle.width / 2 &&
+                Math.abs(position.z - obstacle.position.z) <= obstacle.depth / 2) {
+                return SnowBrawlArena.OBSTACLE_SURFACES[obstacle.type] || 'snow';
+            }
+        }
+        
+        for (const patch of this.icePatches) {
+            if (Math.hypot(position.x - patch.position.x, position.z - patch.position.z) <= patch.radius) {
+                return 'ice';
+            }
+        }
+        
+        return 'snow';
+    }
+    
+    /**
+     * Check whether an obstacle can be placed at a position
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {Object} dimensions - Obstacle width and depth
+     * @returns {boolean} True if the position keeps clear of igloos, the garden and other obstacles
+     */
+    isObstaclePositionClear(x, z, dimensions) {
+        const clearance = GAME_CONSTANTS.MAP.OBSTACLE_CLEARANCE;
+        const halfExtent = Math.max(dimensions.width, dimensions.depth) / 2;
+        const point = new THREE.Vector3(x, 0, z);
+        
+        // Keep igloos and their safe zones free (every slot on the map, whichever ones players get)
+        const iglooPositions = Utils.getIglooSlots(this.numIgloos);
+        const iglooRadius = GAME_CONSTANTS.IGLOO.SAFE_ZONE_RADIUS + Math.max(GAME_CONSTANTS.IGLOO.WIDTH, GAME_CONSTANTS.IGLOO.DEPTH) / 2;
+        for (const iglooPosition of iglooPositions) {
+            if (Utils.isPointInCircle(point, iglooPosition, iglooRadius + halfExtent + clearance)) {
+                return false;
+            }
+        }
+        
+        // Keep the diamond garden and its wall free
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        const gardenCenter = new THREE.Vector3(garden.CENTER_X, 0, garden.CENTER_Z);
+        if (Utils.isPointInCircle(point, gardenCenter, garden.RADIUS + halfExtent + clearance)) {
+            return false;
+        }
+        
+        // Don't overlap other obstacles or ice patches
+        for (const other of this.obstacles) {
+            const otherHalfExtent = Math.max(other.width, other.depth) / 2;
+            if (Utils.isPointInCircle(point, other.position, otherHalfExtent + halfExtent + clearance)) {
+                return false;
+            }
+        }
+        for (const other of this.icePatches) {
+            const otherHalfExtent = other.radius;
+            if (Utils.isPointInCircle(point, other.position, otherHalfExtent + halfExtent + clearance)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Configured power-up spawn points that are usable with the current layout
+     * Points within POWER_UPS.CLEARANCE of an obstacle, an igloo safe zone or the diamond garden are left out
+     * (ice patches are fine - there's nothing to bump into)
+     * @returns {THREE.Vector3[]} Ground positions power-ups can spawn at, at the height of the terrain
+     */
+    getPowerUpSpawnPoints() {
+        const clearance = GAME_CONSTANTS.POWER_UPS.CLEARANCE;
+        const iglooPositions = Utils.getIglooSlots(this.numIgloos);
+        const iglooRadius = GAME_CONSTANTS.IGLOO.SAFE_ZONE_RADIUS + Math.max(GAME_CONSTANTS.IGLOO.WIDTH, GAME_CONSTANTS.IGLOO.DEPTH) / 2;
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        const gardenCenter = new THREE.Vector3(garden.CENTER_X, 0, garden.CENTER_Z);
+        
+        return GAME_CONSTANTS.POWER_UPS.SPAWN_POINTS
+            .map(([x, z]) => new THREE.Vector3(x, this.getGroundHeight(x, z), z))
+            .filter(point =>
+                Utils.isPointInArena(point.x, point.z, clearance) &&
+                !iglooPositions.some(iglooPosition => Utils.isPointInCircle(point, iglooPosition, iglooRadius + clearance)) &&
+                !Utils.isPointInCircle(point, gardenCenter, garden.RADIUS + clearance) &&
+                !this.obstacles.some(obstacle =>
+                    Utils.isPointInCircle(point, obstacle.position, Math.max(obstacle.width, obstacle.depth) / 2 + clearance))
+            );
+    }
+    
+    /**
+     * Describe the current obstacles and ice patches so another arena can recreate them (used to sync network clients)
+     * @returns {Array} Array of obstacle descriptions (type, size, x, z, alongX) - ice patches have the type icePatch
+     */
+    getObstacleLayout() {
+        return [...this.obstacles, ...this.icePatches].map(obstacle => ({
+            type: obstacle.type,
+            size: obstacle.size,
+            x: obstacle.position.x,
+            z: obstacle.position.z,
+            alongX: !!obstacle.alongX
+        }));
+    }
+    
+    /**
+     * Replace the current obstacles with a layout from getObstacleLayout
+     * @param {Array} layout - Array of obstacle descriptions
+     */
+    loadObstacleLayout(layout) {
+        this.obstacles = layout
+            .filter(entry => entry.type !== 'icePatch')
+            .map(entry => this.placeOnTerrain(SnowBrawlArena.createObstacle(entry.type, entry.size, entry.x, entry.z, entry.alongX)));
+        this.icePatches = layout
+            .filter(entry => entry.type === 'icePatch')
+            .map(entry => this.placeOnTerrain(SnowBrawlArena.createIcePatch(entry.size, entry.x, entry.z)));
+        console.log(`Loaded ${this.obstacles.length} obstacles and ${this.icePatches.length} ice patches from layout`);
+    }
+}
+
+// Expose SnowBrawlArena to the global scope as Arena to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Arena = SnowBrawlArena;
@@ -0,0 +1,492 @@
+/**
+ * Audio manager for SnowBrawl game
+ * Plays sound effects and music through Web Audio: effects are placed in 3D around a listener that follows the camera,
+ * and the SFX, music and UI buses each have a volume that is saved between sessions
+ * Sounds are synthesized unless a local file is configured for them in GAME_CONSTANTS.AUDIO.SOUND_FILES
+ */
+
+// localStorage key for the bus volumes
+const AUDIO_SETTINGS_KEY = 'snowbrawl-audio';
+
+// Volume buses, all feeding the master output
+const AUDIO_BUSES = ['sfx', 'music', 'ui'];
+
+// Music chords as MIDI notes (A minor, F, C, G), each held for a bar
+const MUSIC_CHORDS = [
+    [57, 60, 64],
+    [53, 57, 60],
+    [55, 60, 64],
+    [55, 59, 62]
+];
+const MUSIC_STEPS_PER_CHORD = 16; // Eighth notes per chord
+
+/**
+ * Frequency of a MIDI note
+ * @param {number} note - MIDI note number (69 is A4)
+ * @returns {number} Frequency in Hz
+ */
+const midiToFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+// Synthesized sounds - each plays into the given output node starting at the given context time
+const SOUND_SYNTHS = {
+    // Whoosh of a throw: noise swept up through a band-pass filter
+    throw: (audio, output, time) => {
+        audio.noise(output, time, { duration: 0.18, gain: 0.25, filter: 'bandpass', from: 400, to: 1600, q: 2 });
+    },
+    
+    // Soft crunch and thump of a snowball bursting
+    impact: (audio, output, time) => {
+        audio.noise(output, time, { duration: 0.15, gain: 0.5, filter: 'lowpass', from: 1200, to: 200 });
+        audio.tone(output, time, { type: 'sine', from: 150, to: 60, duration: 0.12, gain: 0.4 });
+    },
+    
+    // Short falling sting when a player is hit
+    hit: (audio, output, time) => {
+        audio.tone(output, time, { type: 'square', from: 660, to: 330, duration: 0.15, gain: 0.12 });
+    },
+    
+    // Descending arpeggio when a player is eliminated
+    eliminate: (audio, output, time) => {
+        [72, 67, 60].forEach((note, i) => {
+            audio.tone(output, time + i * 0.12, { type: 'triangle', from: midiToFrequency(note), duration: 0.2, gain: 0.25 });
+        });
+    },
+    
+    // Rising chime for a diamond pickup
+    diamond: (audio, output, time) => {
+        [81, 86, 91].forEach((note, i) => {
+            audio.tone(output, time + i * 0.07, { type: 'sine', from: midiToFrequency(note), duration: 0.25, gain: 0.2 });
+        });
+    },
+    
+    // Crunch of a step in the snow
+    footstep: (audio, output, time) => {
+        audio.noise(output, time, { duration: 0.07, gain: 0.15, filter: 'lowpass', from: 700, to: 300 });
+    },
+    
+    // Two quick packs of snow as a scooped snowball is finished
+    scoop: (audio, output, time) => {
+        audio.noise(output, time, { duration: 0.1, gain: 0.25, filter: 'lowpass', from: 900, to: 250 });
+        audio.noise(output, time + 0.12, { duration: 0.08, gain: 0.2, filter: 'lowpass', from: 1100, to: 300 });
+    },
+    
+    // Sharp crack of ice as an igloo takes visible damage
+    iglooCrack: (audio, output, time) => {
+        audio.noise(output, time, { duration: 0.12, gain: 0.3, filter: 'highpass', from: 2500, to: 1200, q: 2 });
+        audio.tone(output, time, { type: 'square', from: 180, to: 90, duration: 0.08, gain: 0.08 });
+    },
+    
+    // Long rumble of blocks tumbling down when an igloo collapses
+    iglooCollapse: (audio, output, time) => {
+        audio.noise(output, time, { duration: 1.2, gain: 0.45, filter: 'lowpass', from: 1200, to: 120 });
+        audio.tone(output, time, { type: 'sine', from: 90, to: 40, duration: 1, gain: 0.3 });
+    },
+    
+    // Pat of snow packed into the igloo wall during repairs
+    iglooRepair: (audio, output, time) => {
+        audio.noise(output, time, { duration: 0.1, gain: 0.2, filter: 'bandpass', from: 700, to: 400, q: 1.5 });
+    },
+    
+    // Quick rising arpeggio when a power-up is picked up
+    powerUp: (audio, output, time) => {
+        [72, 76, 79, 84].forEach((note, i) => {
+            audio.tone(output, time + i * 0.05, { type: 'square', from: midiToFrequency(note), duration: 0.08, gain: 0.1 });
+        });
+    },
+    
+    // Glassy ping of a snowball bouncing off a shield
+    shieldHit: (audio, output, time) => {
+        audio.tone(output, time, { type: 'sine', from: 1800, to: 1400, duration: 0.25, gain: 0.15 });
+        audio.noise(output, time, { duration: 0.05, gain: 0.15, filter: 'highpass', from: 3000 });
+    },
+    
+    // Menu button click
+    click: (audio, output, time) => {
+        audio.tone(output, time, { type: 'sine', from: 1200, to: 900, duration: 0.04, gain: 0.1 });
+    },
+    
+    // Two rising notes when an upgrade is bought
+    upgrade: (audio, output, time) => {
+        audio.tone(output, time, { type: 'triangle', from: midiToFrequency(76), duration: 0.1, gain: 0.2 });
+        audio.tone(output, time + 0.1, { type: 'triangle', from: midiToFrequency(83), duration: 0.2, gain: 0.2 });
+    }
+};
+
+// Using SnowBrawlAudioManager instead of AudioManager to avoid conflicts with built-in globals
+class SnowBrawlAudioManager {
+    constructor() {
+        this.context = null;
+        this.master = null;
+        this.buses = {};
+        this.buffers = new Map(); // Decoded sounds loaded from local files, by name
+        this.noiseBuffer = null;
+        this.music = null;
+        
+        // Volumes start from the defaults and are overridden by anything saved in an earlier session
+        this.volumes = {};
+        for (const bus of AUDIO_BUSES) {
+            this.volumes[bus] = GAME_CONSTANTS.AUDIO.DEFAULT_VOLUMES[bus.toUpperCase()];
+        }
+        Object.assign(this.volumes, this.loadVolumes());
+        
+        // Browsers only allow audio to start from a user gesture
+        this.unlock = this.unlock.bind(this);
+        window.addEventListener('pointerdown', this.unlock);
+        window.addEventListener('keydown', this.unlock);
+    }
+    
+    /**
+     * Create (or resume) the audio context on the first user gesture
+     */
+    unlock() {
+        window.removeEventListener('pointerdown', this.unlock);
+        window.removeEventListener('keydown', this.unlock);
+        
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                console.warn('Web Audio is not supported, the game will be silent');
+                return;
+            }
+            
+            this.context = new AudioContextClass();
+            this.createBuses();
+            this.noiseBuffer = this.createNoiseBuffer();
+            
+            for (const [name, url] of Object.entries(GAME_CONSTANTS.AUDIO.SOUND_FILES)) {
+                this.loadSound(name, url);
+            }
+            
+            this.startMusic();
+            console.log('Audio started');
+        }
+        
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+    
+    /**
+     * Create the master output and a gain node for each bus
+     */
+    createBuses() {
+        this.master = this.context.createGain();
+        this.master.connect(this.context.destination);
+        
+        for (const bus of AUDIO_BUSES) {
+            const gain = this.context.createGain();
+            gain.gain.value = this.volumes[bus];
+            gain.connect(this.master);
+            this.buses[bus] = gain;
+        }
+    }
+    
+    /**
+     * Create a second of white noise to filter into snowy sounds
+     * @returns {AudioBuffer} Noise buffer
+     */
+    createNoiseBuffer() {
+        const buffer = this.context.createBuffer(1, this.context.sampleRate, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Utils.random('cosmetic') * 2 - 1;
+        }
+        return buffer;
+    }
+    
+    /**
+     * Get a bus volume
+     * @param {string} bus - 'sfx', 'music' or 'ui'
+     * @returns {number} Volume (0-1)
+     */
+    getVolume(bus) {
+        return this.volumes[bus];
+    }
+    
+    /**
+     * Set a bus volume and save it for the next session
+     * @param {string} bus - 'sfx', 'music' or 'ui'
+     * @param {number} volume - Volume (0-1)
+     */
+    setVolume(bus, volume) {
+        if (!AUDIO_BUSES.includes(bus)) {
+            console.warn(`Unknown audio bus: ${bus}`);
+            return;
+        }
+        
+        this.volumes[bus] = Utils.clamp(Number(volume) || 0, 0, 1);
+        
+        if (this.buses[bus]) {
+            this.buses[bus].gain.setTargetAtTime(this.volumes[bus], this.context.currentTime, 0.05);
+        }
+        
+        this.saveVolumes();
+    }
+    
+    /**
+     * Read the volumes saved by an earlier session
+     * @returns {Object} Saved volumes by bus (empty if none were saved)
+     */
+    loadVolumes() {
+        const volumes = {};
+        
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(AUDIO_SETTINGS_KEY)) || {};
+            for (const bus of AUDIO_BUSES) {
+                if (typeof saved[bus] === 'number') {
+                    volumes[bus] = Utils.clamp(saved[bus], 0, 1);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load audio settings:', error);
+        }
+        
+        return volumes;
+    }
+    
+    /**
+     * Save the volumes for the next session
+     */
+    saveVolumes() {
+        try {
+            window.localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(this.volumes));
+        } catch (error) {
+            console.warn('Could not save audio settings:', error);
+        }
+    }
+    
+    /**
+     * Load a sound from a local file to play instead of its synthesized version
+     * @param {string} name - Sound name
+     * @param {string} url - Path to the file, relative to index.html
+     */
+    async loadSound(name, url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const buffer = await this.context.decodeAudioData(await response.arrayBuffer());
+            this.buffers.set(name, buffer);
+            console.log(`Loaded sound ${name} from ${url}`);
+        } catch (error) {
+            console.warn(`Could not load sound ${name} from ${url}, using the synthesized one:`, error);
+        }
+    }
+    
+    /**
+     * Move the listener to the camera
+     * @param {THREE.Camera} camera - Camera to hear from
+     */
+    updateListener(camera) {
+        if (!this.context || !camera) return;
+        
+        const listener = this.context.listener;
+        const position = camera.getWorldPosition(new THREE.Vector3());
+        const forward = camera.getWorldDirection(new THREE.Vector3());
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+        
+        if (listener.positionX) {
+            const time = this.context.currentTime;
+            listener.positionX.setValueAtTime(position.x, time);
+            listener.positionY.setValueAtTime(position.y, time);
+            listener.positionZ.setValueAtTime(position.z, time);
+            listener.forwardX.setValueAtTime(forward.x, time);
+            listener.forwardY.setValueAtTime(forward.y, time);
+            listener.forwardZ.setValueAtTime(forward.z, time);
+            listener.upX.setValueAtTime(up.x, time);
+            listener.upY.setValueAtTime(up.y, time);
+            listener.upZ.setValueAtTime(up.z, time);
+        } else {
+            // Older browsers only have the deprecated setters
+            listener.setPosition(position.x, position.y, position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+    
+    /**
+     * Play a sound effect
+     * @param {string} name - Sound name (see SOUND_SYNTHS)
+     * @param {THREE.Vector3|null} position - Where the sound comes from, or null to play it without panning
+     * @param {string} bus - Bus to play it on
+     */
+    play(name, position = null, bus = 'sfx') {
+        if (!this.context || this.context.state !== 'running') return;
+        
+        const synth = SOUND_SYNTHS[name];
+        if (!synth && !this.buffers.has(name)) {
+            console.warn(`Unknown sound: ${name}`);
+            return;
+        }
+        
+        let output = this.buses[bus];
+        if (position) {
+            output = this.createPanner(position, output);
+        }
+        
+        const time = this.context.currentTime;
+        if (this.buffers.has(name)) {
+            const source = this.context.createBufferSource();
+            source.buffer = this.buffers.get(name);
+            source.connect(output);
+            source.start(time);
+        } else {
+            synth(this, output, time);
+        }
+    }
+    
+    /**
+     * Play an interface sound on the UI bus
+     * @param {string} name - Sound name (see SOUND_SYNTHS)
+     */
+    playUi(name) {
+        this.play(name, null, 'ui');
+    }
+    
+    /**
+     * Create a panner that places a sound in the world
+     * @param {THREE.Vector3} position - Position of the sound
+     * @param {AudioNode} output - Node the panned sound goes to
+     * @returns {PannerNode} Panner to play the sound into
+     */
+    createPanner(position, output) {
+        const panner = this.context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = GAME_CONSTANTS.AUDIO.REF_DISTANCE;
+        panner.maxDistance = GAME_CONSTANTS.AUDIO.MAX_DISTANCE;
+        panner.rolloffFactor = GAME_CONSTANTS.AUDIO.ROLLOFF;
+        
+        if (panner.positionX) {
+            panner.positionX.value = position.x;
+            panner.positionY.value = position.y;
+            panner.positionZ.value = position.z;
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+        
+        panner.connect(output);
+        return panner;
+    }
+    
+    /**
+     * Play an oscillator with a pitch sweep and a quick fade out
+     * @param {AudioNode} output - Node to play into
+     * @param {number} time - Context time to start at
+     * @param {Object} options - type, from and to (Hz), duration (seconds) and gain
+     */
+    tone(output, time, { type = 'sine', from, to = from, duration, gain }) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, time);
+        oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+        
+        oscillator.connect(this.createEnvelope(output, time, duration, gain));
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+    
+    /**
+     * Play filtered noise with a swept cutoff and a quick fade out
+     * @param {AudioNode} output - Node to play into
+     * @param {number} time - Context time to start at
+     * @param {Object} options - duration (seconds), gain, filter type, from and to cutoff (Hz) and q
+     */
+    noise(output, time, { duration, gain, filter = 'lowpass', from, to = from, q = 1 }) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        
+        const filterNode = this.context.createBiquadFilter();
+        filterNode.type = filter;
+        filterNode.Q.value = q;
+        filterNode.frequency.setValueAtTime(from, time);
+        filterNode.frequency.exponentialRampToValueAtTime(to, time + duration);
+        
+        source.connect(filterNode);
+        filterNode.connect(this.createEnvelope(output, time, duration, gain));
+        source.start(time);
+        source.stop(time + duration);
+    }
+    
+    /**
+     * Create a gain node that fades in quickly and decays over a duration
+     * @param {AudioNode} output - Node the envelope plays into
+     * @param {number} time - Context time to start at
+     * @param {number} duration - Length of the sound in seconds
+     * @param {number} gain - Peak gain
+     * @returns {GainNode} Envelope to connect a source to
+     */
+    createEnvelope(output, time, duration, gain) {
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(gain, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        envelope.connect(output);
+        return envelope;
+    }
+    
+    /**
+     * Start the background music loop
+     */
+    startMusic() {
+        if (!this.context || this.music) return;
+        
+        // Notes are scheduled a little ahead on a timer so they stay in time when frames are slow
+        this.music = {
+            step: 0,
+            nextTime: this.context.currentTime + 0.1,
+            timer: setInterval(() => this.scheduleMusic(), 100)
+        };
+    }
+    
+    /**
+     * Stop the background music loop
+     */
+    stopMusic() {
+        if (!this.music) return;
+        
+        clearInterval(this.music.timer);
+        this.music = null;
+    }
+    
+    /**
+     * Schedule the music notes that start in the next few tenths of a second
+     */
+    scheduleMusic() {
+        const stepDuration = 60 / GAME_CONSTANTS.AUDIO.MUSIC_TEMPO / 2;
+        const output = this.buses.music;
+        
+        while (this.music.nextTime < this.context.currentTime + 0.3) {
+            const { step, nextTime } = this.music;
+            const chord = MUSIC_CHORDS[Math.floor(step / MUSIC_STEPS_PER_CHORD) % MUSIC_CHORDS.length];
+            
+            // A soft pad holds each chord for its bar...
+            if (step % MUSIC_STEPS_PER_CHORD === 0) {
+                for (const note of chord) {
+                    this.tone(output, nextTime, {
+                        type: 'triangle',
+                        from: midiToFrequency(note - 12),
+                        duration: stepDuration * MUSIC_STEPS_PER_CHORD,
+                        gain: 0.06
+                    });
+                }
+            }
+            
+            // ...under a plucked arpeggio an octave up
+            this.tone(output, nextTime, {
+                type: 'sine',
+                from: midiToFrequency(chord[step % chord.length] + 12),
+                duration: stepDuration * 0.9,
+                gain: step % 4 === 0 ? 0.08 : 0.05
+            });
+            
+            this.music.step++;
+            this.music.nextTime += stepDuration;
+        }
+    }
+}
+
+// Expose SnowBrawlAudioManager to the global scope as AudioManager to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.AudioManager = SnowBrawlAudioManager;
@@ -11,7 +11,23 @@ const SnowBrawlConstants = {
         MEDIUM: 10 * 60, // 10 minutes in seconds
         LONG: 15 * 60 // 15 minutes in seconds
     },
-    NUM_AI_PLAYERS: 1,
+    NUM_AI_PLAYERS: 1, // AI opponents in free-for-all; team modes fill their teams instead
+    
+    // Game Modes - NUM_TEAMS of 0 means free-for-all
+    GAME_MODES: {
+        FFA: { NUM_TEAMS: 0, TEAM_SIZE: 1 },
+        TEAMS_2V2: { NUM_TEAMS: 2, TEAM_SIZE: 2 },
+        TEAMS_3V3: { NUM_TEAMS: 2, TEAM_SIZE: 3 },
+        KING_OF_THE_HILL: { NUM_TEAMS: 0, TEAM_SIZE: 1, HILL: true } // Free-for-all around a control zone, see KING_OF_THE_HILL
+    },
+    
+    // Team Settings
+    TEAMS: {
+        NAMES: ['Blue', 'Red'],
+        COLORS: [0x0088FF, 0xFF3333],
+        FRIENDLY_FIRE: false, // Default for the start menu toggle
+        SPAWN_SPACING: 3.5 // Distance between teammates spawning at a shared igloo
+    },
     
     // Player Settings
     PLAYER: {
@@ -21,6 +37,7 @@ const SnowBrawlConstants = {
         HEIGHT: 1.0, // Player height in units
         RADIUS: 1.5, // Player collision radius
         CAMERA_HEIGHT: 1.6, // Camera height from player's feet
+        CROUCH_CAMERA_HEIGHT: 0.9, // Camera height while crouched to scoop snow
         LOOK_SENSITIVITY: 0.002,
         GRAVITY: 30,
         ACCELERATION: 80,
@@ -37,11 +54,120 @@ const SnowBrawlConstants = {
         THROW_SPEED: 15,
         THROW_COOLDOWN: 500, // milliseconds
         MAX_THROW_DISTANCE: 200,
-        GRAVITY: 9.8,
-        AIR_RESISTANCE: 0.01,
+        GRAVITY: 9.8, // Scaled by each type's GRAVITY_SCALE
+        DRAG: 0.5, // Speed relative to the air decays as e^(-DRAG * seconds), whatever the tick rate
         LIFETIME: 9000, // milliseconds before disappearing if no collision
+        IMPACT_DURATION: 100, // milliseconds a snowball lingers after a hit so its impact effect can play
         REPLENISH_RATE: 1, // How many snowballs replenished per second in igloo
-        KNOCKBACK_FORCE: 2
+        KNOCKBACK_FORCE: 2,
+        CHARGE_TIME: 1000, // milliseconds of holding the throw button to reach full power
+        CHARGE_SPEED_MULTIPLIER: 1.6, // Throw speed at full charge, relative to an uncharged throw
+        CHARGE_DAMAGE_MULTIPLIER: 2, // Damage at full charge, relative to an uncharged throw
+        LOB_PITCH_OFFSET: Math.PI / 5, // Lobs are thrown this far above where the player is looking
+        LOB_MAX_PITCH: Math.PI * 0.44, // Steepest lob launch angle (about 80 degrees)
+        LOB_SPEED_MULTIPLIER: 0.75, // Lob speed relative to a direct throw at the same charge
+        BOUNCE_DAMPING: 0.8 // Speed a bouncing snowball keeps each time it ricochets
+    },
+    
+    // Snowball Types - picked with the number keys in this order
+    // Normal snowballs come out of the regular bag (SNOWBALL.INITIAL_COUNT); the others have START_COUNT each per round
+    SNOWBALL_TYPES: {
+        NORMAL: {
+            NAME: 'Snowball',
+            START_COUNT: 0,
+            DAMAGE_MULTIPLIER: 1,
+            GRAVITY_SCALE: 1, // 0 flies in a straight line
+            SLOW_MULTIPLIER: 1, // Move speed of a player it hits, relative to their normal speed
+            SLOW_DURATION: 0, // milliseconds
+            SPLASH_RADIUS: 0, // Also hits everyone this close to the impact
+            BOUNCES: 0, // Times it ricochets off walls and obstacles before hitting for real
+            DROPS_DIAMOND: false, // Leaves a diamond where it lands
+            COLOR: 0xFFFFFF,
+            OPACITY: 1,
+            EMISSIVE: 0x000000,
+            TRAIL_COLOR: 0xFFFFFF
+        },
+        ICE: {
+            NAME: 'Ice Ball',
+            START_COUNT: 3,
+            DAMAGE_MULTIPLIER: 1.5,
+            GRAVITY_SCALE: 0,
+            SLOW_MULTIPLIER: 1,
+            SLOW_DURATION: 0,
+            SPLASH_RADIUS: 0,
+            BOUNCES: 0,
+            DROPS_DIAMOND: false,
+            COLOR: 0xA8E6FF,
+            OPACITY: 0.8,
+            EMISSIVE: 0x1A4D66,
+            TRAIL_COLOR: 0x66CCFF
+        },
+        SLUSH: {
+            NAME: 'Slush',
+            START_COUNT: 3,
+            DAMAGE_MULTIPLIER: 1,
+            GRAVITY_SCALE: 1,
+            SLOW_MULTIPLIER: 0.5,
+            SLOW_DURATION: 3000,
+            SPLASH_RADIUS: 0,
+            BOUNCES: 0,
+            DROPS_DIAMOND: false,
+            COLOR: 0x8C9BA5,
+            OPACITY: 0.9,
+            EMISSIVE: 0x000000,
+            TRAIL_COLOR: 0x5F6F7A
+        },
+        POWDER: {
+            NAME: 'Powder',
+            START_COUNT: 3,
+            DAMAGE_MULTIPLIER: 0.5,
+            GRAVITY_SCALE: 1,
+            SLOW_MULTIPLIER: 1,
+            SLOW_DURATION: 0,
+            SPLASH_RADIUS: 4,
+            BOUNCES: 0,
+            DROPS_DIAMOND: false,
+            COLOR: 0xF4F8FF,
+            OPACITY: 0.55,
+            EMISSIVE: 0x000000,
+            TRAIL_COLOR: 0xFFFFFF
+        },
+        BOUNCY: {
+            NAME: 'Bouncer',
+            START_COUNT: 3,
+            DAMAGE_MULTIPLIER: 1,
+            GRAVITY_SCALE: 1,
+            SLOW_MULTIPLIER: 1,
+            SLOW_DURATION: 0,
+            SPLASH_RADIUS: 0,
+            BOUNCES: 3,
+            DROPS_DIAMOND: false,
+            COLOR: 0x7CFC9A,
+            OPACITY: 1,
+            EMISSIVE: 0x0F4D1F,
+            TRAIL_COLOR: 0x2ECC71
+        },
+        GOLDEN: {
+            NAME: 'Golden',
+            START_COUNT: 1,
+            DAMAGE_MULTIPLIER: 1,
+            GRAVITY_SCALE: 1,
+            SLOW_MULTIPLIER: 1,
+            SLOW_DURATION: 0,
+            SPLASH_RADIUS: 0,
+            BOUNCES: 0,
+            DROPS_DIAMOND: true,
+            COLOR: 0xFFD700,
+            OPACITY: 1,
+            EMISSIVE: 0x664400,
+            TRAIL_COLOR: 0xFFC107
+        }
+    },
+    
+    // Scooping Settings - crouching to pack snowballs from the ground, anywhere the ground is snow
+    SCOOP: {
+        TIME: 1200, // milliseconds of scooping per snowball
+        SURFACES: ['snow'] // Surfaces snow can be scooped from (see Arena.getSurfaceAt)
     },
     
     // Igloo Settings
@@ -53,20 +179,244 @@ const SnowBrawlConstants = {
         ENTRANCE_WIDTH: 3.5,
         ENTRANCE_HEIGHT: 4.5, // Increased entrance height
         SAFE_ZONE_RADIUS: 5, // Area around igloo where player is safe
-        REPLENISH_RADIUS: 3 // Area where snowballs replenish
+        REPLENISH_RADIUS: 3, // Area where snowballs replenish
+        MAX_HEALTH: 40, // Damage an igloo takes from enemy snowballs before it collapses
+        DAMAGE_STAGES: 3, // Visible damage stages before collapse (cracks, then missing blocks)
+        REPAIR_AMOUNT: 4, // Health restored per snowball an owner spends on repairs
+        REPAIR_INTERVAL: 500 // milliseconds between snowballs spent while repairing
+    },
+    
+    // Safe Zone Rules (the zone is IGLOO.SAFE_ZONE_RADIUS around a standing igloo)
+    SAFE_ZONE: {
+        MAX_STAY: 10000, // milliseconds of protection per visit (Infinity for no limit)
+        HEAL_RATE: 0.5, // Health points regained per second while protected inside (0 to turn healing off)
+        EXIT_PROTECTION: 1500, // milliseconds a player stays protected after leaving (ends early if they throw)
+        REENTRY_COOLDOWN: 5000 // milliseconds after leaving before a new visit protects again
     },
     
-    // Map Settings
+    // Power-up Settings - timed pickups that spawn around the arena, picked with the weights below
+    // Spawn points closer than CLEARANCE to an obstacle, igloo safe zone or the diamond garden are skipped
+    POWER_UPS: {
+        SPAWN_INTERVAL: 15000, // milliseconds between spawns
+        MAX_ACTIVE: 3, // Most uncollected power-ups in the arena at once
+        LIFETIME: 30000, // milliseconds an uncollected power-up stays before melting away
+        COLLECTION_RADIUS: 1.5, // How close a player needs to be to pick one up
+        HEIGHT: 1.0, // Height above the ground power-ups float at
+        SIZE: 0.5,
+        CLEARANCE: 2,
+        SPAWN_POINTS: [ // [x, z] positions power-ups can appear at
+            [22, 0], [0, 22], [-22, 0], [0, -22],
+            [16, 16], [-16, 16], [16, -16], [-16, -16]
+        ],
+        TYPES: {
+            RAPID_FIRE: {
+                NAME: 'Rapid Fire',
+                ICON: '»',
+                WEIGHT: 1, // Relative chance of spawning
+                DURATION: 8000, // milliseconds
+                COOLDOWN_MULTIPLIER: 0.4, // Throw cooldown while active, relative to the normal cooldown
+                COLOR: 0xFF5722
+            },
+            SHIELD: {
+                NAME: 'Shield',
+                ICON: '◆',
+                WEIGHT: 1,
+                DURATION: 15000,
+                HITS: 3, // Hits absorbed before the shield breaks
+                COLOR: 0x2196F3
+            },
+            SPEED_BOOST: {
+                NAME: 'Speed Boost',
+                ICON: '⚡',
+                WEIGHT: 1,
+                DURATION: 8000,
+                SPEED_MULTIPLIER: 1.6, // Move speed while active, relative to the normal speed
+                COLOR: 0xFFEB3B
+            },
+            INFINITE_AMMO: {
+                NAME: 'Infinite Ammo',
+                ICON: '∞',
+                WEIGHT: 1,
+                DURATION: 6000, // Normal snowballs only - special ones still run out
+                COLOR: 0x4CAF50
+            },
+            GIANT_SNOWBALLS: {
+                NAME: 'Giant Snowballs',
+                ICON: '●',
+                WEIGHT: 1,
+                DURATION: 10000,
+                SIZE_MULTIPLIER: 2.5, // Snowball radius while active, relative to the normal radius
+                COLOR: 0x9C27B0
+            }
+        }
+    },
+    
+    // Weather Settings - clear skies, light snow or a blizzard, kept all match or changing mid-round
+    // Fog and snow shorten how far players can see, and SIGHT_MULTIPLIER does the same for the AI
+    WEATHER: {
+        DEFAULT: 'changing', // 'changing', or a weather type to keep all match (e.g. 'blizzard')
+        CHANGE_INTERVAL: { MIN: 45000, MAX: 90000 }, // milliseconds between changes
+        WARNING_TIME: 10000, // milliseconds the HUD warns before the weather changes
+        TRANSITION_TIME: 4, // seconds the fog, light and snowfall take to fade into new weather
+        SNOW_AREA: 60, // Width and depth of the box of snowflakes kept around the camera
+        SNOW_HEIGHT: 30,
+        TYPES: {
+            CLEAR: {
+                NAME: 'Clear',
+                ICON: '☀',
+                WEIGHT: 2, // Relative chance of being picked
+                SNOW_PARTICLES: 0,
+                FALL_SPEED: 0, // Units per second
+                DRIFT: 0, // How fast the snowflakes sway from side to side on top of the wind (units per second)
+                FOG_DENSITY: 0, // Density of the scene's exponential fog
+                LIGHT_MULTIPLIER: 1, // Light intensity relative to a clear day
+                SKY_COLOR: 0x87CEEB,
+                SIGHT_MULTIPLIER: 1, // AI sight range relative to GAME_CONSTANTS.AI.SIGHT_RANGE
+                WIND_MULTIPLIER: 1 // Wind strength relative to WIND.STRENGTH
+            },
+            LIGHT_SNOW: {
+                NAME: 'Light Snow',
+                ICON: '❄',
+                WEIGHT: 2,
+                SNOW_PARTICLES: 1500,
+                FALL_SPEED: 2,
+                DRIFT: 0.5,
+                FOG_DENSITY: 0.01,
+                LIGHT_MULTIPLIER: 0.8,
+                SKY_COLOR: 0xB0C4D4,
+                SIGHT_MULTIPLIER: 0.85,
+                WIND_MULTIPLIER: 1.3
+            },
+            BLIZZARD: {
+                NAME: 'Blizzard',
+                ICON: '🌨',
+                WEIGHT: 1,
+                SNOW_PARTICLES: 6000,
+                FALL_SPEED: 8,
+                DRIFT: 3,
+                FOG_DENSITY: 0.04,
+                LIGHT_MULTIPLIER: 0.5,
+                SKY_COLOR: 0x9AA5B1,
+                SIGHT_MULTIPLIER: 0.4,
+                WIND_MULTIPLIER: 2.5
+            }
+        }
+    },
+    
+    // Day/Night Settings - optional cycle from morning into the night over the match's time limit
+    // Times of day are fractions of a day: 0 is midnight, 0.25 sunrise, 0.5 noon and 0.75 sunset
+    DAY_NIGHT: {
+        ENABLED: false, // Default for the start menu option
+        START_TIME: 0.3, // Time of day the match starts at (about 7am)
+        LENGTH: 0.8, // Fraction of a day the match lasts, so it ends in the small hours
+        TWILIGHT: 0.5, // Height of the sun (sine of its angle) over which the day fades into night
+        MOON_LIGHT: 0.15, // Moonlight intensity relative to the midday sun
+        NIGHT_AMBIENT: 0.25, // Ambient light at night relative to the day
+        SUNSET_COLOR: 0xFF9A50, // Sun color near the horizon
+        MOON_COLOR: 0x9DB4FF,
+        NIGHT_SKY_TINT: 0x1B2450, // Multiplies the weather's sky color at night
+        DUSK_SKY_TINT: 0xFFB080, // Mixed into the sky around sunrise and sunset
+        LAMP_COLOR: 0xFFB050, // Color of the torch flames by igloo entrances
+        LAMP_INTENSITY: 4, // Intensity of each igloo's player-colored light at full night (fading linearly with distance)
+        LAMP_DISTANCE: 14, // Distance the igloo lights reach
+        GLOW_INTENSITY: 0.35 // How brightly igloo walls glow in their player's color at full night
+    },
+    
+    // Storm Settings - optional mode where a safe circle closes in over the match's time limit
+    // The first circle covers the whole arena; each phase shrinks it to a smaller circle somewhere inside the last one
+    STORM: {
+        ENABLED: false, // Default for the start menu option
+        PHASES: [
+            // START and END are fractions of the time limit the shrink runs between, RADIUS a fraction of the first circle's,
+            // and DAMAGE the health the storm takes every DAMAGE_INTERVAL once the phase has begun
+            { START: 0.1, END: 0.25, RADIUS: 0.6, DAMAGE: 1 },
+            { START: 0.35, END: 0.5, RADIUS: 0.35, DAMAGE: 1 },
+            { START: 0.6, END: 0.72, RADIUS: 0.15, DAMAGE: 2 },
+            { START: 0.82, END: 0.95, RADIUS: 0.05, DAMAGE: 3 }
+        ],
+        DAMAGE_INTERVAL: 1000, // milliseconds between storm damage to a player outside the circle
+        WARNING_TIME: 10000, // milliseconds of warning before each shrink
+        WALL_HEIGHT: 30, // Height of the storm wall drawn around the circle
+        WALL_COLOR: 0x7B4FD6,
+        WALL_OPACITY: 0.25,
+        NEXT_CIRCLE_COLOR: 0xFFFFFF, // Ground outline of the circle the storm is closing in to
+        SEGMENTS: 96 // Points around the ground outlines
+    },
+    
+    // King of the Hill Settings - a control zone in the middle of the diamond garden scores points for whoever holds it alone
+    // Eliminated players come back at their igloo, so the round is won on points rather than by the last one standing
+    KING_OF_THE_HILL: {
+        RADIUS: 6, // Radius of the control zone around DIAMOND_GARDEN.CENTER_X/Z
+        POINTS_PER_SECOND: 1, // Points scored each second by the only player in the zone
+        TARGET_SCORE: 60, // Points that win the round outright; otherwise the leader wins when time runs out
+        RESPAWN_DELAY: 5000, // milliseconds before an eliminated player comes back
+        FREE_COLOR: 0xFFFFFF, // Ground ring while nobody holds the zone
+        HELD_COLOR: 0xFFD700, // ... while one player holds it
+        CONTESTED_COLOR: 0xFF5722, // ... while several players fight over it
+        RING_WIDTH: 0.4,
+        SEGMENTS: 64 // Points around the ground ring
+    },
+    
+    // Wind Settings - the air moves across the arena, pushing snowballs (and the falling snow) along with it
+    // Gust fronts travel downwind, so the wind is a little stronger or weaker from place to place
+    WIND: {
+        STRENGTH: { MIN: 0, MAX: 3 }, // Air speed in units per second, before the weather's WIND_MULTIPLIER
+        CHANGE_INTERVAL: { MIN: 15000, MAX: 30000 }, // milliseconds between shifts in direction and strength
+        CHANGE_RATE: 0.5, // How quickly the wind eases into a shift (per second)
+        GUST_STRENGTH: 0.3, // Gusts vary the wind by up to this fraction
+        GUST_LENGTH: 20 // Distance between gust fronts
+    },
+    
+    // Map Settings - the classic arena; map files in maps/ replace these (see MapLoader.toConstants)
     MAP: {
         WIDTH: 80,
         LENGTH: 80,
+        BOUNDARY: 'rectangle', // 'rectangle' walls around WIDTH x LENGTH, or a 'circle' as wide as the shorter side
         WALL_HEIGHT: 7,
+        BOUNDARY_BLOCK_SIZE: 2, // Size of the snow blocks that make up a circular boundary wall
+        IGLOO_SLOTS: null, // [x, z] igloo spots in order around the arena, or null for a ring 5 in from the boundary
         GROUND_COLOR: 0x7B9095, // Non-white ground color for snowball visibility
         WALL_COLOR: 0xCCE6FF,
         SNOW_COLOR: 0xFFFFFF,
+        AMBIENT_COLOR: 0xFFFFFF,
+        AMBIENT_INTENSITY: 0.5,
+        SUN_COLOR: 0xFFFFFF, // Color of the midday sun (the day/night cycle warms it near the horizon)
+        SUN_INTENSITY: 0.8,
+        SUN_POSITION: [100, 100, 50], // Where the sun shines from when the day/night cycle is off
+        OBSTACLE_LAYOUT: null, // Fixed obstacles and ice patches (see Arena.getObstacleLayout), or null to scatter them
+        OBSTACLE_TYPES: null, // Obstacle types to scatter, or null for all of Arena.OBSTACLE_TYPES
         NUM_OBSTACLES: 10, // Number of obstacles to place on the map
         OBSTACLE_MIN_SIZE: 1, // Minimum size of obstacles
-        OBSTACLE_MAX_SIZE: 3  // Maximum size of obstacles
+        OBSTACLE_MAX_SIZE: 3, // Maximum size of obstacles
+        OBSTACLE_CLEARANCE: 2, // Minimum gap between obstacles, igloo safe zones and the diamond garden
+        NUM_ICE_PATCHES: 4, // Frozen ponds placed along with the obstacles (nothing to scoop there)
+        ICE_PATCH_MIN_RADIUS: 3,
+        ICE_PATCH_MAX_RADIUS: 6,
+        ICE_COLOR: 0xBFE6F5,
+        ROCK_COLOR: 0x6E6E6E,
+        TREE_TRUNK_COLOR: 0x5C4033,
+        TREE_FOLIAGE_COLOR: 0x1E5631
+    },
+    
+    // Terrain Settings - rolling hills and wind-blown snow drifts on a heightmap
+    // The ground is kept level around the diamond garden and the igloo spots
+    TERRAIN: {
+        CELL_SIZE: 1, // Distance between heightmap samples
+        HILL_HEIGHT: 4, // Height of the tallest hills
+        HILL_SCALE: 14, // Rough width of a hill
+        DRIFT_HEIGHT: 1.2, // Height of the tallest snow drifts
+        DRIFT_SCALE: 5, // Rough width of a drift, across the direction it was blown in
+        DRIFT_STRETCH: 4, // How many times longer than wide drifts are
+        FLAT_MARGIN: 1, // Level ground kept beyond igloo safe zones and the diamond garden
+        BLEND_DISTANCE: 4, // Distance over which the level ground rises to full height
+        HEIGHTMAP: null, // URL of a greyscale image to load the terrain from instead of generating it (white is highest)
+        HEIGHTMAP_HEIGHT: 5, // Height of white in a heightmap image
+        STEP_DOWN: 0.5, // Players walking downhill stay on the ground when it drops away by less than this in a tick
+        MAX_WALK_SLOPE: Math.PI / 4, // Players slide down anything steeper (radians)
+        SLIDE_ACCELERATION: 20, // How hard steep slopes pull players downhill
+        MAX_ICE_UNEVENNESS: 0.3, // Ice patches only form where the ground under them is this level
+        SIGHT_BONUS_PER_HEIGHT: 0.05, // AI sight range gained per unit of height above who it is looking at
+        MAX_SIGHT_BONUS: 0.5 // Most extra sight range high ground can give (a fraction of the sight range)
     },
     
     // Diamond Garden Settings
@@ -80,7 +430,11 @@ const SnowBrawlConstants = {
         DIAMOND_VALUE: 1,
         DIAMOND_SIZE: 0.5,
         DIAMOND_COLOR: 0x00FFFF,
-        COLLECTION_RADIUS: 1.5 // How close player needs to be to collect
+        DIAMOND_HEIGHT: 0.9, // Height above the ground diamonds float at
+        MAX_DIAMONDS: 5, // Maximum uncollected diamonds in the garden at once
+        COLLECTION_RADIUS: 1.5, // How close player needs to be to collect
+        WALL_BLOCK_SIZE: 1.5, // Size of the snow blocks that make up the garden wall
+        ENTRANCE_ANGLE: 0.3 // Half-width of each of the four garden entrances in radians
     },
     
     // Upgrade Settings
@@ -116,27 +470,62 @@ const SnowBrawlConstants = {
     SCORING: {
         HIT_POINTS: 10, // Points for hitting an opponent
         DIAMOND_POINTS: 50, // Points for collecting a diamond
-        ELIMINATION_POINTS: 100 // Points for eliminating an opponent
+        ELIMINATION_POINTS: 100, // Points for eliminating an opponent
+        IGLOO_COLLAPSE_POINTS: 75 // Points for bringing down an opponent's igloo
     },
     
     // Physics Settings
     PHYSICS: {
         GRAVITY: 9.8,
         TIME_STEP: 1/60, // Physics update rate (60fps)
-        COLLISION_ITERATIONS: 3 // Number of iterations for collision resolution
+        COLLISION_ITERATIONS: 3, // Number of iterations for collision resolution
+        MAX_SUBSTEPS: 6 // Most fixed steps run in one frame; time beyond that is dropped so slow frames don't snowball
+    },
+    
+    // Replay Settings
+    REPLAY: {
+        SPEEDS: [0.25, 0.5, 1, 2, 4], // Playback speeds to step through
+        CAMERA_SPEED: 15 // Free-fly camera speed in units per second
+    },
+    
+    // Map Editor Settings
+    MAP_EDITOR: {
+        GRID_SIZE: 2, // Spacing of the grid that placed and moved things snap to
+        CAMERA_HEIGHT: 150, // Height of the top-down camera above the arena
+        VIEW_MARGIN: 1.15, // How much wider than the map the view is when it is fitted to the screen
+        MIN_ZOOM: 0.5,
+        MAX_ZOOM: 6,
+        UNDO_LIMIT: 100, // Most changes that can be undone
+        PREVIEW_SEED: 'map-editor', // Seed the preview's hills are generated from, so they stay put between edits
+        SELECTION_COLOR: 0xFFD700,
+        GRID_COLOR: 0x2C3E50,
+        SIZE_STEP: 0.5, // How much - and + resize an obstacle or ice patch (the garden radius changes by twice this)
+        NEW_SIZES: { snowWall: 2, rock: 1.5, snowman: 1, tree: 1.5, icePatch: 3 } // Size of newly placed obstacles
+    },
+    
+    // Audio Settings
+    AUDIO: {
+        DEFAULT_VOLUMES: { SFX: 0.8, MUSIC: 0.4, UI: 0.6 }, // Used until the player changes them
+        REF_DISTANCE: 5, // Distance at which positional sounds start to get quieter
+        MAX_DISTANCE: 100, // Positional sounds don't get any quieter beyond this
+        ROLLOFF: 1, // How quickly positional sounds fade with distance
+        FOOTSTEP_DISTANCE: 2.2, // Units walked between footsteps
+        MUSIC_TEMPO: 96, // Beats per minute
+        SOUND_FILES: {} // Local files to play instead of synthesized sounds, e.g. { throw: 'sounds/throw.ogg' }
     },
     
     // UI Settings
     UI: {
         HUD_OPACITY: 0.8,
         HIT_INDICATOR_DURATION: 500, // milliseconds
-        DIAMOND_INDICATOR_DURATION: 1000 // milliseconds
+        DIAMOND_INDICATOR_DURATION: 1000, // milliseconds
+        MINIMAP_SIZE: 160 // Pixels across the HUD minimap (the arena's longer side fits it)
     },
     
     // AI Settings
     AI: {
         UPDATE_INTERVAL: 500, // milliseconds between AI decision updates
-        SIGHT_RANGE: 50, // How far AI can "see" players
+        SIGHT_RANGE: 50, // How far AI can "see" players in clear weather
         DIFFICULTY_INCREASE_RATE: 0.2, // 20% increase in difficulty per round
         REACTION_TIME: {
             MIN: 300, // Minimum reaction time in milliseconds
@@ -154,7 +543,28 @@ const SnowBrawlConstants = {
             MIN: 0.4, // Minimum interest in diamonds (0-1)
             MAX: 0.9 // Maximum interest in diamonds (0-1)
         },
-        RETREAT_HEALTH_THRESHOLD: 0.3 // Percentage of health when AI retreats
+        RETREAT_HEALTH_THRESHOLD: 0.3, // Percentage of health when AI retreats
+        MAX_RETREAT_TIME: 8000, // milliseconds AI waits in its safe zone before heading back out
+        RETREAT_COOLDOWN: 15000, // milliseconds before AI will retreat again after giving up
+        ATTACK_RANGE: 20, // Distance at which AI stops pursuing and starts throwing (capped by throw reach)
+        MAX_AIM_ERROR: 0.3, // Aim error cone half-angle in radians at zero accuracy
+        RESTOCK_THRESHOLD: 3, // AI goes for more snowballs when down to this many
+        RESTOCK_TARGET: 0.6, // ... and keeps at it until its bag is this full (0-1)
+        SCOOP_DISTANCE: 20, // Further than this from its igloo, AI scoops snow instead of walking home for more
+        SAFE_ZONE_EXIT_MARGIN: 1500, // milliseconds of safe zone protection AI keeps in hand so it leaves under exit protection
+        STORM_MARGIN: 4, // Distance AI keeps inside the storm circle (or the one it's closing in to, once warned)
+        HILL_HOLD_RADIUS: 0.6 // AI holding the King of the Hill zone stays this far in (fraction of its radius), heading back when it drifts out
+    },
+    
+    // Network Settings (local multiplayer server and browser client)
+    NETWORK: {
+        DEFAULT_PORT: 8080,
+        MAX_PLAYERS: 4,
+        SNAPSHOT_RATE: 20, // Snapshots sent to clients per second
+        INTERPOLATION_DELAY: 100, // milliseconds remote players are rendered behind the latest snapshot
+        MAX_INPUT_QUEUE: 10, // Buffered inputs per client before the oldest are dropped
+        MAX_INPUT_STEPS: 5, // Most inputs a client sends in one frame after a stall
+        ROUND_RESTART_DELAY: 5000 // milliseconds between a round ending and the next one starting
     }
 };
 
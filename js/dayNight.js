@@ -0,0 +1,108 @@
+/**
+ * DayNight class for SnowBrawl game
+ * View of the time of day - moves the map's sun across the sky (and swaps it for the moon at night),
+ * warms its color near the horizon and works out how much daylight there is for the weather view to light the scene with
+ * The directional light keeps the shadow camera set up in GameMap.createLighting; only its position and color change
+ */
+
+// Using SnowBrawlDayNight instead of DayNight to avoid conflicts with built-in globals
+class SnowBrawlDayNight {
+    /**
+     * Create the day/night view
+     * @param {GameMap} map - Map whose sun to move
+     */
+    constructor(map) {
+        this.sun = map ? map.sunLight : null;
+        
+        // Where and how createLighting set up the sun, so it can be put back and so the sun stays as far from the arena
+        this.basePosition = this.sun ? this.sun.position.clone() : new THREE.Vector3(100, 100, 50);
+        this.baseColor = this.sun ? this.sun.color.clone() : new THREE.Color(0xFFFFFF);
+        this.distance = this.basePosition.length();
+        
+        this.daylight = SnowBrawlDayNight.getNoonDaylight();
+    }
+    
+    /**
+     * Daylight with the cycle turned off - full sun and an untinted sky
+     * @returns {Object} Daylight (see update)
+     */
+    static getNoonDaylight() {
+        return { sun: 1, ambient: 1, skyTint: new THREE.Color(0xFFFFFF), night: 0 };
+    }
+    
+    /**
+     * Time of day at a point in the match
+     * @param {number} progress - How far through the match's time limit (0-1, later days past 1)
+     * @returns {number} Time of day (0 midnight, 0.5 noon)
+     */
+    static getTimeOfDay(progress) {
+        const settings = GAME_CONSTANTS.DAY_NIGHT;
+        const time = settings.START_TIME + progress * settings.LENGTH;
+        return time - Math.floor(time);
+    }
+    
+    /**
+     * Move the sun or moon and work out the daylight for a point in the match
+     * @param {number} progress - How far through the match's time limit (0-1)
+     * @returns {Object} Daylight - sun and ambient intensity relative to a clear midday, skyTint to multiply
+     * the sky color by, and night (0 by day to 1 at full night) for the igloo lamps
+     */
+    update(progress) {
+        const settings = GAME_CONSTANTS.DAY_NIGHT;
+        const angle = (SnowBrawlDayNight.getTimeOfDay(progress) - 0.25) * Math.PI * 2;
+        const sunHeight = Math.sin(angle); // 1 at noon, -1 at midnight
+        const day = Utils.clamp((sunHeight + settings.TWILIGHT / 2) / settings.TWILIGHT, 0, 1);
+        
+        // The sun rises in the east (+x) and sets in the west; the moon takes the opposite side of the sky
+        const isMoon = sunHeight < 0;
+        const direction = new THREE.Vector3(Math.cos(angle), sunHeight, 0.35).normalize();
+        if (isMoon) {
+            direction.x = -direction.x;
+            direction.y = -direction.y;
+        }
+        
+        // Strongest high in the sky, fading out at the horizon
+        const height = Utils.clamp(Math.abs(sunHeight) / settings.TWILIGHT, 0, 1);
+        const sun = isMoon ? settings.MOON_LIGHT * height : height;
+        
+        if (this.sun) {
+            this.sun.position.copy(direction).multiplyScalar(this.distance);
+            if (isMoon) {
+                this.sun.color.setHex(settings.MOON_COLOR);
+            } else {
+                this.sun.color.lerpColors(new THREE.Color(settings.SUNSET_COLOR), this.baseColor, height);
+            }
+        }
+        
+        // Dark blue at night, white by day, with a warm glow mixed in around sunrise and sunset
+        const dusk = 1 - height;
+        const skyTint = new THREE.Color(settings.NIGHT_SKY_TINT).lerp(new THREE.Color(0xFFFFFF), day);
+        skyTint.lerp(new THREE.Color(settings.DUSK_SKY_TINT), dusk * day * 0.5);
+        
+        this.daylight = {
+            sun,
+            ambient: Utils.lerp(settings.NIGHT_AMBIENT, 1, day),
+            skyTint,
+            night: 1 - day
+        };
+        return this.daylight;
+    }
+    
+    /**
+     * Put the sun back where and how createLighting set it up
+     * @returns {Object} Daylight for a clear midday
+     */
+    reset() {
+        if (this.sun) {
+            this.sun.position.copy(this.basePosition);
+            this.sun.color.copy(this.baseColor);
+        }
+        
+        this.daylight = SnowBrawlDayNight.getNoonDaylight();
+        return this.daylight;
+    }
+}
+
+// Expose SnowBrawlDayNight to the global scope as DayNight to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.DayNight = SnowBrawlDayNight;
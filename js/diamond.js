@@ -0,0 +1,194 @@
+/**
+ * Diamond and DiamondGarden classes for SnowBrawl game
+ * Views of the walled garden in the middle of the map and the diamonds that spawn inside it
+ * Spawning and collection are simulated by the Simulation (see SimDiamond and Arena.gardenWalls)
+ */
+
+// Using SnowBrawlDiamond instead of Diamond to avoid conflicts with built-in globals
+class SnowBrawlDiamond {
+    /**
+     * Create the view for a diamond
+     * @param {THREE.Scene} scene - The scene to add the diamond to
+     * @param {Object} diamond - Diamond state with a position (a SimDiamond, or a network snapshot entry)
+     */
+    constructor(scene, diamond) {
+        this.scene = scene;
+        this.body = diamond;
+        this.size = GAME_CONSTANTS.DIAMOND_GARDEN.DIAMOND_SIZE;
+        
+        // Animation state
+        this.age = Utils.randomRange(0, Math.PI * 2, 'cosmetic'); // Random phase so diamonds don't bob in sync
+        
+        // Create diamond mesh
+        this.createDiamondMesh();
+        
+        // Add to scene
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Current position of the diamond
+     * @returns {THREE.Vector3} Position from the body
+     */
+    get position() {
+        return this.body.position;
+    }
+    
+    /**
+     * Create the diamond's 3D mesh
+     */
+    createDiamondMesh() {
+        const geometry = new THREE.OctahedronGeometry(this.size, 0);
+        const material = new THREE.MeshLambertMaterial({
+            color: GAME_CONSTANTS.DIAMOND_GARDEN.DIAMOND_COLOR,
+            emissive: GAME_CONSTANTS.DIAMOND_GARDEN.DIAMOND_COLOR,
+            emissiveIntensity: 0.4
+        });
+        
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.scale.set(1, 1.5, 1); // Stretch vertically to look like a gem
+        this.mesh.position.copy(this.position);
+        this.mesh.castShadow = true;
+    }
+    
+    /**
+     * Update diamond animation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        
+        // Spin and bob so diamonds are easy to spot (the mesh only - the diamond itself stays put)
+        this.mesh.rotation.y += deltaTime * 2;
+        this.mesh.position.copy(this.position);
+        this.mesh.position.y += Math.sin(this.age * 3) * 0.15;
+    }
+    
+    /**
+     * Remove diamond from scene and dispose of its resources
+     */
+    remove() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
+
+// Using SnowBrawlDiamondGarden instead of DiamondGarden to avoid conflicts with built-in globals
+class SnowBrawlDiamondGarden {
+    /**
+     * Create the diamond garden
+     * @param {THREE.Scene} scene - The scene to add the garden to
+     * @param {Arena} arena - Arena whose garden wall blocks to build
+     */
+    constructor(scene, arena) {
+        this.scene = scene;
+        this.arena = arena;
+        
+        // Garden dimensions from constants
+        const gardenConstants = GAME_CONSTANTS.DIAMOND_GARDEN;
+        this.center = new THREE.Vector3(gardenConstants.CENTER_X, 0, gardenConstants.CENTER_Z);
+        this.radius = gardenConstants.RADIUS;
+        
+        this.walls = [];
+        this.diamonds = new Map(); // Diamond state -> Diamond view
+        
+        // Create the garden structure
+        this.createFloor();
+        this.createWalls();
+        
+        console.log(`Diamond garden created at (${this.center.x}, ${this.center.z}) with radius ${this.radius}`);
+    }
+    
+    /**
+     * Create a lighter snow patch marking the garden area
+     */
+    createFloor() {
+        const geometry = new THREE.CircleGeometry(this.radius, 32);
+        const material = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.SNOW_COLOR });
+        
+        this.floor = new THREE.Mesh(geometry, material);
+        this.floor.rotation.x = -Math.PI / 2; // Rotate to be horizontal
+        this.floor.position.set(this.center.x, 0.01, this.center.z); // Just above the ground to avoid z-fighting
+        this.floor.receiveShadow = true;
+        
+        this.scene.add(this.floor);
+    }
+    
+    /**
+     * Create a snow block mesh for each of the arena's garden wall blocks
+     */
+    createWalls() {
+        const material = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.WALL_COLOR });
+        
+        for (const wall of this.arena.gardenWalls) {
+            const geometry = new THREE.BoxGeometry(wall.width, wall.height, wall.depth);
+            const block = new THREE.Mesh(geometry, material);
+            block.position.copy(wall.position);
+            block.castShadow = true;
+            block.receiveShadow = true;
+            
+            this.scene.add(block);
+            this.walls.push(block);
+        }
+    }
+    
+    /**
+     * Show a diamond that spawned in the garden
+     * @param {Object} diamond - Diamond state
+     * @returns {Diamond} The diamond's view
+     */
+    addDiamond(diamond) {
+        const view = new SnowBrawlDiamond(this.scene, diamond);
+        this.diamonds.set(diamond, view);
+        return view;
+    }
+    
+    /**
+     * Remove a collected or despawned diamond's view
+     * @param {Object} diamond - Diamond state
+     */
+    removeDiamond(diamond) {
+        const view = this.diamonds.get(diamond);
+        if (!view) return;
+        
+        view.remove();
+        this.diamonds.delete(diamond);
+    }
+    
+    /**
+     * Animate the diamonds
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        for (const view of this.diamonds.values()) {
+            view.update(deltaTime);
+        }
+    }
+    
+    /**
+     * Remove the whole garden from the scene
+     */
+    remove() {
+        for (const view of this.diamonds.values()) {
+            view.remove();
+        }
+        this.diamonds.clear();
+        
+        for (const wall of this.walls) {
+            this.scene.remove(wall);
+            wall.geometry.dispose();
+        }
+        this.walls = [];
+        
+        if (this.floor) {
+            this.scene.remove(this.floor);
+            this.floor = null;
+        }
+    }
+}
+
+// Expose the diamond classes to the global scope to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Diamond = SnowBrawlDiamond;
+window.DiamondGarden = SnowBrawlDiamondGarden;
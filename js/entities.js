@@ -0,0 +1,1478 @@
+/**
+ * Simulation entities for SnowBrawl game
+ * Game state for players, snowballs, diamonds, power-ups and igloos, using only vector math
+ * These run inside a Simulation and report what happens through its events;
+ * the Player, Snowball, Diamond, PowerUp and Igloo classes are views that mirror them into the scene
+ */
+
+// Base class for entities that report what happens to them through their simulation's events
+class SnowBrawlSimEntity {
+    /**
+     * Report something that happened to this entity to the simulation's listeners (nothing happens before it joins one)
+     * @param {string} type - Event type
+     * @param {Object} event - Event data
+     */
+    emit(type, event) {
+        if (this.world) {
+            this.world.emit(type, event);
+        }
+    }
+}
+
+// Using SnowBrawlSimPlayer instead of SimPlayer to avoid conflicts with built-in globals
+class SnowBrawlSimPlayer extends SnowBrawlSimEntity {
+    // Fields the Player view forwards to its body, so controllers and UI can keep using player.health, player.position, ...
+    static STATE_KEYS = [
+        'isHuman', 'health', 'snowballCount', 'maxSnowballCount', 'diamondCount', 'score',
+        'position', 'velocity', 'moveSpeed', 'jumpForce', 'height', 'radius', 'isOnGround',
+        'snowballSize', 'snowballDamage', 'throwSpeed', 'throwRange', 'lastThrowTime', 'throwCooldown',
+        'chargingThrow', 'throwChargeTime', 'snowballType', 'specialSnowballs', 'slowUntil', 'slowMultiplier',
+        'isScooping', 'scoopTime', 'scoopBlocked',
+        'isAlive', 'isInIgloo', 'lastReplenishTime', 'iglooPosition', 'hasIgloo', 'lastRepairTime',
+        'isInSafeZone', 'isProtected', 'safeZoneEnteredAt', 'exitProtectionUntil', 'safeZoneCooldownUntil', 'lastHealTime',
+        'powerUps', 'shieldHits', 'hillPoints', 'respawnTime',
+        'teamId', 'upgrades', 'input'
+    ];
+    
+    /**
+     * Create a player's simulation state
+     * @param {string} id - Player ID
+     * @param {boolean} isHuman - Whether the player is driven by input (keyboard or network) rather than an AI controller
+     */
+    constructor(id, isHuman = false) {
+        super();
+        this.id = id;
+        this.isHuman = isHuman;
+        this.world = null; // Set when added to a Simulation
+        
+        // Player stats
+        this.health = GAME_CONSTANTS.PLAYER.INITIAL_HEALTH;
+        this.snowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
+        this.maxSnowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
+        this.diamondCount = 0;
+        this.score = 0;
+        
+        // Movement properties
+        this.position = new THREE.Vector3(0, GAME_CONSTANTS.PLAYER.HEIGHT / 2, 0);
+        this.previousPosition = this.position.clone(); // Position before the last tick, for render interpolation
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.moveSpeed = GAME_CONSTANTS.PLAYER.MOVEMENT_SPEED;
+        this.jumpForce = GAME_CONSTANTS.PLAYER.JUMP_FORCE;
+        this.height = GAME_CONSTANTS.PLAYER.HEIGHT;
+        this.radius = GAME_CONSTANTS.PLAYER.RADIUS;
+        this.isOnGround = true;
+        
+        // Snowball properties
+        this.snowballSize = GAME_CONSTANTS.SNOWBALL.RADIUS;
+        this.snowballDamage = GAME_CONSTANTS.SNOWBALL.DAMAGE;
+        this.throwSpeed = GAME_CONSTANTS.SNOWBALL.THROW_SPEED;
+        this.throwRange = GAME_CONSTANTS.SNOWBALL.MAX_THROW_DISTANCE;
+        this.lastThrowTime = -Infinity; // Simulation time in milliseconds
+        this.throwCooldown = GAME_CONSTANTS.SNOWBALL.THROW_COOLDOWN;
+        this.chargingThrow = null; // 'throw' or 'lob' while a throw button is held
+        this.throwChargeTime = 0; // Seconds the throw button has been held
+        this.snowballType = 'normal'; // Type thrown next (a lowercase key of GAME_CONSTANTS.SNOWBALL_TYPES)
+        this.specialSnowballs = SnowBrawlSimPlayer.getStartingSpecialSnowballs(); // Count per special type
+        
+        // Scooping snowballs from the ground
+        this.isScooping = false;
+        this.scoopTime = 0; // Milliseconds spent on the snowball being scooped
+        this.scoopBlocked = false; // Set when a hit interrupts scooping, until the scoop button is let go
+        
+        // Slowdown from being hit by slush
+        this.slowUntil = -Infinity; // Simulation time in milliseconds
+        this.slowMultiplier = 1;
+        
+        // Status flags
+        this.isAlive = true;
+        this.isInIgloo = false;
+        this.lastReplenishTime = -Infinity; // Simulation time in milliseconds
+        
+        // Igloo position (will be set by game)
+        this.iglooPosition = null;
+        this.hasIgloo = true; // Cleared when the player's igloo collapses, which takes away their safe zone
+        this.lastRepairTime = -Infinity; // Simulation time in milliseconds
+        
+        // Safe zone protection (see updateSafeZone), all times in simulation milliseconds
+        this.isInSafeZone = false;
+        this.isProtected = false; // Immune to snowballs
+        this.safeZoneEnteredAt = null; // When the current protected visit began, null when there isn't one
+        this.exitProtectionUntil = -Infinity;
+        this.safeZoneCooldownUntil = -Infinity;
+        this.lastHealTime = -Infinity;
+        
+        // Timed power-ups (see applyPowerUp)
+        this.powerUps = {}; // Active power-up type -> simulation time in milliseconds it wears off
+        this.shieldHits = 0; // Hits the shield power-up can still absorb
+        
+        // King of the Hill (see Simulation.startHill)
+        this.hillPoints = 0; // Points scored holding the control zone (fractional, they build up every tick)
+        this.respawnTime = null; // Simulation time in milliseconds an eliminated player comes back, null when not waiting to
+        
+        // Team assignment (null in free-for-all, set by game in team modes)
+        this.teamId = null;
+        
+        // Controller for non-human players (e.g. an AI), asked to think(deltaTime) every tick before input is applied
+        this.controller = null;
+        
+        // Upgrades
+        this.upgrades = {
+            speed: 0,
+            damage: 0,
+            range: 0,
+            size: 0,
+            capacity: 0
+        };
+        
+        // Input state (for human and network players)
+        // yaw and pitch are the look direction in radians, with the same meaning as the camera's 'YXZ' Euler angles
+        this.input = {
+            forward: false,
+            backward: false,
+            left: false,
+            right: false,
+            jump: false,
+            shoot: false, // Held to charge a throw, which is thrown on release
+            lob: false, // Same for a lob
+            scoop: false, // Held to crouch and scoop snowballs from the ground
+            repair: false // Held inside the igloo to patch it up with snowballs
+        };
+        this.yaw = 0;
+        this.pitch = 0;
+    }
+    
+    /**
+     * Current simulation time
+     * @returns {number} Milliseconds of simulated time, or 0 before the player joins a simulation
+     */
+    now() {
+        return this.world ? this.world.time : 0;
+    }
+    
+    
+    /**
+     * Update player state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.isAlive) return;
+        
+        this.updateSafeZone();
+        this.updatePowerUps();
+        
+        // Replenish snowballs if in igloo
+        if (this.isInIgloo) {
+            this.replenishSnowballs();
+        }
+        
+        // Let an AI controller decide what to do
+        if (this.controller) {
+            this.controller.think(deltaTime);
+        }
+        
+        // Handle input for human player
+        if (this.isHuman) {
+            if (this.input.repair) {
+                this.repairIgloo();
+            }
+            this.updateScoop(deltaTime, this.input.scoop);
+            this.handleMovementInput(deltaTime);
+            this.handleShootInput(deltaTime);
+        }
+    }
+    
+    /**
+     * Direction the player is looking in
+     * @returns {THREE.Vector3} Normalized look direction
+     */
+    getLookDirection() {
+        const cosPitch = Math.cos(this.pitch);
+        return new THREE.Vector3(
+            -Math.sin(this.yaw) * cosPitch,
+            Math.sin(this.pitch),
+            -Math.cos(this.yaw) * cosPitch
+        );
+    }
+    
+    /**
+     * Handle movement input for human player
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    handleMovementInput(deltaTime) {
+        // Horizontal forward and right vectors for the look direction
+        const forward = new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+        const right = new THREE.Vector3(Math.cos(this.yaw), 0, -Math.sin(this.yaw));
+        
+        // Add the appropriate direction vectors based on input
+        const worldMoveDirection = new THREE.Vector3();
+        if (this.input.forward) {
+            worldMoveDirection.add(forward);
+        }
+        if (this.input.backward) {
+            worldMoveDirection.sub(forward);
+        }
+        if (this.input.right) {
+            worldMoveDirection.add(right);
+        }
+        if (this.input.left) {
+            worldMoveDirection.sub(right);
+        }
+        
+        // Crouched players stay put while they scoop
+        if (this.isScooping) {
+            worldMoveDirection.set(0, 0, 0);
+        }
+        
+        // Normalize the result to maintain consistent speed in all directions
+        if (worldMoveDirection.length() > 0) {
+            worldMoveDirection.normalize();
+        }
+        
+        // Set velocity based on movement direction
+        const acceleration = GAME_CONSTANTS.PLAYER.ACCELERATION * deltaTime;
+        const deceleration = GAME_CONSTANTS.PLAYER.DECELERATION * deltaTime;
+        const moveSpeed = this.getMoveSpeed();
+        
+        // Apply acceleration in movement direction
+        if (Math.abs(worldMoveDirection.x) > 0) {
+            this.velocity.x = Utils.lerp(this.velocity.x, worldMoveDirection.x * moveSpeed, acceleration);
+        } else {
+            // Apply deceleration when no input
+            this.velocity.x = Utils.lerp(this.velocity.x, 0, deceleration);
+        }
+        
+        if (Math.abs(worldMoveDirection.z) > 0) {
+            this.velocity.z = Utils.lerp(this.velocity.z, worldMoveDirection.z * moveSpeed, acceleration);
+        } else {
+            // Apply deceleration when no input
+            this.velocity.z = Utils.lerp(this.velocity.z, 0, deceleration);
+        }
+        
+        // Handle jumping
+        if (this.input.jump && this.isOnGround && !this.isScooping) {
+            this.velocity.y = this.jumpForce;
+            this.isOnGround = false;
+        }
+    }
+    
+    /**
+     * Handle shoot input for human player - throws when a charged throw or lob is released
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    handleShootInput(deltaTime) {
+        const release = this.updateThrowCharge(deltaTime);
+        if (release) {
+            this.throwSnowball(release.charge, release.isLob);
+        }
+    }
+    
+    /**
+     * Charge a throw while its button is held
+     * @param {number} deltaTime - Time since last update in seconds
+     * @returns {Object|null} Object with charge and isLob when the button is released, otherwise null
+     */
+    updateThrowCharge(deltaTime) {
+        if (!this.chargingThrow) {
+            // Start charging when either button goes down (there's nothing to charge with an empty bag, or while scooping)
+            if ((this.input.shoot || this.input.lob) && this.hasSnowball() && !this.isScooping) {
+                this.chargingThrow = this.input.lob ? 'lob' : 'throw';
+                this.throwChargeTime = 0;
+            }
+            return null;
+        }
+        
+        // Keep charging until the button that started the throw is let go
+        const isLob = this.chargingThrow === 'lob';
+        if (isLob ? this.input.lob : this.input.shoot) {
+            this.throwChargeTime += deltaTime;
+            return null;
+        }
+        
+        const release = { charge: this.getThrowCharge(), isLob };
+        this.chargingThrow = null;
+        this.throwChargeTime = 0;
+        return release;
+    }
+    
+    /**
+     * Scoop snow from the ground while the scoop button is held, adding a snowball every SCOOP.TIME
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {boolean} wantsToScoop - Whether the scoop button is held (or an AI wants to scoop)
+     * @returns {boolean} True if the player is scooping
+     */
+    updateScoop(deltaTime, wantsToScoop) {
+        if (!wantsToScoop) {
+            // Letting go clears an interruption, so the next press starts a fresh scoop
+            this.scoopBlocked = false;
+            this.stopScoop();
+            return false;
+        }
+        
+        if (this.scoopBlocked || !this.canScoop()) {
+            this.stopScoop();
+            return false;
+        }
+        
+        if (!this.isScooping) {
+            this.isScooping = true;
+            this.scoopTime = 0;
+            this.emit('scoopStarted', { player: this });
+        }
+        
+        this.scoopTime += deltaTime * 1000;
+        if (this.scoopTime >= GAME_CONSTANTS.SCOOP.TIME) {
+            this.scoopTime = 0;
+            this.snowballCount++;
+            this.emit('snowballScooped', { player: this });
+            
+            // Stand back up once the bag is full
+            if (this.snowballCount >= this.maxSnowballCount) {
+                this.stopScoop();
+            }
+        }
+        
+        return this.isScooping;
+    }
+    
+    /**
+     * Check if the player could scoop snow where they're standing
+     * @returns {boolean} True if alive, standing on snowy ground, not mid-throw and with room in the bag
+     */
+    canScoop() {
+        if (!this.isAlive || this.chargingThrow || this.snowballCount >= this.maxSnowballCount) {
+            return false;
+        }
+        
+        // Players resting on the ground settle by at most a tick of gravity; anything faster is a jump, knockback or fall
+        if (Math.abs(this.velocity.y) > 1) {
+            return false;
+        }
+        
+        return GAME_CONSTANTS.SCOOP.SURFACES.includes(this.getSurface());
+    }
+    
+    /**
+     * What the ground under the player is made of
+     * @returns {string} Surface type (see Arena.getSurfaceAt), snow when there's no arena
+     */
+    getSurface() {
+        const arena = this.world ? this.world.arena : null;
+        return arena ? arena.getSurfaceAt(this.position) : 'snow';
+    }
+    
+    /**
+     * Stand back up, losing the progress on the snowball being scooped
+     */
+    stopScoop() {
+        this.isScooping = false;
+        this.scoopTime = 0;
+    }
+    
+    /**
+     * How far the snowball being scooped is along
+     * @returns {number} Progress between 0 and 1, or 0 when not scooping
+     */
+    getScoopProgress() {
+        if (!this.isScooping) return 0;
+        return Math.min(this.scoopTime / GAME_CONSTANTS.SCOOP.TIME, 1);
+    }
+    
+    /**
+     * How far the current throw has been charged
+     * @returns {number} Charge between 0 and 1, or 0 when not charging
+     */
+    getThrowCharge() {
+        if (!this.chargingThrow) return 0;
+        return Math.min(this.throwChargeTime * 1000 / GAME_CONSTANTS.SNOWBALL.CHARGE_TIME, 1);
+    }
+    
+    /**
+     * Launch speed of a charged throw
+     * @param {number} baseSpeed - Speed of an uncharged direct throw
+     * @param {number} charge - Charge between 0 and 1
+     * @param {boolean} isLob - Whether the throw is a lob
+     * @returns {number} Launch speed
+     */
+    static getChargedSpeed(baseSpeed, charge, isLob = false) {
+        const speed = baseSpeed * Utils.lerp(1, GAME_CONSTANTS.SNOWBALL.CHARGE_SPEED_MULTIPLIER, charge);
+        return isLob ? speed * GAME_CONSTANTS.SNOWBALL.LOB_SPEED_MULTIPLIER : speed;
+    }
+    
+    /**
+     * Damage of a charged throw
+     * @param {number} baseDamage - Damage of an uncharged throw
+     * @param {number} charge - Charge between 0 and 1
+     * @returns {number} Damage, rounded to whole health points
+     */
+    static getChargedDamage(baseDamage, charge) {
+        return Math.round(baseDamage * Utils.lerp(1, GAME_CONSTANTS.SNOWBALL.CHARGE_DAMAGE_MULTIPLIER, charge));
+    }
+    
+    /**
+     * Launch direction of a lob - raised above the look direction, up to a maximum angle
+     * @returns {THREE.Vector3} Normalized lob direction
+     */
+    getLobDirection() {
+        const pitch = Math.min(this.pitch + GAME_CONSTANTS.SNOWBALL.LOB_PITCH_OFFSET, GAME_CONSTANTS.SNOWBALL.LOB_MAX_PITCH);
+        const cosPitch = Math.cos(pitch);
+        return new THREE.Vector3(
+            -Math.sin(this.yaw) * cosPitch,
+            Math.sin(pitch),
+            -Math.cos(this.yaw) * cosPitch
+        );
+    }
+    
+    /**
+     * Throw a snowball of the selected type where the player is looking
+     * @param {number} charge - How far the throw was charged (0-1), scaling its speed and damage
+     * @param {boolean} isLob - Throw a high-arc lob instead of a direct throw
+     * @returns {SimSnowball|null} The thrown snowball, or null if out of snowballs or still cooling down
+     */
+    throwSnowball(charge = 0, isLob = false) {
+        // Check if player has snowballs of the selected type and cooldown has elapsed
+        const currentTime = this.now();
+        const type = this.snowballType;
+        if (!this.hasSnowball(type) || currentTime - this.lastThrowTime < this.getThrowCooldown()) {
+            return null;
+        }
+        
+        this.spendSnowball(type);
+        
+        // Set last throw time
+        this.lastThrowTime = currentTime;
+        
+        // Create snowball at player position + offset in direction
+        // Scaling the direction in place also scales the throw, which is how far human throws have always carried
+        const direction = isLob ? this.getLobDirection() : this.getLookDirection();
+        const spawnPosition = new THREE.Vector3().copy(this.position);
+        spawnPosition.y += GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
+        const size = this.getSnowballSize();
+        spawnPosition.add(direction.multiplyScalar(this.radius + size + 0.1));
+        
+        const typeSettings = SimSnowball.getTypeSettings(type);
+        const chargedDamage = SnowBrawlSimPlayer.getChargedDamage(GAME_CONSTANTS.SNOWBALL.DAMAGE, charge);
+        const damage = Math.max(1, Math.round(chargedDamage * typeSettings.DAMAGE_MULTIPLIER));
+        const speed = SnowBrawlSimPlayer.getChargedSpeed(this.throwSpeed, charge, isLob);
+        
+        console.log(`Creating ${type} ${isLob ? 'lob' : 'snowball'} with damage: ${damage}, charge: ${charge.toFixed(2)}, owner: ${this.id}`);
+        
+        const snowball = this.launchSnowball(spawnPosition, direction, damage, size, speed, type);
+        
+        // Go back to normal snowballs once the last special one is gone
+        if (this.getSnowballCount(type) <= 0) {
+            this.selectSnowballType('normal');
+        }
+        
+        return snowball;
+    }
+    
+    /**
+     * Snowball types in number-key order
+     * @returns {string[]} Lowercase keys of GAME_CONSTANTS.SNOWBALL_TYPES
+     */
+    static getSnowballTypes() {
+        return Object.keys(GAME_CONSTANTS.SNOWBALL_TYPES).map(type => type.toLowerCase());
+    }
+    
+    /**
+     * Special snowballs a player starts a round with
+     * @returns {Object} Count per type (normal snowballs are counted by snowballCount instead)
+     */
+    static getStartingSpecialSnowballs() {
+        const counts = {};
+        for (const type of SnowBrawlSimPlayer.getSnowballTypes()) {
+            if (type !== 'normal') {
+                counts[type] = GAME_CONSTANTS.SNOWBALL_TYPES[type.toUpperCase()].START_COUNT;
+            }
+        }
+        return counts;
+    }
+    
+    /**
+     * Snowballs left of a type
+     * @param {string} type - Snowball type (defaults to the selected one)
+     * @returns {number} Snowballs left
+     */
+    getSnowballCount(type = this.snowballType) {
+        return type === 'normal' ? this.snowballCount : (this.specialSnowballs[type] || 0);
+    }
+    
+    /**
+     * Check whether the player has a snowball of a type to throw
+     * @param {string} type - Snowball type (defaults to the selected one)
+     * @returns {boolean} True if there's one left, or it's a normal snowball and infinite ammo is active
+     */
+    hasSnowball(type = this.snowballType) {
+        return this.getSnowballCount(type) > 0 || (type === 'normal' && this.hasPowerUp('infinite_ammo'));
+    }
+    
+    /**
+     * Take a snowball of a type out of the bag (infinite ammo keeps normal snowballs coming for free)
+     * @param {string} type - Snowball type
+     */
+    spendSnowball(type = 'normal') {
+        if (type !== 'normal') {
+            this.specialSnowballs[type]--;
+        } else if (!this.hasPowerUp('infinite_ammo')) {
+            this.snowballCount--;
+        }
+    }
+    
+    /**
+     * Pick the type of snowball to throw next
+     * @param {string} type - Snowball type
+     * @returns {boolean} True if the selection changed (unknown or used-up types can't be picked)
+     */
+    selectSnowballType(type) {
+        if (
+            type === this.snowballType ||
+            !SnowBrawlSimPlayer.getSnowballTypes().includes(type) ||
+            (type !== 'normal' && this.getSnowballCount(type) <= 0)
+        ) {
+            return false;
+        }
+        
+        this.snowballType = type;
+        this.emit('snowballTypeSelected', { player: this, snowballType: type });
+        return true;
+    }
+    
+    /**
+     * Refill the special snowballs and go back to normal ones (used when a round starts)
+     */
+    resetSnowballTypes() {
+        this.snowballType = 'normal';
+        this.specialSnowballs = SnowBrawlSimPlayer.getStartingSpecialSnowballs();
+    }
+    
+    /**
+     * Slow the player down for a while
+     * @param {number} multiplier - Move speed while slowed, relative to the normal speed
+     * @param {number} duration - Duration in milliseconds
+     */
+    applySlow(multiplier, duration) {
+        // A shield keeps the slush off too
+        if (this.hasPowerUp('shield')) return;
+        
+        this.slowMultiplier = multiplier;
+        this.slowUntil = this.now() + duration;
+    }
+    
+    /**
+     * Current move speed, including any slowdown and speed boost
+     * @returns {number} Move speed
+     */
+    getMoveSpeed() {
+        const speed = this.now() < this.slowUntil ? this.moveSpeed * this.slowMultiplier : this.moveSpeed;
+        return this.hasPowerUp('speed_boost') ? speed * GAME_CONSTANTS.POWER_UPS.TYPES.SPEED_BOOST.SPEED_MULTIPLIER : speed;
+    }
+    
+    /**
+     * Current time between throws, shortened by rapid fire
+     * @returns {number} Throw cooldown in milliseconds
+     */
+    getThrowCooldown() {
+        return this.hasPowerUp('rapid_fire') ?
+            this.throwCooldown * GAME_CONSTANTS.POWER_UPS.TYPES.RAPID_FIRE.COOLDOWN_MULTIPLIER : this.throwCooldown;
+    }
+    
+    /**
+     * Current snowball radius, grown by giant snowballs
+     * @param {number} baseSize - Radius without power-ups (defaults to the player's snowballSize)
+     * @returns {number} Snowball radius
+     */
+    getSnowballSize(baseSize = this.snowballSize) {
+        return this.hasPowerUp('giant_snowballs') ?
+            baseSize * GAME_CONSTANTS.POWER_UPS.TYPES.GIANT_SNOWBALLS.SIZE_MULTIPLIER : baseSize;
+    }
+    
+    /**
+     * Put a snowball thrown by this player into the simulation
+     * Doesn't check or spend snowballs - callers decide whether the throw is allowed
+     * @param {THREE.Vector3} position - Spawn position
+     * @param {THREE.Vector3} direction - Throw direction (scaled by throwSpeed for the launch velocity)
+     * @param {number} damage - Damage on hit
+     * @param {number} radius - Snowball radius
+     * @param {number} speed - Launch speed (a charged throw's, or the player's throwSpeed)
+     * @param {string} type - Snowball type
+     * @returns {SimSnowball} The new snowball
+     */
+    launchSnowball(position, direction, damage, radius, speed = this.throwSpeed, type = 'normal') {
+        const snowball = new SimSnowball(
+            position,
+            direction,
+            this.id,
+            damage,
+            radius,
+            speed,
+            this.throwRange,
+            this.teamId,
+            type
+        );
+        
+        // Exit protection is for getting away, not for fighting from
+        this.exitProtectionUntil = -Infinity;
+        
+        if (this.world) {
+            this.world.addSnowball(snowball, this);
+        }
+        
+        return snowball;
+    }
+    
+    /**
+     * Take damage from a hit
+     * @param {number} damage - Amount of damage to take
+     * @param {string} attackerId - ID of attacker
+     */
+    takeDamage(damage, attackerId) {
+        // Safe zone protection - protected players can't be hit
+        if (Physics.isPlayerProtected(this)) {
+            console.log(`Player ${this.id} is protected by their safe zone, can't be hit`);
+            return;
+        }
+        
+        // A shield soaks up the hit instead
+        if (this.hasPowerUp('shield') && this.shieldHits > 0) {
+            this.absorbShieldHit(attackerId);
+            return;
+        }
+        
+        // Debug log to show actual damage being applied
+        console.log(`Player ${this.id} taking damage: ${damage} from ${attackerId}`);
+        
+        // Reduce health - ensure we're using the passed damage value
+        this.health -= damage;
+        
+        // A hit knocks a scooping player out of their crouch - they have to let go and start again
+        if (this.isScooping) {
+            this.stopScoop();
+            this.scoopBlocked = true;
+            this.emit('scoopInterrupted', { player: this });
+        }
+        
+        // Check if eliminated
+        if (this.health <= 0) {
+            this.health = 0;
+            this.eliminate(attackerId);
+            return; // No knockback or hit effect once eliminated
+        }
+        
+        // Get attacker to calculate knockback direction
+        const attacker = this.world ? this.world.getPlayerById(attackerId) : null;
+        if (attacker) {
+            // Calculate direction from attacker to this player
+            const knockbackDir = new THREE.Vector3()
+                .subVectors(this.position, attacker.position)
+                .normalize();
+            
+            // Apply knockback based on damage
+            const knockbackForce = damage * 0.5;
+            this.applyKnockback(knockbackDir, knockbackForce);
+        }
+        
+        this.emit('playerHit', { player: this, damage, attackerId });
+    }
+    
+    /**
+     * Take damage from the storm outside the safe circle
+     * The storm isn't a snowball - safe zone protection and shields don't keep it off, and there's no knockback
+     * @param {number} damage - Amount of damage to take
+     */
+    takeStormDamage(damage) {
+        this.health -= damage;
+        
+        if (this.health <= 0) {
+            this.health = 0;
+            this.eliminate(null);
+            return;
+        }
+        
+        this.emit('stormDamage', { player: this, damage });
+    }
+    
+    /**
+     * Apply knockback force to player
+     * @param {THREE.Vector3} direction - Direction of knockback
+     * @param {number} force - Force of knockback
+     */
+    applyKnockback(direction, force) {
+        // Apply stronger horizontal knockback
+        this.velocity.x += direction.x * force * 2.5; // Increased multiplier for more visible effect
+        this.velocity.z += direction.z * force * 2.5;
+        
+        // Add a larger vertical component to make the knockback more visible
+        // This creates a more pronounced "hop" effect when hit
+        this.velocity.y += force * 1.2; // Increased vertical force
+        
+        // Ensure player is not on ground during knockback
+        this.isOnGround = false;
+        
+        console.log(`Applied knockback to player ${this.id}: velocity=(${this.velocity.x.toFixed(2)}, ${this.velocity.y.toFixed(2)}, ${this.velocity.z.toFixed(2)})`);
+    }
+    
+    /**
+     * Eliminate player
+     * @param {string} attackerId - ID of attacker
+     */
+    eliminate(attackerId) {
+        this.isAlive = false;
+        this.clearPowerUps();
+        
+        // Award points to attacker
+        const attacker = this.world ? this.world.getPlayerById(attackerId) : null;
+        if (attacker) {
+            attacker.score += GAME_CONSTANTS.SCORING.ELIMINATION_POINTS;
+        }
+        
+        this.emit('playerEliminated', { player: this, attacker });
+    }
+    
+    /**
+     * Replenish snowballs when in igloo
+     */
+    replenishSnowballs() {
+        const currentTime = this.now();
+        const timeSinceLastReplenish = (currentTime - this.lastReplenishTime) / 1000; // Convert to seconds
+        
+        if (timeSinceLastReplenish >= 1 / GAME_CONSTANTS.SNOWBALL.REPLENISH_RATE) {
+            if (this.snowballCount < this.maxSnowballCount) {
+                this.snowballCount++;
+                this.lastReplenishTime = currentTime;
+                
+                this.emit('snowballsReplenished', { player: this });
+            }
+        }
+    }
+    
+    /**
+     * The igloo this player can use (their own, or their team's shared igloo)
+     * @returns {SimIgloo|null} Igloo state, or null if the player has none in the world
+     */
+    getIgloo() {
+        if (!this.world) return null;
+        return this.world.igloos.find(igloo => this.world.physics.isIglooOwner(this, igloo)) || null;
+    }
+    
+    /**
+     * Spend a snowball on patching up the player's igloo, at most once every IGLOO.REPAIR_INTERVAL
+     * @returns {boolean} True if a snowball went into repairs
+     */
+    repairIgloo() {
+        const currentTime = this.now();
+        if (!this.isInIgloo || this.snowballCount <= 0 || currentTime - this.lastRepairTime < GAME_CONSTANTS.IGLOO.REPAIR_INTERVAL) {
+            return false;
+        }
+        
+        const igloo = this.getIgloo();
+        if (!igloo || !igloo.repair(GAME_CONSTANTS.IGLOO.REPAIR_AMOUNT, this)) {
+            return false;
+        }
+        
+        this.snowballCount--;
+        this.lastRepairTime = currentTime;
+        return true;
+    }
+    
+    /**
+     * Track the player's visits to their igloo's safe zone
+     * A visit protects for up to SAFE_ZONE.MAX_STAY and slowly heals, protection carries on for
+     * SAFE_ZONE.EXIT_PROTECTION after leaving, and a new visit only protects once SAFE_ZONE.REENTRY_COOLDOWN has passed
+     * Once the storm closes in past the igloo, its safe zone stops being one
+     */
+    updateSafeZone() {
+        const rules = GAME_CONSTANTS.SAFE_ZONE;
+        const currentTime = this.now();
+        const inZone = !!this.world && this.world.physics.isPointInSafeZone(this.position, this) &&
+            !this.world.isInStorm(this.iglooPosition);
+        const wasProtected = this.isProtected;
+        
+        if (inZone && !this.isInSafeZone) {
+            // Entering starts a protected visit, unless the zone is still recharging from the last one
+            this.safeZoneEnteredAt = currentTime >= this.safeZoneCooldownUntil ? currentTime : null;
+            this.lastHealTime = currentTime;
+        } else if (!inZone && this.isInSafeZone) {
+            if (wasProtected) {
+                this.exitProtectionUntil = currentTime + rules.EXIT_PROTECTION;
+            }
+            // Only a visit that protected sets off the cooldown, so walking in and out while recharging doesn't extend it
+            if (this.safeZoneEnteredAt !== null) {
+                this.safeZoneCooldownUntil = currentTime + rules.REENTRY_COOLDOWN;
+            }
+            this.safeZoneEnteredAt = null;
+        }
+        this.isInSafeZone = inZone;
+        this.isProtected = currentTime < this.getProtectionEndTime();
+        
+        if (inZone && this.isProtected) {
+            this.healInSafeZone();
+        } else if (wasProtected && !this.isProtected) {
+            this.emit('protectionExpired', { player: this, inSafeZone: inZone });
+        }
+    }
+    
+    /**
+     * When the player's current protection runs out
+     * @returns {number} Simulation time in milliseconds (Infinity for a visit with no stay limit, -Infinity when unprotected)
+     */
+    getProtectionEndTime() {
+        const visitEnd = this.isInSafeZone && this.safeZoneEnteredAt !== null ?
+            this.safeZoneEnteredAt + GAME_CONSTANTS.SAFE_ZONE.MAX_STAY : -Infinity;
+        return Math.max(visitEnd, this.exitProtectionUntil);
+    }
+    
+    /**
+     * Regain a health point every 1 / SAFE_ZONE.HEAL_RATE seconds, up to full health
+     */
+    healInSafeZone() {
+        if (this.health >= GAME_CONSTANTS.PLAYER.INITIAL_HEALTH) return;
+        
+        const currentTime = this.now();
+        if ((currentTime - this.lastHealTime) / 1000 >= 1 / GAME_CONSTANTS.SAFE_ZONE.HEAL_RATE) {
+            this.health = Math.min(this.health + 1, GAME_CONSTANTS.PLAYER.INITIAL_HEALTH);
+            this.lastHealTime = currentTime;
+            
+            this.emit('playerHealed', { player: this });
+        }
+    }
+    
+    /**
+     * What the HUD should say about the player's safe zone protection
+     * @returns {Object|null} Object with mode and remaining (milliseconds, Infinity if unlimited), or null when there's nothing to show
+     *   Modes: 'safe' (protected inside), 'exit' (protected after leaving), 'cooldown' (zone recharging), 'expired' (inside, visit used up)
+     */
+    getProtectionStatus() {
+        const currentTime = this.now();
+        if (this.isProtected) {
+            return { mode: this.isInSafeZone ? 'safe' : 'exit', remaining: this.getProtectionEndTime() - currentTime };
+        }
+        if (currentTime < this.safeZoneCooldownUntil) {
+            return { mode: 'cooldown', remaining: this.safeZoneCooldownUntil - currentTime };
+        }
+        if (this.isInSafeZone) {
+            return { mode: 'expired', remaining: 0 };
+        }
+        return null;
+    }
+    
+    /**
+     * Forget safe zone visits, for a fresh life or round
+     */
+    resetSafeZone() {
+        this.isInSafeZone = false;
+        this.isProtected = false;
+        this.safeZoneEnteredAt = null;
+        this.exitProtectionUntil = -Infinity;
+        this.safeZoneCooldownUntil = -Infinity;
+    }
+    
+    /**
+     * Settings for a power-up type
+     * @param {string} type - Power-up type (a lowercase key of GAME_CONSTANTS.POWER_UPS.TYPES)
+     * @returns {Object|null} Entry of GAME_CONSTANTS.POWER_UPS.TYPES, or null for unknown types
+     */
+    static getPowerUpSettings(type) {
+        return GAME_CONSTANTS.POWER_UPS.TYPES[String(type).toUpperCase()] || null;
+    }
+    
+    /**
+     * Power-up types in the order the HUD lists them
+     * @returns {string[]} Lowercase keys of GAME_CONSTANTS.POWER_UPS.TYPES
+     */
+    static getPowerUpTypes() {
+        return Object.keys(GAME_CONSTANTS.POWER_UPS.TYPES).map(type => type.toLowerCase());
+    }
+    
+    /**
+     * Pick up a power-up and start its effect
+     * @param {SimPowerUp} powerUp - Power-up state
+     */
+    collectPowerUp(powerUp) {
+        this.applyPowerUp(powerUp.type);
+        this.emit('powerUpCollected', { player: this, powerUp });
+    }
+    
+    /**
+     * Start a power-up's effect for its DURATION (picking up one that's already active starts its timer again)
+     * @param {string} type - Power-up type
+     * @returns {boolean} True if the type is known
+     */
+    applyPowerUp(type) {
+        const settings = SnowBrawlSimPlayer.getPowerUpSettings(type);
+        if (!settings) return false;
+        
+        this.powerUps[type] = this.now() + settings.DURATION;
+        if (type === 'shield') {
+            this.shieldHits = settings.HITS;
+        }
+        return true;
+    }
+    
+    /**
+     * Check whether a power-up is active
+     * @param {string} type - Power-up type
+     * @returns {boolean} True until the power-up wears off
+     */
+    hasPowerUp(type) {
+        return type in this.powerUps && this.now() < this.powerUps[type];
+    }
+    
+    /**
+     * Wear off power-ups whose time is up
+     */
+    updatePowerUps() {
+        for (const type of Object.keys(this.powerUps)) {
+            if (!this.hasPowerUp(type)) {
+                this.endPowerUp(type);
+            }
+        }
+    }
+    
+    /**
+     * Stop a power-up's effect
+     * @param {string} type - Power-up type
+     */
+    endPowerUp(type) {
+        if (!(type in this.powerUps)) return;
+        
+        delete this.powerUps[type];
+        if (type === 'shield') {
+            this.shieldHits = 0;
+        }
+        this.emit('powerUpExpired', { player: this, type });
+    }
+    
+    /**
+     * Soak up a hit with the shield, which breaks once it has taken SHIELD.HITS
+     * @param {string} attackerId - ID of attacker
+     */
+    absorbShieldHit(attackerId) {
+        this.shieldHits--;
+        this.emit('shieldHit', { player: this, attackerId, hitsLeft: this.shieldHits });
+        
+        if (this.shieldHits <= 0) {
+            this.endPowerUp('shield');
+        }
+    }
+    
+    /**
+     * What the HUD should show for the player's active power-ups
+     * @returns {Array} Objects with type, remaining (milliseconds) and hits (shield hits left, or null), in getPowerUpTypes order
+     */
+    getPowerUpStatus() {
+        const currentTime = this.now();
+        return SnowBrawlSimPlayer.getPowerUpTypes()
+            .filter(type => this.hasPowerUp(type))
+            .map(type => ({
+                type,
+                remaining: this.powerUps[type] - currentTime,
+                hits: type === 'shield' ? this.shieldHits : null
+            }));
+    }
+    
+    /**
+     * Drop all power-ups without announcing it, for an elimination or a fresh life or round
+     */
+    clearPowerUps() {
+        this.powerUps = {};
+        this.shieldHits = 0;
+    }
+    
+    /**
+     * Collect a diamond and update player stats
+     * @param {Object} diamond - Diamond object
+     */
+    collectDiamond(diamond) {
+        this.diamondCount += diamond && diamond.value ? diamond.value : 1;
+        this.score += GAME_CONSTANTS.SCORING.DIAMOND_POINTS;
+        
+        this.emit('diamondCollected', { player: this, diamond });
+    }
+    
+    /**
+     * Apply an upgrade
+     * @param {string} upgradeType - Type of upgrade (speed, damage, range, size, capacity)
+     * @returns {boolean} True if the upgrade was bought
+     */
+    applyUpgrade(upgradeType) {
+        // Check if player has enough diamonds
+        const upgradeCost = GAME_CONSTANTS.UPGRADES[upgradeType.toUpperCase()].COST;
+        
+        if (this.diamondCount < upgradeCost) {
+            return false;
+        }
+        
+        // Check if upgrade is at max level
+        const maxLevel = GAME_CONSTANTS.UPGRADES[upgradeType.toUpperCase()].MAX_LEVEL;
+        
+        if (this.upgrades[upgradeType] >= maxLevel) {
+            return false;
+        }
+        
+        // Deduct diamonds
+        this.diamondCount -= upgradeCost;
+        
+        // Increment upgrade level
+        this.upgrades[upgradeType]++;
+        
+        // Apply upgrade effect
+        const increment = GAME_CONSTANTS.UPGRADES[upgradeType.toUpperCase()].INCREMENT;
+        
+        switch (upgradeType) {
+            case 'speed':
+                this.moveSpeed += increment;
+                break;
+            case 'damage':
+                this.snowballDamage += increment;
+                break;
+            case 'range':
+                this.throwRange += increment;
+                break;
+            case 'size':
+                this.snowballSize += increment;
+                break;
+            case 'capacity':
+                this.maxSnowballCount += increment;
+                break;
+        }
+        
+        this.emit('upgradeApplied', { player: this, upgradeType });
+        
+        return true;
+    }
+    
+    /**
+     * Check if another player is on the same team
+     * @param {Object} other - Player to check (a SimPlayer or a Player view)
+     * @returns {boolean} True if both players are on the same team
+     */
+    isTeammate(other) {
+        return !!other && other.id !== this.id && this.teamId !== null && other.teamId === this.teamId;
+    }
+    
+    /**
+     * Bring an eliminated player back into the game
+     */
+    revive() {
+        this.isAlive = true;
+        this.resetSafeZone();
+        this.clearPowerUps();
+    }
+    
+    /**
+     * Bring an eliminated player back at their igloo with full health and a full bag (King of the Hill)
+     */
+    respawn() {
+        this.revive();
+        this.health = GAME_CONSTANTS.PLAYER.INITIAL_HEALTH;
+        this.snowballCount = this.maxSnowballCount;
+        this.slowUntil = -Infinity;
+        this.stopScoop();
+        this.velocity.set(0, 0, 0);
+        if (this.iglooPosition) {
+            this.position.set(this.iglooPosition.x, 1, this.iglooPosition.z);
+        }
+        this.previousPosition.copy(this.position);
+        this.respawnTime = null;
+        
+        this.emit('playerRespawned', { player: this });
+    }
+    
+    /**
+     * Reset player to initial state
+     */
+    reset() {
+        // Reset stats
+        this.health = GAME_CONSTANTS.PLAYER.INITIAL_HEALTH;
+        this.snowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
+        this.maxSnowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
+        this.diamondCount = 0;
+        this.score = 0;
+        this.hillPoints = 0;
+        this.respawnTime = null;
+        
+        // Reset movement
+        this.velocity.set(0, 0, 0);
+        this.moveSpeed = GAME_CONSTANTS.PLAYER.MOVEMENT_SPEED;
+        
+        // Reset snowball properties
+        this.snowballDamage = GAME_CONSTANTS.SNOWBALL.DAMAGE;
+        this.snowballSize = GAME_CONSTANTS.SNOWBALL.RADIUS;
+        this.throwRange = GAME_CONSTANTS.SNOWBALL.MAX_THROW_DISTANCE;
+        
+        // Reset snowball types
+        this.resetSnowballTypes();
+        
+        // Reset status
+        this.isAlive = true;
+        this.isInIgloo = false;
+        this.hasIgloo = true;
+        this.lastRepairTime = -Infinity;
+        this.resetSafeZone();
+        this.clearPowerUps();
+        this.slowUntil = -Infinity;
+        this.stopScoop();
+        this.scoopBlocked = false;
+        
+        // Reset upgrades
+        for (const upgrade in this.upgrades) {
+            this.upgrades[upgrade] = 0;
+        }
+    }
+}
+
+// Using SnowBrawlSimSnowball instead of SimSnowball to avoid conflicts with built-in globals
+class SnowBrawlSimSnowball {
+    /**
+     * Create a snowball's simulation state
+     * @param {THREE.Vector3} position - Spawn position
+     * @param {THREE.Vector3} direction - Throw direction
+     * @param {string} ownerId - ID of the player who threw it
+     * @param {number} damage - Damage on hit
+     * @param {number} radius - Snowball radius
+     * @param {number} speed - Launch speed
+     * @param {number} maxDistance - Distance after which the snowball disappears
+     * @param {number|null} teamId - Thrower's team, used for friendly-fire checks
+     * @param {string} type - Snowball type (a lowercase key of GAME_CONSTANTS.SNOWBALL_TYPES)
+     */
+    constructor(position, direction, ownerId, damage, radius, speed, maxDistance, teamId = null, type = 'normal') {
+        this.position = position.clone();
+        this.previousPosition = position.clone(); // Position before the last tick, for render interpolation
+        this.velocity = direction.clone().multiplyScalar(speed);
+        this.ownerId = ownerId;
+        this.teamId = teamId;
+        this.damage = damage;
+        this.radius = radius;
+        this.speed = speed;
+        this.maxDistance = maxDistance;
+        this.hasHit = false;
+        this.world = null; // Set when added to a Simulation
+        
+        // Type-specific physics
+        this.type = type;
+        const typeSettings = SnowBrawlSimSnowball.getTypeSettings(type);
+        this.gravityScale = typeSettings.GRAVITY_SCALE;
+        this.bouncesLeft = typeSettings.BOUNCES;
+        
+        // Age in milliseconds of simulation time
+        this.age = 0;
+        this.hitAge = 0;
+        this.lifetime = GAME_CONSTANTS.SNOWBALL.LIFETIME;
+        
+        // Distance tracking
+        this.initialPosition = position.clone();
+        this.distanceTraveled = 0;
+    }
+    
+    /**
+     * Update snowball state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.age += deltaTime * 1000;
+        
+        // Snowballs that hit something linger briefly so views can show the impact
+        if (this.hasHit) {
+            if (this.age - this.hitAge >= GAME_CONSTANTS.SNOWBALL.IMPACT_DURATION) {
+                this.remove();
+            }
+            return;
+        }
+        
+        // Check lifetime
+        if (this.age > this.lifetime) {
+            this.remove();
+            return;
+        }
+        
+        // Check if snowball has traveled its maximum distance
+        this.distanceTraveled = this.position.distanceTo(this.initialPosition);
+        if (this.distanceTraveled > this.maxDistance) {
+            this.remove();
+        }
+        
+        // Gravity, drag and wind are applied by the physics system (see Physics.applySnowballForces)
+    }
+    
+    /**
+     * Handle snowball hit
+     * @param {Object} player - Player it hit directly, or null if it hit the ground or a wall
+     */
+    hit(player = null) {
+        if (this.hasHit) return;
+        
+        this.hasHit = true;
+        this.hitAge = this.age;
+        
+        if (this.world) {
+            this.applyTypeEffects(player);
+            this.world.emit('snowballHit', { snowball: this, player });
+        }
+    }
+    
+    /**
+     * Apply what this snowball's type does on impact (the direct hit's damage is dealt by the physics system)
+     * @param {Object} player - Player it hit directly, or null
+     */
+    applyTypeEffects(player) {
+        const typeSettings = SnowBrawlSimSnowball.getTypeSettings(this.type);
+        
+        if (player && player.isAlive && typeSettings.SLOW_DURATION > 0) {
+            player.applySlow(typeSettings.SLOW_MULTIPLIER, typeSettings.SLOW_DURATION);
+        }
+        
+        if (typeSettings.SPLASH_RADIUS > 0) {
+            this.world.physics.applySplash(this, typeSettings.SPLASH_RADIUS, player);
+        }
+        
+        if (typeSettings.DROPS_DIAMOND) {
+            this.world.addDiamond(new THREE.Vector3(
+                this.position.x,
+                GAME_CONSTANTS.DIAMOND_GARDEN.DIAMOND_HEIGHT,
+                this.position.z
+            ));
+        }
+    }
+    
+    /**
+     * Settings for a snowball type
+     * @param {string} type - Snowball type
+     * @returns {Object} Entry of GAME_CONSTANTS.SNOWBALL_TYPES (normal for unknown types)
+     */
+    static getTypeSettings(type) {
+        const types = GAME_CONSTANTS.SNOWBALL_TYPES;
+        return types[String(type).toUpperCase()] || types.NORMAL;
+    }
+    
+    /**
+     * Remove the snowball from its simulation
+     */
+    remove() {
+        if (this.world) {
+            this.world.removeSnowball(this);
+        }
+    }
+}
+
+// Using SnowBrawlSimDiamond instead of SimDiamond to avoid conflicts with built-in globals
+class SnowBrawlSimDiamond {
+    /**
+     * Create a diamond's simulation state
+     * @param {THREE.Vector3} position - Position of the diamond
+     */
+    constructor(position) {
+        this.position = position.clone();
+        this.value = GAME_CONSTANTS.DIAMOND_GARDEN.DIAMOND_VALUE;
+        
+        // Physics flags - registerBody() uses isDiamond to pick the 'diamonds' collider group
+        this.isDiamond = true;
+        this.isCollected = false;
+    }
+    
+    /**
+     * Mark the diamond as collected
+     * The simulation removes collected diamonds on its next tick,
+     * so this is safe to call while the physics system is iterating its colliders
+     */
+    collect() {
+        this.isCollected = true;
+    }
+}
+
+// Using SnowBrawlSimPowerUp instead of SimPowerUp to avoid conflicts with built-in globals
+class SnowBrawlSimPowerUp {
+    /**
+     * Create a power-up's simulation state
+     * @param {THREE.Vector3} position - Position of the power-up
+     * @param {string} type - Power-up type (a lowercase key of GAME_CONSTANTS.POWER_UPS.TYPES)
+     * @param {number} spawnTime - Simulation time in milliseconds it appeared at
+     */
+    constructor(position, type, spawnTime = 0) {
+        this.position = position.clone();
+        this.type = type;
+        this.spawnTime = spawnTime;
+        
+        // Physics flags - registerBody() uses isPowerUp to pick the 'powerUps' collider group
+        this.isPowerUp = true;
+        this.isCollected = false;
+    }
+    
+    /**
+     * Check whether the power-up has been lying around for its whole LIFETIME
+     * @param {number} currentTime - Simulation time in milliseconds
+     * @returns {boolean} True once it should melt away
+     */
+    isExpired(currentTime) {
+        return currentTime - this.spawnTime >= GAME_CONSTANTS.POWER_UPS.LIFETIME;
+    }
+    
+    /**
+     * Mark the power-up as collected
+     * The simulation removes collected power-ups on its next tick, like diamonds
+     */
+    collect() {
+        this.isCollected = true;
+    }
+}
+
+// Using SnowBrawlSimIgloo instead of SimIgloo to avoid conflicts with built-in globals
+class SnowBrawlSimIgloo extends SnowBrawlSimEntity {
+    /**
+     * Create an igloo's simulation state
+     * @param {THREE.Vector3} position - Position of the igloo
+     * @param {number} entranceDirection - Direction of the entrance in radians (0 = positive Z axis)
+     * @param {string} ownerId - ID of the player who owns this igloo
+     * @param {number|null} teamId - Team sharing the igloo, or null if it belongs to its owner alone
+     */
+    constructor(position, entranceDirection = 0, ownerId = null, teamId = null) {
+        super();
+        this.position = position;
+        this.entranceDirection = entranceDirection;
+        this.ownerId = ownerId;
+        this.teamId = teamId;
+        this.isIgloo = true;
+        this.world = null; // Set when added to a Simulation
+        
+        // Enemy snowballs wear the igloo down until it collapses, taking its owners' safe zone with it
+        this.maxHealth = GAME_CONSTANTS.IGLOO.MAX_HEALTH;
+        this.health = this.maxHealth;
+        this.isCollapsed = false;
+        this.isInStorm = false; // Set once the storm circle closes in past the igloo, which takes away its safe zone
+        
+        // Igloo dimensions from constants
+        this.width = GAME_CONSTANTS.IGLOO.WIDTH;
+        this.height = GAME_CONSTANTS.IGLOO.HEIGHT;
+        this.depth = GAME_CONSTANTS.IGLOO.DEPTH;
+        
+        // Center of the entrance, moved 1 unit out from the igloo for easier entry
+        // and lowered to 1/3 of the entrance height
+        const entranceOffset = 1.0;
+        const relativePos = new THREE.Vector3(0, 0, this.depth / 2 + entranceOffset);
+        relativePos.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.entranceDirection);
+        
+        this.entrancePosition = new THREE.Vector3(
+            this.position.x + relativePos.x,
+            this.position.y + GAME_CONSTANTS.IGLOO.ENTRANCE_HEIGHT / 3,
+            this.position.z + relativePos.z
+        );
+    }
+    
+    /**
+     * Check if a snowball from this player or team would damage the igloo
+     * @param {string} attackerId - ID of the player who threw the snowball
+     * @param {number|null} teamId - Thrower's team
+     * @returns {boolean} True for standing igloos hit by someone who doesn't own them
+     */
+    canBeDamagedBy(attackerId, teamId = null) {
+        if (this.isCollapsed || attackerId === this.ownerId) return false;
+        return this.teamId === null || this.teamId === undefined || teamId !== this.teamId;
+    }
+    
+    /**
+     * Take damage from a snowball, collapsing when health runs out
+     * @param {number} damage - Amount of damage
+     * @param {string} attackerId - ID of the player who threw the snowball
+     */
+    takeDamage(damage, attackerId) {
+        if (this.isCollapsed) return;
+        
+        const previousStage = this.getDamageStage();
+        this.health = Math.max(this.health - damage, 0);
+        
+        if (this.health <= 0) {
+            this.collapse(attackerId);
+            return;
+        }
+        
+        this.emit('iglooDamaged', {
+            igloo: this,
+            damage,
+            attackerId,
+            stageChanged: this.getDamageStage() !== previousStage
+        });
+    }
+    
+    /**
+     * Bring the igloo down - its owners lose their safe zone and replenish point until the next round
+     * @param {string} attackerId - ID of the player whose snowball brought it down
+     */
+    collapse(attackerId) {
+        this.isCollapsed = true;
+        this.health = 0;
+        
+        for (const player of this.getOwners()) {
+            player.hasIgloo = false;
+            player.isInIgloo = false;
+        }
+        
+        const attacker = this.world ? this.world.getPlayerById(attackerId) : null;
+        if (attacker) {
+            attacker.score += GAME_CONSTANTS.SCORING.IGLOO_COLLAPSE_POINTS;
+        }
+        
+        this.emit('iglooCollapsed', { igloo: this, attacker });
+    }
+    
+    /**
+     * Put the igloo back up at full health for a new round, giving its owners their safe zone back
+     */
+    rebuild() {
+        this.health = this.maxHealth;
+        this.isCollapsed = false;
+        this.isInStorm = false; // Set once the storm circle closes in past the igloo, which takes away its safe zone
+        
+        for (const player of this.getOwners()) {
+            player.hasIgloo = true;
+        }
+    }
+    
+    /**
+     * Players in the simulation who can use this igloo
+     * @returns {Array} Owner and teammates sharing the igloo
+     */
+    getOwners() {
+        if (!this.world) return [];
+        return this.world.players.filter(player => this.world.physics.isIglooOwner(player, this));
+    }
+    
+    /**
+     * Patch the igloo up
+     * @param {number} amount - Health to restore
+     * @param {Object} player - Player doing the repairs
+     * @returns {boolean} True if the igloo needed repairs
+     */
+    repair(amount, player) {
+        if (this.isCollapsed || this.health >= this.maxHealth) return false;
+        
+        const previousStage = this.getDamageStage();
+        this.health = Math.min(this.health + amount, this.maxHealth);
+        
+        this.emit('iglooRepaired', {
+            igloo: this,
+            player,
+            stageChanged: this.getDamageStage() !== previousStage
+        });
+        return true;
+    }
+    
+    /**
+     * How badly damaged the igloo looks
+     * @returns {number} 0 when intact, rising to IGLOO.DAMAGE_STAGES as health runs out (collapsed igloos are past the last stage)
+     */
+    getDamageStage() {
+        if (this.isCollapsed) return GAME_CONSTANTS.IGLOO.DAMAGE_STAGES + 1;
+        
+        const stages = GAME_CONSTANTS.IGLOO.DAMAGE_STAGES;
+        const damageRatio = 1 - this.health / this.maxHealth;
+        return Math.min(Math.floor(damageRatio * (stages + 1)), stages);
+    }
+    
+}
+
+// Expose the simulation entities to the global scope to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.SimPlayer = SnowBrawlSimPlayer;
+window.SimSnowball = SnowBrawlSimSnowball;
+window.SimDiamond = SnowBrawlSimDiamond;
+window.SimPowerUp = SnowBrawlSimPowerUp;
+window.SimIgloo = SnowBrawlSimIgloo;
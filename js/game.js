@@ -10,7 +10,7 @@ class GameClass {
     static scene = null;
     static camera = null;
     static renderer = null;
-    static physics = null;
+    static world = null; // Simulation running the game rules; the classes below are views of its state
     static player = null;
     static aiPlayers = [];
     static snowballs = [];
@@ -21,12 +21,238 @@ class GameClass {
     static timeRemaining = 0;
     static lastUpdateTime = 0;
     static igloos = []; // Array to store igloo objects
+    static diamondGarden = null; // Walled garden that spawns diamonds
+    static powerUpViews = new Map(); // Power-up state -> PowerUp view
+    static weather = null; // Weather view (snowfall, fog, sky and light)
+    static dayNight = null; // Day/night view (sun position and daylight)
+    static storm = null; // Storm view (the wall around the safe circle and the circle it closes in to)
+    static hill = null; // King of the Hill view (the control zone's ring on the ground)
+    static network = null; // NetworkClient when playing on a multiplayer server
+    static audio = null; // AudioManager for sound effects and music
+    
+    // Game mode properties
+    static gameMode = 'FFA'; // Key into GAME_CONSTANTS.GAME_MODES
+    static friendlyFire = GAME_CONSTANTS.TEAMS.FRIENDLY_FIRE;
+    static weatherSetting = GAME_CONSTANTS.WEATHER.DEFAULT; // 'changing', or a weather type kept all match
+    static dayNightCycle = GAME_CONSTANTS.DAY_NIGHT.ENABLED; // Whether the day turns to night over the time limit
+    static stormMode = GAME_CONSTANTS.STORM.ENABLED; // Whether a storm closes in on a shrinking safe circle over the time limit
+    static requestedSeed = null; // Seed entered on the start menu, or null to pick a fresh one each match
+    static seed = null; // Seed of the current match's random streams (the server's in network games)
+    static recorder = null; // ReplayRecorder for the round being played
+    static replay = null; // ReplayPlayer while a replay is being watched
+    static lastReplay = null; // Recording most recently watched or imported
+    static savedConstants = null; // The game's own constants while a replay runs with its recorded ones
+    static defaultConstants = null; // GAME_CONSTANTS as loaded - the classic arena, which maps are applied over
+    static mapData = null; // Map the arena is built from (see MapLoader), or null for the classic arena
+    static editor = null; // MapEditor while a map is being edited
+    static editedMap = null; // Map last edited, to pick up where the editor was left
+    static teams = []; // Team objects (id, name, color, iglooPosition), empty in free-for-all
     
     // Round-based gameplay properties
     static currentRound = 1;
     static isRoundOver = false;
     static difficultyMultiplier = 1.0; // Increases with each round
     
+    /**
+     * All players in the game, human and AI
+     * @returns {Array} Array of player objects
+     */
+    static get players() {
+        return [GameClass.player, ...GameClass.aiPlayers].filter(player => player);
+    }
+    
+    /**
+     * Uncollected diamonds currently in the garden
+     * @returns {Array} Array of diamond objects
+     */
+    static get diamonds() {
+        return GameClass.world ? GameClass.world.diamonds : [];
+    }
+    
+    /**
+     * Uncollected power-ups currently in the arena
+     * @returns {Array} Array of power-up objects
+     */
+    static get powerUps() {
+        return GameClass.world ? GameClass.world.powerUps : [];
+    }
+    
+    /**
+     * Physics system of the simulation
+     * @returns {Physics|null} Physics system, or null before the game is initialized
+     */
+    static get physics() {
+        return GameClass.world ? GameClass.world.physics : null;
+    }
+    
+    /**
+     * Settings for the selected game mode
+     * @returns {Object} Game mode settings from GAME_CONSTANTS.GAME_MODES
+     */
+    static get modeSettings() {
+        return GAME_CONSTANTS.GAME_MODES[GameClass.gameMode] || GAME_CONSTANTS.GAME_MODES.FFA;
+    }
+    
+    /**
+     * Whether the selected game mode is team-based
+     * @returns {boolean} True for team modes
+     */
+    static get isTeamMode() {
+        return GameClass.modeSettings.NUM_TEAMS > 0;
+    }
+    
+    /**
+     * Whether the selected game mode is King of the Hill
+     * @returns {boolean} True when players fight over a control zone and respawn
+     */
+    static get isKingOfTheHill() {
+        return !!GameClass.modeSettings.HILL;
+    }
+    
+    /**
+     * Number of AI players for the selected game mode
+     * @returns {number} AI player count
+     */
+    static getNumAIPlayers() {
+        if (!GameClass.isTeamMode) {
+            return GAME_CONSTANTS.NUM_AI_PLAYERS;
+        }
+        
+        // Fill every team slot except the human's
+        return GameClass.modeSettings.NUM_TEAMS * GameClass.modeSettings.TEAM_SIZE - 1;
+    }
+    
+    /**
+     * Calculate igloo positions around the map - one per team in team modes, one per player otherwise
+     * @returns {Array} Array of igloo positions
+     */
+    static getIglooPositions() {
+        const numIgloos = GameClass.isTeamMode ? GameClass.modeSettings.NUM_TEAMS : GameClass.getNumAIPlayers() + 1;
+        return Utils.calculateIglooPositions(numIgloos);
+    }
+    
+    /**
+     * Get the team a player slot belongs to
+     * Players are numbered with the human first, then AI players in order
+     * @param {number} playerIndex - Player slot (0 for the human, i + 1 for ai-i)
+     * @returns {number|null} Team index, or null in free-for-all
+     */
+    static getTeamId(playerIndex) {
+        if (!GameClass.isTeamMode) {
+            return null;
+        }
+        return Math.floor(playerIndex / GameClass.modeSettings.TEAM_SIZE);
+    }
+    
+    /**
+     * Get the igloo position for a player slot
+     * @param {number} playerIndex - Player slot (0 for the human, i + 1 for ai-i)
+     * @returns {THREE.Vector3} Igloo position
+     */
+    static getIglooPosition(playerIndex) {
+        const positions = GameClass.getIglooPositions();
+        const teamId = GameClass.getTeamId(playerIndex);
+        return positions[teamId !== null ? teamId : playerIndex].clone();
+    }
+    
+    /**
+     * Get the spawn position for a player slot
+     * Teammates sharing an igloo are spread out sideways so they don't spawn inside each other
+     * @param {number} playerIndex - Player slot (0 for the human, i + 1 for ai-i)
+     * @returns {THREE.Vector3} Spawn position (on the ground)
+     */
+    static getSpawnPosition(playerIndex) {
+        const spawnPosition = GameClass.getIglooPosition(playerIndex);
+        
+        if (GameClass.isTeamMode) {
+            const teamSize = GameClass.modeSettings.TEAM_SIZE;
+            const slot = playerIndex % teamSize;
+            const offset = (slot - (teamSize - 1) / 2) * GAME_CONSTANTS.TEAMS.SPAWN_SPACING;
+            
+            // Igloos sit on a circle around the map center, so spread along its tangent
+            const tangent = new THREE.Vector3(-spawnPosition.z, 0, spawnPosition.x).normalize();
+            spawnPosition.addScaledVector(tangent, offset);
+        }
+        
+        return spawnPosition;
+    }
+    
+    /**
+     * Create the teams for the selected game mode
+     */
+    static createTeams() {
+        GameClass.teams = [];
+        if (!GameClass.isTeamMode) {
+            return;
+        }
+        
+        const positions = GameClass.getIglooPositions();
+        for (let i = 0; i < GameClass.modeSettings.NUM_TEAMS; i++) {
+            GameClass.teams.push({
+                id: i,
+                name: GAME_CONSTANTS.TEAMS.NAMES[i],
+                color: GAME_CONSTANTS.TEAMS.COLORS[i],
+                iglooPosition: positions[i]
+            });
+        }
+        
+        console.log(`Created ${GameClass.teams.length} teams of ${GameClass.modeSettings.TEAM_SIZE}`);
+    }
+    
+    /**
+     * Assign a player to the team for their slot
+     * @param {Player} player - Player to assign
+     * @param {number} playerIndex - Player slot (0 for the human, i + 1 for ai-i)
+     */
+    static assignTeam(player, playerIndex) {
+        if (typeof player.setTeam !== 'function') {
+            return;
+        }
+        
+        const teamId = GameClass.getTeamId(playerIndex);
+        const team = teamId !== null ? GameClass.teams[teamId] : null;
+        player.setTeam(teamId, team ? team.color : null);
+    }
+    
+    /**
+     * Check if any member of a team is still alive
+     * @param {number} teamId - Team index
+     * @returns {boolean} True if the team has a player standing
+     */
+    static isTeamAlive(teamId) {
+        return GameClass.players.some(player => player.teamId === teamId && player.isAlive);
+    }
+    
+    /**
+     * Get the teams that still have a player standing
+     * @returns {Array} Array of team indices
+     */
+    static getAliveTeams() {
+        return GameClass.teams.filter(team => GameClass.isTeamAlive(team.id)).map(team => team.id);
+    }
+    
+    /**
+     * Combined score of a team's players
+     * @param {number} teamId - Team index
+     * @returns {number} Team score
+     */
+    static getTeamScore(teamId) {
+        return GameClass.players
+            .filter(player => player.teamId === teamId)
+            .reduce((total, player) => total + player.score, 0);
+    }
+    
+    /**
+     * Combined health of a team's players still standing, which breaks a tie on score when time runs out
+     * @param {number} teamId - Team index
+     * @returns {number} Team health
+     */
+    static getTeamHealth(teamId) {
+        return GameClass.players
+            .filter(player => player.teamId === teamId && player.isAlive)
+            .reduce((total, player) => total + player.health, 0);
+    }
+    
     /**
      * Initialize the game
      */
@@ -53,13 +279,27 @@ class GameClass {
             
             // Create camera
             GameClass.camera = new THREE.PerspectiveCamera(
-                75, 
-                window.innerWidth / window.innerHeight, 
-                0.1, 
+                75,
+                window.innerWidth / window.innerHeight,
+                0.1,
                 1000
             );
             console.log('Camera created successfully');
             
+            // Create the audio manager (sound starts on the first click or key press)
+            if (typeof AudioManager === 'function') {
+                GameClass.audio = new AudioManager();
+                
+                // Every menu and HUD button clicks on the UI bus
+                document.addEventListener('click', (event) => {
+                    if (event.target.closest('button')) {
+                        GameClass.audio.playUi('click');
+                    }
+                });
+            } else {
+                console.warn('AudioManager class is not defined, the game will be silent');
+            }
+            
             // Create renderer
             GameClass.renderer = new THREE.WebGLRenderer({ antialias: true });
             GameClass.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -68,23 +308,22 @@ class GameClass {
             document.getElementById('game-container').appendChild(GameClass.renderer.domElement);
             console.log('Renderer created successfully');
             
-            // Verify scene exists before creating physics
-            if (!GameClass.scene) {
-                throw new Error('Scene is undefined before creating physics');
-            }
+            // Keep the constants as loaded, so picking the classic arena after another map can put them back
+            GameClass.defaultConstants = JSON.parse(JSON.stringify(GAME_CONSTANTS));
             
-            // Create physics system if Physics class is available
-            if (typeof Physics !== 'undefined') {
+            // Create the simulation if Simulation class is available
+            if (typeof Simulation !== 'undefined') {
                 try {
-                    GameClass.physics = new Physics(GameClass.scene);
-                    console.log('Physics system created successfully');
-                } catch (physicsError) {
-                    console.error('Error creating physics system:', physicsError);
-                    GameClass.physics = null;
+                    GameClass.world = new Simulation();
+                    GameClass.bindWorldEvents();
+                    console.log('Simulation created successfully');
+                } catch (worldError) {
+                    console.error('Error creating simulation:', worldError);
+                    GameClass.world = null;
                 }
             } else {
-                console.warn('Physics class is not defined, skipping physics system creation');
-                GameClass.physics = null;
+                console.warn('Simulation class is not defined, skipping simulation creation');
+                GameClass.world = null;
             }
             
             // Ensure scene exists before creating map
@@ -103,17 +342,16 @@ class GameClass {
                     console.log('GameMap class is available');
                     GameClass.map = new GameMap(GameClass.scene);
                     
-                    // Register map with physics system if available
-                    if (GameClass.physics) {
-                        try {
-                            GameClass.map.registerWithPhysics(GameClass.physics);
-                            console.log('Map registered with physics system');
-                        } catch (registerError) {
-                            console.error('Error registering map with physics:', registerError);
-                            createFallbackMap();
-                        }
+                    // Collide against the map's arena if the simulation is available
+                    if (GameClass.world) {
+                        GameClass.world.setArena(GameClass.map.arena);
+                        console.log('Map arena added to the simulation');
                     } else {
-                        console.warn('Physics system not available, map not registered');
+                        console.warn('Simulation not available, map arena not added');
+                    }
+                    
+                    if (GAME_CONSTANTS.TERRAIN.HEIGHTMAP) {
+                        GameClass.loadHeightmap(GAME_CONSTANTS.TERRAIN.HEIGHTMAP);
                     }
                 } else {
                     console.warn('GameMap class is not defined, creating fallback map');
@@ -185,6 +423,35 @@ class GameClass {
                 }
             }
             
+            // Fog, snowfall and sky to show the simulation's weather
+            if (typeof Weather === 'function') {
+                GameClass.weather = new Weather(GameClass.scene, GameClass.map);
+                console.log('Weather created successfully');
+            } else {
+                console.warn('Weather class is not defined, the sky will stay clear');
+            }
+            
+            // Sun and moon for the day/night cycle
+            if (typeof DayNight === 'function') {
+                GameClass.dayNight = new DayNight(GameClass.map);
+            } else {
+                console.warn('DayNight class is not defined, it will stay midday');
+            }
+            
+            // Wall and outlines for storm mode
+            if (typeof Storm === 'function') {
+                GameClass.storm = new Storm(GameClass.scene, GameClass.map.arena);
+            } else {
+                console.warn('Storm class is not defined, storm mode will not be shown');
+            }
+            
+            // Ring around the King of the Hill control zone
+            if (typeof Hill === 'function') {
+                GameClass.hill = new Hill(GameClass.scene, GameClass.map.arena);
+            } else {
+                console.warn('Hill class is not defined, the King of the Hill zone will not be shown');
+            }
+            
             // Map creation is now handled directly above
         } catch (error) {
             console.error('Error initializing game:', error);
@@ -205,6 +472,7 @@ class GameClass {
                 console.error('Neither SnowBrawlUI nor UI is defined');
             }
             GameClass.ui.showStartMenu();
+            GameClass.ui.updateMapInfo('Classic');
             console.log('Start menu shown successfully');
             
             // Set up pointer lock controls
@@ -289,6 +557,9 @@ class GameClass {
                 GameClass.controls = new THREE.PointerLockControls(GameClass.camera, document.body);
             }
             
+            // Seed the match before anything random is created
+            GameClass.seedMatch();
+            
             // Create player
             console.log('Creating player with scene:', GameClass.scene);
             GameClass.player = new Player(
@@ -306,45 +577,50 @@ class GameClass {
             
             console.log('Player created successfully');
             
-            // Calculate positions around the map for igloos
-            const positions = Utils.calculateIglooPositions(GAME_CONSTANTS.NUM_AI_PLAYERS + 1);
+            // Set up teams for the selected mode and put the human on the first one
+            GameClass.createTeams();
+            GameClass.assignTeam(GameClass.player, 0);
             
             // Set igloo position for human player
             if (typeof GameClass.player.setIglooPosition === 'function') {
                 // Get the human player's igloo position
-                const iglooPosition = positions[0];
+                const iglooPosition = GameClass.getIglooPosition(0);
                 
                 // Set the player's igloo position
                 GameClass.player.setIglooPosition(iglooPosition);
                 console.log('Human player igloo position set to:', iglooPosition);
                 
                 // Position player at their igloo, just like AI players
-                GameClass.player.position.set(iglooPosition.x, 1, iglooPosition.z);
-                console.log(`Human player positioned at igloo: (${iglooPosition.x}, 1, ${iglooPosition.z})`);
-                
-                // Create igloo for human player after player mesh and color are fully initialized
-                // This ensures the igloo color will match the player color
-                setTimeout(() => {
-                    GameClass.createIgloo(iglooPosition, 0, GameClass.player.id);
-                    console.log('Created human player igloo with matching color');
-                }, 100);
+                const spawnPosition = GameClass.getSpawnPosition(0);
+                GameClass.player.position.set(spawnPosition.x, 1, spawnPosition.z);
+                console.log(`Human player positioned at igloo: (${spawnPosition.x}, 1, ${spawnPosition.z})`);
             } else {
                 // Fallback if setIglooPosition isn't available
                 GameClass.player.position.set(0, 1, 0);
                 console.log('Player positioned at default position (0, 1, 0)');
             }
             
-            // Register player with physics system
-            if (!GameClass.physics) {
-                console.error('Physics system is not initialized');
-                throw new Error('Physics system is not initialized');
+            // Add player to the simulation
+            if (!GameClass.world) {
+                console.error('Simulation is not initialized');
+                throw new Error('Simulation is not initialized');
             }
-            GameClass.physics.registerCollider(GameClass.player, 'players');
-            console.log('Player registered with physics system');
+            GameClass.world.addPlayer(GameClass.player.body);
+            GameClass.world.friendlyFire = GameClass.friendlyFire;
+            console.log(`Player added to the simulation (mode: ${GameClass.gameMode}, friendly fire: ${GameClass.friendlyFire})`);
+            
+            // Create the diamond garden and seed its diamonds, clear out any power-ups left over
+            // and set the weather, wind, storm and King of the Hill zone
+            GameClass.createDiamondGarden();
+            GameClass.world.resetPowerUps();
+            GameClass.world.startWeather(GameClass.weatherSetting);
+            GameClass.world.startWind();
+            GameClass.world.startStorm(GameClass.getStormDuration());
+            GameClass.world.startHill(GameClass.isKingOfTheHill);
             
-            // Create AI players with difficulty multiplier
-            GameClass.createAIPlayersWithDifficulty();
-            console.log('AI players created');
+            // Create AI players with difficulty multiplier, then the igloos (so they match the players' colors)
+            GameClass.populateRound();
+            console.log('AI players and igloos created');
             
             // Set time remaining
             GameClass.timeRemaining = GameClass.gameDuration;
@@ -353,8 +629,9 @@ class GameClass {
             // Update UI with initial values
             if (GameClass.ui) {
                 GameClass.ui.updateHealth(GameClass.player.health);
-                GameClass.ui.updateSnowballCount(GameClass.player.snowballCount, GameClass.player.maxSnowballs);
-                GameClass.ui.updateDiamondCount(GameClass.player.diamonds);
+                GameClass.ui.updateSnowballCount(GameClass.player.snowballCount, GameClass.player.maxSnowballCount);
+                GameClass.ui.updateSnowballTypes(GameClass.player.body);
+                GameClass.ui.updateDiamondCount(GameClass.player.diamondCount);
                 GameClass.ui.updateScore(GameClass.player.score);
                 GameClass.ui.updateRound(GameClass.currentRound);
             }
@@ -396,21 +673,100 @@ class GameClass {
         }
     }
     
+    /**
+     * Join a game on a multiplayer server
+     * The server owns the simulation, so no AI players, diamonds or timer are created locally
+     * @param {string} url - WebSocket URL of the server
+     */
+    static startNetworkGame(url = GameClass.getDefaultServerUrl()) {
+        console.log(`Starting network game on ${url}...`);
+        
+        try {
+            if (typeof NetworkClient !== 'function') {
+                console.error('NetworkClient class is not defined');
+                return;
+            }
+            
+            if (!GameClass.world) {
+                console.error('Simulation is not initialized');
+                throw new Error('Simulation is not initialized');
+            }
+            
+            if (GameClass.ui && GameClass.ui.hideStartMenu) {
+                GameClass.ui.hideStartMenu();
+            }
+            
+            // Local player - positioned at its igloo once the server assigns one
+            GameClass.player = new Player(
+                'player',
+                GameClass.scene,
+                GameClass.camera,
+                GameClass.controls,
+                true // isHuman
+            );
+            GameClass.world.addPlayer(GameClass.player.body);
+            GameClass.aiPlayers = [];
+            GameClass.seed = null; // The server's seed arrives with its welcome message
+            GameClass.world.startStorm(); // Server rounds have no time limit for a storm to close in over
+            GameClass.world.startHill(); // ... and are always last one standing
+            
+            // Garden walls only - the server spawns the diamonds
+            if (typeof DiamondGarden === 'function') {
+                GameClass.diamondGarden = new DiamondGarden(GameClass.scene, GameClass.map.arena);
+            }
+            
+            if (GameClass.ui) {
+                GameClass.ui.updateHealth(GameClass.player.health);
+                GameClass.ui.updateSnowballCount(GameClass.player.snowballCount, GameClass.player.maxSnowballCount);
+                GameClass.ui.updateSnowballTypes(GameClass.player.body);
+                GameClass.ui.updateDiamondCount(GameClass.player.diamondCount);
+                GameClass.ui.updateScore(GameClass.player.score);
+            }
+            
+            GameClass.network = new NetworkClient(url);
+            GameClass.network.connect();
+            
+            GameClass.isRunning = true;
+            GameClass.lastUpdateTime = performance.now();
+            GameClass.setupPointerLock();
+            
+            // Lock pointer for camera control (after a short delay to ensure UI is updated)
+            setTimeout(() => {
+                try {
+                    GameClass.controls.lock();
+                } catch (error) {
+                    console.error('Error locking controls:', error);
+                }
+            }, 200);
+            
+            console.log('Network game started');
+        } catch (error) {
+            console.error('Error starting network game:', error);
+        }
+    }
+    
+    /**
+     * WebSocket URL of the server that served the page (or the default local server when opened from a file)
+     * @returns {string} WebSocket URL
+     */
+    static getDefaultServerUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const host = window.location.host || `localhost:${GAME_CONSTANTS.NETWORK.DEFAULT_PORT}`;
+        return `${protocol}//${host}`;
+    }
+    
     /**
      * Create AI players
      * @param {number} difficultyMultiplier - Optional difficulty multiplier for AI stats
      */
     static createAIPlayers(difficultyMultiplier = 1.0) {
-        const numAI = GAME_CONSTANTS.NUM_AI_PLAYERS;
+        const numAI = GameClass.getNumAIPlayers();
         console.log(`Creating ${numAI} AI players with difficulty multiplier: ${difficultyMultiplier}`);
         
         try {
             // Clear existing AI players array
             GameClass.aiPlayers = [];
             
-            // Calculate positions around the map
-            const positions = Utils.calculateIglooPositions(numAI + 1); // +1 for human player
-            
             // Create AI players
             for (let i = 0; i < numAI; i++) {
                 // Create AI player
@@ -437,17 +793,20 @@ class GameClass {
                     );
                 }
                 
-                // Position AI player (skip first position for human player)
-                const position = positions[i + 1];
+                // Position AI player (skip first slot for human player)
+                const position = GameClass.getSpawnPosition(i + 1);
                 ai.position.set(position.x, 1, position.z);
                 
                 // Set igloo position if the method exists
                 if (typeof ai.setIglooPosition === 'function') {
-                    ai.setIglooPosition(position);
+                    ai.setIglooPosition(GameClass.getIglooPosition(i + 1));
                 }
                 
-                // Register AI player with physics system
-                GameClass.physics.registerCollider(ai, 'players');
+                // Join the team for this slot (no-op in free-for-all)
+                GameClass.assignTeam(ai, i + 1);
+                
+                // Add AI player to the simulation
+                GameClass.world.addPlayer(ai.body);
                 
                 // Add to AI players array
                 GameClass.aiPlayers.push(ai);
@@ -459,7 +818,7 @@ class GameClass {
             
             // Set human player's igloo position if the method exists
             if (GameClass.player && typeof GameClass.player.setIglooPosition === 'function') {
-                GameClass.player.setIglooPosition(positions[0]);
+                GameClass.player.setIglooPosition(GameClass.getIglooPosition(0));
             }
             
             console.log('AI players created successfully!');
@@ -515,6 +874,10 @@ class GameClass {
         GameClass.camera.updateProjectionMatrix();
         GameClass.renderer.setSize(window.innerWidth, window.innerHeight);
         
+        if (GameClass.editor) {
+            GameClass.editor.updateFrustum();
+        }
+        
         console.log('Window resize handled successfully');
     }
     
@@ -541,14 +904,19 @@ class GameClass {
                 GameClass.update(deltaTime);
             }
             
+            // Hear the world from the camera
+            if (GameClass.audio) {
+                GameClass.audio.updateListener(GameClass.camera);
+            }
+            
             // Verify all required objects exist before rendering
             if (!GameClass.renderer || !GameClass.scene || !GameClass.camera) {
                 console.warn('Missing required objects for rendering');
                 return;
             }
             
-            // Render scene
-            GameClass.renderer.render(GameClass.scene, GameClass.camera);
+            // Render scene (from above while a map is being edited)
+            GameClass.renderer.render(GameClass.scene, GameClass.editor ? GameClass.editor.camera : GameClass.camera);
         } catch (error) {
             console.error('Error in animation loop:', error);
         }
@@ -559,6 +927,7 @@ class GameClass {
      * @param {THREE.Vector3} position - Position for the igloo
      * @param {number} entranceDirection - Direction the entrance should face
      * @param {string} ownerId - ID of the player who owns this igloo
+     * @returns {Igloo|undefined} The new igloo, or undefined if it couldn't be created
      */
     static createIgloo(position, entranceDirection, ownerId) {
         try {
@@ -570,12 +939,18 @@ class GameClass {
             
             // Find the player's color based on their ID
             let playerColor;
+            const owner = GameClass.getPlayerById(ownerId);
             
+            // Team igloos use the team color
+            if (owner && owner.teamColor !== null) {
+                playerColor = owner.teamColor;
+                console.log(`Using team color for ${ownerId}'s igloo: ${playerColor.toString(16)}`);
+            }
             // Check if this is the human player's igloo
-            if (ownerId === 'player' && GameClass.player && GameClass.player.mesh) {
+            else if (ownerId === 'player' && GameClass.player && GameClass.player.mesh) {
                 playerColor = GameClass.player.mesh.material.color.getHex();
                 console.log(`Using human player's actual color: ${playerColor.toString(16)}`);
-            } 
+            }
             // Check if this is an AI player's igloo
             else if (ownerId.includes('ai-') && GameClass.aiPlayers) {
                 // Find the AI player with this ID
@@ -595,70 +970,128 @@ class GameClass {
                 playerColor = 0xEEEEEE;
             }
             
+            // Teammates share the igloo
+            const teamId = owner ? owner.teamId : null;
+            const body = new SimIgloo(position, entranceDirection, ownerId, teamId);
+            if (GameClass.world) {
+                GameClass.world.addIgloo(body);
+            }
+            
             // Create the igloo with the player's color
-            const igloo = new window.Igloo(GameClass.scene, position, entranceDirection, ownerId, playerColor);
+            const igloo = new window.Igloo(GameClass.scene, body, playerColor);
             console.log(`Creating igloo for player ${ownerId} with color ${playerColor.toString(16)}`);
             
-            // Register with physics if available
-            if (GameClass.physics) {
-                igloo.registerWithPhysics(GameClass.physics);
-            }
-            
             // Add to igloos array
             GameClass.igloos.push(igloo);
             
             console.log(`Igloo created at position (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
+            return igloo;
         } catch (error) {
             console.error('Error creating igloo:', error);
         }
     }
     
     /**
-     * Update game state
-     * @param {number} deltaTime - Time since last update in seconds
+     * Remove an igloo from the simulation and the scene
+     * @param {Igloo} igloo - Igloo to remove
      */
-    static update(deltaTime) {
+    static removeIgloo(igloo) {
+        if (GameClass.world) {
+            GameClass.world.removeIgloo(igloo.body);
+        }
+        igloo.remove();
+        
+        const index = GameClass.igloos.indexOf(igloo);
+        if (index !== -1) {
+            GameClass.igloos.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Create the igloos for the current game mode
+     * In team modes each team shares one igloo, owned by its first member
+     */
+    static createIgloos() {
+        if (!GameClass.isTeamMode) {
+            GameClass.createIgloo(GameClass.getIglooPosition(0), 0, GameClass.player.id);
+            return;
+        }
+        
+        for (const team of GameClass.teams) {
+            const owner = GameClass.players.find(player => player.teamId === team.id);
+            if (owner) {
+                GameClass.createIgloo(team.iglooPosition, 0, owner.id);
+            }
+        }
+    }
+    
+    /**
+     * Create the diamond garden at the center of the map and seed its initial diamonds
+     */
+    static createDiamondGarden() {
         try {
-            // Verify physics exists
-            if (!GameClass.physics) {
-                console.warn('Physics system is not initialized');
+            // Check if DiamondGarden class is available
+            if (typeof DiamondGarden !== 'function') {
+                console.error('DiamondGarden class is not defined');
                 return;
             }
             
-            // Update physics
-            GameClass.physics.update(deltaTime);
+            // Remove any existing garden first
+            if (GameClass.diamondGarden) {
+                GameClass.diamondGarden.remove();
+            }
+            
+            GameClass.diamondGarden = new DiamondGarden(GameClass.scene, GameClass.map.arena);
+            GameClass.world.resetDiamonds();
             
-            // Update player
-            if (GameClass.player && GameClass.player.isAlive) {
-                GameClass.player.update(deltaTime);
+            console.log(`Diamond garden created with ${GameClass.diamonds.length} diamonds`);
+        } catch (error) {
+            console.error('Error creating diamond garden:', error);
+        }
+    }
+    
+    /**
+     * Update game state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    static update(deltaTime) {
+        try {
+            // Verify the simulation exists
+            if (!GameClass.world) {
+                console.warn('Simulation is not initialized');
+                return;
             }
             
-            // Update AI players
-            if (!GameClass.aiPlayers) {
-                GameClass.aiPlayers = [];
-                console.log('Initialized aiPlayers array');
+            // In network games the server runs the simulation; the client predicts and mirrors it
+            if (GameClass.network) {
+                GameClass.network.update(deltaTime);
+                return;
             }
             
-            for (const ai of GameClass.aiPlayers) {
-                if (ai && ai.isAlive) {
-                    ai.update(deltaTime);
+            // Replays re-simulate a recorded round at their own pace
+            if (GameClass.replay) {
+                GameClass.replay.update(deltaTime);
+                GameClass.updateViews(deltaTime, GameClass.world.alpha);
+                
+                if (GameClass.ui) {
+                    GameClass.ui.updateReplayHud(GameClass.replay.getStatus());
+                    GameClass.ui.updateMinimap(GameClass.world, GameClass.player.body, GameClass.world.getStormStatus());
                 }
+                return;
             }
             
-            // Update snowballs
-            if (!GameClass.snowballs) {
-                GameClass.snowballs = [];
-                console.log('Initialized snowballs array');
+            // Pass the camera direction to the simulation, then advance it in fixed steps
+            if (GameClass.player && GameClass.player.isAlive) {
+                GameClass.player.updateInput();
             }
+            GameClass.world.advance(deltaTime);
             
-            for (let i = GameClass.snowballs.length - 1; i >= 0; i--) {
-                const snowball = GameClass.snowballs[i];
-                if (snowball) {
-                    snowball.update(deltaTime);
-                }
-            }
+            // Views render between the last two ticks
+            GameClass.updateViews(deltaTime, GameClass.world.alpha);
+            
+            GameClass.updateFrameHud();
             
-            // Update time remaining (still needed for game logic but not displayed)
+            // Count down the time limit shown on the HUD
             if (typeof GameClass.timeRemaining === 'number') {
                 GameClass.timeRemaining -= deltaTime;
                 
@@ -673,53 +1106,194 @@ class GameClass {
     }
     
     /**
-     * End the game or round
-     * @param {boolean} finalGame - Whether this is the final game or just a round
+     * Refresh the HUD readouts that change every frame - throw charge, safe zone protection, power-up timers,
+     * the weather warning, the wind, the time left, the storm, the King of the Hill capture bar and the minimap
      */
-    static endGame(finalGame = false) {
-        GameClass.isRunning = false;
-        GameClass.isRoundOver = true;
+    static updateFrameHud() {
+        const player = GameClass.player;
+        if (!player || !GameClass.ui) return;
         
-        // Determine winner based on who's still alive
-        let winner = null;
-        let alivePlayers = 0;
+        const stormStatus = GameClass.world.getStormStatus();
+        GameClass.ui.updateMatchTime(GameClass.timeRemaining);
+        GameClass.ui.updateStorm(stormStatus, player.isAlive && GameClass.world.isInStorm(player.position));
+        GameClass.ui.updateHill(GameClass.world.getHillStatus(), player.body);
+        GameClass.ui.updateMinimap(GameClass.world, player.body, stormStatus);
+        GameClass.ui.updateWeather(GameClass.world.getWeatherStatus());
+        GameClass.ui.updateWind(GameClass.world.wind, GameClass.camera);
+        GameClass.ui.updateChargeMeter(player.body);
+        GameClass.ui.updateProtectionTimer(player.isAlive ? player.body.getProtectionStatus() : null);
+        GameClass.ui.updatePowerUps(player.isAlive ? player.body.getPowerUpStatus() : []);
+    }
+    
+    /**
+     * Update the views of players, snowballs and diamonds from the simulation
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} alpha - How far between the last two simulation ticks to draw (0-1)
+     */
+    static updateViews(deltaTime, alpha) {
+        // Update player
+        if (GameClass.player && GameClass.player.isAlive) {
+            GameClass.player.update(deltaTime, alpha);
+        }
         
-        if (GameClass.player.isAlive) {
-            winner = GameClass.player;
-            alivePlayers++;
+        // Update AI players
+        if (!GameClass.aiPlayers) {
+            GameClass.aiPlayers = [];
+            console.log('Initialized aiPlayers array');
         }
         
         for (const ai of GameClass.aiPlayers) {
-            if (ai.isAlive) {
-                winner = ai;
-                alivePlayers++;
+            if (ai && ai.isAlive) {
+                ai.update(deltaTime, alpha);
             }
         }
         
-        // If player is the only one alive, they win the round
-        if (alivePlayers === 1 && winner === GameClass.player) {
-            if (finalGame) {
-                GameClass.ui.showGameOver(true);
-            } else {
-                // Show round completion UI with upgrade options
-                GameClass.completeRound(true);
+        // Update snowballs
+        if (!GameClass.snowballs) {
+            GameClass.snowballs = [];
+            console.log('Initialized snowballs array');
+        }
+        
+        for (let i = GameClass.snowballs.length - 1; i >= 0; i--) {
+            const snowball = GameClass.snowballs[i];
+            if (snowball) {
+                snowball.update(deltaTime, alpha);
             }
-        } 
-        // If player is dead, they lose
-        else if (!GameClass.player.isAlive) {
-            GameClass.ui.showGameOver(false);
         }
-        // If time ran out, determine winner by score
-        else if (GameClass.timeRemaining <= 0) {
-            // Get all players
-            const allPlayers = [GameClass.player, ...GameClass.aiPlayers];
-            
-            // Sort by score
-            allPlayers.sort((a, b) => b.score - a.score);
-            
-            // Player wins if they have the highest score
-            const isWinner = allPlayers[0] === GameClass.player;
-            if (finalGame) {
+        
+        // Crack or collapse igloos to match their health
+        for (const igloo of GameClass.igloos) {
+            igloo.update();
+        }
+        
+        // Update diamond garden (diamond animation)
+        if (GameClass.diamondGarden) {
+            GameClass.diamondGarden.update(deltaTime);
+        }
+        
+        for (const view of GameClass.powerUpViews.values()) {
+            view.update(deltaTime);
+        }
+        
+        // Keep the snowfall falling around the camera, blown by the wind
+        if (GameClass.weather) {
+            GameClass.weather.update(deltaTime, GameClass.camera.position, GameClass.world.wind);
+        }
+        
+        if (GameClass.storm) {
+            GameClass.storm.update(GameClass.world.getStormStatus());
+        }
+        
+        if (GameClass.hill) {
+            GameClass.hill.update(GameClass.world.getHillStatus());
+        }
+        
+        GameClass.updateDaylight(GameClass.getMatchProgress());
+    }
+    
+    /**
+     * How far the round is through its time limit, which sets the time of day
+     * @returns {number} Progress (0 at the start, 1 when time runs out)
+     */
+    static getMatchProgress() {
+        const duration = GameClass.gameDuration;
+        if (!duration) return 0;
+        
+        // Replays don't run the round clock, but every round starts with the full time limit
+        if (GameClass.replay) {
+            const status = GameClass.replay.getStatus();
+            return status.tick * status.timeStep / duration;
+        }
+        return 1 - GameClass.timeRemaining / duration;
+    }
+    
+    /**
+     * Time the storm closes in over in storm mode - the whole time limit
+     * @returns {number|null} Duration in milliseconds, or null when storm mode is off
+     */
+    static getStormDuration() {
+        return GameClass.stormMode ? GameClass.gameDuration * 1000 : null;
+    }
+    
+    /**
+     * Move the sun for the time of day, light the scene to match and light up the igloos after dark
+     * Does nothing while the day/night cycle is off
+     * @param {number} progress - How far the round is through its time limit (0-1)
+     */
+    static updateDaylight(progress) {
+        if (!GameClass.dayNightCycle || !GameClass.dayNight) return;
+        
+        const daylight = GameClass.dayNight.update(progress);
+        if (GameClass.weather) {
+            GameClass.weather.setDaylight(daylight);
+        }
+        for (const igloo of GameClass.igloos) {
+            igloo.setNightLevel(daylight.night);
+        }
+    }
+    
+    /**
+     * End the game or round
+     * @param {boolean} finalGame - Whether this is the final game or just a round
+     */
+    static endGame(finalGame = false) {
+        GameClass.isRunning = false;
+        GameClass.isRoundOver = true;
+        
+        if (GameClass.isKingOfTheHill) {
+            GameClass.endKingOfTheHillGame(finalGame);
+        } else if (GameClass.isTeamMode) {
+            GameClass.endTeamGame(finalGame);
+        } else {
+            GameClass.endFreeForAllGame(finalGame);
+        }
+        
+        // Unlock pointer
+        GameClass.controls.unlock();
+    }
+    
+    /**
+     * End a free-for-all game or round
+     * @param {boolean} finalGame - Whether this is the final game or just a round
+     */
+    static endFreeForAllGame(finalGame) {
+        // Determine winner based on who's still alive
+        let winner = null;
+        let alivePlayers = 0;
+        
+        if (GameClass.player.isAlive) {
+            winner = GameClass.player;
+            alivePlayers++;
+        }
+        
+        for (const ai of GameClass.aiPlayers) {
+            if (ai.isAlive) {
+                winner = ai;
+                alivePlayers++;
+            }
+        }
+        
+        // If player is the only one alive, they win the round
+        if (alivePlayers === 1 && winner === GameClass.player) {
+            if (finalGame) {
+                GameClass.ui.showGameOver(true);
+            } else {
+                // Show round completion UI with upgrade options
+                GameClass.completeRound(true);
+            }
+        }
+        // If player is dead, they lose
+        else if (!GameClass.player.isAlive) {
+            GameClass.ui.showGameOver(false);
+        }
+        // If time ran out, the highest score among the players still standing wins, with health breaking a tie
+        else if (GameClass.timeRemaining <= 0) {
+            const standingPlayers = [GameClass.player, ...GameClass.aiPlayers].filter(player => player.isAlive);
+            standingPlayers.sort((a, b) => b.score - a.score || b.health - a.health);
+            
+            // Player wins if they come out on top
+            const isWinner = standingPlayers[0] === GameClass.player;
+            if (finalGame) {
                 GameClass.ui.showGameOver(isWinner);
             } else if (isWinner) {
                 // Show round completion UI with upgrade options
@@ -729,13 +1303,56 @@ class GameClass {
                 GameClass.ui.showGameOver(false);
             }
         }
+    }
+    
+    /**
+     * End a team game or round
+     * The last team standing wins; if time runs out, the team with the highest combined score wins
+     * (or, on equal scores, the one with the most health left)
+     * @param {boolean} finalGame - Whether this is the final game or just a round
+     */
+    static endTeamGame(finalGame) {
+        const aliveTeams = GameClass.getAliveTeams();
+        let winningTeam = aliveTeams.length === 1 ? aliveTeams[0] : null;
         
-        // Unlock pointer
-        GameClass.controls.unlock();
+        if (aliveTeams.length > 1) {
+            // Time ran out with several teams standing, so compare scores, then health
+            const compareTeams = (a, b) => GameClass.getTeamScore(a) - GameClass.getTeamScore(b) ||
+                GameClass.getTeamHealth(a) - GameClass.getTeamHealth(b);
+            winningTeam = aliveTeams.reduce((best, teamId) => (compareTeams(teamId, best) > 0 ? teamId : best));
+        }
+        
+        const playerWon = winningTeam !== null && winningTeam === GameClass.player.teamId;
+        console.log(`Team round over. Winner: ${winningTeam !== null ? GameClass.teams[winningTeam].name : 'none'}`);
+        
+        if (playerWon && !finalGame) {
+            // Show round completion UI with upgrade options
+            GameClass.completeRound(true);
+        } else {
+            GameClass.ui.showGameOver(playerWon);
+        }
     }
     
     /**
-     * Check if round is over (only one player left)
+     * End a King of the Hill game or round
+     * The player with the most hill points wins - whoever reached the target, or the leader when time ran out
+     * @param {boolean} finalGame - Whether this is the final game or just a round
+     */
+    static endKingOfTheHillGame(finalGame) {
+        const leader = GameClass.world.getHillLeader();
+        const playerWon = leader === GameClass.player.body;
+        console.log(`King of the Hill round over. Winner: ${leader ? leader.id : 'none'}`);
+        
+        if (playerWon && !finalGame) {
+            // Show round completion UI with upgrade options
+            GameClass.completeRound(true);
+        } else {
+            GameClass.ui.showGameOver(playerWon);
+        }
+    }
+    
+    /**
+     * Check if round is over (only one player, or one team, left - or in King of the Hill, someone reached the target score)
      */
     static checkGameOver() {
         // If round is already over, don't check again
@@ -743,6 +1360,26 @@ class GameClass {
             return;
         }
         
+        // If we're at a very high round (e.g., 10+), consider it the final game
+        const isFinalGame = GameClass.currentRound >= 10;
+        
+        // Eliminated players come back in King of the Hill, so only the target score ends the round early
+        if (GameClass.isKingOfTheHill) {
+            const leader = GameClass.world.getHillLeader();
+            if (leader && leader.hillPoints >= GAME_CONSTANTS.KING_OF_THE_HILL.TARGET_SCORE) {
+                GameClass.endGame(isFinalGame);
+            }
+            return;
+        }
+        
+        // In team modes, the round ends when only one team has players standing
+        if (GameClass.isTeamMode) {
+            if (GameClass.getAliveTeams().length <= 1) {
+                GameClass.endGame(isFinalGame);
+            }
+            return;
+        }
+        
         let alivePlayers = 0;
         
         if (GameClass.player.isAlive) {
@@ -757,8 +1394,6 @@ class GameClass {
         
         // If only one player is left, end the round
         if (alivePlayers <= 1) {
-            // If we're at a very high round (e.g., 10+), consider it the final game
-            const isFinalGame = GameClass.currentRound >= 10;
             GameClass.endGame(isFinalGame);
         }
     }
@@ -822,10 +1457,9 @@ class GameClass {
         GameClass.clearGameObjectsExceptPlayer();
         
         // Reset player position and stats
-        const positions = Utils.calculateIglooPositions(GAME_CONSTANTS.NUM_AI_PLAYERS + 1);
-        if (positions.length > 0) {
-            const iglooPosition = positions[0];
-            GameClass.player.position.set(iglooPosition.x, 1, iglooPosition.z);
+        const spawnPosition = GameClass.getSpawnPosition(0);
+        if (spawnPosition) {
+            GameClass.player.position.set(spawnPosition.x, 1, spawnPosition.z);
             
             // Reset player's snowball count
             GameClass.player.snowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
@@ -837,15 +1471,10 @@ class GameClass {
             }
             
             console.log(`Reset player's snowball count to ${GameClass.player.snowballCount}`);
-            
-            // Create igloo for human player
-            setTimeout(() => {
-                GameClass.createIgloo(iglooPosition, 0, GameClass.player.id);
-            }, 100);
         }
         
-        // Create AI players with increased difficulty
-        GameClass.createAIPlayersWithDifficulty();
+        // Create AI players with increased difficulty, then the igloos
+        GameClass.populateRound();
         
         // Reset time remaining
         GameClass.timeRemaining = GameClass.gameDuration;
@@ -869,6 +1498,20 @@ class GameClass {
         console.log(`Round ${GameClass.currentRound} started with difficulty multiplier ${GameClass.difficultyMultiplier.toFixed(1)}`);
     }
     
+    /**
+     * Create the round's AI players and igloos
+     * A round's recording starts here: the state up to this point plus the random streams are enough to re-simulate the rest
+     */
+    static populateRound() {
+        if (!GameClass.replay) {
+            GameClass.startRecording();
+        }
+        
+        GameClass.createAIPlayersWithDifficulty();
+        GameClass.createIgloos();
+        GameClass.updateIglooHud();
+    }
+    
     /**
      * Create AI players with increased difficulty based on current round
      */
@@ -899,8 +1542,8 @@ class GameClass {
                     ai.cleanup();
                 }
                 
-                // Unregister from physics system
-                GameClass.physics.unregisterCollider(ai, 'players');
+                // Remove from the simulation
+                GameClass.world.removePlayer(ai.body);
                 
                 // Remove from scene if cleanup method doesn't handle it
                 if (ai.mesh && ai.mesh.parent) {
@@ -911,34 +1554,38 @@ class GameClass {
         GameClass.aiPlayers = [];
         
         // Remove snowballs
-        for (const snowball of GameClass.snowballs) {
-            if (snowball) {
-                GameClass.physics.unregisterCollider(snowball, 'snowballs');
-                GameClass.scene.remove(snowball.mesh);
-            }
-        }
-        GameClass.snowballs = [];
+        GameClass.world.clearSnowballs();
         
         // Remove igloos
-        for (const igloo of GameClass.igloos) {
-            if (igloo && typeof igloo.remove === 'function') {
-                igloo.remove();
-            }
+        for (const igloo of [...GameClass.igloos]) {
+            GameClass.removeIgloo(igloo);
         }
-        GameClass.igloos = [];
+        
+        // Reset diamonds, power-ups, the weather, the wind, the storm and the King of the Hill zone for the new round
+        GameClass.world.resetDiamonds();
+        GameClass.world.resetPowerUps();
+        GameClass.world.startWeather(GameClass.weatherSetting);
+        GameClass.world.startWind();
+        GameClass.world.startStorm(GameClass.getStormDuration());
+        GameClass.world.startHill(GameClass.isKingOfTheHill);
         
         // Reset player state but keep the player object
         if (GameClass.player) {
+            // Bring the player back if they were eliminated but their team won the round
+            GameClass.player.revive();
+            
             // Reset player health
             GameClass.player.health = GAME_CONSTANTS.PLAYER.MAX_HEALTH;
             // Update UI
             if (GameClass.ui) {
                 GameClass.ui.updateHealth(GameClass.player.health);
             }
-            // Reset snowball count
+            // Reset snowball count and refill the special snowballs
             GameClass.player.snowballCount = GAME_CONSTANTS.PLAYER.INITIAL_SNOWBALLS;
+            GameClass.player.body.resetSnowballTypes();
             if (GameClass.ui) {
-                GameClass.ui.updateSnowballCount(GameClass.player.snowballCount, GameClass.player.maxSnowballs);
+                GameClass.ui.updateSnowballCount(GameClass.player.snowballCount, GameClass.player.maxSnowballCount);
+                GameClass.ui.updateSnowballTypes(GameClass.player.body);
             }
         }
     }
@@ -965,24 +1612,47 @@ class GameClass {
     static clearGameObjects() {
         // Remove player
         if (GameClass.player) {
-            GameClass.physics.unregisterCollider(GameClass.player, 'players');
-            GameClass.scene.remove(GameClass.player.mesh);
+            GameClass.world.removePlayer(GameClass.player.body);
+            GameClass.player.remove();
             GameClass.player = null;
         }
         
         // Remove AI players
         for (const ai of GameClass.aiPlayers) {
-            GameClass.physics.unregisterCollider(ai, 'players');
-            GameClass.scene.remove(ai.mesh);
+            if (typeof ai.cleanup === 'function') {
+                ai.cleanup();
+            }
+            GameClass.world.removePlayer(ai.body);
+            ai.remove();
         }
         GameClass.aiPlayers = [];
         
         // Remove snowballs
-        for (const snowball of GameClass.snowballs) {
-            GameClass.physics.unregisterCollider(snowball, 'snowballs');
-            GameClass.scene.remove(snowball.mesh);
+        GameClass.world.clearSnowballs();
+        
+        // Remove igloos
+        for (const igloo of [...GameClass.igloos]) {
+            GameClass.removeIgloo(igloo);
+        }
+        
+        // Remove diamond garden
+        if (GameClass.diamondGarden) {
+            GameClass.diamondGarden.remove();
+            GameClass.diamondGarden = null;
+        }
+        
+        // Remove power-ups
+        GameClass.world.resetPowerUps();
+        
+        // Calm the storm and clear the King of the Hill zone until the next match sets them up
+        GameClass.world.startStorm();
+        GameClass.world.startHill();
+        if (GameClass.storm) {
+            GameClass.storm.update(null);
+        }
+        if (GameClass.hill) {
+            GameClass.hill.update(null);
         }
-        GameClass.snowballs = [];
     }
     
     /**
@@ -1006,10 +1676,873 @@ class GameClass {
                 GameClass.gameDuration = GAME_CONSTANTS.GAME_DURATIONS.SHORT;
         }
         
-        // Set time remaining for game logic (no UI update needed as we removed time display)
         GameClass.timeRemaining = GameClass.gameDuration;
     }
     
+    /**
+     * Set game mode
+     * @param {string} mode - Mode option from the start menu ('ffa', '2v2', '3v3' or 'koth')
+     */
+    static setMode(mode) {
+        console.log(`Setting game mode to ${mode}`);
+        
+        switch (mode) {
+            case '2v2':
+                GameClass.gameMode = 'TEAMS_2V2';
+                break;
+            case '3v3':
+                GameClass.gameMode = 'TEAMS_3V3';
+                break;
+            case 'koth':
+                GameClass.gameMode = 'KING_OF_THE_HILL';
+                break;
+            default:
+                GameClass.gameMode = 'FFA';
+        }
+    }
+    
+    /**
+     * Turn friendly fire on or off for team modes
+     * @param {boolean} enabled - Whether snowballs can hit teammates
+     */
+    static setFriendlyFire(enabled) {
+        console.log(`Setting friendly fire to ${enabled}`);
+        GameClass.friendlyFire = enabled;
+        
+        if (GameClass.world) {
+            GameClass.world.friendlyFire = enabled;
+        }
+    }
+    
+    /**
+     * Pick the weather for matches
+     * @param {string} weather - Weather option from the start menu ('changing', or a weather type such as 'blizzard')
+     */
+    static setWeather(weather) {
+        console.log(`Setting weather to ${weather}`);
+        GameClass.weatherSetting = weather;
+    }
+    
+    /**
+     * Turn the day/night cycle on or off
+     * @param {boolean} enabled - Whether the day turns to night over the time limit
+     */
+    static setDayNightCycle(enabled) {
+        console.log(`Setting day/night cycle to ${enabled}`);
+        GameClass.dayNightCycle = enabled;
+        
+        // Back to a clear midday with the igloo lamps off
+        if (!enabled && GameClass.dayNight) {
+            const daylight = GameClass.dayNight.reset();
+            if (GameClass.weather) {
+                GameClass.weather.setDaylight(daylight);
+            }
+            for (const igloo of GameClass.igloos) {
+                igloo.setNightLevel(0);
+            }
+        }
+    }
+    
+    /**
+     * Turn storm mode on or off
+     * @param {boolean} enabled - Whether a storm closes in on a shrinking safe circle over the time limit
+     */
+    static setStormMode(enabled) {
+        console.log(`Setting storm mode to ${enabled}`);
+        GameClass.stormMode = enabled;
+    }
+    
+    /**
+     * Replace the generated terrain with one read from a heightmap image, kept for every match from then on
+     * @param {string} url - Image URL
+     * @returns {Promise} Resolves once the terrain is in place (or failed to load, which leaves the generated terrain)
+     */
+    static loadHeightmap(url) {
+        console.log(`Loading heightmap ${url}`);
+        return Terrain.loadImage(url)
+            .then(terrain => {
+                GameClass.map.setTerrain(terrain, GameClass.world);
+                console.log(`Loaded heightmap ${url}`);
+            })
+            .catch(error => {
+                console.warn(`${error.message}, keeping the generated terrain`);
+            });
+    }
+    
+    /**
+     * Pick the arena for matches
+     * @param {string} mapId - Map option from the start menu - 'classic', or the name of a map file in maps/
+     * @returns {Promise} Resolves once the map is built (or failed to load, which keeps the current map)
+     */
+    static setMap(mapId) {
+        console.log(`Setting map to ${mapId}`);
+        GameClass.editedMap = null; // The editor starts over from the picked map
+        if (mapId === 'classic') {
+            GameClass.applyMap(null);
+            return Promise.resolve();
+        }
+        
+        return MapLoader.load(`maps/${mapId}.json`)
+            .then(map => GameClass.applyMap(map))
+            .catch(error => {
+                console.error(`Error loading map ${mapId}:`, error);
+                Utils.showMessage(`Cannot load map: ${error.message}`, 3000);
+            });
+    }
+    
+    /**
+     * Load a map from a JSON file and play on it
+     * @param {File} file - Map file chosen by the player
+     */
+    static importMap(file) {
+        file.text()
+            .then(text => {
+                GameClass.applyMap(MapLoader.parse(text));
+                GameClass.editedMap = null; // The editor starts over from the imported map
+            })
+            .catch(error => {
+                console.error('Error importing map:', error);
+                Utils.showMessage(`Cannot load map: ${error.message}`, 3000);
+            });
+    }
+    
+    /**
+     * Build the arena from a map, on top of the classic arena's constants
+     * @param {Object|null} map - Map that passed MapLoader.validate, or null for the classic arena
+     */
+    static applyMap(map) {
+        Utils.assignConstants(GAME_CONSTANTS, GameClass.defaultConstants);
+        if (map) {
+            Utils.assignConstants(GAME_CONSTANTS, MapLoader.toConstants(map));
+        }
+        GameClass.mapData = map;
+        GameClass.rebuildMap();
+        
+        // Network games play on the server's terrain, which is always generated
+        if (GAME_CONSTANTS.TERRAIN.HEIGHTMAP && !GameClass.network) {
+            GameClass.loadHeightmap(GAME_CONSTANTS.TERRAIN.HEIGHTMAP);
+        }
+        
+        const name = map ? map.name : 'Classic';
+        console.log(`Map: ${name} (${GAME_CONSTANTS.NUM_AI_PLAYERS + 1} players)`);
+        if (GameClass.ui) {
+            GameClass.ui.updateMapInfo(name, map ? map.description : null);
+        }
+    }
+    
+    /**
+     * Replace the map with a new one built from the current constants, along with the views that depend on it
+     * (the weather and day/night views light it, and the storm, the King of the Hill zone and the diamond garden stand in it)
+     */
+    static rebuildMap() {
+        if (!GameClass.map || typeof GameClass.map.remove !== 'function') {
+            return;
+        }
+        
+        GameClass.map.remove();
+        GameClass.map = new GameMap(GameClass.scene);
+        if (GameClass.world) {
+            GameClass.world.setArena(GameClass.map.arena);
+        }
+        
+        if (GameClass.weather) {
+            GameClass.weather.remove();
+            GameClass.weather = new Weather(GameClass.scene, GameClass.map);
+        }
+        if (GameClass.dayNight) {
+            GameClass.dayNight = new DayNight(GameClass.map);
+        }
+        if (GameClass.storm) {
+            GameClass.storm.remove();
+            GameClass.storm = new Storm(GameClass.scene, GameClass.map.arena);
+        }
+        if (GameClass.hill) {
+            GameClass.hill.remove();
+            GameClass.hill = new Hill(GameClass.scene, GameClass.map.arena);
+        }
+        if (GameClass.diamondGarden) {
+            GameClass.diamondGarden.remove();
+            GameClass.diamondGarden = new DiamondGarden(GameClass.scene, GameClass.map.arena);
+        }
+    }
+    
+    /**
+     * Open the map editor over the arena, from the start menu or after a playtest
+     * @param {Object} map - Map to edit (defaults to the last one edited, or else the map picked on the start menu)
+     */
+    static openEditor(map = GameClass.editedMap || MapEditor.createMap(GameClass.mapData, GameClass.map.arena)) {
+        if (GameClass.editor) return;
+        
+        if (GameClass.ui) {
+            GameClass.ui.showEditorHud();
+        }
+        
+        GameClass.editor = new MapEditor(map, GameClass.scene, GameClass.renderer.domElement, {
+            onMapChange: edited => GameClass.previewEditedMap(edited),
+            onStatusChange: status => GameClass.ui && GameClass.ui.updateEditorHud(status)
+        });
+        GameClass.editor.start();
+        console.log(`Editing map ${map.name}`);
+    }
+    
+    /**
+     * Rebuild the arena from the map being edited, just as a match on it would be built
+     * @param {Object} map - Map being edited (it may not pass MapLoader.validate yet, but is always well formed)
+     * @returns {GameMap} The rebuilt map
+     */
+    static previewEditedMap(map) {
+        // The same seed every time, so the hills stay put while the map is edited
+        Utils.setRandomSeed(GAME_CONSTANTS.MAP_EDITOR.PREVIEW_SEED);
+        GameClass.applyMap(map);
+        return GameClass.map;
+    }
+    
+    /**
+     * Load a map file into the editor (a map that scatters its obstacles gets the ones it is first built with)
+     * @param {File} file - Map file chosen by the player
+     */
+    static importEditorMap(file) {
+        file.text()
+            .then(text => {
+                const map = MapLoader.parse(text);
+                GameClass.previewEditedMap(map);
+                GameClass.editor.load(MapEditor.createMap(map, GameClass.map.arena));
+            })
+            .catch(error => {
+                console.error('Error importing map:', error);
+                Utils.showMessage(`Cannot load map: ${error.message}`, 3000);
+            });
+    }
+    
+    /**
+     * Save the map being edited as a JSON file, once it is a map that can be played
+     */
+    static exportEditedMap() {
+        const map = GameClass.editor.map;
+        const problem = MapLoader.validate(map);
+        if (problem) {
+            Utils.showMessage(`Cannot export map: ${problem}`, 3000);
+            return;
+        }
+        
+        const fileName = map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') || 'map';
+        const blob = new Blob([JSON.stringify(map, null, 4)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${fileName}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * Leave the editor and start a match on the edited map, with the options picked on the start menu
+     */
+    static playtestEditedMap() {
+        const problem = MapLoader.validate(GameClass.editor.map);
+        if (problem) {
+            Utils.showMessage(`Cannot playtest: ${problem}`, 3000);
+            return;
+        }
+        
+        // The arena is already built from the map
+        GameClass.closeEditor(false);
+        if (GameClass.ui) {
+            GameClass.ui.toggleEditorReturn(true);
+        }
+        GameClass.start();
+    }
+    
+    /**
+     * Stop a playtest and go back to editing the map
+     */
+    static returnToEditor() {
+        GameClass.isRunning = false;
+        GameClass.clearGameObjects();
+        
+        if (GameClass.controls && GameClass.controls.isLocked) {
+            GameClass.controls.unlock();
+        }
+        if (GameClass.ui) {
+            GameClass.ui.hideGameOverMenu();
+            GameClass.ui.hideUpgradeMenu();
+            GameClass.ui.toggleEditorReturn(false);
+        }
+        
+        GameClass.openEditor(GameClass.editedMap);
+    }
+    
+    /**
+     * Close the editor and go back to the start menu
+     * The edited map is picked for matches if it can be played, otherwise it's back to the classic arena
+     */
+    static exitEditor() {
+        GameClass.closeEditor(true);
+        
+        const problem = MapLoader.validate(GameClass.editedMap);
+        if (problem) {
+            // Keep the unfinished map for the next time the editor is opened
+            Utils.showMessage(`${GameClass.editedMap.name} can't be played yet (${problem}), so the classic arena is picked`, 4000);
+            GameClass.applyMap(null);
+        }
+        if (GameClass.ui) {
+            GameClass.ui.selectMapOption(problem ? 'classic' : null);
+        }
+    }
+    
+    /**
+     * Stop the editor, keeping its map to come back to
+     * @param {boolean} returnToMenu - Whether to show the start menu again (false when a playtest starts)
+     */
+    static closeEditor(returnToMenu) {
+        if (!GameClass.editor) return;
+        
+        GameClass.editedMap = GameClass.editor.map;
+        GameClass.editor.stop();
+        GameClass.editor = null;
+        
+        if (GameClass.ui) {
+            GameClass.ui.hideEditorHud(returnToMenu);
+        }
+    }
+    
+    /**
+     * Seed the random streams for a new match and lay out the terrain and obstacles from them,
+     * so everything from the hills to the AI's decisions follows from the seed
+     */
+    static seedMatch() {
+        GameClass.seed = Utils.setRandomSeed(GameClass.requestedSeed !== null ? GameClass.requestedSeed : Random.createSeed());
+        console.log(`Match seed: ${GameClass.seed}`);
+        
+        if (GameClass.map && GameClass.world) {
+            GameClass.map.regenerateLayout(GameClass.world);
+        }
+    }
+    
+    /**
+     * Start recording the round that is about to be populated
+     */
+    static startRecording() {
+        if (GameClass.recorder) {
+            GameClass.recorder.stop();
+            GameClass.recorder = null;
+        }
+        
+        if (typeof ReplayRecorder !== 'function' || !GameClass.player) {
+            return;
+        }
+        
+        const settings = {
+            gameMode: GameClass.gameMode,
+            friendlyFire: GameClass.friendlyFire,
+            difficultyMultiplier: GameClass.difficultyMultiplier,
+            round: GameClass.currentRound,
+            gameDuration: GameClass.gameDuration
+        };
+        
+        GameClass.recorder = new ReplayRecorder(GameClass.world, GameClass.player.body, settings,
+            GameClass.map.getObstacleLayout(), GameClass.map.getTerrainLayout());
+        GameClass.recorder.start();
+        console.log(`Recording round ${GameClass.currentRound}`);
+    }
+    
+    /**
+     * The replay of the round being (or last) played, or the last replay watched
+     * @returns {Object|null} Recording
+     */
+    static getReplay() {
+        return GameClass.recorder ? GameClass.recorder.getRecording() : GameClass.lastReplay;
+    }
+    
+    /**
+     * Re-simulate a recorded round, with a free-fly camera and playback controls
+     * @param {Object} recording - Recording to watch (defaults to the current round's)
+     */
+    static watchReplay(recording = GameClass.getReplay()) {
+        const problem = recording ? ReplayRecorder.validate(recording) : 'no round has been recorded yet';
+        if (problem) {
+            console.warn(`Cannot play replay: ${problem}`);
+            Utils.showMessage(`Cannot play replay: ${problem}`, 3000);
+            return;
+        }
+        
+        // Stop whatever is running; the recording stays available to watch again or export
+        if (GameClass.recorder) {
+            GameClass.recorder.stop();
+            GameClass.recorder = null;
+        }
+        if (GameClass.replay) {
+            GameClass.replay.stop();
+            GameClass.replay = null;
+        }
+        GameClass.lastReplay = recording;
+        GameClass.clearGameObjects();
+        
+        if (GameClass.ui) {
+            GameClass.ui.showReplayHud();
+        }
+        
+        // Run with the constants the round was recorded with
+        if (!GameClass.savedConstants) {
+            GameClass.savedConstants = JSON.parse(JSON.stringify(GAME_CONSTANTS));
+        }
+        Utils.assignConstants(GAME_CONSTANTS, recording.constants);
+        GameClass.rebuildMap(); // The round may have been played on a different map
+        
+        // Rebuild the round's starting state in a fresh simulation
+        const settings = recording.settings;
+        GameClass.gameMode = settings.gameMode;
+        GameClass.friendlyFire = settings.friendlyFire;
+        GameClass.difficultyMultiplier = settings.difficultyMultiplier;
+        GameClass.currentRound = settings.round;
+        GameClass.gameDuration = settings.gameDuration;
+        GameClass.seed = recording.seed;
+        
+        GameClass.world = new Simulation();
+        GameClass.bindWorldEvents();
+        GameClass.world.friendlyFire = settings.friendlyFire;
+        GameClass.world.time = recording.world.time;
+        GameClass.world.diamondSpawnTimer = recording.world.diamondSpawnTimer;
+        GameClass.world.powerUpSpawnTimer = recording.world.powerUpSpawnTimer;
+        GameClass.world.restoreWeatherState(recording.world.weather);
+        GameClass.world.restoreWindState(recording.world.wind);
+        GameClass.world.restoreStormState(recording.world.storm);
+        GameClass.world.restoreHillState(recording.world.hill);
+        GameClass.map.setTerrain(Terrain.fromLayout(recording.terrain), GameClass.world);
+        GameClass.map.loadObstacleLayout(recording.obstacles, GameClass.world);
+        
+        GameClass.player = new Player('player', GameClass.scene, null, null, true);
+        GameClass.createTeams();
+        GameClass.assignTeam(GameClass.player, 0);
+        ReplayRecorder.restorePlayer(GameClass.player.body, recording.player);
+        GameClass.world.addPlayer(GameClass.player.body);
+        
+        if (GameClass.diamondGarden) {
+            GameClass.diamondGarden.remove();
+        }
+        GameClass.diamondGarden = new DiamondGarden(GameClass.scene, GameClass.map.arena);
+        for (const position of recording.diamonds) {
+            GameClass.world.addDiamond(new THREE.Vector3().fromArray(position));
+        }
+        for (const { position, type, spawnTime } of recording.powerUps) {
+            GameClass.world.addPowerUp(new THREE.Vector3().fromArray(position), type, spawnTime);
+        }
+        
+        // From here on the random draws match the recorded round's
+        Utils.rng.setSeed(recording.seed);
+        Utils.rng.streams = { ...recording.streams };
+        
+        GameClass.replay = new ReplayPlayer(recording, GameClass.world, GameClass.player.body, GameClass.camera);
+        GameClass.populateRound();
+        GameClass.replay.start();
+        
+        GameClass.isRoundOver = false;
+        GameClass.isRunning = true;
+        GameClass.lastUpdateTime = performance.now();
+        GameClass.setupPointerLock();
+        console.log(`Watching replay of round ${settings.round} (seed ${recording.seed}, ${recording.length} ticks)`);
+    }
+    
+    /**
+     * Leave the replay and go back to the menus
+     */
+    static stopReplay() {
+        if (!GameClass.replay) return;
+        
+        GameClass.replay.stop();
+        GameClass.replay = null;
+        GameClass.isRunning = false;
+        GameClass.clearGameObjects();
+        
+        if (GameClass.savedConstants) {
+            Utils.assignConstants(GAME_CONSTANTS, GameClass.savedConstants);
+            GameClass.savedConstants = null;
+            
+            // Back to the map picked on the start menu
+            GameClass.rebuildMap();
+            if (GAME_CONSTANTS.TERRAIN.HEIGHTMAP) {
+                GameClass.loadHeightmap(GAME_CONSTANTS.TERRAIN.HEIGHTMAP);
+            }
+        }
+        
+        if (GameClass.controls && GameClass.controls.isLocked) {
+            GameClass.controls.unlock();
+        }
+        
+        if (GameClass.ui) {
+            GameClass.ui.hideReplayHud();
+        }
+    }
+    
+    /**
+     * Save the current replay as a JSON file
+     */
+    static exportReplay() {
+        const recording = GameClass.getReplay();
+        if (!recording) {
+            Utils.showMessage('No replay to export yet');
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `snowbrawl-replay-${recording.seed}-round-${recording.settings.round}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * Load a replay from a JSON file and watch it
+     * @param {File} file - Replay file chosen by the player
+     */
+    static importReplay(file) {
+        file.text()
+            .then(text => GameClass.watchReplay(JSON.parse(text)))
+            .catch(error => {
+                console.error('Error importing replay:', error);
+                Utils.showMessage('Could not read that replay file', 3000);
+            });
+    }
+    
+    /**
+     * Set the seed for the next match
+     * @param {string|number|null} seed - Seed to replay, or null/blank to pick a fresh one each match
+     */
+    static setSeed(seed) {
+        const text = seed === null ? '' : String(seed).trim();
+        GameClass.requestedSeed = text === '' ? null : text;
+        console.log(`Setting seed to ${GameClass.requestedSeed === null ? 'random' : GameClass.requestedSeed}`);
+    }
+    
+    /**
+     * Listen for simulation events and mirror them into the scene and UI
+     */
+    static bindWorldEvents() {
+        const world = GameClass.world;
+        
+        world.on('snowballThrown', ({ snowball, player }) => {
+            GameClass.snowballs.push(new Snowball(GameClass.scene, snowball));
+            
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateSnowballCount(player.snowballCount, player.maxSnowballCount);
+                GameClass.ui.updateSnowballTypes(player);
+            }
+        });
+        
+        world.on('snowballTypeSelected', ({ player }) => {
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateSnowballTypes(player);
+            }
+        });
+        
+        world.on('snowballHit', ({ snowball }) => {
+            const view = GameClass.getSnowballView(snowball);
+            if (view) {
+                view.hit();
+            }
+        });
+        
+        world.on('snowballRemoved', ({ snowball }) => {
+            const view = GameClass.getSnowballView(snowball);
+            if (view) {
+                view.remove();
+                GameClass.snowballs.splice(GameClass.snowballs.indexOf(view), 1);
+            }
+        });
+        
+        world.on('playerHit', ({ player }) => {
+            const view = GameClass.getPlayerById(player.id);
+            if (view) {
+                view.showHit();
+            }
+            
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateHealth(player.health);
+                GameClass.ui.showHitIndicator();
+            }
+        });
+        
+        world.on('playerEliminated', ({ player, attacker }) => GameClass.handleElimination(player, attacker));
+        
+        world.on('snowballsReplenished', ({ player }) => {
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateSnowballCount(player.snowballCount, player.maxSnowballCount);
+            }
+        });
+        
+        world.on('playerHealed', ({ player }) => {
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateHealth(player.health);
+            }
+        });
+        
+        world.on('protectionExpired', ({ player, inSafeZone }) => {
+            if (GameClass.isLocalPlayer(player) && inSafeZone) {
+                Utils.showMessage('Your safe zone protection wore off - time to move!', 2000);
+            }
+        });
+        
+        world.on('snowballScooped', ({ player }) => {
+            if (GameClass.audio) {
+                GameClass.audio.play('scoop', player.position);
+            }
+            
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateSnowballCount(player.snowballCount, player.maxSnowballCount);
+            }
+        });
+        
+        world.on('scoopInterrupted', ({ player }) => {
+            if (GameClass.isLocalPlayer(player)) {
+                Utils.showMessage('Scooping interrupted! Let go of C and try again', 1500);
+            }
+        });
+        
+        world.on('iglooDamaged', ({ igloo, stageChanged }) => {
+            if (stageChanged && GameClass.audio) {
+                GameClass.audio.play('iglooCrack', igloo.position);
+            }
+            GameClass.updateIglooHud();
+        });
+        
+        world.on('iglooCollapsed', ({ igloo, attacker }) => {
+            if (GameClass.audio) {
+                GameClass.audio.play('iglooCollapse', igloo.position);
+            }
+            
+            const localBody = GameClass.player ? GameClass.player.body : null;
+            if (GameClass.isLocalPlayer(localBody) && GameClass.world.physics.isIglooOwner(localBody, igloo)) {
+                Utils.showMessage('Your igloo collapsed! No safe zone or refills until next round', 3000);
+            } else if (attacker && GameClass.isLocalPlayer(attacker)) {
+                Utils.showMessage('Igloo destroyed!', 2000);
+                if (GameClass.ui) {
+                    GameClass.ui.updateScore(attacker.score);
+                }
+            }
+            GameClass.updateIglooHud();
+        });
+        
+        world.on('iglooRepaired', ({ player }) => {
+            if (GameClass.audio) {
+                GameClass.audio.play('iglooRepair', player.position);
+            }
+            
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateSnowballCount(player.snowballCount, player.maxSnowballCount);
+            }
+            GameClass.updateIglooHud();
+        });
+        
+        world.on('diamondSpawned', ({ diamond }) => {
+            if (GameClass.diamondGarden) {
+                GameClass.diamondGarden.addDiamond(diamond);
+            }
+        });
+        
+        world.on('diamondRemoved', ({ diamond }) => {
+            if (GameClass.diamondGarden) {
+                GameClass.diamondGarden.removeDiamond(diamond);
+            }
+        });
+        
+        world.on('diamondCollected', ({ player, diamond }) => {
+            if (GameClass.audio) {
+                GameClass.audio.play('diamond', diamond ? diamond.position : player.position);
+            }
+            
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateDiamondCount(player.diamondCount);
+                GameClass.ui.updateScore(player.score);
+                GameClass.ui.showDiamondIndicator();
+                
+                // Show upgrade menu
+                GameClass.ui.showUpgradeMenu();
+            }
+        });
+        
+        world.on('powerUpSpawned', ({ powerUp }) => {
+            if (typeof PowerUp === 'function') {
+                GameClass.powerUpViews.set(powerUp, new PowerUp(GameClass.scene, powerUp));
+            }
+        });
+        
+        world.on('powerUpRemoved', ({ powerUp }) => {
+            const view = GameClass.powerUpViews.get(powerUp);
+            if (view) {
+                view.remove();
+                GameClass.powerUpViews.delete(powerUp);
+            }
+        });
+        
+        world.on('powerUpCollected', ({ player, powerUp }) => {
+            if (GameClass.audio) {
+                GameClass.audio.play('powerUp', powerUp.position);
+            }
+            
+            if (GameClass.isLocalPlayer(player)) {
+                Utils.showMessage(`${SimPlayer.getPowerUpSettings(powerUp.type).NAME}!`);
+            }
+        });
+        
+        world.on('powerUpExpired', ({ player, type }) => {
+            if (GameClass.isLocalPlayer(player)) {
+                Utils.showMessage(`${SimPlayer.getPowerUpSettings(type).NAME} wore off`);
+            }
+        });
+        
+        world.on('shieldHit', ({ player }) => {
+            if (GameClass.audio) {
+                GameClass.audio.play('shieldHit', player.position);
+            }
+        });
+        
+        world.on('weatherWarning', ({ weather, timeLeft }) => {
+            Utils.showMessage(`${Simulation.getWeatherSettings(weather).NAME} in ${Math.ceil(timeLeft / 1000)} seconds!`);
+        });
+        
+        world.on('weatherChanged', ({ weather, immediate }) => {
+            if (GameClass.weather) {
+                GameClass.weather.setWeather(weather, immediate);
+            }
+            if (!immediate) {
+                Utils.showMessage(`The weather turns: ${Simulation.getWeatherSettings(weather).NAME}`);
+            }
+        });
+        
+        world.on('stormWarning', ({ isFinal, timeLeft }) => {
+            const circle = isFinal ? 'the final circle' : 'a smaller circle';
+            Utils.showMessage(`The storm closes in to ${circle} in ${Math.ceil(timeLeft / 1000)} seconds!`, 3000);
+        });
+        
+        world.on('stormShrinking', ({ isFinal }) => {
+            Utils.showMessage(isFinal ? 'The storm is closing in on the final circle!' : 'The storm is closing in!', 3000);
+        });
+        
+        world.on('stormDamage', ({ player }) => {
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateHealth(player.health);
+                GameClass.ui.showHitIndicator();
+            }
+        });
+        
+        world.on('iglooEngulfed', ({ igloo }) => {
+            const localBody = GameClass.player ? GameClass.player.body : null;
+            if (GameClass.isLocalPlayer(localBody) && GameClass.world.physics.isIglooOwner(localBody, igloo)) {
+                Utils.showMessage('The storm has swallowed your igloo - its safe zone is gone', 3000);
+            }
+        });
+        
+        world.on('playerRespawned', ({ player }) => {
+            const view = GameClass.getPlayerById(player.id);
+            if (view) {
+                view.showRespawn();
+            }
+            
+            if (GameClass.isLocalPlayer(player) && GameClass.ui) {
+                GameClass.ui.updateHealth(player.health);
+                GameClass.ui.updateSnowballCount(player.snowballCount, player.maxSnowballCount);
+            }
+        });
+        
+        world.on('hillControlChanged', ({ player, previous }) => {
+            if (GameClass.isLocalPlayer(player)) {
+                Utils.showMessage('You hold the hill!', 2000);
+            } else if (GameClass.isLocalPlayer(previous)) {
+                Utils.showMessage('You lost the hill!', 2000);
+            }
+        });
+        
+        // Replays just play on to the end of the recording
+        world.on('hillTargetReached', () => {
+            if (!GameClass.replay) {
+                GameClass.checkGameOver();
+            }
+        });
+        
+        world.on('upgradeApplied', ({ player, upgradeType }) => {
+            if (GameClass.isLocalPlayer(player)) {
+                if (GameClass.ui) {
+                    GameClass.ui.updateDiamondCount(player.diamondCount);
+                }
+                Utils.showMessage(`Upgraded ${upgradeType}!`);
+                if (GameClass.audio) {
+                    GameClass.audio.playUi('upgrade');
+                }
+            }
+        });
+    }
+    
+    /**
+     * Show an elimination and check whether the round is over
+     * @param {SimPlayer} player - Eliminated player
+     * @param {SimPlayer|null} attacker - Player who threw the snowball
+     */
+    static handleElimination(player, attacker) {
+        const view = GameClass.getPlayerById(player.id);
+        if (view) {
+            view.showElimination();
+        }
+        
+        // Replays just play on to the end of the recording
+        if (GameClass.replay) {
+            return;
+        }
+        
+        // Update UI if attacker is human
+        if (GameClass.isLocalPlayer(attacker) && GameClass.ui) {
+            GameClass.ui.updateScore(attacker.score);
+        }
+        
+        // Show elimination message
+        if (GameClass.isLocalPlayer(player)) {
+            // Players come back in King of the Hill, and in team modes the round continues while any teammate is still standing
+            if (GameClass.isKingOfTheHill) {
+                const delay = GAME_CONSTANTS.KING_OF_THE_HILL.RESPAWN_DELAY / 1000;
+                Utils.showMessage(`You were eliminated! Back at your igloo in ${delay} seconds...`, 3000);
+            } else if (GameClass.isTeamMode && GameClass.isTeamAlive(player.teamId)) {
+                Utils.showMessage('You were eliminated! Your team fights on...', 3000);
+            } else if (GameClass.ui) {
+                GameClass.ui.showGameOver(false);
+            }
+        } else if (GameClass.isLocalPlayer(attacker)) {
+            Utils.showMessage(`You eliminated AI ${player.id}!`);
+        }
+        
+        // Check if game is over
+        GameClass.checkGameOver();
+    }
+    
+    /**
+     * Check if a simulated player is the one this client controls
+     * @param {SimPlayer|null} body - Player state
+     * @returns {boolean} True for the local player's body
+     */
+    static isLocalPlayer(body) {
+        // In a replay the recorded player is shown like any other, without touching the HUD or menus
+        if (GameClass.replay) {
+            return false;
+        }
+        
+        return !!body && !!GameClass.player && GameClass.player.body === body;
+    }
+    
+    /**
+     * Show the local player's igloo health in the HUD (hidden when they have no igloo)
+     */
+    static updateIglooHud() {
+        if (!GameClass.ui || !GameClass.player || GameClass.replay) return;
+        GameClass.ui.updateIglooHealth(GameClass.player.body.getIgloo());
+    }
+    
+    /**
+     * Find the view of a simulated snowball
+     * @param {SimSnowball} snowball - Snowball state
+     * @returns {Snowball|undefined} Snowball view
+     */
+    static getSnowballView(snowball) {
+        return GameClass.snowballs.find(view => view.body === snowball);
+    }
+    
     /**
      * Get player by ID
      * @param {string} id - Player ID
@@ -0,0 +1,82 @@
+/**
+ * Hill class for SnowBrawl game
+ * View of the King of the Hill control zone - a ring on the ground around it and a faint disc inside,
+ * colored by whether the zone is free, held or contested
+ * The zone itself (who holds it and the points it scores) is simulated by the Simulation (see Simulation.startHill)
+ */
+
+// Using SnowBrawlHill instead of Hill to avoid conflicts with built-in globals
+class SnowBrawlHill {
+    /**
+     * Create the zone view, hidden until there is a zone to show
+     * @param {THREE.Scene} scene - The scene to add the zone to
+     * @param {Arena} arena - Arena whose ground the zone lies on
+     */
+    constructor(scene, arena) {
+        this.scene = scene;
+        this.arena = arena;
+        
+        const settings = GAME_CONSTANTS.KING_OF_THE_HILL;
+        
+        // Both are built at radius 1 and scaled to the zone, lying flat on the ground
+        const ringGeometry = new THREE.RingGeometry(1 - settings.RING_WIDTH / settings.RADIUS, 1, settings.SEGMENTS);
+        ringGeometry.rotateX(-Math.PI / 2);
+        this.ring = new THREE.Mesh(ringGeometry, new THREE.MeshBasicMaterial({
+            color: settings.FREE_COLOR,
+            side: THREE.DoubleSide
+        }));
+        
+        const discGeometry = new THREE.CircleGeometry(1, settings.SEGMENTS);
+        discGeometry.rotateX(-Math.PI / 2);
+        this.disc = new THREE.Mesh(discGeometry, new THREE.MeshBasicMaterial({
+            color: settings.FREE_COLOR,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        
+        this.group = new THREE.Group();
+        this.group.add(this.ring, this.disc);
+        this.group.visible = false;
+        this.scene.add(this.group);
+    }
+    
+    /**
+     * Move and color the zone to match the simulation
+     * @param {Object|null} status - Zone status (see Simulation.getHillStatus), or null to hide the zone
+     */
+    update(status) {
+        this.group.visible = !!status;
+        if (!status) return;
+        
+        const settings = GAME_CONSTANTS.KING_OF_THE_HILL;
+        let color = settings.FREE_COLOR;
+        if (status.contested) {
+            color = settings.CONTESTED_COLOR;
+        } else if (status.holder) {
+            color = settings.HELD_COLOR;
+        }
+        this.ring.material.color.setHex(color);
+        this.disc.material.color.setHex(color);
+        
+        // Just above the ground so it doesn't flicker into it (the garden is level, so one height does)
+        this.group.position.set(status.x, this.arena.getGroundHeight(status.x, status.z) + 0.05, status.z);
+        this.group.scale.set(status.radius, 1, status.radius);
+    }
+    
+    /**
+     * Remove the zone from the scene
+     */
+    remove() {
+        this.scene.remove(this.group);
+        for (const object of [this.ring, this.disc]) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+}
+
+// Expose SnowBrawlHill to the global scope as Hill to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Hill = SnowBrawlHill;
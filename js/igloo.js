@@ -1,24 +1,36 @@
 /**
  * Igloo class for SnowBrawl game
- * Handles the creation and management of player igloos
+ * View of a player igloo - its walls, roof and entrance, cracking and losing blocks as it takes damage,
+ * with a torch and a light in its player's color that come on at night
+ * Safe zones, entering the igloo and its health are simulated with its body (a SimIgloo)
  */
 
 class Igloo {
+    // Damage stage at which each named part falls out of the igloo (see SimIgloo.getDamageStage)
+    static MISSING_PARTS = { roof: 2, topFront: 2, rightFront: 3, rightWall: 3 };
+    
+    // Cracks added to the walls for each damage stage
+    static CRACKS_PER_STAGE = 4;
+    
     /**
-     * Create a new igloo
+     * Create the view for an igloo
      * @param {THREE.Scene} scene - The scene to add the igloo to
-     * @param {THREE.Vector3} position - Position of the igloo
-     * @param {number} entranceDirection - Direction of the entrance in radians (0 = positive X axis)
-     * @param {string} ownerId - ID of the player who owns this igloo
+     * @param {SimIgloo} igloo - Igloo state (position, entrance direction, owner and team)
      * @param {number} playerColor - Color to use for the igloo (hex value)
      */
-    constructor(scene, position, entranceDirection = 0, ownerId = null, playerColor = null) {
+    constructor(scene, igloo, playerColor = null) {
         this.scene = scene;
-        this.position = position;
-        this.entranceDirection = entranceDirection;
-        this.ownerId = ownerId; // Store the owner's ID
+        this.body = igloo;
+        this.position = igloo.position;
+        this.entranceDirection = igloo.entranceDirection;
+        this.ownerId = igloo.ownerId; // Store the owner's ID
+        this.teamId = igloo.teamId; // Set when the igloo is shared by a team
         this.playerColor = playerColor; // Store the player's color directly
         this.meshes = [];
+        this.parts = {}; // Named meshes that can fall out as the igloo is damaged
+        this.cracks = [];
+        this.rubble = null; // Group shown in place of the igloo once it collapses
+        this.damageStage = 0;
         
         // Default color if none provided
         if (this.playerColor === null) {
@@ -93,6 +105,13 @@ class Igloo {
         
         // Create a roof
         this.createRoof(roofMaterial);
+        
+        // Torch and player-colored light for finding your way home at night
+        this.createLamp();
+        
+        this.material = iglooMaterial;
+        this.roofMaterial = roofMaterial;
+        this.crackMaterial = new THREE.MeshBasicMaterial({ color: 0x37474F });
     }
     
     /**
@@ -106,6 +125,7 @@ class Igloo {
         backWall.position.set(0, this.height / 2, -this.depth / 2 + this.wallThickness / 2);
         this.group.add(backWall);
         this.meshes.push(backWall);
+        this.parts.backWall = backWall;
         
         // Left wall
         const leftWallGeometry = new THREE.BoxGeometry(this.wallThickness, this.height, this.depth);
@@ -113,6 +133,7 @@ class Igloo {
         leftWall.position.set(-this.width / 2 + this.wallThickness / 2, this.height / 2, 0);
         this.group.add(leftWall);
         this.meshes.push(leftWall);
+        this.parts.leftWall = leftWall;
         
         // Right wall
         const rightWallGeometry = new THREE.BoxGeometry(this.wallThickness, this.height, this.depth);
@@ -120,6 +141,7 @@ class Igloo {
         rightWall.position.set(this.width / 2 - this.wallThickness / 2, this.height / 2, 0);
         this.group.add(rightWall);
         this.meshes.push(rightWall);
+        this.parts.rightWall = rightWall;
     }
     
     /**
@@ -130,29 +152,8 @@ class Igloo {
         // Calculate dimensions for the front wall parts (on either side of the entrance)
         const sideWidth = (this.width - this.entranceWidth) / 2;
         
-        // Calculate and store the entrance position (center of the entrance)
-        // This will be used for collision detection
-        // Adjust the entrance position to be slightly in front of the igloo for easier entry
-        const entranceOffset = 1.0; // Move entrance position 1 unit outward from igloo
-        
-        this.entrancePosition = new THREE.Vector3(
-            this.position.x, // X position is the same as the igloo position
-            this.position.y + this.entranceHeight / 3, // Lower the Y position to 1/3 of entrance height for easier entry
-            this.position.z + this.depth / 2 + entranceOffset // Z position is at the front of the igloo plus offset
-        );
-        
-        // Apply rotation to entrance position based on entrance direction
-        if (this.entranceDirection !== 0) {
-            // Create a vector for the entrance position relative to igloo center
-            const relativePos = new THREE.Vector3(0, 0, this.depth / 2 + entranceOffset);
-            
-            // Rotate this vector by the entrance direction
-            relativePos.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.entranceDirection);
-            
-            // Update the entrance position
-            this.entrancePosition.x = this.position.x + relativePos.x;
-            this.entrancePosition.z = this.position.z + relativePos.z;
-        }
+        // The entrance position (just in front of the entrance) is used for collision detection
+        this.entrancePosition = this.body.entrancePosition;
         
         // Create a helper object to visualize the entrance position (for debugging)
         // Use the player's color for the entrance marker
@@ -162,6 +163,7 @@ class Igloo {
         );
         entranceMarker.position.copy(this.entrancePosition);
         this.scene.add(entranceMarker);
+        this.entranceMarker = entranceMarker;
         
         console.log(`Igloo entrance position: (${this.entrancePosition.x.toFixed(2)}, ${this.entrancePosition.y.toFixed(2)}, ${this.entrancePosition.z.toFixed(2)})`);
         
@@ -172,6 +174,7 @@ class Igloo {
             leftFront.position.set(-this.width / 2 + sideWidth / 2, this.height / 2, this.depth / 2 - this.wallThickness / 2);
             this.group.add(leftFront);
             this.meshes.push(leftFront);
+            this.parts.leftFront = leftFront;
             
             // Right part of front wall
             const rightFrontGeometry = new THREE.BoxGeometry(sideWidth, this.height, this.wallThickness);
@@ -179,6 +182,7 @@ class Igloo {
             rightFront.position.set(this.width / 2 - sideWidth / 2, this.height / 2, this.depth / 2 - this.wallThickness / 2);
             this.group.add(rightFront);
             this.meshes.push(rightFront);
+            this.parts.rightFront = rightFront;
         }
         
         // Top part of front wall (above entrance)
@@ -189,6 +193,7 @@ class Igloo {
             topFront.position.set(0, this.height - topHeight / 2, this.depth / 2 - this.wallThickness / 2);
             this.group.add(topFront);
             this.meshes.push(topFront);
+            this.parts.topFront = topFront;
         }
         
         // Create a small step at the entrance
@@ -214,6 +219,144 @@ class Igloo {
         roof.position.set(0, this.height + roofHeight / 2, 0);
         this.group.add(roof);
         this.meshes.push(roof);
+        this.parts.roof = roof;
+    }
+    
+    /**
+     * Create a torch beside the entrance and a light in the player's color in front of it, both off until night falls
+     */
+    createLamp() {
+        const postHeight = 1.6;
+        const post = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.06, 0.08, postHeight, 6),
+            new THREE.MeshLambertMaterial({ color: 0x5D4037 })
+        );
+        post.position.set(this.entranceWidth / 2 + 0.4, postHeight / 2, this.depth / 2 + 0.4);
+        this.group.add(post);
+        
+        this.flame = new THREE.Mesh(
+            new THREE.SphereGeometry(0.14, 8, 6),
+            new THREE.MeshBasicMaterial({ color: GAME_CONSTANTS.DAY_NIGHT.LAMP_COLOR })
+        );
+        this.flame.position.set(post.position.x, postHeight + 0.1, post.position.z);
+        this.flame.visible = false;
+        this.group.add(this.flame);
+        
+        // The light always exists (at zero intensity by day) - adding lights mid-game would recompile every material
+        this.lamp = new THREE.PointLight(this.playerColor, 0, GAME_CONSTANTS.DAY_NIGHT.LAMP_DISTANCE, 1);
+        this.lamp.position.set(0, postHeight, this.depth / 2 + 1);
+        this.group.add(this.lamp);
+    }
+    
+    /**
+     * Light the torch and glow in the player's color as it gets dark
+     * @param {number} night - How dark it is (0 by day to 1 at full night, see DayNight.update)
+     */
+    setNightLevel(night) {
+        const settings = GAME_CONSTANTS.DAY_NIGHT;
+        const flicker = night > 0 ? Utils.randomRange(0.9, 1.1, 'cosmetic') : 0;
+        
+        this.lamp.intensity = settings.LAMP_INTENSITY * night * flicker;
+        this.flame.visible = night > 0.05;
+        
+        const glow = settings.GLOW_INTENSITY * night;
+        for (const material of [this.material, this.roofMaterial]) {
+            material.emissive.setHex(this.playerColor).multiplyScalar(glow);
+        }
+    }
+    
+    /**
+     * Show the body's current damage stage
+     */
+    update() {
+        const stage = this.body.getDamageStage();
+        if (stage !== this.damageStage) {
+            this.showDamageStage(stage);
+        }
+    }
+    
+    /**
+     * Crack the walls, knock out blocks or swap the igloo for a rubble pile to match a damage stage
+     * Repairs go back down the stages, so everything shown here can be undone
+     * @param {number} stage - Damage stage (see SimIgloo.getDamageStage)
+     */
+    showDamageStage(stage) {
+        this.damageStage = stage;
+        const isCollapsed = stage > GAME_CONSTANTS.IGLOO.DAMAGE_STAGES;
+        
+        const crackCount = isCollapsed ? 0 : stage * Igloo.CRACKS_PER_STAGE;
+        while (this.cracks.length < crackCount) {
+            this.addCrack();
+        }
+        while (this.cracks.length > crackCount) {
+            const crack = this.cracks.pop();
+            this.group.remove(crack);
+            crack.geometry.dispose();
+        }
+        
+        for (const [name, part] of Object.entries(this.parts)) {
+            const missingFrom = Igloo.MISSING_PARTS[name];
+            part.visible = !isCollapsed && (missingFrom === undefined || stage < missingFrom);
+        }
+        this.entranceMarker.visible = !isCollapsed;
+        
+        if (isCollapsed && !this.rubble) {
+            this.createRubble();
+        } else if (!isCollapsed && this.rubble) {
+            this.group.remove(this.rubble);
+            this.rubble.traverse(child => child.geometry && child.geometry.dispose());
+            this.rubble = null;
+        }
+    }
+    
+    /**
+     * Draw a crack at a random spot on the outside of the back or side walls
+     */
+    addCrack() {
+        const length = Utils.randomRange(0.6, 1.6, 'cosmetic');
+        const crack = new THREE.Mesh(new THREE.BoxGeometry(0.08, length, 0.02), this.crackMaterial);
+        
+        const height = Utils.randomRange(length / 2, this.height - length / 2, 'cosmetic');
+        const offset = 0.01; // Just outside the wall so the crack isn't hidden inside it
+        const wall = Math.floor(Utils.random('cosmetic') * 3);
+        if (wall === 0) {
+            const x = Utils.randomRange(-this.width / 2 + 0.5, this.width / 2 - 0.5, 'cosmetic');
+            crack.position.set(x, height, -this.depth / 2 - offset);
+        } else {
+            const side = wall === 1 ? -1 : 1;
+            const z = Utils.randomRange(-this.depth / 2 + 0.5, this.depth / 2 - 0.5, 'cosmetic');
+            crack.position.set(side * (this.width / 2 + offset), height, z);
+            crack.rotation.y = Math.PI / 2;
+        }
+        crack.rotation.z = Utils.randomRange(-0.8, 0.8, 'cosmetic');
+        
+        this.group.add(crack);
+        this.cracks.push(crack);
+    }
+    
+    /**
+     * Pile the igloo's blocks up on its floor after it collapses
+     */
+    createRubble() {
+        this.rubble = new THREE.Group();
+        
+        for (let i = 0; i < 14; i++) {
+            const size = Utils.randomRange(0.5, 1.1, 'cosmetic');
+            const block = new THREE.Mesh(new THREE.BoxGeometry(size * 1.4, size * 0.7, size), this.material);
+            block.position.set(
+                Utils.randomRange(-this.width / 2, this.width / 2, 'cosmetic'),
+                Utils.randomRange(0, 0.8, 'cosmetic') + size * 0.35,
+                Utils.randomRange(-this.depth / 2, this.depth / 2, 'cosmetic')
+            );
+            block.rotation.set(
+                Utils.randomRange(-0.4, 0.4, 'cosmetic'),
+                Utils.randomRange(0, Math.PI, 'cosmetic'),
+                Utils.randomRange(-0.4, 0.4, 'cosmetic')
+            );
+            this.rubble.add(block);
+        }
+        
+        this.group.add(this.rubble);
     }
     
     /**
@@ -225,20 +368,17 @@ class Igloo {
     }
     
     /**
-     * Register the igloo with the physics system
-     * @param {Physics} physics - Physics system
+     * Remove the igloo from the scene
      */
-    registerWithPhysics(physics) {
-        if (!physics) return;
-        
-        // Register each mesh as a static body
-        for (const mesh of this.meshes) {
-            physics.registerBody(mesh, true); // true = isStatic
-        }
-        
-        // Register the igloo itself as a collider for player-igloo collision detection
-        physics.registerCollider(this, 'igloos');
-        console.log(`Registered igloo with physics system, owner: ${this.ownerId}`);
+    remove() {
+        this.scene.remove(this.group);
+        this.scene.remove(this.entranceMarker);
+        this.group.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+        });
+        console.log(`Removed igloo, owner: ${this.ownerId}`);
     }
     
     /**
@@ -1,13 +1,19 @@
 /**
  * GameMap class for SnowBrawl game
- * Handles creation of the game environment
+ * Handles creation of the game environment - builds the meshes for an Arena's terrain, walls, obstacles and ice patches
  * (Renamed from Map to avoid conflicts with built-in JavaScript Map class)
  */
 
 // Using SnowBrawlMap instead of GameMap to avoid conflicts with built-in globals
 class SnowBrawlMap {
-    constructor(scene) {
+    /**
+     * Create the game map
+     * @param {THREE.Scene} scene - The scene to add the map to
+     * @param {Arena|null} arena - Layout to build, or null to generate a new one
+     */
+    constructor(scene, arena = null) {
         console.log('Map constructor called');
+        this.arena = arena || new Arena();
         
         // Use the provided scene if it exists and is valid
         if (scene && typeof scene === 'object') {
@@ -22,22 +28,19 @@ class SnowBrawlMap {
         console.log('Map scene set successfully:', this.scene);
         
         try {
+            // Map dimensions from the arena
+            this.width = this.arena.width;
+            this.length = this.arena.length;
+            this.wallHeight = this.arena.wallHeight;
+            
             // Check if GAME_CONSTANTS exists
             if (typeof GAME_CONSTANTS === 'undefined') {
-                console.warn('GAME_CONSTANTS is not defined, using default map values');
-                this.width = 100;
-                this.length = 100;
-                this.wallHeight = 5;
+                console.warn('GAME_CONSTANTS is not defined, using default map colors');
                 this.groundColor = 0x7B9095;
                 this.wallColor = 0xCCE6FF;
             } else {
-                // Map dimensions from constants with fallbacks
-                const mapConstants = GAME_CONSTANTS.MAP || {};
-                this.width = mapConstants.WIDTH || 100;
-                this.length = mapConstants.LENGTH || 100;
-                this.wallHeight = mapConstants.WALL_HEIGHT || 5;
-                
                 // Colors with fallbacks
+                const mapConstants = GAME_CONSTANTS.MAP || {};
                 this.groundColor = mapConstants.GROUND_COLOR || 0x7B9095;
                 this.wallColor = mapConstants.WALL_COLOR || 0xCCE6FF;
             }
@@ -51,6 +54,7 @@ class SnowBrawlMap {
                 this.createGround();
                 this.createWalls();
                 this.createLighting();
+                this.createObstacles();
                 console.log('Map elements created successfully');
             } catch (error) {
                 console.error('Error creating map elements:', error);
@@ -63,11 +67,11 @@ class SnowBrawlMap {
     }
     
     /**
-     * Create the ground plane
+     * Create the ground, shaped to the arena's terrain
      */
     createGround() {
         try {
-            console.log('Creating ground plane...');
+            console.log('Creating ground...');
             
             // Verify scene exists
             if (!this.scene) {
@@ -76,14 +80,12 @@ class SnowBrawlMap {
             }
             
             // Create ground geometry
-            const geometry = new THREE.PlaneGeometry(this.width, this.length);
             const material = new THREE.MeshLambertMaterial({ 
                 color: this.groundColor,
                 side: THREE.DoubleSide
             });
             
-            this.ground = new THREE.Mesh(geometry, material);
-            this.ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
+            this.ground = new THREE.Mesh(this.createGroundGeometry(), material);
             this.ground.position.y = 0;
             this.ground.receiveShadow = true;
             
@@ -91,73 +93,69 @@ class SnowBrawlMap {
             console.log('Adding ground to scene...');
             this.scene.add(this.ground);
             console.log('Ground added to scene successfully');
-            
-            // Add ground to physics system when game is initialized
-            this.ground.width = this.width;
-            this.ground.height = 0.1;
-            this.ground.depth = this.length;
         } catch (error) {
             console.error('Error creating ground:', error);
             throw error;
         }
     }
     
+    /**
+     * Build the ground's geometry with a vertex at every terrain sample, raised to its height
+     * @returns {THREE.BufferGeometry} Ground geometry, already lying horizontal
+     */
+    createGroundGeometry() {
+        const terrain = this.arena.terrain;
+        const geometry = terrain ?
+            new THREE.PlaneGeometry(this.width, this.length, terrain.columns - 1, terrain.rows - 1) :
+            new THREE.PlaneGeometry(this.width, this.length);
+        geometry.rotateX(-Math.PI / 2); // Rotate to be horizontal
+        
+        if (terrain) {
+            const positions = geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setY(i, terrain.getHeightAt(positions.getX(i), positions.getZ(i)));
+            }
+            geometry.computeVertexNormals();
+        }
+        
+        return geometry;
+    }
+    
+    /**
+     * Replace the terrain, reshaping the ground and settling the obstacles onto it
+     * @param {Terrain} terrain - New terrain
+     * @param {Simulation} world - Simulation colliding against the arena, updated to the new terrain
+     */
+    setTerrain(terrain, world) {
+        this.arena.setTerrain(terrain);
+        this.rebuildGround();
+        this.loadObstacleLayout(this.arena.getObstacleLayout(), world);
+    }
+    
+    /**
+     * Reshape the ground mesh to the arena's current terrain
+     */
+    rebuildGround() {
+        this.ground.geometry.dispose();
+        this.ground.geometry = this.createGroundGeometry();
+    }
+    
     /**
      * Create the walls around the map
      */
     createWalls() {
-        const halfWidth = this.width / 2;
-        const halfLength = this.length / 2;
-        
         // Wall material - used for all walls
         this.wallMaterial = new THREE.MeshLambertMaterial({ color: this.wallColor });
         
-        // Create walls
-        this.walls = [];
-        
-        // North wall
-        const northWall = this.createWall(
-            this.width,
-            this.wallHeight,
-            1,
-            0,
-            this.wallHeight / 2,
-            -halfLength
-        );
-        this.walls.push(northWall);
-        
-        // South wall
-        const southWall = this.createWall(
-            this.width,
-            this.wallHeight,
-            1,
-            0,
-            this.wallHeight / 2,
-            halfLength
-        );
-        this.walls.push(southWall);
-        
-        // East wall
-        const eastWall = this.createWall(
-            1,
-            this.wallHeight,
-            this.length,
-            halfWidth,
-            this.wallHeight / 2,
-            0
-        );
-        this.walls.push(eastWall);
-        
-        // West wall
-        const westWall = this.createWall(
-            1,
-            this.wallHeight,
-            this.length,
-            -halfWidth,
-            this.wallHeight / 2,
-            0
-        );
-        this.walls.push(westWall);
+        // Create a wall mesh for each of the arena's boundary walls (north, south, east, west, or the blocks of a circular wall)
+        this.walls = this.arena.walls.map(box => this.createWall(
+            box.width,
+            box.height,
+            box.depth,
+            box.position.x,
+            box.position.y,
+            box.position.z
+        ));
     }
     
     /**
@@ -182,25 +180,24 @@ class SnowBrawlMap {
         // Add to scene
         this.scene.add(wall);
         
-        // Add properties for physics system
-        wall.width = width;
-        wall.height = height;
-        wall.depth = depth;
-        
         return wall;
     }
     
     /**
-     * Create lighting for the scene
+     * Create lighting for the scene, colored and placed as the map's constants say
+     * The lights are kept on the map so the weather can dim them
      */
     createLighting() {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        
         // Ambient light
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-        this.scene.add(ambientLight);
+        this.ambientLight = new THREE.AmbientLight(mapConstants.AMBIENT_COLOR, mapConstants.AMBIENT_INTENSITY);
+        this.scene.add(this.ambientLight);
         
         // Directional light (sun)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(100, 100, 50);
+        const directionalLight = new THREE.DirectionalLight(mapConstants.SUN_COLOR, mapConstants.SUN_INTENSITY);
+        this.sunLight = directionalLight;
+        directionalLight.position.fromArray(mapConstants.SUN_POSITION);
         directionalLight.castShadow = true;
         
         // Configure shadow properties
@@ -220,53 +217,277 @@ class SnowBrawlMap {
     }
     
     /**
-     * Register map elements with physics system
-     * @param {Physics} physics - Physics system
+     * Create a mesh for each of the arena's obstacles (snow walls, rocks, snowmen, trees)
      */
-    registerWithPhysics(physics) {
-        if (!physics) {
-            console.warn('Physics system is undefined in registerWithPhysics');
-            return;
-        }
+    createObstacles() {
+        this.obstacles = this.arena.obstacles.map(box => {
+            const obstacle = this.createObstacle(box.type, box.size, { alongX: box.alongX });
+            obstacle.position.copy(box.position);
+            this.scene.add(obstacle);
+            return obstacle;
+        });
         
-        console.log('Registering map elements with physics system');
+        console.log(`Built ${this.obstacles.length} obstacle meshes`);
         
-        try {
-            // Register ground with physics
-            if (this.ground) {
-                console.log('Registering ground with physics');
-                // Mark the ground as a wall for collision purposes
-                this.ground.isWall = true;
-                
-                // Use registerBody if available, fall back to registerCollider
-                if (typeof physics.registerBody === 'function') {
-                    physics.registerBody(this.ground);
-                } else if (typeof physics.registerCollider === 'function') {
-                    physics.registerCollider(this.ground, 'walls');
-                }
-            }
+        this.createIcePatches();
+    }
+    
+    /**
+     * Create a flat icy disc for each of the arena's ice patches
+     */
+    createIcePatches() {
+        this.icePatches = this.arena.icePatches.map(patch => {
+            const geometry = new THREE.CircleGeometry(patch.radius, 32);
+            const material = new THREE.MeshLambertMaterial({
+                color: GAME_CONSTANTS.MAP.ICE_COLOR,
+                emissive: 0x1A3340, // A faint sheen so the ice reads as shinier than the ground
+                transparent: true,
+                opacity: 0.9
+            });
             
-            // Register walls with physics
-            if (this.walls && this.walls.length > 0) {
-                console.log(`Registering ${this.walls.length} walls with physics`);
-                
-                for (const wall of this.walls) {
-                    // Mark the wall as a wall for collision purposes
-                    wall.isWall = true;
-                    
-                    // Use registerBody if available, fall back to registerCollider
-                    if (typeof physics.registerBody === 'function') {
-                        physics.registerBody(wall);
-                    } else if (typeof physics.registerCollider === 'function') {
-                        physics.registerCollider(wall, 'walls');
-                    }
-                }
-            }
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.rotation.x = -Math.PI / 2; // Rotate to be horizontal
+            mesh.position.set(patch.position.x, patch.position.y + 0.01, patch.position.z); // Just above the ground to avoid z-fighting
+            mesh.receiveShadow = true;
             
-            console.log('Map elements registered with physics system successfully');
-        } catch (error) {
-            console.error('Error registering map elements with physics:', error);
+            this.scene.add(mesh);
+            return mesh;
+        });
+    }
+    
+    /**
+     * Obstacle builders keyed by obstacle type
+     * @returns {Object} Map of type to builder function (size, options) => obstacle
+     */
+    getObstacleBuilders() {
+        return {
+            snowWall: (size, options) => this.createSnowWallObstacle(size, options.alongX),
+            rock: (size) => this.createRockObstacle(size),
+            snowman: (size) => this.createSnowmanObstacle(size),
+            tree: (size) => this.createTreeObstacle(size)
+        };
+    }
+    
+    /**
+     * Build an obstacle of a given type
+     * @param {string} type - Obstacle type (snowWall, rock, snowman or tree)
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @param {Object} options - Type-specific options (alongX for snow walls)
+     * @returns {THREE.Group} Obstacle group, centered on its collision box
+     */
+    createObstacle(type, size, options = {}) {
+        return this.getObstacleBuilders()[type](size, options);
+    }
+    
+    /**
+     * Describe the current obstacles so another map can recreate them (used to sync network clients)
+     * @returns {Array} Array of obstacle descriptions (type, size, x, z, alongX)
+     */
+    getObstacleLayout() {
+        return this.arena.getObstacleLayout();
+    }
+    
+    /**
+     * Describe the terrain so another map can recreate it (used in replays)
+     * @returns {Object} Terrain layout (see Terrain.getLayout)
+     */
+    getTerrainLayout() {
+        return this.arena.getTerrainLayout();
+    }
+    
+    /**
+     * Generate fresh terrain and scatter a fresh set of obstacles over it, drawn from the gameplay random stream
+     * (a loaded heightmap is kept - see Arena.createTerrain)
+     * @param {Simulation} world - Simulation colliding against the arena, updated to the new terrain and obstacles
+     */
+    regenerateLayout(world) {
+        this.arena.createTerrain();
+        this.arena.createObstacles();
+        this.rebuildGround();
+        this.loadObstacleLayout(this.arena.getObstacleLayout(), world);
+    }
+    
+    /**
+     * Replace the current obstacles with a layout from getObstacleLayout
+     * @param {Array} layout - Array of obstacle descriptions
+     * @param {Simulation} world - Simulation colliding against the arena, updated to the new obstacles
+     */
+    loadObstacleLayout(layout, world) {
+        // Remove the existing obstacle and ice patch meshes
+        for (const obstacle of [...this.obstacles, ...this.icePatches]) {
+            this.scene.remove(obstacle);
+            this.disposeObject(obstacle);
         }
+        
+        this.arena.loadObstacleLayout(layout);
+        this.createObstacles();
+        
+        if (world) {
+            world.setArena(this.arena);
+        }
+    }
+    
+    /**
+     * Create a snow wall obstacle
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @param {boolean} alongX - Whether the wall runs along the X axis
+     * @returns {THREE.Group} Obstacle group
+     */
+    createSnowWallObstacle(size, alongX) {
+        const length = size * 3;
+        const height = 1.5 + size * 0.5;
+        const thickness = 0.8;
+        
+        // Walls run along either the X or the Z axis (the physics system only handles AABBs)
+        const width = alongX ? length : thickness;
+        const depth = alongX ? thickness : length;
+        
+        const group = new THREE.Group();
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const material = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.SNOW_COLOR });
+        const wall = new THREE.Mesh(geometry, material);
+        wall.castShadow = true;
+        wall.receiveShadow = true;
+        group.add(wall);
+        
+        return group;
+    }
+    
+    /**
+     * Create a rock obstacle
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @returns {THREE.Group} Obstacle group
+     */
+    createRockObstacle(size) {
+        const radius = size * 0.8;
+        
+        const group = new THREE.Group();
+        const geometry = new THREE.DodecahedronGeometry(radius, 0);
+        const material = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.ROCK_COLOR, flatShading: true });
+        const rock = new THREE.Mesh(geometry, material);
+        rock.scale.y = 0.7; // Flatten the rock a little
+        rock.rotation.y = Utils.randomRange(0, Math.PI * 2, 'cosmetic');
+        rock.castShadow = true;
+        rock.receiveShadow = true;
+        group.add(rock);
+        
+        // Snow cap on top of the rock
+        const capGeometry = new THREE.SphereGeometry(radius * 0.6, 8, 4, 0, Math.PI * 2, 0, Math.PI / 2);
+        const capMaterial = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.SNOW_COLOR });
+        const cap = new THREE.Mesh(capGeometry, capMaterial);
+        cap.position.y = radius * 0.45;
+        group.add(cap);
+        
+        // The flattened rock is centered on the group origin, which sits at half the rock's height
+        return group;
+    }
+    
+    /**
+     * Create a snowman obstacle
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @returns {THREE.Group} Obstacle group
+     */
+    createSnowmanObstacle(size) {
+        const bottomRadius = 0.5 + size * 0.3;
+        const middleRadius = bottomRadius * 0.75;
+        const headRadius = bottomRadius * 0.5;
+        const height = (bottomRadius + middleRadius + headRadius) * 2 * 0.9;
+        
+        const group = new THREE.Group();
+        const snowMaterial = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.SNOW_COLOR });
+        
+        // Stack the three snowballs from the ground up (group origin is at height / 2)
+        let y = -height / 2;
+        for (const radius of [bottomRadius, middleRadius, headRadius]) {
+            const ball = new THREE.Mesh(new THREE.SphereGeometry(radius, 12, 12), snowMaterial);
+            ball.position.y = y + radius;
+            ball.castShadow = true;
+            group.add(ball);
+            y += radius * 2 * 0.9; // Overlap slightly so the balls look packed together
+        }
+        
+        // Carrot nose
+        const head = group.children[2];
+        const nose = new THREE.Mesh(
+            new THREE.ConeGeometry(headRadius * 0.2, headRadius * 0.8, 6),
+            new THREE.MeshLambertMaterial({ color: 0xFF8C00 })
+        );
+        nose.rotation.x = Math.PI / 2;
+        nose.position.set(0, head.position.y, headRadius + headRadius * 0.3);
+        group.add(nose);
+        
+        group.rotation.y = Utils.randomRange(0, Math.PI * 2, 'cosmetic');
+        
+        return group;
+    }
+    
+    /**
+     * Create a pine tree obstacle
+     * @param {number} size - Obstacle size between OBSTACLE_MIN_SIZE and OBSTACLE_MAX_SIZE
+     * @returns {THREE.Group} Obstacle group
+     */
+    createTreeObstacle(size) {
+        const trunkHeight = 1 + size * 0.4;
+        const foliageHeight = 2 + size * 1.2;
+        const foliageRadius = 0.8 + size * 0.5;
+        const height = trunkHeight + foliageHeight;
+        
+        const group = new THREE.Group();
+        
+        // Trunk
+        const trunk = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.25, 0.35, trunkHeight, 8),
+            new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.TREE_TRUNK_COLOR })
+        );
+        trunk.position.y = -height / 2 + trunkHeight / 2;
+        trunk.castShadow = true;
+        group.add(trunk);
+        
+        // Three stacked cones of foliage, each smaller than the one below
+        const foliageMaterial = new THREE.MeshLambertMaterial({ color: GAME_CONSTANTS.MAP.TREE_FOLIAGE_COLOR });
+        const tiers = 3;
+        for (let i = 0; i < tiers; i++) {
+            const tierRadius = foliageRadius * (1 - i * 0.25);
+            const tierHeight = foliageHeight / 2;
+            const cone = new THREE.Mesh(new THREE.ConeGeometry(tierRadius, tierHeight, 8), foliageMaterial);
+            cone.position.y = -height / 2 + trunkHeight + tierHeight / 2 + i * (foliageHeight - tierHeight) / (tiers - 1);
+            cone.castShadow = true;
+            group.add(cone);
+        }
+        
+        return group;
+    }
+    
+    /**
+     * Take the map out of the scene and free its meshes and lights (to build a different map in its place)
+     */
+    remove() {
+        const objects = [this.ground, ...this.walls, ...this.obstacles, ...this.icePatches];
+        for (const object of objects) {
+            this.scene.remove(object);
+            this.disposeObject(object);
+        }
+        
+        this.wallMaterial.dispose();
+        
+        this.scene.remove(this.ambientLight);
+        this.scene.remove(this.sunLight);
+        this.sunLight.dispose();
+    }
+    
+    /**
+     * Dispose of an object's geometries and materials
+     * @param {THREE.Object3D} object - Object to dispose
+     */
+    disposeObject(object) {
+        object.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                child.material.dispose();
+            }
+        });
     }
 }
 
@@ -0,0 +1,803 @@
+/**
+ * MapEditor class for SnowBrawl game
+ * Lays out a map file from above - snow walls, obstacles, ice patches, igloo slots and the diamond garden - with
+ * snap-to-grid, undo and redo. The editor only changes the map's data; after every change the game rebuilds the
+ * arena from it the same way a match does (see Game.previewEditedMap), so what is edited is what is played.
+ * The editor adds the igloos, the garden, the grid and the selection ring on top.
+ */
+
+// Using SnowBrawlMapEditor instead of MapEditor to avoid conflicts with built-in globals
+class SnowBrawlMapEditor {
+    // Tools on the toolbar - select picks up and moves what is already placed, the rest place something new
+    static TOOLS = ['select', 'snowWall', 'rock', 'snowman', 'tree', 'icePatch', 'igloo'];
+    
+    // Names of the things that can be selected, for the editor HUD
+    static LABELS = {
+        snowWall: 'Snow wall',
+        rock: 'Rock',
+        snowman: 'Snowman',
+        tree: 'Tree',
+        icePatch: 'Ice patch',
+        igloo: 'Igloo slot',
+        garden: 'Diamond garden'
+    };
+    
+    /**
+     * Create an editor for a map
+     * @param {Object} map - Map to edit, in the map file format with a fixed obstacle layout (see createMap)
+     * @param {THREE.Scene} scene - The scene the arena is built in, to add the igloos, garden and helpers to
+     * @param {HTMLElement} element - Element to take mouse input from (the renderer's canvas)
+     * @param {Object} callbacks - onMapChange(map) rebuilds the arena after every change and returns the new GameMap;
+     *     onStatusChange(status) updates the editor HUD (see getStatus)
+     */
+    constructor(map, scene, element, callbacks) {
+        this.map = map;
+        this.scene = scene;
+        this.element = element;
+        this.callbacks = callbacks;
+        
+        this.tool = 'select';
+        this.snapToGrid = true;
+        this.alongX = true; // Direction the next snow wall runs
+        this.selection = null; // Selected item (see getItems)
+        this.drag = null; // Selected item being moved, with the map as it was when the drag started
+        this.pan = null; // Pointer and camera position where a right-button pan started
+        this.undoStack = []; // Maps as JSON text, most recent last
+        this.redoStack = [];
+        
+        // Straight down from above, with north (-Z) at the top of the screen
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, GAME_CONSTANTS.MAP_EDITOR.CAMERA_HEIGHT * 2);
+        this.camera.up.set(0, 0, -1);
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        
+        // Views built on top of the arena, rebuilt after every change
+        this.gameMap = null;
+        this.iglooViews = [];
+        this.garden = null;
+        this.grid = null;
+        this.selectionRing = null;
+        this.fog = null; // The weather's fog, kept out of the view from high above while editing
+        
+        this.listeners = {
+            pointerdown: (event) => this.onPointerDown(event),
+            pointermove: (event) => this.onPointerMove(event),
+            pointerup: () => this.onPointerUp(),
+            wheel: (event) => this.onWheel(event),
+            contextmenu: (event) => event.preventDefault()
+        };
+        this.handleKeyDown = (event) => this.onKeyDown(event);
+    }
+    
+    /**
+     * Copy a map for editing, with its obstacles pinned down as a fixed layout
+     * A map that scatters its obstacles keeps the ones it was last built with; without a map the classic arena's
+     * size, igloo slots and garden are the starting point
+     * @param {Object|null} map - Map that passed MapLoader.validate, or null for the classic arena
+     * @param {Arena} arena - Arena currently built from the map
+     * @returns {Object} Map to edit
+     */
+    static createMap(map, arena) {
+        const round = SnowBrawlMapEditor.round;
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        const edited = map ? JSON.parse(JSON.stringify(map)) : {
+            format: MapLoader.FORMAT_VERSION,
+            name: 'New Map',
+            size: { width: arena.width, length: arena.length },
+            boundary: { shape: arena.boundary, wallHeight: arena.wallHeight },
+            igloos: Utils.getIglooSlots(arena.numIgloos).map(slot => [round(slot.x), round(slot.z)]),
+            garden: { x: garden.CENTER_X, z: garden.CENTER_Z, radius: garden.RADIUS }
+        };
+        
+        edited.obstacles = edited.obstacles || {};
+        if (!edited.obstacles.layout) {
+            edited.obstacles.layout = arena.getObstacleLayout().map(entry => ({
+                type: entry.type,
+                size: round(entry.size),
+                x: round(entry.x),
+                z: round(entry.z),
+                alongX: entry.alongX
+            }));
+        }
+        
+        // A fixed layout replaces the scattering settings
+        delete edited.obstacles.count;
+        delete edited.obstacles.icePatches;
+        delete edited.obstacles.types;
+        
+        return edited;
+    }
+    
+    /**
+     * Round a position or size to hundredths, so map files don't fill up with long decimals
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    /**
+     * Start listening to the mouse and keyboard, fit the map to the screen and build the arena
+     */
+    start() {
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.element.addEventListener(type, listener, { passive: false });
+        }
+        document.addEventListener('keydown', this.handleKeyDown);
+        
+        this.fitCamera();
+        this.refresh();
+    }
+    
+    /**
+     * Stop listening to the mouse and keyboard and take the editor's views out of the scene
+     * (the arena is left standing for whatever comes next)
+     */
+    stop() {
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.element.removeEventListener(type, listener);
+        }
+        document.removeEventListener('keydown', this.handleKeyDown);
+        
+        this.removeViews();
+        if (this.fog) {
+            this.scene.fog = this.fog;
+            this.fog = null;
+        }
+    }
+    
+    /**
+     * Center the camera over the map, zoomed to show all of it
+     */
+    fitCamera() {
+        this.camera.position.set(0, GAME_CONSTANTS.MAP_EDITOR.CAMERA_HEIGHT, 0);
+        this.camera.lookAt(0, 0, 0);
+        this.camera.zoom = 1;
+        this.updateFrustum();
+    }
+    
+    /**
+     * Size the camera's view to the map and the window (after a resize, or when the map's size changes)
+     */
+    updateFrustum() {
+        const aspect = window.innerWidth / window.innerHeight;
+        const halfLength = Math.max(this.map.size.length / 2, this.map.size.width / 2 / aspect) *
+            GAME_CONSTANTS.MAP_EDITOR.VIEW_MARGIN;
+        
+        this.camera.left = -halfLength * aspect;
+        this.camera.right = halfLength * aspect;
+        this.camera.top = halfLength;
+        this.camera.bottom = -halfLength;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Rebuild the arena and the editor's views from the map, and update the HUD
+     */
+    refresh() {
+        this.gameMap = this.callbacks.onMapChange(this.map);
+        
+        // Rebuilding the arena brings back the weather's fog, which would hide the ground from this high up
+        if (this.scene.fog) {
+            this.fog = this.scene.fog;
+            this.scene.fog = null;
+        }
+        
+        this.createViews();
+        this.updateStatus();
+    }
+    
+    /**
+     * Tell the HUD about the map, the tool and the selection
+     */
+    updateStatus() {
+        this.callbacks.onStatusChange(this.getStatus());
+    }
+    
+    /**
+     * Editor state for the HUD
+     * @returns {Object} Map name and size, tool, grid snapping, selection label, undo/redo availability
+     *     and the reason the map can't be played yet (null once it passes MapLoader.validate)
+     */
+    getStatus() {
+        return {
+            name: this.map.name,
+            width: this.map.size.width,
+            length: this.map.size.length,
+            boundary: (this.map.boundary && this.map.boundary.shape) || 'rectangle',
+            players: this.map.igloos.length,
+            tool: this.tool,
+            snapToGrid: this.snapToGrid,
+            selection: this.selection ? this.getSelectionLabel() : null,
+            canUndo: this.undoStack.length > 0,
+            canRedo: this.redoStack.length > 0,
+            problem: MapLoader.validate(this.map)
+        };
+    }
+    
+    /**
+     * Describe the selected item for the HUD
+     * @returns {string} Its name, with its size or radius
+     */
+    getSelectionLabel() {
+        const { kind } = this.selection;
+        const entry = this.getSelectedEntry();
+        if (kind === 'igloo') {
+            return SnowBrawlMapEditor.LABELS.igloo;
+        }
+        if (kind === 'garden') {
+            return `${SnowBrawlMapEditor.LABELS.garden} (radius ${entry.radius})`;
+        }
+        return `${SnowBrawlMapEditor.LABELS[entry.type]} (size ${entry.size})`;
+    }
+    
+    /**
+     * Build the igloos, the diamond garden, the grid and the selection ring over the arena
+     * The igloos and garden are the match's own views, unowned and without diamonds
+     */
+    createViews() {
+        this.removeViews();
+        const arena = this.gameMap.arena;
+        
+        this.iglooViews = this.map.igloos.map(([x, z]) =>
+            new window.Igloo(this.scene, new SimIgloo(new THREE.Vector3(x, arena.getGroundHeight(x, z), z))));
+        this.garden = new DiamondGarden(this.scene, arena);
+        
+        if (this.snapToGrid) {
+            this.grid = this.createGrid();
+            this.scene.add(this.grid);
+        }
+        
+        const item = this.selection ? this.getItems().find(other => this.isSelected(other)) : null;
+        if (item) {
+            this.selectionRing = this.createSelectionRing(item.radius);
+            this.selectionRing.position.set(item.x, 0, item.z);
+            this.scene.add(this.selectionRing);
+        }
+    }
+    
+    /**
+     * Take the editor's views out of the scene
+     */
+    removeViews() {
+        for (const view of this.iglooViews) {
+            view.remove();
+        }
+        this.iglooViews = [];
+        
+        if (this.garden) {
+            this.garden.remove();
+            this.garden = null;
+        }
+        
+        for (const helper of [this.grid, this.selectionRing]) {
+            if (helper) {
+                this.scene.remove(helper);
+                helper.geometry.dispose();
+                helper.material.dispose();
+            }
+        }
+        this.grid = null;
+        this.selectionRing = null;
+    }
+    
+    /**
+     * Create the snapping grid, drawn over everything so it shows on the hills too
+     * @returns {THREE.GridHelper} Grid with a line every GRID_SIZE, through the map's center
+     */
+    createGrid() {
+        const settings = GAME_CONSTANTS.MAP_EDITOR;
+        const cells = Math.ceil(Math.max(this.map.size.width, this.map.size.length) / settings.GRID_SIZE / 2) * 2;
+        const grid = new THREE.GridHelper(cells * settings.GRID_SIZE, cells, settings.GRID_COLOR, settings.GRID_COLOR);
+        grid.material.transparent = true;
+        grid.material.opacity = 0.4;
+        grid.material.depthTest = false;
+        grid.renderOrder = 1;
+        return grid;
+    }
+    
+    /**
+     * Create the ring drawn around the selected item
+     * @param {number} radius - Radius of the item
+     * @returns {THREE.Mesh} Flat ring, drawn over everything
+     */
+    createSelectionRing(radius) {
+        const geometry = new THREE.RingGeometry(radius + 0.2, radius + 0.6, 48);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: GAME_CONSTANTS.MAP_EDITOR.SELECTION_COLOR,
+            depthTest: false,
+            side: THREE.DoubleSide
+        });
+        
+        const ring = new THREE.Mesh(geometry, material);
+        ring.renderOrder = 2;
+        return ring;
+    }
+    
+    /**
+     * Everything on the map that can be selected and moved
+     * @returns {Array} Items with their kind ('igloo', 'garden' or 'obstacle'), index, position and radius
+     */
+    getItems() {
+        const igloo = GAME_CONSTANTS.IGLOO;
+        const iglooRadius = Math.max(igloo.WIDTH, igloo.DEPTH) / 2;
+        const garden = this.map.garden;
+        
+        return [
+            ...this.map.igloos.map(([x, z], index) => ({ kind: 'igloo', index, x, z, radius: iglooRadius })),
+            { kind: 'garden', index: 0, x: garden.x, z: garden.z, radius: garden.radius },
+            ...this.map.obstacles.layout.map((entry, index) => ({
+                kind: 'obstacle',
+                index,
+                x: entry.x,
+                z: entry.z,
+                radius: SnowBrawlMapEditor.getEntryRadius(entry)
+            }))
+        ];
+    }
+    
+    /**
+     * Distance from an obstacle's center to the edge of its footprint
+     * @param {Object} entry - Obstacle layout entry (type, size, x, z, alongX)
+     * @returns {number} Radius
+     */
+    static getEntryRadius(entry) {
+        if (entry.type === 'icePatch') {
+            return entry.size;
+        }
+        const dimensions = Arena.getObstacleDimensions(entry.type, entry.size, entry.alongX);
+        return Math.max(dimensions.width, dimensions.depth) / 2;
+    }
+    
+    /**
+     * Check if an item is the selected one
+     * @param {Object} item - Item from getItems
+     * @returns {boolean} True if it is selected
+     */
+    isSelected(item) {
+        return !!this.selection && item.kind === this.selection.kind && item.index === this.selection.index;
+    }
+    
+    /**
+     * Map data of the selected item
+     * @returns {Object|Array} Obstacle layout entry, [x, z] igloo slot or the garden
+     */
+    getSelectedEntry() {
+        switch (this.selection.kind) {
+            case 'igloo':
+                return this.map.igloos[this.selection.index];
+            case 'garden':
+                return this.map.garden;
+            default:
+                return this.map.obstacles.layout[this.selection.index];
+        }
+    }
+    
+    /**
+     * Find the item under a point on the ground
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @returns {Object|null} The nearest item whose footprint covers the point, or null
+     */
+    pick(x, z) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const item of this.getItems()) {
+            const distance = Math.hypot(item.x - x, item.z - z);
+            if (distance <= item.radius && distance < nearestDistance) {
+                nearest = item;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Where on the ground the pointer is
+     * @param {PointerEvent|MouseEvent} event - Pointer event over the element
+     * @returns {THREE.Vector3|null} Point on the ground plane, or null if the pointer misses it
+     */
+    getGroundPoint(event) {
+        const rect = this.element.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.camera.updateMatrixWorld(); // It may have been panned since the last frame was drawn
+        this.raycaster.setFromCamera(pointer, this.camera);
+        return this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+    }
+    
+    /**
+     * Snap a coordinate to the grid, or round it when snapping is off
+     * @param {number} value - X or Z position
+     * @returns {number} Snapped position
+     */
+    snap(value) {
+        const gridSize = GAME_CONSTANTS.MAP_EDITOR.GRID_SIZE;
+        return this.snapToGrid ? Math.round(value / gridSize) * gridSize : SnowBrawlMapEditor.round(value);
+    }
+    
+    /**
+     * Make a change to the map that can be undone, then rebuild the arena
+     * @param {Function} change - Changes the map in place
+     */
+    edit(change) {
+        this.pushUndo(JSON.stringify(this.map));
+        change(this.map);
+        this.refresh();
+    }
+    
+    /**
+     * Remember the map as it was before a change, which clears anything that could be redone
+     * @param {string} snapshot - Map as JSON text
+     */
+    pushUndo(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > GAME_CONSTANTS.MAP_EDITOR.UNDO_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    /**
+     * Go back to the map as it was before the last change
+     */
+    undo() {
+        this.restore(this.undoStack, this.redoStack);
+    }
+    
+    /**
+     * Make the last undone change again
+     */
+    redo() {
+        this.restore(this.redoStack, this.undoStack);
+    }
+    
+    /**
+     * Swap the map for the most recent one on a stack, keeping the current one on the other stack
+     * @param {Array} from - Stack to take the map from
+     * @param {Array} to - Stack to keep the current map on
+     */
+    restore(from, to) {
+        if (from.length === 0) return;
+        
+        to.push(JSON.stringify(this.map));
+        this.map = JSON.parse(from.pop());
+        this.selection = null;
+        this.updateFrustum();
+        this.refresh();
+    }
+    
+    /**
+     * Replace the whole map (an imported map file), as a change that can be undone
+     * @param {Object} map - Map to edit (see createMap)
+     */
+    load(map) {
+        this.pushUndo(JSON.stringify(this.map));
+        this.map = map;
+        this.selection = null;
+        this.fitCamera();
+        this.refresh();
+    }
+    
+    /**
+     * Pick the tool for the next click on the map
+     * @param {string} tool - One of TOOLS
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.updateStatus();
+    }
+    
+    /**
+     * Turn snapping to the grid on or off
+     * @param {boolean} enabled - Whether placed and moved things snap to the grid
+     */
+    setSnapToGrid(enabled) {
+        this.snapToGrid = enabled;
+        this.createViews();
+        this.updateStatus();
+    }
+    
+    /**
+     * Rename the map
+     * @param {string} name - New name
+     */
+    setName(name) {
+        this.edit(map => {
+            map.name = name;
+        });
+    }
+    
+    /**
+     * Resize the map, keeping it within the sizes a map can have
+     * @param {number} width - New width
+     * @param {number} length - New length
+     */
+    setSize(width, length) {
+        const limits = MapLoader.SIZE_LIMITS;
+        this.edit(map => {
+            map.size = {
+                width: Utils.clamp(width, limits.MIN, limits.MAX),
+                length: Utils.clamp(length, limits.MIN, limits.MAX)
+            };
+        });
+        this.updateFrustum();
+    }
+    
+    /**
+     * Change the shape of the boundary wall
+     * @param {string} shape - 'rectangle' or 'circle'
+     */
+    setBoundary(shape) {
+        this.edit(map => {
+            map.boundary = { ...map.boundary, shape };
+        });
+    }
+    
+    /**
+     * Select an item, or clear the selection
+     * @param {Object|null} item - Item from getItems, or null
+     */
+    select(item) {
+        this.selection = item ? { kind: item.kind, index: item.index } : null;
+        this.createViews();
+        this.updateStatus();
+    }
+    
+    /**
+     * Place something new with a tool, snapped to the grid, and select it
+     * @param {string} tool - Placing tool (any of TOOLS but select)
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     */
+    place(tool, x, z) {
+        const position = [this.snap(x), this.snap(z)];
+        
+        if (tool === 'igloo') {
+            this.edit(map => {
+                map.igloos.push(position);
+                this.selection = { kind: 'igloo', index: map.igloos.length - 1 };
+            });
+            return;
+        }
+        
+        this.edit(map => {
+            map.obstacles.layout.push({
+                type: tool,
+                size: GAME_CONSTANTS.MAP_EDITOR.NEW_SIZES[tool],
+                x: position[0],
+                z: position[1],
+                alongX: tool === 'snowWall' && this.alongX
+            });
+            this.selection = { kind: 'obstacle', index: map.obstacles.layout.length - 1 };
+        });
+    }
+    
+    /**
+     * Move the selected item in the map data
+     * @param {Object} map - Map to change
+     * @param {number} x - New X position
+     * @param {number} z - New Z position
+     */
+    moveSelection(map, x, z) {
+        const { kind, index } = this.selection;
+        if (kind === 'igloo') {
+            map.igloos[index] = [x, z];
+        } else if (kind === 'garden') {
+            map.garden.x = x;
+            map.garden.z = z;
+        } else {
+            map.obstacles.layout[index].x = x;
+            map.obstacles.layout[index].z = z;
+        }
+    }
+    
+    /**
+     * Turn the selected snow wall a quarter turn, or the next one to be placed if no wall is selected
+     * (everything collides as an axis-aligned box, so only walls have a direction - see Arena.getObstacleDimensions)
+     */
+    rotate() {
+        const entry = this.selection && this.selection.kind === 'obstacle' ? this.getSelectedEntry() : null;
+        if (entry && entry.type === 'snowWall') {
+            this.edit(map => {
+                const wall = map.obstacles.layout[this.selection.index];
+                wall.alongX = !wall.alongX;
+            });
+            return;
+        }
+        
+        this.alongX = !this.alongX;
+        Utils.showMessage(`New snow walls run ${this.alongX ? 'east to west' : 'north to south'}`);
+    }
+    
+    /**
+     * Grow or shrink the selected obstacle, ice patch or garden, within the sizes a map can have
+     * @param {number} direction - 1 to grow, -1 to shrink
+     */
+    resizeSelection(direction) {
+        if (!this.selection || this.selection.kind === 'igloo') return;
+        
+        const step = GAME_CONSTANTS.MAP_EDITOR.SIZE_STEP * direction;
+        if (this.selection.kind === 'garden') {
+            const limits = MapLoader.GARDEN_RADIUS_LIMITS;
+            this.edit(map => {
+                map.garden.radius = Utils.clamp(map.garden.radius + step * 2, limits.MIN, limits.MAX);
+            });
+            return;
+        }
+        
+        const limits = MapLoader.OBSTACLE_SIZE_LIMITS;
+        this.edit(map => {
+            const entry = map.obstacles.layout[this.selection.index];
+            entry.size = Utils.clamp(entry.size + step, limits.MIN, limits.MAX);
+        });
+    }
+    
+    /**
+     * Remove the selected obstacle, ice patch or igloo slot
+     * The garden can only be moved, and a map keeps at least two igloo slots
+     */
+    deleteSelection() {
+        if (!this.selection) return;
+        
+        const { kind, index } = this.selection;
+        if (kind === 'garden') {
+            Utils.showMessage('The diamond garden can be moved and resized but not removed');
+            return;
+        }
+        if (kind === 'igloo' && this.map.igloos.length <= 2) {
+            Utils.showMessage('A map needs at least two igloo slots');
+            return;
+        }
+        
+        this.edit(map => {
+            if (kind === 'igloo') {
+                map.igloos.splice(index, 1);
+            } else {
+                map.obstacles.layout.splice(index, 1);
+            }
+            this.selection = null;
+        });
+    }
+    
+    /**
+     * Place with the current tool, or pick up an item to drag with the select tool (right button pans the view)
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (event.button === 2) {
+            this.pan = { x: event.clientX, y: event.clientY, position: this.camera.position.clone() };
+            return;
+        }
+        
+        const point = event.button === 0 ? this.getGroundPoint(event) : null;
+        if (!point) return;
+        
+        if (this.tool !== 'select') {
+            this.place(this.tool, point.x, point.z);
+            return;
+        }
+        
+        const item = this.pick(point.x, point.z);
+        this.select(item);
+        if (item) {
+            this.drag = { before: JSON.stringify(this.map), offsetX: item.x - point.x, offsetZ: item.z - point.z, moved: false };
+        }
+    }
+    
+    /**
+     * Drag the selected item (just its ring and, for an igloo, its view - the arena is rebuilt when it is dropped)
+     * or pan the view
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        if (this.pan) {
+            const rect = this.element.getBoundingClientRect();
+            const unitsPerPixel = (this.camera.right - this.camera.left) / this.camera.zoom / rect.width;
+            this.camera.position.x = this.pan.position.x - (event.clientX - this.pan.x) * unitsPerPixel;
+            this.camera.position.z = this.pan.position.z - (event.clientY - this.pan.y) * unitsPerPixel;
+            return;
+        }
+        
+        const point = this.drag ? this.getGroundPoint(event) : null;
+        if (!point) return;
+        
+        const x = this.snap(point.x + this.drag.offsetX);
+        const z = this.snap(point.z + this.drag.offsetZ);
+        this.moveSelection(this.map, x, z);
+        this.drag.moved = true;
+        
+        this.selectionRing.position.set(x, 0, z);
+        if (this.selection.kind === 'igloo') {
+            this.iglooViews[this.selection.index].group.position.set(x, 0, z);
+        }
+    }
+    
+    /**
+     * Drop a dragged item, as a change that can be undone, or stop panning
+     */
+    onPointerUp() {
+        if (this.drag && this.drag.moved) {
+            this.pushUndo(this.drag.before);
+            this.refresh();
+        }
+        this.drag = null;
+        this.pan = null;
+    }
+    
+    /**
+     * Zoom the view in or out
+     * @param {WheelEvent} event - Wheel event
+     */
+    onWheel(event) {
+        event.preventDefault();
+        const settings = GAME_CONSTANTS.MAP_EDITOR;
+        this.camera.zoom = Utils.clamp(this.camera.zoom * (event.deltaY > 0 ? 0.9 : 1.1), settings.MIN_ZOOM, settings.MAX_ZOOM);
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Handle editing shortcuts (Ctrl+Z/Ctrl+Y to undo and redo, R to rotate, - and + to resize,
+     * Delete to remove, G to toggle the grid, Escape to clear the selection)
+     * Typing in the HUD's fields is left alone
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+        
+        if (event.ctrlKey || event.metaKey) {
+            this.onShortcut(event);
+            return;
+        }
+        
+        switch (event.code) {
+            case 'KeyR':
+                this.rotate();
+                break;
+            case 'Minus':
+            case 'NumpadSubtract':
+                this.resizeSelection(-1);
+                break;
+            case 'Equal':
+            case 'NumpadAdd':
+                this.resizeSelection(1);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelection();
+                break;
+            case 'KeyG':
+                this.setSnapToGrid(!this.snapToGrid);
+                break;
+            case 'Escape':
+                this.select(null);
+                break;
+        }
+    }
+    
+    /**
+     * Handle undo and redo shortcuts (Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y, or Cmd on a Mac)
+     * @param {KeyboardEvent} event - Keyboard event with Ctrl or Cmd held
+     */
+    onShortcut(event) {
+        if (event.code === 'KeyZ') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (event.code === 'KeyY') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+}
+
+// Expose SnowBrawlMapEditor to the global scope as MapEditor to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.MapEditor = SnowBrawlMapEditor;
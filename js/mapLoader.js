@@ -0,0 +1,540 @@
+/**
+ * Map file loading for SnowBrawl
+ * Arenas are described by JSON map files (see maps/) - their size and boundary shape, igloo slots, diamond garden,
+ * obstacles, power-up spawn points, terrain, lighting and colors. A map is checked with validate and turned into
+ * values for GAME_CONSTANTS with toConstants, which the Arena, Terrain and GameMap are then built from.
+ * Anything a map leaves out keeps the classic arena's value.
+ */
+
+// Format version of map files, bumped whenever the format changes
+const MAP_FORMAT_VERSION = 1;
+
+// Smallest and largest width or length a map can have
+const MAP_SIZE_LIMITS = { MIN: 30, MAX: 200 };
+
+// Most igloo slots a map can have (and so most players it can hold)
+const MAP_MAX_IGLOOS = 8;
+
+// Smallest and largest size of an obstacle or ice patch in a fixed layout
+const MAP_OBSTACLE_SIZE_LIMITS = { MIN: 0.5, MAX: 10 };
+
+// Smallest and largest diamond garden radius
+const MAP_GARDEN_RADIUS_LIMITS = { MIN: 4, MAX: 40 };
+
+// Theme colors and the constants they set ([section path, key])
+const MAP_THEME_CONSTANTS = {
+    sky: [['WEATHER', 'TYPES', 'CLEAR'], 'SKY_COLOR'],
+    ground: [['MAP'], 'GROUND_COLOR'],
+    walls: [['MAP'], 'WALL_COLOR'],
+    snow: [['MAP'], 'SNOW_COLOR'],
+    ice: [['MAP'], 'ICE_COLOR'],
+    rock: [['MAP'], 'ROCK_COLOR'],
+    treeTrunk: [['MAP'], 'TREE_TRUNK_COLOR'],
+    treeFoliage: [['MAP'], 'TREE_FOLIAGE_COLOR']
+};
+
+// Using SnowBrawlMapLoader instead of MapLoader to avoid conflicts with built-in globals
+class SnowBrawlMapLoader {
+    // Format and limits of a valid map, for building maps that will pass validate (see MapEditor)
+    static FORMAT_VERSION = MAP_FORMAT_VERSION;
+    static SIZE_LIMITS = MAP_SIZE_LIMITS;
+    static MAX_IGLOOS = MAP_MAX_IGLOOS;
+    static OBSTACLE_SIZE_LIMITS = MAP_OBSTACLE_SIZE_LIMITS;
+    static GARDEN_RADIUS_LIMITS = MAP_GARDEN_RADIUS_LIMITS;
+    
+    /**
+     * Fetch and check a map file (browser only - the server reads its map from disk and uses parse)
+     * @param {string} url - Map file URL
+     * @returns {Promise<Object>} Resolves with the map, or rejects with an error saying what is wrong with it
+     */
+    static load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`could not load ${url} (${response.status})`);
+                }
+                return response.text();
+            })
+            .then(text => SnowBrawlMapLoader.parse(text));
+    }
+    
+    /**
+     * Read a map from the text of a map file
+     * @param {string} text - JSON text
+     * @returns {Object} The map
+     * @throws {Error} If the text isn't JSON or isn't a valid map, saying what is wrong with it
+     */
+    static parse(text) {
+        let map;
+        try {
+            map = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`not valid JSON (${error.message})`);
+        }
+        
+        const problem = SnowBrawlMapLoader.validate(map);
+        if (problem) {
+            throw new Error(problem);
+        }
+        return map;
+    }
+    
+    /**
+     * Check that parsed JSON is a map this version can build
+     * @param {Object} map - Parsed map
+     * @returns {string|null} Problem description, or null if the map is valid
+     */
+    static validate(map) {
+        if (!SnowBrawlMapLoader.isObject(map)) {
+            return 'not a map file';
+        }
+        if (map.format !== MAP_FORMAT_VERSION) {
+            return `unsupported map format ${map.format} (expected ${MAP_FORMAT_VERSION})`;
+        }
+        if (typeof map.name !== 'string' || map.name.trim() === '') {
+            return 'name must be a non-empty string';
+        }
+        if (map.description !== undefined && typeof map.description !== 'string') {
+            return 'description must be a string';
+        }
+        
+        return SnowBrawlMapLoader.validateShape(map) ||
+            SnowBrawlMapLoader.validateIgloos(map) ||
+            SnowBrawlMapLoader.validateGarden(map) ||
+            SnowBrawlMapLoader.validateObstacles(map) ||
+            SnowBrawlMapLoader.validatePoints(map.powerUps, 'powerUps', map, GAME_CONSTANTS.POWER_UPS.CLEARANCE) ||
+            SnowBrawlMapLoader.validateTerrain(map.terrain) ||
+            SnowBrawlMapLoader.validateLighting(map.lighting) ||
+            SnowBrawlMapLoader.validateTheme(map.theme);
+    }
+    
+    /**
+     * Check the map's size and boundary
+     * @param {Object} map - Parsed map
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateShape(map) {
+        if (!SnowBrawlMapLoader.isObject(map.size)) {
+            return 'size must be an object with a width and a length';
+        }
+        for (const key of ['width', 'length']) {
+            if (!SnowBrawlMapLoader.isNumberBetween(map.size[key], MAP_SIZE_LIMITS.MIN, MAP_SIZE_LIMITS.MAX)) {
+                return `size.${key} must be a number from ${MAP_SIZE_LIMITS.MIN} to ${MAP_SIZE_LIMITS.MAX}`;
+            }
+        }
+        
+        if (map.boundary === undefined) {
+            return null;
+        }
+        if (!SnowBrawlMapLoader.isObject(map.boundary)) {
+            return 'boundary must be an object';
+        }
+        if (map.boundary.shape !== undefined && !['rectangle', 'circle'].includes(map.boundary.shape)) {
+            return `boundary.shape must be "rectangle" or "circle", not ${JSON.stringify(map.boundary.shape)}`;
+        }
+        if (map.boundary.wallHeight !== undefined && !SnowBrawlMapLoader.isNumberBetween(map.boundary.wallHeight, 1, 50)) {
+            return 'boundary.wallHeight must be a number from 1 to 50';
+        }
+        return null;
+    }
+    
+    /**
+     * Check the igloo slots - inside the boundary, with room for each igloo's safe zone
+     * @param {Object} map - Parsed map
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateIgloos(map) {
+        const igloos = map.igloos;
+        if (!Array.isArray(igloos) || igloos.length < 2 || igloos.length > MAP_MAX_IGLOOS) {
+            return `igloos must be a list of 2 to ${MAP_MAX_IGLOOS} [x, z] positions`;
+        }
+        
+        const igloo = GAME_CONSTANTS.IGLOO;
+        const extent = Math.max(igloo.WIDTH, igloo.DEPTH) / 2;
+        for (let i = 0; i < igloos.length; i++) {
+            if (!SnowBrawlMapLoader.isPoint(igloos[i])) {
+                return `igloos[${i}] must be an [x, z] position`;
+            }
+            if (!SnowBrawlMapLoader.isInside(map, igloos[i][0], igloos[i][1], extent + 1)) {
+                return `igloos[${i}] is outside the boundary`;
+            }
+            for (let j = 0; j < i; j++) {
+                if (Math.hypot(igloos[i][0] - igloos[j][0], igloos[i][1] - igloos[j][1]) < igloo.SAFE_ZONE_RADIUS * 2) {
+                    return `igloos[${i}] is too close to igloos[${j}] (their safe zones overlap)`;
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check the diamond garden - inside the boundary and clear of the igloos
+     * @param {Object} map - Parsed map
+     * @returns {string|null} Problem description, or null if it is valid
+     */
+    static validateGarden(map) {
+        const garden = map.garden;
+        if (!SnowBrawlMapLoader.isObject(garden) || !Number.isFinite(garden.x) || !Number.isFinite(garden.z)) {
+            return 'garden must be an object with an x, a z and a radius';
+        }
+        const limits = MAP_GARDEN_RADIUS_LIMITS;
+        if (!SnowBrawlMapLoader.isNumberBetween(garden.radius, limits.MIN, limits.MAX)) {
+            return `garden.radius must be a number from ${limits.MIN} to ${limits.MAX}`;
+        }
+        if (!SnowBrawlMapLoader.isInside(map, garden.x, garden.z, garden.radius + 1)) {
+            return 'garden is outside the boundary';
+        }
+        
+        const iglooIndex = map.igloos.findIndex(([x, z]) =>
+            Math.hypot(x - garden.x, z - garden.z) < garden.radius + GAME_CONSTANTS.IGLOO.SAFE_ZONE_RADIUS);
+        if (iglooIndex !== -1) {
+            return `igloos[${iglooIndex}] is inside the garden`;
+        }
+        return null;
+    }
+    
+    /**
+     * Check the obstacle settings - counts and types to scatter, or a fixed layout
+     * @param {Object} map - Parsed map
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateObstacles(map) {
+        const obstacles = map.obstacles;
+        if (obstacles === undefined) {
+            return null;
+        }
+        if (!SnowBrawlMapLoader.isObject(obstacles)) {
+            return 'obstacles must be an object';
+        }
+        
+        for (const key of ['count', 'icePatches']) {
+            if (obstacles[key] !== undefined && !(Number.isInteger(obstacles[key]) && obstacles[key] >= 0 && obstacles[key] <= 100)) {
+                return `obstacles.${key} must be a whole number from 0 to 100`;
+            }
+        }
+        
+        const typesProblem = SnowBrawlMapLoader.validateObstacleTypes(obstacles.types);
+        if (typesProblem || obstacles.layout === undefined) {
+            return typesProblem;
+        }
+        if (!Array.isArray(obstacles.layout)) {
+            return 'obstacles.layout must be a list of obstacles';
+        }
+        for (let i = 0; i < obstacles.layout.length; i++) {
+            const problem = SnowBrawlMapLoader.validateLayoutEntry(obstacles.layout[i], `obstacles.layout[${i}]`, map);
+            if (problem) {
+                return problem;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check the obstacle types to scatter
+     * @param {Array|undefined} types - Obstacle types, or undefined if the map leaves them out
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateObstacleTypes(types) {
+        if (types === undefined) {
+            return null;
+        }
+        if (!Array.isArray(types) || types.length === 0) {
+            return 'obstacles.types must be a non-empty list';
+        }
+        
+        const knownTypes = Arena.OBSTACLE_TYPES;
+        const unknown = types.find(type => !knownTypes.includes(type));
+        if (unknown !== undefined) {
+            return `obstacles.types has unknown type ${JSON.stringify(unknown)} (expected one of ${knownTypes.join(', ')})`;
+        }
+        return null;
+    }
+    
+    /**
+     * Check one obstacle or ice patch of a fixed layout (see Arena.getObstacleLayout)
+     * @param {Object} entry - Obstacle description (type, size, x, z, alongX)
+     * @param {string} label - Name of the entry for problem descriptions
+     * @param {Object} map - Parsed map
+     * @returns {string|null} Problem description, or null if it is valid
+     */
+    static validateLayoutEntry(entry, label, map) {
+        const knownTypes = Arena.OBSTACLE_TYPES;
+        if (!SnowBrawlMapLoader.isObject(entry)) {
+            return `${label} must be an object`;
+        }
+        if (entry.type !== 'icePatch' && !knownTypes.includes(entry.type)) {
+            return `${label} has unknown type ${JSON.stringify(entry.type)} (expected icePatch or one of ${knownTypes.join(', ')})`;
+        }
+        const limits = MAP_OBSTACLE_SIZE_LIMITS;
+        if (!SnowBrawlMapLoader.isNumberBetween(entry.size, limits.MIN, limits.MAX)) {
+            return `${label}.size must be a number from ${limits.MIN} to ${limits.MAX}`;
+        }
+        if (!Number.isFinite(entry.x) || !Number.isFinite(entry.z)) {
+            return `${label} must have a numeric x and z`;
+        }
+        if (entry.alongX !== undefined && typeof entry.alongX !== 'boolean') {
+            return `${label}.alongX must be true or false`;
+        }
+        if (!SnowBrawlMapLoader.isInside(map, entry.x, entry.z, 0)) {
+            return `${label} is outside the boundary`;
+        }
+        return null;
+    }
+    
+    /**
+     * Check a list of [x, z] positions inside the boundary
+     * @param {Array|undefined} points - Positions, or undefined if the map leaves them out
+     * @param {string} label - Name of the list for problem descriptions
+     * @param {Object} map - Parsed map
+     * @param {number} margin - Distance each position must keep from the boundary
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validatePoints(points, label, map, margin) {
+        if (points === undefined) {
+            return null;
+        }
+        if (!Array.isArray(points)) {
+            return `${label} must be a list of [x, z] positions`;
+        }
+        for (let i = 0; i < points.length; i++) {
+            if (!SnowBrawlMapLoader.isPoint(points[i])) {
+                return `${label}[${i}] must be an [x, z] position`;
+            }
+            if (!SnowBrawlMapLoader.isInside(map, points[i][0], points[i][1], margin)) {
+                return `${label}[${i}] is outside the boundary`;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check the terrain settings
+     * @param {Object|undefined} terrain - Terrain settings, or undefined if the map leaves them out
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateTerrain(terrain) {
+        if (terrain === undefined) {
+            return null;
+        }
+        if (!SnowBrawlMapLoader.isObject(terrain)) {
+            return 'terrain must be an object';
+        }
+        for (const key of ['hillHeight', 'driftHeight']) {
+            if (terrain[key] !== undefined && !SnowBrawlMapLoader.isNumberBetween(terrain[key], 0, 20)) {
+                return `terrain.${key} must be a number from 0 to 20`;
+            }
+        }
+        if (terrain.heightmap !== undefined && terrain.heightmap !== null && typeof terrain.heightmap !== 'string') {
+            return 'terrain.heightmap must be an image URL';
+        }
+        return null;
+    }
+    
+    /**
+     * Check the lighting settings
+     * @param {Object|undefined} lighting - Ambient and sun light settings, or undefined if the map leaves them out
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateLighting(lighting) {
+        if (lighting === undefined) {
+            return null;
+        }
+        if (!SnowBrawlMapLoader.isObject(lighting)) {
+            return 'lighting must be an object';
+        }
+        
+        const problem = SnowBrawlMapLoader.validateLight(lighting.ambient, 'lighting.ambient') ||
+            SnowBrawlMapLoader.validateLight(lighting.sun, 'lighting.sun');
+        if (problem) {
+            return problem;
+        }
+        
+        const position = lighting.sun && lighting.sun.position;
+        if (position !== undefined && !(Array.isArray(position) && position.length === 3 && position.every(Number.isFinite) && position[1] > 0)) {
+            return 'lighting.sun.position must be an [x, y, z] position above the ground';
+        }
+        return null;
+    }
+    
+    /**
+     * Check one light's color and intensity
+     * @param {Object|undefined} light - Light settings, or undefined if the map leaves them out
+     * @param {string} label - Name of the light for problem descriptions
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateLight(light, label) {
+        if (light === undefined) {
+            return null;
+        }
+        if (!SnowBrawlMapLoader.isObject(light)) {
+            return `${label} must be an object`;
+        }
+        if (light.color !== undefined && !SnowBrawlMapLoader.isColor(light.color)) {
+            return `${label}.color must be a color like "#FFFFFF"`;
+        }
+        if (light.intensity !== undefined && !SnowBrawlMapLoader.isNumberBetween(light.intensity, 0, 5)) {
+            return `${label}.intensity must be a number from 0 to 5`;
+        }
+        return null;
+    }
+    
+    /**
+     * Check the theme colors
+     * @param {Object|undefined} theme - Colors by name, or undefined if the map leaves them out
+     * @returns {string|null} Problem description, or null if they are valid
+     */
+    static validateTheme(theme) {
+        if (theme === undefined) {
+            return null;
+        }
+        if (!SnowBrawlMapLoader.isObject(theme)) {
+            return 'theme must be an object';
+        }
+        for (const [key, color] of Object.entries(theme)) {
+            if (!(key in MAP_THEME_CONSTANTS)) {
+                return `theme has unknown color ${JSON.stringify(key)} (expected one of ${Object.keys(MAP_THEME_CONSTANTS).join(', ')})`;
+            }
+            if (!SnowBrawlMapLoader.isColor(color)) {
+                return `theme.${key} must be a color like "#FFFFFF"`;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Turn a valid map into values for GAME_CONSTANTS, for Utils.assignConstants
+     * Only what the map sets is included, so apply it over the classic arena's constants
+     * @param {Object} map - Map that passed validate
+     * @returns {Object} Constants in the shape of GAME_CONSTANTS
+     */
+    static toConstants(map) {
+        const boundary = map.boundary || {};
+        const obstacles = map.obstacles || {};
+        const constants = {
+            NUM_AI_PLAYERS: map.igloos.length - 1, // Free-for-all fills every slot
+            MAP: {
+                WIDTH: map.size.width,
+                LENGTH: map.size.length,
+                BOUNDARY: boundary.shape || 'rectangle',
+                IGLOO_SLOTS: map.igloos.map(([x, z]) => [x, z]),
+                OBSTACLE_LAYOUT: obstacles.layout ?
+                    obstacles.layout.map(entry => ({ type: entry.type, size: entry.size, x: entry.x, z: entry.z, alongX: !!entry.alongX })) :
+                    null
+            },
+            DIAMOND_GARDEN: {
+                CENTER_X: map.garden.x,
+                CENTER_Z: map.garden.z,
+                RADIUS: map.garden.radius
+            },
+            POWER_UPS: {},
+            TERRAIN: {}
+        };
+        
+        const copy = SnowBrawlMapLoader.copySettings;
+        const parseColor = SnowBrawlMapLoader.parseColor;
+        copy(boundary, constants.MAP, { wallHeight: 'WALL_HEIGHT' });
+        copy(obstacles, constants.MAP, { count: 'NUM_OBSTACLES', icePatches: 'NUM_ICE_PATCHES', types: 'OBSTACLE_TYPES' });
+        copy(map, constants.POWER_UPS, { powerUps: 'SPAWN_POINTS' });
+        copy(map.terrain, constants.TERRAIN, { hillHeight: 'HILL_HEIGHT', driftHeight: 'DRIFT_HEIGHT', heightmap: 'HEIGHTMAP' });
+        
+        const lighting = map.lighting || {};
+        copy(lighting.ambient, constants.MAP, { intensity: 'AMBIENT_INTENSITY' });
+        copy(lighting.ambient, constants.MAP, { color: 'AMBIENT_COLOR' }, parseColor);
+        copy(lighting.sun, constants.MAP, { intensity: 'SUN_INTENSITY', position: 'SUN_POSITION' });
+        copy(lighting.sun, constants.MAP, { color: 'SUN_COLOR' }, parseColor);
+        
+        for (const [key, color] of Object.entries(map.theme || {})) {
+            const [path, constant] = MAP_THEME_CONSTANTS[key];
+            let section = constants;
+            for (const name of path) {
+                section[name] = section[name] || {};
+                section = section[name];
+            }
+            section[constant] = parseColor(color);
+        }
+        
+        return constants;
+    }
+    
+    /**
+     * Copy the settings a map gives into a section of constants, leaving out those it doesn't
+     * @param {Object|undefined} source - Map settings, or undefined if the map leaves them all out
+     * @param {Object} target - Constants section to fill in
+     * @param {Object} keys - Constant names by setting name
+     * @param {Function} convert - Turns a setting into its constant's value (arrays are copied by Utils.assignConstants)
+     */
+    static copySettings(source, target, keys, convert = value => value) {
+        for (const [setting, constant] of Object.entries(keys)) {
+            if (source && source[setting] !== undefined) {
+                target[constant] = convert(source[setting]);
+            }
+        }
+    }
+    
+    /**
+     * Check if a point is inside a map's boundary, before its constants are applied
+     * @param {Object} map - Parsed map with a valid size and boundary
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {number} margin - Distance the point must keep from the boundary
+     * @returns {boolean} True if the point is at least margin inside the boundary
+     */
+    static isInside(map, x, z, margin) {
+        const { width, length } = map.size;
+        if (map.boundary && map.boundary.shape === 'circle') {
+            return Math.hypot(x, z) <= Math.min(width, length) / 2 - margin;
+        }
+        return Math.abs(x) <= width / 2 - margin && Math.abs(z) <= length / 2 - margin;
+    }
+    
+    /**
+     * Check for a plain object (not null or an array)
+     * @param {*} value - Value to check
+     * @returns {boolean} True for an object
+     */
+    static isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /**
+     * Check for a number in a range
+     * @param {*} value - Value to check
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @returns {boolean} True for a number from min to max
+     */
+    static isNumberBetween(value, min, max) {
+        return Number.isFinite(value) && value >= min && value <= max;
+    }
+    
+    /**
+     * Check for an [x, z] position
+     * @param {*} value - Value to check
+     * @returns {boolean} True for an array of two numbers
+     */
+    static isPoint(value) {
+        return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+    }
+    
+    /**
+     * Check for a "#RRGGBB" color
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a hex color string
+     */
+    static isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+    }
+    
+    /**
+     * Turn a "#RRGGBB" color into a number like the constants use
+     * @param {string} color - Hex color string
+     * @returns {number} Color as a number
+     */
+    static parseColor(color) {
+        return parseInt(color.slice(1), 16);
+    }
+}
+
+// Expose SnowBrawlMapLoader to the global scope as MapLoader to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.MapLoader = SnowBrawlMapLoader;
@@ -0,0 +1,789 @@
+/**
+ * Network client for SnowBrawl game
+ * Connects to the multiplayer server (server/server.js), sends the local player's input and mirrors server snapshots
+ * The local player is predicted ahead of the server and corrected when snapshots arrive;
+ * other players and snowballs are interpolated between snapshots
+ */
+
+// Using SnowBrawlNetworkClient instead of NetworkClient to avoid conflicts with built-in globals
+class SnowBrawlNetworkClient {
+    // Fields of Player.input sent to the server each step
+    static INPUT_KEYS = ['forward', 'backward', 'left', 'right', 'jump', 'shoot', 'lob', 'scoop', 'repair'];
+    
+    /**
+     * Create a network client
+     * @param {string} url - WebSocket URL of the server
+     */
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.isConnected = false;
+        this.playerId = null; // Our player's id on the server, set by the welcome message
+        
+        // Client-side prediction
+        this.inputSequence = 0;
+        this.pendingInputs = []; // Inputs sent but not yet acknowledged in a snapshot
+        this.inputAccumulator = 0; // Seconds of input not yet sent
+        
+        // Snapshot interpolation
+        this.snapshots = []; // Recent snapshots, oldest first
+        this.serverTimeOffset = 0; // Server clock minus local clock, in milliseconds
+        this.protectionStatus = null; // Local player's safe zone protection from the latest snapshot, for the HUD
+        this.powerUpStatus = []; // Local player's active power-ups from the latest snapshot, for the HUD
+        this.weatherStatus = null; // Weather from the latest snapshot (see Simulation.getWeatherStatus)
+        this.wind = { x: 0, z: 0 }; // Wind from the latest snapshot
+        this.roundTime = 0; // Milliseconds into the round as of the latest snapshot, for the time of day
+        
+        // Objects mirrored from the server, keyed by server id
+        this.remotePlayers = new Map();
+        this.snowballs = new Map();
+        this.diamonds = new Map();
+        this.powerUps = new Map();
+        this.igloos = new Map();
+    }
+    
+    /**
+     * Connect to the server
+     */
+    connect() {
+        console.log(`Connecting to multiplayer server at ${this.url}`);
+        
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Error connecting to multiplayer server:', error);
+            Utils.showMessage('Could not connect to the multiplayer server', 4000);
+            return;
+        }
+        
+        this.socket.addEventListener('open', () => {
+            this.isConnected = true;
+            console.log('Connected to multiplayer server');
+        });
+        
+        this.socket.addEventListener('message', (event) => this.handleMessage(event.data));
+        
+        this.socket.addEventListener('close', () => {
+            if (this.isConnected) {
+                Utils.showMessage('Disconnected from the multiplayer server', 4000);
+            } else {
+                Utils.showMessage(`Could not connect to the multiplayer server at ${this.url}`, 4000);
+            }
+            this.isConnected = false;
+            console.log('Multiplayer connection closed');
+        });
+    }
+    
+    /**
+     * Close the connection to the server
+     */
+    disconnect() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+    
+    /**
+     * Send a message to the server
+     * @param {Object} message - Message to send as JSON
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Handle a message from the server
+     * @param {string} data - Raw message data
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed server message:', error);
+            return;
+        }
+        
+        switch (message.type) {
+            case 'welcome':
+                this.handleWelcome(message);
+                break;
+            case 'snapshot':
+                this.handleSnapshot(message);
+                break;
+            case 'roundOver':
+                this.handleRoundOver(message);
+                break;
+            case 'roundStart':
+                Utils.showMessage(`Round ${message.round} - fight!`, 3000);
+                break;
+            case 'full':
+                Utils.showMessage('The multiplayer server is full', 4000);
+                break;
+            default:
+                console.warn(`Unknown server message type: ${message.type}`);
+        }
+    }
+    
+    /**
+     * Handle the server's welcome message
+     * @param {Object} message - Welcome message with our player id, the map and its layout
+     */
+    handleWelcome(message) {
+        this.playerId = message.id;
+        Game.seed = message.seed ?? null;
+        
+        // Build the server's map, then use its terrain and obstacles so prediction collides with the same ground and walls the server does
+        Game.applyMap(message.map ?? null);
+        Game.map.setTerrain(Terrain.fromLayout(message.terrain), Game.world);
+        Game.map.loadObstacleLayout(message.obstacles, Game.world);
+        
+        console.log(`Joined multiplayer game as ${this.playerId}`);
+        Utils.showMessage(`Joined as Player ${this.playerId}`, 3000);
+    }
+    
+    /**
+     * Handle the end of a round
+     * @param {Object} message - Round over message with the winner's id
+     */
+    handleRoundOver(message) {
+        let text = 'Round over - nobody survived!';
+        if (message.winnerId === this.playerId) {
+            text = 'You won the round!';
+        } else if (message.winnerId) {
+            text = `Player ${message.winnerId} won the round!`;
+        }
+        
+        Utils.showMessage(text, 4000);
+    }
+    
+    /**
+     * Update the network game
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.isConnected || !this.playerId) return;
+        
+        // Send input in fixed steps matching the server's tick
+        const timeStep = GAME_CONSTANTS.PHYSICS.TIME_STEP;
+        const maxSteps = GAME_CONSTANTS.NETWORK.MAX_INPUT_STEPS;
+        this.inputAccumulator += deltaTime;
+        
+        let steps = 0;
+        while (this.inputAccumulator >= timeStep && steps < maxSteps) {
+            this.sendInput(timeStep);
+            this.inputAccumulator -= timeStep;
+            steps++;
+        }
+        
+        // Drop any backlog after a stall rather than flooding the server
+        if (steps === maxSteps) {
+            this.inputAccumulator = 0;
+        }
+        
+        // Move the local player's mesh and camera to the predicted position
+        const player = Game.player;
+        player.mesh.position.copy(player.position);
+        player.updateCamera();
+        player.updateFootsteps();
+        
+        if (Game.ui) {
+            Game.ui.updateChargeMeter(player.body);
+            Game.ui.updateProtectionTimer(player.isAlive ? this.protectionStatus : null);
+            Game.ui.updatePowerUps(player.isAlive ? this.powerUpStatus : []);
+            Game.ui.updateWeather(this.weatherStatus);
+            Game.ui.updateWind(this.wind, Game.camera);
+            Game.ui.updateMatchTime(null);
+            Game.ui.updateStorm(null, false);
+            Game.ui.updateHill(null, player.body);
+            Game.ui.updateMinimap(Game.world, player.body, null);
+        }
+        
+        if (Game.weather) {
+            Game.weather.update(deltaTime, Game.camera.position, this.wind);
+        }
+        
+        // Server rounds have no time limit, so the day runs over our own menu's
+        Game.updateDaylight(this.roundTime / (Game.gameDuration * 1000));
+        
+        this.interpolateEntities(deltaTime);
+    }
+    
+    /**
+     * Send one step of input and predict its effect on the local player
+     * @param {number} timeStep - Step length in seconds
+     */
+    sendInput(timeStep) {
+        const player = Game.player;
+        player.updateInput();
+        
+        const input = {
+            seq: ++this.inputSequence,
+            yaw: player.body.yaw,
+            pitch: player.body.pitch,
+            snowballType: player.body.snowballType
+        };
+        for (const key of SnowBrawlNetworkClient.INPUT_KEYS) {
+            input[key] = player.input[key];
+        }
+        
+        this.send({ type: 'input', input });
+        
+        if (!player.isAlive) return;
+        
+        this.pendingInputs.push(input);
+        this.predict(input, timeStep);
+    }
+    
+    /**
+     * Apply one step of input to the local player
+     * Mirrors the server's tick: physics first, then movement from the input
+     * @param {Object} input - Input step
+     * @param {number} timeStep - Step length in seconds
+     */
+    predict(input, timeStep) {
+        const body = Game.player.body;
+        
+        Game.world.physics.update(timeStep);
+        
+        for (const key of SnowBrawlNetworkClient.INPUT_KEYS) {
+            body.input[key] = input[key];
+        }
+        body.yaw = input.yaw;
+        body.pitch = input.pitch;
+        body.handleMovementInput(timeStep);
+        
+        // Track the throw charge for the HUD (the server does the throwing)
+        body.updateThrowCharge(timeStep);
+    }
+    
+    /**
+     * Handle a world snapshot from the server
+     * @param {Object} snapshot - Snapshot message
+     */
+    handleSnapshot(snapshot) {
+        this.serverTimeOffset = snapshot.time - Date.now();
+        
+        // Index by id once so interpolation can look entities up quickly
+        snapshot.playersById = new Map(snapshot.players.map(state => [state.id, state]));
+        snapshot.snowballsById = new Map(snapshot.snowballs.map(state => [state.id, state]));
+        
+        this.snapshots.push(snapshot);
+        
+        // Keep enough history to interpolate across the delay plus a couple of late snapshots
+        const historyLength = Math.ceil(GAME_CONSTANTS.NETWORK.INTERPOLATION_DELAY / 1000 * GAME_CONSTANTS.NETWORK.SNAPSHOT_RATE) + 3;
+        while (this.snapshots.length > historyLength) {
+            this.snapshots.shift();
+        }
+        
+        this.syncPlayers(snapshot);
+        this.syncSnowballs(snapshot);
+        this.syncDiamonds(snapshot);
+        this.syncPowerUps(snapshot);
+        this.syncWeather(snapshot);
+    }
+    
+    /**
+     * Create, update and remove players and igloos to match a snapshot
+     * @param {Object} snapshot - Snapshot message
+     */
+    syncPlayers(snapshot) {
+        for (const state of snapshot.players) {
+            this.syncIgloo(state);
+            
+            if (state.id === this.playerId) {
+                this.reconcileLocalPlayer(state);
+                continue;
+            }
+            
+            const remote = this.remotePlayers.get(state.id) || this.addRemotePlayer(state);
+            this.updateRemotePlayer(remote, state);
+        }
+        
+        // Remove players that have left
+        for (const id of this.remotePlayers.keys()) {
+            if (!snapshot.playersById.has(id)) {
+                this.removeRemotePlayer(id);
+            }
+        }
+        
+        for (const [id, igloo] of this.igloos) {
+            if (!snapshot.playersById.has(id)) {
+                Game.removeIgloo(igloo);
+                this.igloos.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Create a player's igloo the first time they appear, then keep its health in step with the server
+     * @param {Object} state - Player state from a snapshot
+     */
+    syncIgloo(state) {
+        const isLocal = state.id === this.playerId;
+        let igloo = this.igloos.get(state.id);
+        
+        if (!igloo) {
+            const position = new THREE.Vector3(state.iglooX, 0, state.iglooZ);
+            
+            // Our own igloo is owned by the local player so it gets our color and replenishes our prediction
+            if (isLocal) {
+                Game.player.setIglooPosition(position);
+            }
+            
+            igloo = Game.createIgloo(position, 0, isLocal ? Game.player.id : state.id);
+            if (!igloo) return;
+            this.igloos.set(state.id, igloo);
+        }
+        
+        this.updateIglooHealth(igloo, state, isLocal);
+    }
+    
+    /**
+     * Copy an igloo's health from its owner's snapshot state and play its crack, repair and collapse sounds
+     * @param {Igloo} igloo - Igloo view
+     * @param {Object} state - Owner's state from a snapshot
+     * @param {boolean} isLocal - Whether the igloo is the local player's
+     */
+    updateIglooHealth(igloo, state, isLocal) {
+        const body = igloo.body;
+        if (body.health === state.iglooHealth && body.isCollapsed === state.iglooCollapsed) return;
+        
+        const previousStage = body.getDamageStage();
+        const wasCollapsed = body.isCollapsed;
+        const repaired = state.iglooHealth > body.health && !wasCollapsed;
+        body.health = state.iglooHealth;
+        body.isCollapsed = state.iglooCollapsed;
+        
+        if (body.isCollapsed && !wasCollapsed) {
+            this.playSound('iglooCollapse', body.position);
+            if (isLocal) {
+                Utils.showMessage('Your igloo collapsed! No safe zone or refills until next round', 3000);
+            }
+        } else if (repaired) {
+            this.playSound('iglooRepair', body.position);
+        } else if (body.getDamageStage() > previousStage) {
+            this.playSound('iglooCrack', body.position);
+        }
+        
+        // Predicted movement skips the rubble of a collapsed igloo, and the local safe zone goes with it
+        if (isLocal) {
+            Game.player.hasIgloo = !body.isCollapsed;
+            Game.updateIglooHud();
+        }
+        igloo.update();
+    }
+    
+    /**
+     * Correct the local player to the server's state and replay inputs the server hasn't processed yet
+     * @param {Object} state - Local player's state from a snapshot
+     */
+    reconcileLocalPlayer(state) {
+        const player = Game.player;
+        
+        this.updateLocalStats(state);
+        
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > state.lastInputSeq);
+        
+        player.position.set(state.x, state.y, state.z);
+        player.velocity.set(state.vx, state.vy, state.vz);
+        player.isOnGround = state.onGround;
+        player.chargingThrow = state.charging;
+        player.throwChargeTime = state.chargeTime;
+        
+        // Scooping isn't predicted (its events would repeat on every replay) - crouch when the server says so
+        player.isScooping = state.scooping;
+        player.scoopTime = state.scoopTime;
+        player.scoopBlocked = state.scoopBlocked;
+        
+        // The client's simulation clock doesn't run, so prediction stays slowed until the server says the slowdown is over
+        player.slowMultiplier = state.slowMultiplier;
+        player.slowUntil = state.slowed ? Infinity : -Infinity;
+        
+        if (!player.isAlive || this.pendingInputs.length === 0) return;
+        
+        // Replay with the orientation each input was sent with, then restore the live input and orientation
+        const timeStep = GAME_CONSTANTS.PHYSICS.TIME_STEP;
+        const { yaw, pitch } = player.body;
+        const liveInput = { ...player.input };
+        
+        for (const input of this.pendingInputs) {
+            this.predict(input, timeStep);
+        }
+        
+        player.body.yaw = yaw;
+        player.body.pitch = pitch;
+        Object.assign(player.input, liveInput);
+    }
+    
+    /**
+     * Copy the local player's stats from the server and refresh the HUD
+     * @param {Object} state - Local player's state from a snapshot
+     */
+    updateLocalStats(state) {
+        const player = Game.player;
+        
+        if (state.health < player.health && Game.ui) {
+            Game.ui.showHitIndicator();
+        }
+        this.playLocalSounds(state);
+        
+        player.health = state.health;
+        player.snowballCount = state.snowballs;
+        player.maxSnowballCount = state.maxSnowballs;
+        player.specialSnowballs = { ...state.specialSnowballs };
+        
+        // The client's simulation clock doesn't run, so safe zone protection comes from the server as a status
+        player.isProtected = state.protected;
+        this.protectionStatus = state.protection;
+        
+        // Power-ups wear off on the server's clock too - locally they stay on (so prediction moves at the boosted speed)
+        // until a snapshot no longer lists them
+        const shield = state.powerUps.find(status => status.type === 'shield');
+        this.powerUpStatus = state.powerUps;
+        player.body.powerUps = Object.fromEntries(state.powerUps.map(status => [status.type, Infinity]));
+        player.body.shieldHits = shield ? shield.hits : 0;
+        player.score = state.score;
+        player.diamondCount = state.diamonds;
+        
+        // The server goes back to normal snowballs once the selected type runs out
+        if (player.body.getSnowballCount() <= 0) {
+            player.selectSnowballType('normal');
+        }
+        
+        if (Game.ui) {
+            Game.ui.updateHealth(player.health);
+            Game.ui.updateSnowballCount(player.snowballCount, player.maxSnowballCount);
+            Game.ui.updateSnowballTypes(player.body);
+            Game.ui.updateDiamondCount(player.diamondCount);
+            Game.ui.updateScore(player.score);
+        }
+        
+        if (player.isAlive && !state.alive) {
+            player.isAlive = false;
+            this.pendingInputs = [];
+            this.playSound('eliminate');
+            Utils.showMessage('You were eliminated! Waiting for the next round...', 4000);
+        } else if (!player.isAlive && state.alive) {
+            player.revive();
+        }
+    }
+    
+    /**
+     * Play the local player's hit, diamond and power-up sounds for changes in a snapshot (before its stats are copied)
+     * @param {Object} state - Local player's state from a snapshot
+     */
+    playLocalSounds(state) {
+        const player = Game.player;
+        
+        if (state.health < player.health) {
+            this.playSound('hit');
+        }
+        if (state.diamonds > player.diamondCount) {
+            this.playSound('diamond');
+        }
+        if (state.powerUps.some(status => !player.body.hasPowerUp(status.type))) {
+            this.playSound('powerUp');
+        }
+        const shield = state.powerUps.find(status => status.type === 'shield');
+        if (shield && shield.hits < player.body.shieldHits) {
+            this.playSound('shieldHit');
+        }
+        // Still scooping, or just finished the snowball that filled the bag
+        if ((state.scooping || player.isScooping) && state.snowballs > player.snowballCount) {
+            this.playSound('scoop');
+        }
+    }
+    
+    /**
+     * Play a sound effect if the game has audio
+     * @param {string} name - Sound name
+     * @param {THREE.Vector3|null} position - Where the sound comes from, or null for the local player's own sounds
+     */
+    playSound(name, position = null) {
+        if (Game.audio) {
+            Game.audio.play(name, position);
+        }
+    }
+    
+    /**
+     * Add a mirrored player for someone else on the server
+     * @param {Object} state - Player state from a snapshot
+     * @returns {Player} The new remote player
+     */
+    addRemotePlayer(state) {
+        const remote = new Player(state.id, Game.scene, null, null, false);
+        remote.isRemote = true;
+        remote.health = state.health;
+        remote.updateNameTag();
+        
+        remote.position.set(state.x, state.y, state.z);
+        remote.mesh.position.copy(remote.position);
+        
+        this.remotePlayers.set(state.id, remote);
+        console.log(`Player ${state.id} joined the game`);
+        
+        return remote;
+    }
+    
+    /**
+     * Update a remote player's stats from a snapshot (position is interpolated separately)
+     * @param {Player} remote - Remote player
+     * @param {Object} state - Player state from a snapshot
+     */
+    updateRemotePlayer(remote, state) {
+        if (state.health !== remote.health) {
+            if (state.health < remote.health && state.alive) {
+                remote.applyHitEffect();
+                this.playSound('hit', remote.mesh.position);
+            }
+            remote.health = state.health;
+            remote.updateNameTag();
+        }
+        
+        remote.score = state.score;
+        remote.diamondCount = state.diamonds;
+        
+        if (remote.isAlive && !state.alive) {
+            // Hide rather than eliminate() so the player can be revived next round
+            remote.isAlive = false;
+            this.playSound('eliminate', remote.mesh.position);
+            Game.scene.remove(remote.mesh);
+            if (remote.healthBarSprite) {
+                remote.healthBarSprite.visible = false;
+            }
+            Utils.showMessage(`Player ${state.id} was eliminated!`);
+        } else if (!remote.isAlive && state.alive) {
+            remote.revive();
+            if (remote.healthBarSprite) {
+                remote.healthBarSprite.visible = true;
+            }
+        }
+    }
+    
+    /**
+     * Remove a player who has left the server
+     * @param {string} id - Player id
+     */
+    removeRemotePlayer(id) {
+        const remote = this.remotePlayers.get(id);
+        
+        Game.scene.remove(remote.mesh);
+        if (remote.healthBarSprite) {
+            Game.scene.remove(remote.healthBarSprite);
+        }
+        
+        this.remotePlayers.delete(id);
+        console.log(`Player ${id} left the game`);
+    }
+    
+    /**
+     * Create and remove snowball visuals to match a snapshot
+     * @param {Object} snapshot - Snapshot message
+     */
+    syncSnowballs(snapshot) {
+        for (const state of snapshot.snowballs) {
+            let snowball = this.snowballs.get(state.id);
+            
+            if (!snowball) {
+                // Visual only - the server does the movement and hit detection
+                const position = new THREE.Vector3(state.x, state.y, state.z);
+                snowball = new Snowball(Game.scene, { position, radius: state.radius, ownerId: state.ownerId, type: state.type });
+                this.snowballs.set(state.id, snowball);
+            }
+            
+            if (state.hit && !snowball.hasHit) {
+                snowball.position.set(state.x, state.y, state.z);
+                snowball.hit();
+            }
+        }
+        
+        for (const [id, snowball] of this.snowballs) {
+            if (!snapshot.snowballsById.has(id)) {
+                snowball.remove();
+                this.snowballs.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Create and remove diamonds to match a snapshot
+     * @param {Object} snapshot - Snapshot message
+     */
+    syncDiamonds(snapshot) {
+        const current = new Set();
+        
+        for (const state of snapshot.diamonds) {
+            current.add(state.id);
+            
+            if (!this.diamonds.has(state.id)) {
+                const position = new THREE.Vector3(state.x, GAME_CONSTANTS.DIAMOND_GARDEN.DIAMOND_HEIGHT, state.z);
+                this.diamonds.set(state.id, new Diamond(Game.scene, { position }));
+            }
+        }
+        
+        for (const [id, diamond] of this.diamonds) {
+            if (!current.has(id)) {
+                diamond.remove();
+                this.diamonds.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Create and remove power-ups to match a snapshot
+     * @param {Object} snapshot - Snapshot message
+     */
+    syncPowerUps(snapshot) {
+        const current = new Set();
+        
+        for (const state of snapshot.powerUps) {
+            current.add(state.id);
+            
+            if (!this.powerUps.has(state.id)) {
+                const position = new THREE.Vector3(state.x, state.y, state.z);
+                this.powerUps.set(state.id, new PowerUp(Game.scene, { position, type: state.type }));
+            }
+        }
+        
+        for (const [id, powerUp] of this.powerUps) {
+            if (!current.has(id)) {
+                powerUp.remove();
+                this.powerUps.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Place remote players and snowballs between the two snapshots around the render time
+     * Rendering slightly in the past means there is almost always a snapshot on each side
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    interpolateEntities(deltaTime) {
+        if (this.snapshots.length === 0) return;
+        
+        const renderTime = Date.now() + this.serverTimeOffset - GAME_CONSTANTS.NETWORK.INTERPOLATION_DELAY;
+        
+        // Find the snapshots either side of the render time, holding the oldest or newest when outside the buffer
+        let from = this.snapshots[0];
+        let to = this.snapshots[this.snapshots.length - 1];
+        for (let i = 0; i < this.snapshots.length - 1; i++) {
+            if (this.snapshots[i].time <= renderTime && this.snapshots[i + 1].time >= renderTime) {
+                from = this.snapshots[i];
+                to = this.snapshots[i + 1];
+                break;
+            }
+        }
+        
+        const span = to.time - from.time;
+        const t = span > 0 ? Utils.clamp((renderTime - from.time) / span, 0, 1) : 1;
+        
+        for (const [id, remote] of this.remotePlayers) {
+            const end = to.playersById.get(id);
+            if (!end) continue;
+            const start = from.playersById.get(id) || end;
+            
+            remote.position.set(
+                Utils.lerp(start.x, end.x, t),
+                Utils.lerp(start.y, end.y, t),
+                Utils.lerp(start.z, end.z, t)
+            );
+            remote.mesh.position.copy(remote.position);
+            remote.mesh.rotation.y = end.yaw;
+            remote.updateFootsteps();
+            
+            if (remote.healthBarSprite) {
+                remote.updateHealthBar();
+            }
+        }
+        
+        for (const [id, snowball] of this.snowballs) {
+            const end = to.snowballsById.get(id);
+            if (!end || snowball.hasHit) continue;
+            const start = from.snowballsById.get(id) || end;
+            
+            snowball.position.set(
+                Utils.lerp(start.x, end.x, t),
+                Utils.lerp(start.y, end.y, t),
+                Utils.lerp(start.z, end.z, t)
+            );
+            snowball.mesh.position.copy(snowball.position);
+            snowball.updateTrail(deltaTime);
+        }
+        
+        this.animatePickups(deltaTime);
+    }
+    
+    /**
+     * Follow the server's weather and wind, warning when the weather is about to change
+     * @param {Object} snapshot - Snapshot message
+     */
+    syncWeather(snapshot) {
+        const previous = this.weatherStatus;
+        const status = snapshot.weather;
+        this.weatherStatus = status;
+        this.wind = snapshot.wind;
+        this.roundTime = snapshot.roundTime;
+        
+        // Snap to the weather we join in, and fade into later changes
+        if (!previous || status.weather !== previous.weather) {
+            if (Game.weather) {
+                Game.weather.setWeather(status.weather, !previous);
+            }
+            if (previous) {
+                Utils.showMessage(`The weather turns: ${Simulation.getWeatherSettings(status.weather).NAME}`);
+            }
+        } else if (status.next && !previous.next) {
+            Utils.showMessage(`${Simulation.getWeatherSettings(status.next).NAME} in ${Math.ceil(status.remaining / 1000)} seconds!`);
+        }
+    }
+    
+    /**
+     * Spin and bob the mirrored diamonds and power-ups
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    animatePickups(deltaTime) {
+        for (const diamond of this.diamonds.values()) {
+            diamond.update(deltaTime);
+        }
+        for (const powerUp of this.powerUps.values()) {
+            powerUp.update(deltaTime);
+        }
+    }
+    
+    /**
+     * Remove everything mirrored from the server
+     */
+    clear() {
+        for (const id of [...this.remotePlayers.keys()]) {
+            this.removeRemotePlayer(id);
+        }
+        
+        for (const snowball of this.snowballs.values()) {
+            snowball.remove();
+        }
+        this.snowballs.clear();
+        
+        for (const diamond of this.diamonds.values()) {
+            diamond.remove();
+        }
+        this.diamonds.clear();
+        
+        for (const powerUp of this.powerUps.values()) {
+            powerUp.remove();
+        }
+        this.powerUps.clear();
+        
+        this.snapshots = [];
+        this.pendingInputs = [];
+        this.weatherStatus = null;
+        this.wind = { x: 0, z: 0 };
+    }
+}
+
+// Expose SnowBrawlNetworkClient to the global scope as NetworkClient to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.NetworkClient = SnowBrawlNetworkClient;
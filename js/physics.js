@@ -5,14 +5,12 @@
 
 // Using SnowBrawlPhysics instead of Physics to avoid conflicts with built-in globals
 class SnowBrawlPhysics {
-    constructor(scene) {
-        console.log('Physics constructor called with scene:', scene);
-        this.scene = scene;
-        
-        if (!this.scene) {
-            console.error('Scene is undefined in Physics constructor');
-            throw new Error('Scene is undefined in Physics constructor');
-        }
+    /**
+     * Create the physics system
+     * Physics only works on positions, velocities and sizes, so it needs no scene and runs headlessly
+     */
+    constructor() {
+        console.log('Physics constructor called');
         
         // Check if GAME_CONSTANTS exists
         if (typeof GAME_CONSTANTS === 'undefined') {
@@ -34,13 +32,25 @@ class SnowBrawlPhysics {
             collisionIterations: this.collisionIterations
         });
         
+        // Object with getWindAt(position) giving the air's velocity, so snowballs drift with the wind (set by the simulation)
+        this.windField = null;
+        this.windScratch = typeof THREE !== 'undefined' ? new THREE.Vector3() : null; // Reused to avoid allocating per snowball
+        
+        // Terrain players stand on and snowballs land on (set by the simulation from its arena); flat ground at y=0 without one
+        this.terrain = null;
+        this.normalScratch = typeof THREE !== 'undefined' ? new THREE.Vector3() : null; // Reused to avoid allocating per player
+        
+        // Whether snowballs can damage the thrower's teammates (set by the game from the start menu)
+        this.friendlyFire = typeof GAME_CONSTANTS !== 'undefined' && GAME_CONSTANTS.TEAMS ? GAME_CONSTANTS.TEAMS.FRIENDLY_FIRE : false;
+        
         // Collision groups
         this.colliders = {
             players: [],
             snowballs: [],
             walls: [],
             igloos: [],
-            diamonds: []
+            diamonds: [],
+            powerUps: []
         };
         
         console.log('Physics system initialized successfully');
@@ -49,7 +59,7 @@ class SnowBrawlPhysics {
     /**
      * Register a collider with the physics system
      * @param {Object} object - Object to register
-     * @param {string} type - Type of collider (players, snowballs, walls, igloos, diamonds)
+     * @param {string} type - Type of collider (players, snowballs, walls, igloos, diamonds, powerUps)
      */
     registerCollider(object, type) {
         if (this.colliders[type]) {
@@ -95,6 +105,8 @@ class SnowBrawlPhysics {
             type = 'igloos';
         } else if (body.isDiamond) {
             type = 'diamonds';
+        } else if (body.isPowerUp) {
+            type = 'powerUps';
         }
         
         // Register with the appropriate collider type
@@ -107,8 +119,9 @@ class SnowBrawlPhysics {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
-        // Apply gravity to players and snowballs
+        // Apply gravity to players, and gravity, drag and wind to snowballs
         this.applyGravity(deltaTime);
+        this.applySnowballForces(deltaTime);
         
         // Check for collisions
         this.checkCollisions();
@@ -118,20 +131,41 @@ class SnowBrawlPhysics {
     }
     
     /**
-     * Apply gravity to dynamic objects
+     * Apply gravity to players
      * @param {number} deltaTime - Time since last update in seconds
      */
     applyGravity(deltaTime) {
-        // Apply gravity to players
         this.colliders.players.forEach(player => {
             if (!player.isOnGround) {
                 player.velocity.y -= this.gravity * deltaTime;
             }
         });
+    }
+    
+    /**
+     * Apply snowball gravity, then drag towards the wind's velocity
+     * Drag decays the snowball's speed relative to the air exponentially, so a flight is the same at any tick rate
+     * (Aiming.simulateFlight steps snowballs the same way)
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    applySnowballForces(deltaTime) {
+        const settings = GAME_CONSTANTS.SNOWBALL;
+        const dragFactor = Math.exp(-settings.DRAG * deltaTime);
         
-        // Apply gravity to snowballs
         this.colliders.snowballs.forEach(snowball => {
-            snowball.velocity.y -= this.gravity * deltaTime;
+            if (snowball.hasHit) return;
+            
+            // Ice balls have a gravity scale of 0 and fly straight
+            const gravityScale = snowball.gravityScale !== undefined ? snowball.gravityScale : 1;
+            snowball.velocity.y -= settings.GRAVITY * gravityScale * deltaTime;
+            
+            // Ease the snowball's velocity towards the air's: still air just slows it, wind also carries it along
+            if (this.windField) {
+                const wind = this.windField.getWindAt(snowball.position, this.windScratch);
+                snowball.velocity.sub(wind).multiplyScalar(dragFactor).add(wind);
+            } else {
+                snowball.velocity.multiplyScalar(dragFactor);
+            }
         });
     }
     
@@ -148,14 +182,16 @@ class SnowBrawlPhysics {
         // Check snowball-igloo collisions
         this.checkSnowballIglooCollisions();
         
-        // Check player-wall collisions
-        this.checkPlayerWallCollisions();
-        
-        // Check player-igloo collisions
-        this.checkPlayerIglooCollisions();
+        // Resolve player-wall and player-igloo collisions several times, since pushing a player
+        // out of one box can push them into a neighbouring one
+        for (let i = 0; i < this.collisionIterations; i++) {
+            this.checkPlayerWallCollisions();
+            this.checkPlayerIglooCollisions();
+        }
         
-        // Check player-diamond collisions
+        // Check player-diamond and player-power-up collisions
         this.checkPlayerDiamondCollisions();
+        this.checkPlayerPowerUpCollisions();
     }
     
     /**
@@ -193,8 +229,11 @@ class SnowBrawlPhysics {
                 // Skip collisions with the player who threw the snowball
                 if (snowball.ownerId === player.id) continue;
                 
-                // Skip players in safe zones - this is critical for game balance
-                if (SnowBrawlPhysics.isPlayerInSafeZone(player)) {
+                // Skip the thrower's teammates unless friendly fire is on
+                if (this.isFriendlyHit(snowball, player)) continue;
+                
+                // Skip players protected by their safe zone - this is critical for game balance
+                if (SnowBrawlPhysics.isPlayerProtected(player)) {
                     // Debug log for safe zone protection
                     // console.debug(`Player ${player.id} is in safe zone, can't be hit by snowball from ${snowball.ownerId}`);
                     continue;
@@ -299,13 +338,55 @@ class SnowBrawlPhysics {
                     );
                     
                     // Mark snowball as hit and schedule for removal
-                    snowball.hit();
+                    snowball.hit(player);
                     break;
                 }
             }
         }
     }
     
+    /**
+     * Hit everyone near a snowball's impact (powder snowballs)
+     * Uses the same rules as direct hits - the thrower, teammates without friendly fire and players in safe zones are spared
+     * @param {Object} snowball - Snowball that hit something
+     * @param {number} radius - Splash radius
+     * @param {Object} directTarget - Player the snowball hit directly (already damaged), or null
+     */
+    applySplash(snowball, radius, directTarget = null) {
+        for (const player of [...this.colliders.players]) {
+            if (!player || !player.isAlive || player === directTarget) continue;
+            if (snowball.ownerId === player.id || this.isFriendlyHit(snowball, player)) continue;
+            if (SnowBrawlPhysics.isPlayerProtected(player)) continue;
+            
+            if (player.position.distanceTo(snowball.position) <= radius + player.radius) {
+                console.log(`Splash from ${snowball.ownerId}'s snowball hit ${player.id}`);
+                player.takeDamage(snowball.damage, snowball.ownerId);
+            }
+        }
+    }
+    
+    /**
+     * Check if a snowball hit on a player should be ignored because they're on the thrower's team
+     * @param {Object} snowball - Snowball object
+     * @param {Object} player - Player object
+     * @returns {boolean} True if the hit is on a teammate and friendly fire is off
+     */
+    isFriendlyHit(snowball, player) {
+        if (this.friendlyFire) return false;
+        return snowball.teamId !== null && snowball.teamId !== undefined && snowball.teamId === player.teamId;
+    }
+    
+    /**
+     * Check if a player can use an igloo (their own, or their team's shared igloo)
+     * @param {Object} player - Player object
+     * @param {Object} igloo - Igloo object
+     * @returns {boolean} True if the player owns the igloo
+     */
+    isIglooOwner(player, igloo) {
+        if (player.id === igloo.ownerId) return true;
+        return igloo.teamId !== null && igloo.teamId !== undefined && igloo.teamId === player.teamId;
+    }
+    
     /**
      * Check for collisions between snowballs and walls
      */
@@ -317,6 +398,11 @@ class SnowBrawlPhysics {
             for (const wall of this.colliders.walls) {
                 // Simple AABB collision check
                 if (this.checkAABBCollision(snowball, wall)) {
+                    // Bouncing snowballs ricochet off the sides of walls and obstacles until they run out of bounces
+                    if (snowball.bouncesLeft > 0 && this.bounceSnowball(snowball, wall)) {
+                        break;
+                    }
+                    
                     // Mark snowball as hit and schedule for removal
                     snowball.hit();
                     break;
@@ -325,6 +411,40 @@ class SnowBrawlPhysics {
         }
     }
     
+    /**
+     * Bounce a snowball off the side of a wall it overlaps
+     * @param {Object} snowball - Snowball with bounces left
+     * @param {Object} wall - Wall or obstacle it overlaps
+     * @returns {boolean} True if it bounced, false if it landed on top of the wall (or the ground) instead
+     */
+    bounceSnowball(snowball, wall) {
+        const snowballBounds = this.getObjectBounds(snowball);
+        const wallBounds = this.getObjectBounds(wall);
+        
+        // The axis with the smallest overlap is the face that was hit
+        const overlaps = {};
+        for (const axis of ['x', 'y', 'z']) {
+            overlaps[axis] = Math.min(
+                snowballBounds.max[axis] - wallBounds.min[axis],
+                wallBounds.max[axis] - snowballBounds.min[axis]
+            );
+        }
+        const axis = overlaps.x < overlaps.z ? 'x' : 'z';
+        if (overlaps.y < overlaps[axis]) {
+            return false;
+        }
+        
+        // Push it back out of the wall and send it the other way
+        const side = snowball.position[axis] < wall.position[axis] ? -1 : 1;
+        snowball.position[axis] += side * overlaps[axis];
+        snowball.velocity[axis] = side * Math.abs(snowball.velocity[axis]);
+        snowball.velocity.multiplyScalar(GAME_CONSTANTS.SNOWBALL.BOUNCE_DAMPING);
+        snowball.bouncesLeft--;
+        
+        console.log(`Snowball from ${snowball.ownerId} bounced, ${snowball.bouncesLeft} bounces left`);
+        return true;
+    }
+    
     /**
      * Check for collisions between snowballs and igloos
      */
@@ -334,10 +454,18 @@ class SnowBrawlPhysics {
             if (snowball.hasHit) continue;
             
             for (const igloo of this.colliders.igloos) {
+                // Snowballs fly straight through the rubble of a collapsed igloo
+                if (igloo.isCollapsed) continue;
+                
                 // Simple AABB collision check
                 if (this.checkAABBCollision(snowball, igloo)) {
                     // Mark snowball as hit and schedule for removal
                     snowball.hit();
+                    
+                    // Enemy snowballs wear the igloo down
+                    if (igloo.canBeDamagedBy(snowball.ownerId, snowball.teamId)) {
+                        igloo.takeDamage(snowball.damage, snowball.ownerId);
+                    }
                     break;
                 }
             }
@@ -362,8 +490,11 @@ class SnowBrawlPhysics {
     checkPlayerIglooCollisions() {
         for (const player of this.colliders.players) {
             for (const igloo of this.colliders.igloos) {
-                // Check if player is entering their own igloo
-                if (player.id === igloo.ownerId) {
+                // Collapsed igloos are just rubble - nothing to walk into or shelter in
+                if (igloo.isCollapsed) continue;
+                
+                // Check if player is entering their own (or their team's) igloo
+                if (this.isIglooOwner(player, igloo)) {
                     // Check if player is inside igloo entrance
                     if (this.isPlayerInIglooEntrance(player, igloo)) {
                         player.isInIgloo = true;
@@ -387,6 +518,9 @@ class SnowBrawlPhysics {
      */
     checkPlayerDiamondCollisions() {
         for (const player of this.colliders.players) {
+            // Eliminated players can't collect diamonds
+            if (!player.isAlive) continue;
+            
             for (const diamond of this.colliders.diamonds) {
                 // Skip diamonds that have already been collected
                 if (diamond.isCollected) continue;
@@ -404,6 +538,24 @@ class SnowBrawlPhysics {
         }
     }
     
+    /**
+     * Check for collisions between players and power-ups
+     */
+    checkPlayerPowerUpCollisions() {
+        for (const player of this.colliders.players) {
+            if (!player.isAlive) continue;
+            
+            for (const powerUp of this.colliders.powerUps) {
+                if (powerUp.isCollected) continue;
+                
+                if (player.position.distanceTo(powerUp.position) < GAME_CONSTANTS.POWER_UPS.COLLECTION_RADIUS) {
+                    player.collectPowerUp(powerUp);
+                    powerUp.collect();
+                }
+            }
+        }
+    }
+    
     /**
      * Check if a player is inside an igloo entrance
      * @param {Object} player - Player object
@@ -562,6 +714,24 @@ class SnowBrawlPhysics {
         };
     }
     
+    /**
+     * Height of the ground at a position
+     * @param {THREE.Vector3} position - Position to check (only X and Z are used)
+     * @returns {number} Terrain height, or 0 without terrain
+     */
+    getGroundHeight(position) {
+        return this.terrain ? this.terrain.getHeightAt(position.x, position.z) : 0;
+    }
+    
+    /**
+     * Lowest an object can be at its position - resting with its collision sphere on the ground
+     * @param {Object} object - Player or snowball
+     * @returns {number} Height of the object's position when resting on the ground
+     */
+    getRestHeight(object) {
+        return this.getGroundHeight(object.position) + (object.radius || 0);
+    }
+    
     /**
      * Update positions of dynamic objects based on their velocities
      * @param {number} deltaTime - Time since last update in seconds
@@ -569,15 +739,22 @@ class SnowBrawlPhysics {
     updatePositions(deltaTime) {
         // Update player positions
         this.colliders.players.forEach(player => {
+            // Standing on the terrain itself, rather than on top of an obstacle
+            const wasOnTerrain = player.isOnGround && player.position.y <= this.getRestHeight(player) + 0.01;
+            
             player.position.x += player.velocity.x * deltaTime;
             player.position.y += player.velocity.y * deltaTime;
             player.position.z += player.velocity.z * deltaTime;
             
-            // Check if player is on ground
-            if (player.position.y <= 0) {
-                player.position.y = 0;
+            // Check if player is on ground - walking downhill keeps them on it rather than stepping off into the air
+            const restHeight = this.getRestHeight(player);
+            const isStepDown = wasOnTerrain && player.velocity.y <= 0 &&
+                player.position.y - restHeight <= GAME_CONSTANTS.TERRAIN.STEP_DOWN;
+            if (player.position.y <= restHeight || isStepDown) {
+                player.position.y = restHeight;
                 player.velocity.y = 0;
                 player.isOnGround = true;
+                this.applySlopeSlide(player, deltaTime);
             } else {
                 player.isOnGround = false;
             }
@@ -605,9 +782,10 @@ class SnowBrawlPhysics {
             snowball.position.y += snowball.velocity.y * deltaTime;
             snowball.position.z += snowball.velocity.z * deltaTime;
             
-            // Check if snowball hit ground
-            if (snowball.position.y <= snowball.radius) {
-                snowball.position.y = snowball.radius;
+            // Check if snowball hit the ground (or a hillside)
+            const restHeight = this.getRestHeight(snowball);
+            if (snowball.position.y <= restHeight) {
+                snowball.position.y = restHeight;
                 snowball.hit();
                 return;
             }
@@ -621,6 +799,30 @@ class SnowBrawlPhysics {
         });
     }
     
+    /**
+     * Stop a player walking up a slope too steep to climb, and pull them down it
+     * @param {Object} player - Player on the ground
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    applySlopeSlide(player, deltaTime) {
+        if (!this.terrain) return;
+        
+        const settings = GAME_CONSTANTS.TERRAIN;
+        const normal = this.terrain.getNormalAt(player.position.x, player.position.z, this.normalScratch);
+        if (normal.y >= Math.cos(settings.MAX_WALK_SLOPE)) return;
+        
+        // The normal leans downhill
+        const horizontal = Math.hypot(normal.x, normal.z);
+        const downhillX = normal.x / horizontal;
+        const downhillZ = normal.z / horizontal;
+        
+        // Walking across or down the slope is fine, walking up it isn't
+        const uphillSpeed = -(player.velocity.x * downhillX + player.velocity.z * downhillZ);
+        const pull = settings.SLIDE_ACCELERATION * horizontal * deltaTime + Math.max(0, uphillSpeed);
+        player.velocity.x += downhillX * pull;
+        player.velocity.z += downhillZ * pull;
+    }
+    
     /**
      * Constrain an object to stay within map boundaries
      * @param {Object} object - Object to constrain
@@ -630,6 +832,11 @@ class SnowBrawlPhysics {
         const halfLength = GAME_CONSTANTS.MAP.LENGTH / 2;
         const radius = object.radius || 0;
         
+        if (GAME_CONSTANTS.MAP.BOUNDARY === 'circle') {
+            this.constrainToCircularBoundary(object, Utils.getArenaRadius() - radius);
+            return;
+        }
+        
         // Constrain X position
         if (object.position.x < -halfWidth + radius) {
             object.position.x = -halfWidth + radius;
@@ -649,6 +856,28 @@ class SnowBrawlPhysics {
         }
     }
     
+    /**
+     * Keep an object inside a circular map, stopping any movement out through the wall
+     * @param {Object} object - Object to constrain
+     * @param {number} limit - Furthest the object's center may be from the map center
+     */
+    constrainToCircularBoundary(object, limit) {
+        const distance = Math.hypot(object.position.x, object.position.z);
+        if (distance <= limit) return;
+        
+        const normalX = object.position.x / distance;
+        const normalZ = object.position.z / distance;
+        object.position.x = normalX * limit;
+        object.position.z = normalZ * limit;
+        
+        // Keep the sideways part of the velocity so players slide along the wall
+        const outward = object.velocity.x * normalX + object.velocity.z * normalZ;
+        if (outward > 0) {
+            object.velocity.x -= normalX * outward;
+            object.velocity.z -= normalZ * outward;
+        }
+    }
+    
     /**
      * Check for collisions along the path of a snowball
      * This helps catch fast-moving snowballs that might skip past players
@@ -674,8 +903,11 @@ class SnowBrawlPhysics {
             // Skip collisions with the player who threw the snowball
             if (snowball.ownerId === player.id) continue;
             
-            // Skip players in safe zones - respect safe zones for all players
-            if (SnowBrawlPhysics.isPlayerInSafeZone(player)) { 
+            // Snowballs fly through teammates when friendly fire is off
+            if (this.isFriendlyHit(snowball, player)) continue;
+            
+            // Skip players protected by their safe zone - respect safe zones for all players
+            if (SnowBrawlPhysics.isPlayerProtected(player)) { 
                 // console.log(`Player ${player.id} is in safe zone, skipping path collision check`);
                 continue;
             }
@@ -723,12 +955,25 @@ class SnowBrawlPhysics {
                 );
                 
                 // Mark snowball as hit and schedule for removal
-                snowball.hit();
+                snowball.hit(player);
                 break;
             }
         }
     }
     
+    /**
+     * Check whether a straight line between two points passes through a wall or obstacle
+     * @param {THREE.Vector3} start - Start of the line
+     * @param {THREE.Vector3} end - End of the line
+     * @returns {boolean} True if a wall box lies across the line
+     */
+    isPathBlocked(start, end) {
+        const direction = new THREE.Vector3().subVectors(end, start);
+        return this.colliders.walls.some(wall => {
+            return SnowBrawlPhysics.segmentIntersectsBounds(start, direction, this.getObjectBounds(wall));
+        });
+    }
+    
     /**
      * Check if a point is inside a player's safe zone
      * @param {THREE.Vector3} point - Point to check
@@ -749,6 +994,39 @@ class SnowBrawlPhysics {
     }
 }
 
+/**
+ * Static method to check if a line segment passes through a box (slab test)
+ * @param {THREE.Vector3} start - Start of the segment
+ * @param {THREE.Vector3} direction - Vector from the start to the end of the segment
+ * @param {Object} bounds - Box with min and max Vector3 properties
+ * @returns {boolean} True if the segment touches the box
+ */
+SnowBrawlPhysics.segmentIntersectsBounds = function(start, direction, bounds) {
+    let near = 0;
+    let far = 1;
+    
+    for (const axis of ['x', 'y', 'z']) {
+        if (Math.abs(direction[axis]) < 1e-9) {
+            // Parallel to this pair of faces - it has to start between them
+            if (start[axis] < bounds.min[axis] || start[axis] > bounds.max[axis]) {
+                return false;
+            }
+            continue;
+        }
+        
+        const t1 = (bounds.min[axis] - start[axis]) / direction[axis];
+        const t2 = (bounds.max[axis] - start[axis]) / direction[axis];
+        near = Math.max(near, Math.min(t1, t2));
+        far = Math.min(far, Math.max(t1, t2));
+        
+        if (near > far) {
+            return false;
+        }
+    }
+    
+    return true;
+};
+
 /**
  * Static method to check if a point is in a player's safe zone
  * @param {THREE.Vector3} point - Point to check
@@ -756,8 +1034,8 @@ class SnowBrawlPhysics {
  * @returns {boolean} True if point is in safe zone
  */
 SnowBrawlPhysics.isPointInSafeZone = function(point, player) {
-    // Make sure player has an igloo position set
-    if (!player || !player.iglooPosition) {
+    // Make sure player has an igloo position set, and that the igloo is still standing
+    if (!player || !player.iglooPosition || player.hasIgloo === false) {
         return false;
     }
     
@@ -780,6 +1058,17 @@ SnowBrawlPhysics.isPlayerInSafeZone = function(player) {
     return SnowBrawlPhysics.isPointInSafeZone(player.position, player);
 };
 
+/**
+ * Static method to check if a player is immune to snowballs
+ * Being in the safe zone isn't enough - protection wears off after a while and lingers briefly after leaving
+ * (see SimPlayer.updateSafeZone)
+ * @param {Object} player - Player to check
+ * @returns {boolean} True if player is protected
+ */
+SnowBrawlPhysics.isPlayerProtected = function(player) {
+    return !!player && player.isProtected === true;
+};
+
 // Expose SnowBrawlPhysics to the global scope as Physics to avoid conflicts with built-in objects
 // and to maintain compatibility with existing code
 window.Physics = SnowBrawlPhysics;
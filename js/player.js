@@ -1,6 +1,7 @@
 /**
  * Player class for SnowBrawl game
- * Handles player movement, shooting, and upgrades
+ * View of a player: mesh, name tag, health bar, hit effects, camera and keyboard/mouse input
+ * Movement, shooting and upgrades are simulated by the player's body (a SimPlayer)
  */
 
 // Using SnowBrawlPlayer instead of Player to avoid conflicts with built-in globals
@@ -10,14 +11,10 @@ class SnowBrawlPlayer {
         this.scene = scene;
         this.camera = camera;
         this.controls = controls;
-        this.isHuman = isHuman;
+        this.isRemote = false; // Set by the network client for other players in a multiplayer game
         
-        // Player stats
-        this.health = GAME_CONSTANTS.PLAYER.INITIAL_HEALTH;
-        this.snowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
-        this.maxSnowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
-        this.diamondCount = 0;
-        this.score = 0;
+        // Simulation state - health, position, snowballs, ... are forwarded to it (see SimPlayer.STATE_KEYS)
+        this.body = new SimPlayer(id, isHuman);
         
         // Hit effect properties
         this.isHit = false;
@@ -26,43 +23,15 @@ class SnowBrawlPlayer {
         this.hitFlashCount = GAME_CONSTANTS.PLAYER.HIT_FLASH_COUNT;
         this.originalColor = null; // will store the original mesh color
         
-        // Movement properties
-        this.position = new THREE.Vector3(0, GAME_CONSTANTS.PLAYER.HEIGHT / 2, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.moveSpeed = GAME_CONSTANTS.PLAYER.MOVEMENT_SPEED;
-        this.jumpForce = GAME_CONSTANTS.PLAYER.JUMP_FORCE;
-        this.height = GAME_CONSTANTS.PLAYER.HEIGHT;
-        this.radius = GAME_CONSTANTS.PLAYER.RADIUS;
-        this.isOnGround = true;
-        
-        // Snowball properties
-        // Note: We'll use GAME_CONSTANTS.SNOWBALL.DAMAGE directly when creating snowballs
-        // to ensure we always have the latest value
-        this.snowballSize = GAME_CONSTANTS.SNOWBALL.RADIUS;
-        this.throwSpeed = GAME_CONSTANTS.SNOWBALL.THROW_SPEED;
-        this.throwRange = GAME_CONSTANTS.SNOWBALL.MAX_THROW_DISTANCE;
-        this.lastThrowTime = 0;
-        this.throwCooldown = GAME_CONSTANTS.SNOWBALL.THROW_COOLDOWN;
-        
         // Debug log player creation
         console.log(`Player ${id} created. isHuman: ${isHuman}, radius: ${this.radius}, height: ${this.height}`);
         
-        // Status flags
-        this.isAlive = true;
-        this.isInIgloo = false;
-        this.lastReplenishTime = 0;
-        
-        // Igloo position (will be set by game)
-        this.iglooPosition = null;
-        
-        // Upgrades
-        this.upgrades = {
-            speed: 0,
-            damage: 0,
-            range: 0,
-            size: 0,
-            capacity: 0
-        };
+        // Team color (the team itself is part of the body)
+        this.teamColor = null;
+        
+        // Footsteps - where the mesh was last frame and how far it has walked since the last step
+        this.lastStepPosition = null;
+        this.stepDistance = 0;
         
         // Create player mesh
         this.createPlayerMesh();
@@ -70,16 +39,6 @@ class SnowBrawlPlayer {
         // Add to scene
         this.scene.add(this.mesh);
         
-        // Input state (for human player)
-        this.input = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            jump: false,
-            shoot: false
-        };
-        
         // Set up input handlers if human player
         if (isHuman) {
             this.setupInputHandlers();
@@ -135,16 +94,27 @@ class SnowBrawlPlayer {
             this.handleKeyUp(event);
         });
         
-        // Mouse input for shooting
+        // Mouse input for shooting - hold to charge, release to throw
         document.addEventListener('mousedown', (event) => {
             if (event.button === 0) { // Left mouse button
                 this.input.shoot = true;
+            } else if (event.button === 2) { // Right mouse button lobs
+                this.input.lob = true;
             }
         });
         
         document.addEventListener('mouseup', (event) => {
             if (event.button === 0) { // Left mouse button
                 this.input.shoot = false;
+            } else if (event.button === 2) {
+                this.input.lob = false;
+            }
+        });
+        
+        // Keep the right mouse button for lobbing rather than the context menu while playing
+        document.addEventListener('contextmenu', (event) => {
+            if (Game.isRunning) {
+                event.preventDefault();
             }
         });
     }
@@ -170,6 +140,21 @@ class SnowBrawlPlayer {
             case 'Space':
                 this.input.jump = true;
                 break;
+            case 'KeyC':
+                this.input.scoop = true;
+                break;
+            case 'KeyR':
+                this.input.repair = true;
+                break;
+            default:
+                // Number keys pick the snowball type (not while watching a replay, which plays back the recorded picks)
+                if (event.code.startsWith('Digit') && Game.isRunning && !Game.replay) {
+                    const type = SimPlayer.getSnowballTypes()[Number(event.code.slice(5)) - 1];
+                    if (type) {
+                        this.selectSnowballType(type);
+                    }
+                }
+                break;
         }
     }
     
@@ -194,29 +179,25 @@ class SnowBrawlPlayer {
             case 'Space':
                 this.input.jump = false;
                 break;
+            case 'KeyC':
+                this.input.scoop = false;
+                break;
+            case 'KeyR':
+                this.input.repair = false;
+                break;
         }
     }
     
     /**
-     * Update player state
+     * Update the player's view from its body
      * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} alpha - How far between the last two simulation ticks to draw the player (0-1)
      */
-    update(deltaTime) {
+    update(deltaTime, alpha = 1) {
         if (!this.isAlive) return;
         
-        // Update position from physics system
-        this.mesh.position.copy(this.position);
-        
-        // Replenish snowballs if in igloo
-        if (this.isInIgloo) {
-            this.replenishSnowballs();
-        }
-        
-        // Handle input for human player
-        if (this.isHuman) {
-            this.handleMovementInput(deltaTime);
-            this.handleShootInput();
-        }
+        // Update position from the simulation, between the last two ticks
+        this.mesh.position.lerpVectors(this.body.previousPosition || this.position, this.position, alpha);
         
         // Update camera position for human player
         if (this.isHuman && this.camera) {
@@ -227,106 +208,57 @@ class SnowBrawlPlayer {
         if (this.healthBarSprite) {
             this.updateHealthBar();
         }
+        
+        this.updateFootsteps();
     }
     
     /**
-     * Handle movement input for human player
-     * @param {number} deltaTime - Time since last update in seconds
+     * Play a footstep each time the player has walked a stride on the ground
      */
-    handleMovementInput(deltaTime) {
-        // Calculate movement direction based on camera orientation
-        const moveDirection = new THREE.Vector3();
-        
-        // Forward/backward movement
-        if (this.input.forward) {
-            moveDirection.z -= 1;
-        }
-        if (this.input.backward) {
-            moveDirection.z += 1;
-        }
-        
-        // Left/right movement
-        if (this.input.left) {
-            moveDirection.x -= 1;
-        }
-        if (this.input.right) {
-            moveDirection.x += 1;
-        }
-        
-        // Normalize movement direction
-        if (moveDirection.length() > 0) {
-            moveDirection.normalize();
-        }
-        
-        // Calculate the actual movement direction based on camera orientation
-        // This is a more direct approach that doesn't rely on rotation angles
-        const worldMoveDirection = new THREE.Vector3();
-        
-        // Get camera direction vectors (normalized and with y component removed for horizontal movement)
-        const cameraForward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
-        cameraForward.y = 0;
-        cameraForward.normalize();
-        
-        const cameraRight = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
-        cameraRight.y = 0;
-        cameraRight.normalize();
-        
-        // Add the appropriate direction vectors based on input
-        if (this.input.forward) {
-            worldMoveDirection.add(cameraForward);
-        }
-        if (this.input.backward) {
-            worldMoveDirection.sub(cameraForward);
-        }
-        if (this.input.right) {
-            worldMoveDirection.add(cameraRight);
-        }
-        if (this.input.left) {
-            worldMoveDirection.sub(cameraRight);
-        }
+    updateFootsteps() {
+        if (!this.mesh) return;
         
-        // Normalize the result to maintain consistent speed in all directions
-        if (worldMoveDirection.length() > 0) {
-            worldMoveDirection.normalize();
-        }
+        const position = this.mesh.position;
+        const last = this.lastStepPosition;
+        this.lastStepPosition = position.clone();
         
-        // Use the calculated world direction directly
-        const rotatedX = worldMoveDirection.x;
-        const rotatedZ = worldMoveDirection.z;
+        // Players standing on something end each tick with no vertical velocity; anything else is a jump or a fall
+        if (!last || Math.abs(this.velocity.y) > 0.01) return;
         
-        // Set velocity based on movement direction
-        const acceleration = GAME_CONSTANTS.PLAYER.ACCELERATION * deltaTime;
-        const deceleration = GAME_CONSTANTS.PLAYER.DECELERATION * deltaTime;
+        const moved = Math.hypot(position.x - last.x, position.z - last.z);
         
-        // Apply acceleration in movement direction
-        if (Math.abs(rotatedX) > 0) {
-            this.velocity.x = Utils.lerp(this.velocity.x, rotatedX * this.moveSpeed, acceleration);
-        } else {
-            // Apply deceleration when no input
-            this.velocity.x = Utils.lerp(this.velocity.x, 0, deceleration);
+        // Standing still resets the stride; a jump in position (respawn, snapshot correction) isn't walking
+        if (moved < 0.001 || moved > GAME_CONSTANTS.AUDIO.FOOTSTEP_DISTANCE) {
+            this.stepDistance = 0;
+            return;
         }
         
-        if (Math.abs(rotatedZ) > 0) {
-            this.velocity.z = Utils.lerp(this.velocity.z, rotatedZ * this.moveSpeed, acceleration);
-        } else {
-            // Apply deceleration when no input
-            this.velocity.z = Utils.lerp(this.velocity.z, 0, deceleration);
+        this.stepDistance += moved;
+        if (this.stepDistance >= GAME_CONSTANTS.AUDIO.FOOTSTEP_DISTANCE) {
+            this.stepDistance = 0;
+            if (Game.audio) {
+                Game.audio.play('footstep', position);
+            }
         }
+    }
+    
+    /**
+     * Copy the camera's orientation into the body so the simulation moves and throws where the player is looking
+     */
+    updateInput() {
+        if (!this.camera) return;
         
-        // Handle jumping
-        if (this.input.jump && this.isOnGround) {
-            this.velocity.y = this.jumpForce;
-            this.isOnGround = false;
-        }
+        const rotation = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        this.body.yaw = rotation.y;
+        this.body.pitch = rotation.x;
     }
     
     /**
-     * Handle shoot input for human player
+     * Current simulation time
+     * @returns {number} Milliseconds of simulated time
      */
-    handleShootInput() {
-        if (this.input.shoot) {
-            this.throwSnowball();
-        }
+    now() {
+        return this.body.now();
     }
     
     /**
@@ -349,13 +281,25 @@ class SnowBrawlPlayer {
             healthColor = '#ffff00'; // Yellow for medium health
         }
         
-        const nameText = this.isHuman ? `You (${healthPercent}%)` : `AI ${this.id} (${healthPercent}%)`;
+        let nameText = `AI ${this.id} (${healthPercent}%)`;
+        if (this.isHuman) {
+            nameText = `You (${healthPercent}%)`;
+        } else if (this.isRemote) {
+            nameText = `Player ${this.id} (${healthPercent}%)`;
+        }
+        
+        // In team modes, prefix the team name and outline the tag in the team color
+        let borderColor = '#000000';
+        if (this.teamId !== null) {
+            nameText = `[${GAME_CONSTANTS.TEAMS.NAMES[this.teamId]}] ${nameText}`;
+            borderColor = `#${new THREE.Color(this.teamColor).getHexString()}`;
+        }
         
         // Create text sprite with color based on health
         this.nameTag = Utils.createTextSprite(nameText, {
             fontColor: healthColor,
             fontSize: 24,
-            borderColor: '#000000',
+            borderColor: borderColor,
             borderThickness: 4
         });
         
@@ -378,11 +322,12 @@ class SnowBrawlPlayer {
      * Update camera position for human player
      */
     updateCamera() {
-        // Position camera at player's eye level
+        // Position camera at player's eye level, lower while crouched to scoop
+        const cameraHeight = this.isScooping ? GAME_CONSTANTS.PLAYER.CROUCH_CAMERA_HEIGHT : GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
         this.camera.position.set(
-            this.position.x,
-            this.position.y + GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT,
-            this.position.z
+            this.mesh.position.x,
+            this.mesh.position.y + cameraHeight,
+            this.mesh.position.z
         );
     }
     
@@ -513,69 +458,22 @@ class SnowBrawlPlayer {
     }
     
     /**
-     * Throw a snowball
+     * Throw a snowball where the player is looking
+     * @param {number} charge - How far the throw was charged (0-1)
+     * @param {boolean} isLob - Throw a high-arc lob instead of a direct throw
+     * @returns {SimSnowball|null} The thrown snowball, or null if it couldn't be thrown
      */
-    throwSnowball() {
-        // Check if player has snowballs and cooldown has elapsed
-        const currentTime = Date.now();
-        if (
-            this.snowballCount <= 0 ||
-            currentTime - this.lastThrowTime < this.throwCooldown
-        ) {
-            return;
-        }
-        
-        // Decrease snowball count
-        this.snowballCount--;
-        
-        // Set last throw time
-        this.lastThrowTime = currentTime;
-        
-        // Create snowball
-        const direction = new THREE.Vector3();
-        
-        if (this.isHuman) {
-            // For human player, use camera direction
-            this.camera.getWorldDirection(direction);
-        } else {
-            // For AI, use mesh forward direction
-            this.mesh.getWorldDirection(direction);
-        }
-        
-        // Create snowball at player position + offset in direction
-        const spawnPosition = new THREE.Vector3().copy(this.position);
-        spawnPosition.y += GAME_CONSTANTS.PLAYER.CAMERA_HEIGHT;
-        spawnPosition.add(direction.multiplyScalar(this.radius + this.snowballSize + 0.1));
-        
-        // Create snowball with player's stats
-        // Make sure we're using the current damage value from constants
-        const snowballDamage = GAME_CONSTANTS.SNOWBALL.DAMAGE;
-        console.log(`Creating snowball with damage: ${snowballDamage}, owner: ${this.id}`);
-        
-        const snowball = new Snowball(
-            this.scene,
-            spawnPosition,
-            direction,
-            this.id,
-            snowballDamage, // Use the current damage value directly from constants
-            this.snowballSize,
-            this.throwSpeed,
-            this.throwRange
-        );
-        
-        // Register snowball with physics system
-        Game.physics.registerCollider(snowball, 'snowballs');
-        
-        // Add snowball to game
-        Game.snowballs.push(snowball);
-        
-        // Play throw sound
-        // TODO: Add sound effect
-        
-        // Update UI
-        if (this.isHuman && Game && Game.ui) {
-            Game.ui.updateSnowballCount(this.snowballCount, this.maxSnowballs);
-        }
+    throwSnowball(charge = 0, isLob = false) {
+        return this.body.throwSnowball(charge, isLob);
+    }
+    
+    /**
+     * Pick the type of snowball to throw next
+     * @param {string} type - Snowball type
+     * @returns {boolean} True if the selection changed
+     */
+    selectSnowballType(type) {
+        return this.body.selectSnowballType(type);
     }
     
     /**
@@ -584,47 +482,25 @@ class SnowBrawlPlayer {
      * @param {string} attackerId - ID of attacker
      */
     takeDamage(damage, attackerId) {
-        // Safe zone protection - players in safe zones can't be hit
-        if (Physics.isPlayerInSafeZone(this)) {
-            console.log(`Player ${this.id} is in safe zone, can't be hit`);
-            return;
-        }
-        
-        // Debug log to show actual damage being applied
-        console.log(`Player ${this.id} taking damage: ${damage} from ${attackerId}`);
-        
-        // Reduce health - ensure we're using the passed damage value
-        this.health -= damage;
-        
-        // Check if eliminated
-        if (this.health <= 0) {
-            this.health = 0;
-            this.eliminate(attackerId);
-            return; // Don't apply hit effect if eliminated
-        }
-        
-        // Get attacker to calculate knockback direction
-        const attacker = Game.getPlayerById(attackerId);
-        if (attacker) {
-            // Calculate direction from attacker to this player
-            const knockbackDir = new THREE.Vector3()
-                .subVectors(this.position, attacker.position)
-                .normalize();
-            
-            // Apply knockback based on damage
-            const knockbackForce = damage * 0.5;
-            this.applyKnockback(knockbackDir, knockbackForce);
+        this.body.takeDamage(damage, attackerId);
+    }
+    
+    /**
+     * Show that the player was hit (called by the game when the body reports a hit)
+     */
+    showHit() {
+        // Spin AI players a little to make the knockback feel more impactful
+        // (not the human player, to avoid disorienting them)
+        if (!this.isHuman && this.mesh) {
+            const rotationImpulse = Utils.randomRange(-0.5, 0.5, 'cosmetic') * Math.PI * 0.25; // Up to 45 degrees rotation
+            this.mesh.rotation.y += rotationImpulse;
         }
         
         // Apply hit effect - flash the player's color
         this.applyHitEffect();
         
-        // Update UI if human player
-        if (this.isHuman) {
-            if (Game && Game.ui) {
-                Game.ui.updateHealth(this.health);
-                Game.ui.showHitIndicator();
-            }
+        if (Game.audio) {
+            Game.audio.play('hit', this.mesh ? this.mesh.position : this.position);
         }
         
         // Update health display for all players
@@ -795,21 +671,39 @@ class SnowBrawlPlayer {
      * @param {string} attackerId - ID of attacker
      */
     eliminate(attackerId) {
-        this.isAlive = false;
+        this.body.eliminate(attackerId);
+    }
+    
+    /**
+     * Take an eliminated player out of the scene (called by the game when the body reports an elimination)
+     */
+    showElimination() {
+        if (Game.audio) {
+            Game.audio.play('eliminate', this.mesh ? this.mesh.position : this.position);
+        }
         
-        // Award points to attacker
-        const attacker = Game.getPlayerById(attackerId);
-        if (attacker) {
-            attacker.score += GAME_CONSTANTS.SCORING.ELIMINATION_POINTS;
-            
-            // Update UI if attacker is human
-            if (attacker.isHuman) {
-                if (Game && Game.ui) {
-                    Game.ui.updateScore(attacker.score);
-                }
-            }
+        this.remove();
+    }
+    
+    /**
+     * Put a respawned player back into the scene (called by the game when the body reports a respawn)
+     */
+    showRespawn() {
+        if (this.mesh && !this.mesh.parent) {
+            this.scene.add(this.mesh);
         }
         
+        // remove() threw the health bar away along with the mesh
+        if (!this.healthBarSprite) {
+            this.createHealthBar();
+        }
+        this.updateHealthBar();
+    }
+    
+    /**
+     * Remove the player's mesh and health bar from the scene
+     */
+    remove() {
         // Remove health bar sprite from scene if it exists
         if (this.healthBarSprite) {
             // If health bar was added directly to the scene
@@ -834,18 +728,6 @@ class SnowBrawlPlayer {
         
         // Remove player mesh from scene
         this.scene.remove(this.mesh);
-        
-        // Show elimination message
-        if (this.isHuman) {
-            if (Game && Game.ui) {
-                Game.ui.showGameOver(false);
-            }
-        } else if (attacker && attacker.isHuman) {
-            Utils.showMessage(`You eliminated AI ${this.id}!`);
-        }
-        
-        // Check if game is over
-        Game.checkGameOver();
     }
     
     /**
@@ -898,11 +780,11 @@ class SnowBrawlPlayer {
             // Create particles with varying colors based on the character's color
             const hue = new THREE.Color(particleBaseColor).getHSL({}).h;
             const saturation = 0.8;
-            const lightness = Utils.randomRange(0.5, 0.9); // Varying brightness
+            const lightness = Utils.randomRange(0.5, 0.9, 'cosmetic'); // Varying brightness
             
             const particleColor = new THREE.Color().setHSL(
-                hue, 
-                saturation, 
+                hue,
+                saturation,
                 lightness
             );
             
@@ -916,26 +798,26 @@ class SnowBrawlPlayer {
             particle.position.copy(position);
             
             // Add some random offset to start position
-            particle.position.x += Utils.randomRange(-0.7, 0.7);
-            particle.position.y += Utils.randomRange(-0.7, 0.7);
-            particle.position.z += Utils.randomRange(-0.7, 0.7);
+            particle.position.x += Utils.randomRange(-0.7, 0.7, 'cosmetic');
+            particle.position.y += Utils.randomRange(-0.7, 0.7, 'cosmetic');
+            particle.position.z += Utils.randomRange(-0.7, 0.7, 'cosmetic');
             
             // Random velocity for particle - more explosive
             const velocity = new THREE.Vector3(
-                Utils.randomRange(-6, 6),
-                Utils.randomRange(3, 10), // More upward momentum
-                Utils.randomRange(-6, 6)
+                Utils.randomRange(-6, 6, 'cosmetic'),
+                Utils.randomRange(3, 10, 'cosmetic'), // More upward momentum
+                Utils.randomRange(-6, 6, 'cosmetic')
             );
             
             this.scene.add(particle);
             this.hitParticles.push({
                 mesh: particle,
                 velocity: velocity,
-                lifetime: Utils.randomRange(0.7, 1.2), // Longer lifetime
+                lifetime: Utils.randomRange(0.7, 1.2, 'cosmetic'), // Longer lifetime
                 rotationSpeed: new THREE.Vector3(
-                    Utils.randomRange(-5, 5),
-                    Utils.randomRange(-5, 5),
-                    Utils.randomRange(-5, 5)
+                    Utils.randomRange(-5, 5, 'cosmetic'),
+                    Utils.randomRange(-5, 5, 'cosmetic'),
+                    Utils.randomRange(-5, 5, 'cosmetic')
                 )
             });
         }
@@ -1001,130 +883,31 @@ class SnowBrawlPlayer {
      * @param {number} force - Force of knockback
      */
     applyKnockback(direction, force) {
-        // Apply stronger horizontal knockback
-        this.velocity.x += direction.x * force * 2.5; // Increased multiplier for more visible effect
-        this.velocity.z += direction.z * force * 2.5;
-        
-        // Add a larger vertical component to make the knockback more visible
-        // This creates a more pronounced "hop" effect when hit
-        this.velocity.y += force * 1.2; // Increased vertical force
-        
-        // Ensure player is not on ground during knockback
-        this.isOnGround = false;
-        
-        // Add a small random rotation to make the knockback feel more impactful
-        // This is especially effective for character models
-        if (!this.isHuman) { // Only for AI players to avoid disorienting the human player
-            // Add a small random rotation around the Y axis
-            const rotationImpulse = (Math.random() - 0.5) * Math.PI * 0.25; // Up to 45 degrees rotation
-            if (this.mesh) {
-                this.mesh.rotation.y += rotationImpulse;
-            }
-        }
-        
-        console.log(`Applied knockback to player ${this.id}: velocity=(${this.velocity.x.toFixed(2)}, ${this.velocity.y.toFixed(2)}, ${this.velocity.z.toFixed(2)})`);
+        this.body.applyKnockback(direction, force);
     }
-        
+    
     /**
      * Replenish snowballs when in igloo
      */
     replenishSnowballs() {
-        const currentTime = Date.now();
-        const timeSinceLastReplenish = (currentTime - this.lastReplenishTime) / 1000; // Convert to seconds
-        
-        if (timeSinceLastReplenish >= 1 / GAME_CONSTANTS.SNOWBALL.REPLENISH_RATE) {
-            if (this.snowballCount < this.maxSnowballCount) {
-                this.snowballCount++;
-                this.lastReplenishTime = currentTime;
-                
-                // Update UI if human player
-                if (this.isHuman) {
-                    if (Game && Game.ui) {
-                        Game.ui.updateSnowballCount(this.snowballCount);
-                    }
-                }
-            }
-        }
+        this.body.replenishSnowballs();
     }
     
     /**
      * Collect a diamond and update player stats
      * @param {Object} diamond - Diamond object
      */
-    collectDiamond() {
-        this.diamondCount++;
-        this.score += GAME_CONSTANTS.SCORING.DIAMOND_POINTS;
-        
-        // Update UI if human player
-        if (this.isHuman) {
-            if (Game && Game.ui) {
-                Game.ui.updateDiamondCount(this.diamondCount);
-                Game.ui.updateScore(this.score);
-                Game.ui.showDiamondIndicator();
-            }
-            
-            // Show upgrade menu
-            if (Game && Game.ui) {
-                Game.ui.showUpgradeMenu();
-            }
-        }
+    collectDiamond(diamond) {
+        this.body.collectDiamond(diamond);
     }
     
     /**
      * Apply an upgrade
      * @param {string} upgradeType - Type of upgrade (speed, damage, range, size, capacity)
+     * @returns {boolean} True if the upgrade was bought
      */
     applyUpgrade(upgradeType) {
-        // Check if player has enough diamonds
-        const upgradeCost = GAME_CONSTANTS.UPGRADES[upgradeType.toUpperCase()].COST;
-        
-        if (this.diamondCount < upgradeCost) {
-            return false;
-        }
-        
-        // Check if upgrade is at max level
-        const maxLevel = GAME_CONSTANTS.UPGRADES[upgradeType.toUpperCase()].MAX_LEVEL;
-        
-        if (this.upgrades[upgradeType] >= maxLevel) {
-            return false;
-        }
-        
-        // Deduct diamonds
-        this.diamondCount -= upgradeCost;
-        
-        // Increment upgrade level
-        this.upgrades[upgradeType]++;
-        
-        // Apply upgrade effect
-        const increment = GAME_CONSTANTS.UPGRADES[upgradeType.toUpperCase()].INCREMENT;
-        
-        switch (upgradeType) {
-            case 'speed':
-                this.moveSpeed += increment;
-                break;
-            case 'damage':
-                this.snowballDamage += increment;
-                break;
-            case 'range':
-                this.throwRange += increment;
-                break;
-            case 'size':
-                this.snowballSize += increment;
-                break;
-            case 'capacity':
-                this.maxSnowballCount += increment;
-                break;
-        }
-        
-        // Update UI if human player
-        if (this.isHuman) {
-            if (Game && Game.ui) {
-                Game.ui.updateDiamondCount(this.diamondCount);
-            }
-            Utils.showMessage(`Upgraded ${upgradeType}!`);
-        }
-        
-        return true;
+        return this.body.applyUpgrade(upgradeType);
     }
     
     /**
@@ -1135,34 +918,45 @@ class SnowBrawlPlayer {
         this.iglooPosition = position;
     }
     
+    /**
+     * Assign the player to a team
+     * @param {number|null} teamId - Team index, or null for free-for-all
+     * @param {number|null} teamColor - Team color as a hex value
+     */
+    setTeam(teamId, teamColor = null) {
+        this.teamId = teamId;
+        this.teamColor = teamColor;
+        
+        // Refresh the name tag so it shows the team
+        this.updateNameTag();
+    }
+    
+    /**
+     * Check if another player is on the same team
+     * @param {Object} other - Player to check
+     * @returns {boolean} True if both players are on the same team
+     */
+    isTeammate(other) {
+        return this.body.isTeammate(other);
+    }
+    
+    /**
+     * Bring an eliminated player back into the game
+     */
+    revive() {
+        if (this.isAlive) return;
+        
+        this.body.revive();
+        if (this.mesh && !this.mesh.parent) {
+            this.scene.add(this.mesh);
+        }
+    }
+    
     /**
      * Reset player to initial state
      */
     reset() {
-        // Reset stats
-        this.health = GAME_CONSTANTS.PLAYER.INITIAL_HEALTH;
-        this.snowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
-        this.maxSnowballCount = GAME_CONSTANTS.SNOWBALL.INITIAL_COUNT;
-        this.diamondCount = 0;
-        this.score = 0;
-        
-        // Reset movement
-        this.velocity.set(0, 0, 0);
-        this.moveSpeed = GAME_CONSTANTS.PLAYER.MOVEMENT_SPEED;
-        
-        // Reset snowball properties
-        this.snowballDamage = GAME_CONSTANTS.SNOWBALL.DAMAGE;
-        this.snowballSize = GAME_CONSTANTS.SNOWBALL.RADIUS;
-        this.throwRange = GAME_CONSTANTS.SNOWBALL.MAX_THROW_DISTANCE;
-        
-        // Reset status
-        this.isAlive = true;
-        this.isInIgloo = false;
-        
-        // Reset upgrades
-        for (const upgrade in this.upgrades) {
-            this.upgrades[upgrade] = 0;
-        }
+        this.body.reset();
         
         // Add mesh back to scene
         if (!this.scene.children.includes(this.mesh)) {
@@ -1221,6 +1015,19 @@ class SnowBrawlPlayer {
     }
 }
 
+// Forward the simulation state to the body, so controllers, UI and network code can keep reading and writing
+// player.health, player.position, ... on the view
+for (const key of SimPlayer.STATE_KEYS) {
+    Object.defineProperty(SnowBrawlPlayer.prototype, key, {
+        get() {
+            return this.body[key];
+        },
+        set(value) {
+            this.body[key] = value;
+        }
+    });
+}
+
 // Expose SnowBrawlPlayer to the global scope as Player to avoid conflicts with built-in objects
 // and to maintain compatibility with existing code
 window.Player = SnowBrawlPlayer;
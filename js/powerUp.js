@@ -0,0 +1,126 @@
+/**
+ * PowerUp class for SnowBrawl game
+ * View of a power-up pickup lying in the arena - each type has its own shape and color, over a glowing ring
+ * Spawning, pickups and effects are simulated by the Simulation (see SimPowerUp and SimPlayer.applyPowerUp)
+ */
+
+// Using SnowBrawlPowerUp instead of PowerUp to avoid conflicts with built-in globals
+class SnowBrawlPowerUp {
+    /**
+     * Create the view for a power-up
+     * @param {THREE.Scene} scene - The scene to add the power-up to
+     * @param {Object} powerUp - Power-up state with a position and type (a SimPowerUp, or a network snapshot entry)
+     */
+    constructor(scene, powerUp) {
+        this.scene = scene;
+        this.body = powerUp;
+        this.size = GAME_CONSTANTS.POWER_UPS.SIZE;
+        this.settings = SimPlayer.getPowerUpSettings(powerUp.type) || GAME_CONSTANTS.POWER_UPS.TYPES.RAPID_FIRE;
+        
+        // Animation state
+        this.age = Utils.randomRange(0, Math.PI * 2, 'cosmetic'); // Random phase so power-ups don't bob in sync
+        
+        this.createMesh();
+        this.createRing();
+        
+        this.scene.add(this.mesh);
+        this.scene.add(this.ring);
+    }
+    
+    /**
+     * Current position of the power-up
+     * @returns {THREE.Vector3} Position from the body
+     */
+    get position() {
+        return this.body.position;
+    }
+    
+    /**
+     * Shape for each power-up type, so they can be told apart from a distance and not just by color
+     * @param {string} type - Power-up type
+     * @param {number} size - Size of the pickup
+     * @returns {THREE.BufferGeometry} Geometry for the pickup
+     */
+    static createGeometry(type, size) {
+        switch (type) {
+            case 'rapid_fire':
+                return new THREE.ConeGeometry(size * 0.7, size * 2, 12); // Arrowhead
+            case 'shield':
+                return new THREE.CylinderGeometry(size, size, size * 0.3, 6); // Hexagonal plate
+            case 'speed_boost':
+                return new THREE.OctahedronGeometry(size, 0);
+            case 'infinite_ammo':
+                return new THREE.TorusGeometry(size * 0.7, size * 0.25, 8, 16);
+            case 'giant_snowballs':
+                return new THREE.SphereGeometry(size * 1.2, 16, 12);
+            default:
+                return new THREE.BoxGeometry(size, size, size);
+        }
+    }
+    
+    /**
+     * Create the pickup's 3D mesh
+     */
+    createMesh() {
+        const material = new THREE.MeshLambertMaterial({
+            color: this.settings.COLOR,
+            emissive: this.settings.COLOR,
+            emissiveIntensity: 0.5
+        });
+        
+        this.mesh = new THREE.Mesh(SnowBrawlPowerUp.createGeometry(this.body.type, this.size), material);
+        this.mesh.position.copy(this.position);
+        this.mesh.castShadow = true;
+        
+        // Stand the shield plate up so its face shows
+        if (this.body.type === 'shield') {
+            this.mesh.rotation.x = Math.PI / 2;
+        }
+    }
+    
+    /**
+     * Create a glowing ring on the ground under the pickup
+     */
+    createRing() {
+        const geometry = new THREE.RingGeometry(this.size * 1.6, this.size * 2, 24);
+        const material = new THREE.MeshBasicMaterial({
+            color: this.settings.COLOR,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide
+        });
+        
+        this.ring = new THREE.Mesh(geometry, material);
+        this.ring.rotation.x = -Math.PI / 2; // Rotate to be horizontal
+        this.ring.position.set(this.position.x, this.position.y - GAME_CONSTANTS.POWER_UPS.HEIGHT + 0.02, this.position.z); // Just above the ground to avoid z-fighting
+    }
+    
+    /**
+     * Update power-up animation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        
+        // Spin and bob the pickup and pulse its ring (the mesh only - the power-up itself stays put)
+        this.mesh.rotation.y += deltaTime * 2;
+        this.mesh.position.copy(this.position);
+        this.mesh.position.y += Math.sin(this.age * 3) * 0.2;
+        this.ring.material.opacity = 0.4 + Math.sin(this.age * 4) * 0.2;
+    }
+    
+    /**
+     * Remove power-up from scene and dispose of its resources
+     */
+    remove() {
+        for (const mesh of [this.mesh, this.ring]) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+    }
+}
+
+// Expose SnowBrawlPowerUp to the global scope as PowerUp to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.PowerUp = SnowBrawlPowerUp;
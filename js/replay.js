@@ -0,0 +1,472 @@
+/**
+ * Replay recording and playback for SnowBrawl
+ * The simulation is deterministic given its seed, so a round is recorded as the state it started from
+ * (seed, random stream positions, constants, obstacles, terrain, diamonds, power-ups and the human player) plus the human's
+ * per-tick input. Playback rebuilds that state and re-simulates the round; AI decisions, throws and
+ * diamond and power-up spawns and weather changes are recorded as well, and playback checks them to spot a replay that has drifted out of sync.
+ */
+
+// Fields of Player.input, in the order of their bits in recorded input
+const REPLAY_INPUT_KEYS = ['forward', 'backward', 'left', 'right', 'jump', 'shoot', 'lob', 'scoop', 'repair'];
+
+// Player state fields that hold THREE.Vector3 values
+const REPLAY_VECTOR_KEYS = ['position', 'velocity', 'iglooPosition'];
+
+// Format version written into recordings, bumped whenever the format changes
+const REPLAY_VERSION = 13;
+
+// Using SnowBrawlReplayRecorder instead of ReplayRecorder to avoid conflicts with built-in globals
+class SnowBrawlReplayRecorder {
+    /**
+     * Create a recorder for one round
+     * @param {Simulation} world - Simulation to record
+     * @param {SimPlayer} player - The human player's body, whose input is recorded
+     * @param {Object} settings - Game settings the round was played with (gameMode, friendlyFire, difficultyMultiplier, round, gameDuration)
+     * @param {Array} obstacles - Obstacle layout (see Arena.getObstacleLayout)
+     * @param {Object} terrain - Terrain layout (see Arena.getTerrainLayout)
+     */
+    constructor(world, player, settings, obstacles, terrain) {
+        this.world = world;
+        this.player = player;
+        this.settings = { ...settings };
+        this.obstacles = obstacles;
+        this.terrain = terrain;
+        
+        this.startTick = 0;
+        this.tick = -1; // Index of the tick being (or last) run, relative to the start of the recording
+        this.lastInput = null; // Last recorded input, so only changes are stored
+        this.inputs = []; // [tick, input bits, yaw, pitch]
+        this.upgrades = []; // [tick, upgrade type], applied before that tick runs
+        this.snowballTypes = []; // [tick, snowball type], selected before that tick runs
+        this.events = []; // [tick, type, ...data], checked during playback
+        
+        this.listeners = {
+            tick: ({ tick }) => this.recordTick(tick),
+            upgradeApplied: ({ player, upgradeType }) => {
+                // AI upgrades happen inside ticks and are re-simulated; the human's come from the UI between ticks
+                if (player === this.player) {
+                    this.upgrades.push([this.tick + 1, upgradeType]);
+                }
+            },
+            snowballTypeSelected: ({ player, snowballType }) => {
+                // Number keys are read between ticks too (switching back to normal snowballs inside a tick just repeats itself)
+                if (player === this.player) {
+                    this.snowballTypes.push([this.tick + 1, snowballType]);
+                }
+            },
+            snowballThrown: ({ player }) => this.events.push([this.tick, 'throw', player ? player.id : null]),
+            diamondSpawned: ({ diamond }) => this.events.push(SnowBrawlReplayRecorder.diamondEvent(this.tick, diamond)),
+            powerUpSpawned: ({ powerUp }) => this.events.push([this.tick, 'powerUp', powerUp.type]),
+            weatherChanged: ({ weather }) => this.events.push([this.tick, 'weather', weather]),
+            aiDecision: ({ player, state }) => this.events.push([this.tick, 'ai', player.id, state]),
+            playerEliminated: ({ player }) => this.events.push([this.tick, 'eliminated', player.id]),
+            iglooCollapsed: ({ igloo }) => this.events.push([this.tick, 'iglooCollapsed', igloo.ownerId])
+        };
+    }
+    
+    /**
+     * Capture the starting state and start listening to the simulation
+     */
+    start() {
+        this.startTick = this.world.tickCount;
+        this.initialState = {
+            version: REPLAY_VERSION,
+            seed: Utils.rng.seed,
+            streams: { ...Utils.rng.streams },
+            constants: JSON.parse(JSON.stringify(GAME_CONSTANTS)),
+            settings: this.settings,
+            world: {
+                time: this.world.time,
+                diamondSpawnTimer: this.world.diamondSpawnTimer,
+                powerUpSpawnTimer: this.world.powerUpSpawnTimer,
+                weather: this.world.getWeatherState(),
+                wind: this.world.getWindState(),
+                storm: this.world.getStormState(),
+                hill: this.world.getHillState()
+            },
+            obstacles: this.obstacles,
+            terrain: this.terrain,
+            diamonds: this.world.diamonds.map(diamond => diamond.position.toArray()),
+            powerUps: this.world.powerUps.map(powerUp => ({
+                position: powerUp.position.toArray(),
+                type: powerUp.type,
+                spawnTime: powerUp.spawnTime
+            })),
+            player: SnowBrawlReplayRecorder.capturePlayer(this.player)
+        };
+        
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.world.on(type, listener);
+        }
+    }
+    
+    /**
+     * Stop listening to the simulation
+     */
+    stop() {
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.world.off(type, listener);
+        }
+    }
+    
+    /**
+     * Record the human's input for the tick about to run
+     * @param {number} tick - Simulation tick count
+     */
+    recordTick(tick) {
+        this.tick = tick - this.startTick;
+        
+        const input = [
+            SnowBrawlReplayRecorder.encodeInput(this.player.input),
+            this.player.yaw,
+            this.player.pitch
+        ];
+        
+        if (!this.lastInput || input.some((value, i) => value !== this.lastInput[i])) {
+            this.inputs.push([this.tick, ...input]);
+            this.lastInput = input;
+        }
+    }
+    
+    /**
+     * The recording so far
+     * @returns {Object} Plain JSON-safe recording
+     */
+    getRecording() {
+        return {
+            ...this.initialState,
+            length: this.tick + 1,
+            inputs: this.inputs.map(entry => [...entry]),
+            upgrades: this.upgrades.map(entry => [...entry]),
+            snowballTypes: this.snowballTypes.map(entry => [...entry]),
+            events: this.events.map(entry => [...entry])
+        };
+    }
+    
+    /**
+     * Pack input flags into bits
+     * @param {Object} input - Player input
+     * @returns {number} Input bits
+     */
+    static encodeInput(input) {
+        return REPLAY_INPUT_KEYS.reduce((bits, key, i) => (input[key] ? bits | (1 << i) : bits), 0);
+    }
+    
+    /**
+     * Unpack input bits into a player's input
+     * @param {number} bits - Input bits
+     * @param {Object} input - Player input to update
+     */
+    static decodeInput(bits, input) {
+        REPLAY_INPUT_KEYS.forEach((key, i) => {
+            input[key] = (bits & (1 << i)) !== 0;
+        });
+    }
+    
+    /**
+     * Event entry for a diamond spawn, rounded so recordings stay small
+     * @param {number} tick - Tick index
+     * @param {SimDiamond} diamond - Spawned diamond
+     * @returns {Array} Event entry
+     */
+    static diamondEvent(tick, diamond) {
+        const round = value => Math.round(value * 1000) / 1000;
+        return [tick, 'diamond', round(diamond.position.x), round(diamond.position.z)];
+    }
+    
+    /**
+     * Copy a player's state into plain JSON
+     * Non-finite numbers (such as a lastThrowTime of -Infinity) are kept as strings, since JSON has no way to write them
+     * @param {SimPlayer} player - Player state
+     * @returns {Object} Plain state
+     */
+    static capturePlayer(player) {
+        const state = { yaw: player.yaw, pitch: player.pitch };
+        
+        for (const key of SimPlayer.STATE_KEYS) {
+            const value = player[key];
+            if (REPLAY_VECTOR_KEYS.includes(key)) {
+                state[key] = value ? value.toArray() : null;
+            } else if (typeof value === 'number' && !Number.isFinite(value)) {
+                state[key] = String(value);
+            } else if (value !== null && typeof value === 'object') {
+                state[key] = { ...value };
+            } else {
+                state[key] = value;
+            }
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Restore a player's state captured by capturePlayer
+     * @param {SimPlayer} player - Player state to overwrite
+     * @param {Object} state - Plain state
+     */
+    static restorePlayer(player, state) {
+        for (const key of SimPlayer.STATE_KEYS) {
+            if (!(key in state)) continue;
+            
+            const value = state[key];
+            if (REPLAY_VECTOR_KEYS.includes(key)) {
+                player[key] = value ? new THREE.Vector3().fromArray(value) : null;
+            } else if (typeof value === 'string' && typeof player[key] === 'number') {
+                player[key] = Number(value);
+            } else if (value !== null && typeof value === 'object') {
+                player[key] = { ...value };
+            } else {
+                player[key] = value;
+            }
+        }
+        
+        player.previousPosition.copy(player.position);
+        player.yaw = state.yaw;
+        player.pitch = state.pitch;
+    }
+    
+    /**
+     * Check that parsed JSON looks like a recording this version can play
+     * @param {Object} recording - Parsed recording
+     * @returns {string|null} Problem description, or null if it can be played
+     */
+    static validate(recording) {
+        if (!recording || typeof recording !== 'object') {
+            return 'not a replay file';
+        }
+        if (recording.version !== REPLAY_VERSION) {
+            return `unsupported replay version ${recording.version}`;
+        }
+        
+        const required = ['seed', 'streams', 'constants', 'settings', 'world', 'obstacles', 'terrain', 'diamonds', 'powerUps', 'player', 'length', 'inputs', 'upgrades', 'snowballTypes', 'events'];
+        const missing = required.filter(key => !(key in recording));
+        return missing.length > 0 ? `replay is missing ${missing.join(', ')}` : null;
+    }
+}
+
+// Using SnowBrawlReplayPlayer instead of ReplayPlayer to avoid conflicts with built-in globals
+class SnowBrawlReplayPlayer {
+    /**
+     * Create a player for a recording
+     * The game sets up the round's players, igloos, diamonds and power-ups from the recording first (see Game.watchReplay)
+     * @param {Object} recording - Recording from ReplayRecorder.getRecording
+     * @param {Simulation} world - Simulation set up from the recording
+     * @param {SimPlayer} player - Body of the recorded human player
+     * @param {THREE.Camera} camera - Camera to fly around freely
+     */
+    constructor(recording, world, player, camera) {
+        this.recording = recording;
+        this.world = world;
+        this.player = player;
+        this.camera = camera;
+        
+        this.startTick = world.tickCount;
+        this.tick = 0; // Ticks played
+        this.inputIndex = 0;
+        this.upgradeIndex = 0;
+        this.snowballTypeIndex = 0;
+        this.eventIndex = 0;
+        
+        this.speeds = GAME_CONSTANTS.REPLAY.SPEEDS;
+        this.speedIndex = this.speeds.indexOf(1);
+        this.isPaused = false;
+        this.isFinished = false;
+        this.isDesynced = false;
+        
+        // Free-fly camera keys currently held
+        this.keys = new Set();
+        this.handleKeyDown = (event) => this.onKeyDown(event);
+        this.handleKeyUp = (event) => this.keys.delete(event.code);
+        
+        this.listeners = {
+            tick: ({ tick }) => this.applyTick(tick - this.startTick),
+            snowballThrown: ({ player }) => this.checkEvent(['throw', player ? player.id : null]),
+            diamondSpawned: ({ diamond }) => this.checkEvent(SnowBrawlReplayRecorder.diamondEvent(0, diamond).slice(1)),
+            powerUpSpawned: ({ powerUp }) => this.checkEvent(['powerUp', powerUp.type]),
+            weatherChanged: ({ weather }) => this.checkEvent(['weather', weather]),
+            aiDecision: ({ player, state }) => this.checkEvent(['ai', player.id, state]),
+            playerEliminated: ({ player }) => this.checkEvent(['eliminated', player.id]),
+            iglooCollapsed: ({ igloo }) => this.checkEvent(['iglooCollapsed', igloo.ownerId])
+        };
+    }
+    
+    /**
+     * Current playback speed
+     * @returns {number} Speed multiplier
+     */
+    get speed() {
+        return this.speeds[this.speedIndex];
+    }
+    
+    /**
+     * Start listening to the simulation and the keyboard, and look at the recorded player
+     */
+    start() {
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.world.on(type, listener);
+        }
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        
+        const target = this.player.position;
+        this.camera.position.set(target.x, target.y + 10, target.z + 12);
+        this.camera.lookAt(target);
+    }
+    
+    /**
+     * Stop listening to the simulation and the keyboard
+     */
+    stop() {
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.world.off(type, listener);
+        }
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        this.keys.clear();
+    }
+    
+    /**
+     * Fly the camera and advance the re-simulation
+     * @param {number} deltaTime - Real time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.updateCamera(deltaTime);
+        
+        if (this.isPaused || this.isFinished) return;
+        
+        const maxSteps = Math.min(GAME_CONSTANTS.PHYSICS.MAX_SUBSTEPS * Math.max(1, this.speed), this.recording.length - this.tick);
+        this.world.advance(deltaTime * this.speed, maxSteps);
+        
+        if (this.tick >= this.recording.length) {
+            this.isFinished = true;
+            console.log(`Replay finished after ${this.tick} ticks`);
+        }
+    }
+    
+    /**
+     * Apply the recorded upgrades, snowball type picks and input for the tick about to run
+     * @param {number} tick - Tick index relative to the start of the recording
+     */
+    applyTick(tick) {
+        this.tick = tick + 1;
+        
+        const { upgrades, snowballTypes, inputs } = this.recording;
+        
+        while (this.upgradeIndex < upgrades.length && upgrades[this.upgradeIndex][0] <= tick) {
+            this.player.applyUpgrade(upgrades[this.upgradeIndex][1]);
+            this.upgradeIndex++;
+        }
+        
+        while (this.snowballTypeIndex < snowballTypes.length && snowballTypes[this.snowballTypeIndex][0] <= tick) {
+            this.player.selectSnowballType(snowballTypes[this.snowballTypeIndex][1]);
+            this.snowballTypeIndex++;
+        }
+        
+        // Recorded input replaces whatever the keyboard handlers may have set
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= tick) {
+            const [, bits, yaw, pitch] = inputs[this.inputIndex];
+            SnowBrawlReplayRecorder.decodeInput(bits, this.player.input);
+            this.player.yaw = yaw;
+            this.player.pitch = pitch;
+            this.inputIndex++;
+        }
+    }
+    
+    /**
+     * Compare something that happened in the re-simulation with the recording
+     * @param {Array} event - Event type and data (without the tick)
+     */
+    checkEvent(event) {
+        if (this.isDesynced) return;
+        
+        const expected = this.recording.events[this.eventIndex];
+        const actual = [this.tick - 1, ...event];
+        
+        if (expected && JSON.stringify(expected) === JSON.stringify(actual)) {
+            this.eventIndex++;
+            return;
+        }
+        
+        this.isDesynced = true;
+        console.warn('Replay is out of sync with its recording. Expected', expected, 'but got', actual);
+    }
+    
+    /**
+     * Move the free-fly camera with WASD (E/Q to rise and sink)
+     * @param {number} deltaTime - Real time since last frame in seconds
+     */
+    updateCamera(deltaTime) {
+        const move = new THREE.Vector3();
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+        
+        if (this.keys.has('KeyW')) move.add(forward);
+        if (this.keys.has('KeyS')) move.sub(forward);
+        if (this.keys.has('KeyD')) move.add(right);
+        if (this.keys.has('KeyA')) move.sub(right);
+        if (this.keys.has('KeyE')) move.y += 1;
+        if (this.keys.has('KeyQ')) move.y -= 1;
+        
+        if (move.lengthSq() > 0) {
+            move.normalize().multiplyScalar(GAME_CONSTANTS.REPLAY.CAMERA_SPEED * deltaTime);
+            this.camera.position.add(move);
+        }
+    }
+    
+    /**
+     * Handle playback shortcuts (P to pause, [ and ] to change speed) and track camera keys
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        this.keys.add(event.code);
+        
+        switch (event.code) {
+            case 'KeyP':
+                this.togglePause();
+                break;
+            case 'BracketLeft':
+                this.changeSpeed(-1);
+                break;
+            case 'BracketRight':
+                this.changeSpeed(1);
+                break;
+        }
+    }
+    
+    /**
+     * Pause or resume playback
+     */
+    togglePause() {
+        this.isPaused = !this.isPaused;
+    }
+    
+    /**
+     * Step the playback speed up or down
+     * @param {number} direction - 1 for faster, -1 for slower
+     */
+    changeSpeed(direction) {
+        this.speedIndex = Utils.clamp(this.speedIndex + direction, 0, this.speeds.length - 1);
+    }
+    
+    /**
+     * Playback state for the replay HUD
+     * @returns {Object} Ticks played, length, speed and flags
+     */
+    getStatus() {
+        return {
+            tick: this.tick,
+            length: this.recording.length,
+            timeStep: this.world.physics.timeStep,
+            speed: this.speed,
+            isPaused: this.isPaused,
+            isFinished: this.isFinished,
+            isDesynced: this.isDesynced
+        };
+    }
+}
+
+// Expose SnowBrawlReplayRecorder and SnowBrawlReplayPlayer to the global scope as ReplayRecorder and ReplayPlayer
+// to avoid conflicts with built-in objects and to maintain compatibility with existing code
+window.ReplayRecorder = SnowBrawlReplayRecorder;
+window.ReplayPlayer = SnowBrawlReplayPlayer;
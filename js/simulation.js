@@ -0,0 +1,1050 @@
+/**
+ * Simulation class for SnowBrawl game
+ * Headless game world: players, snowballs, diamonds, power-ups, igloos, the weather, the wind, the storm, the King of the Hill zone
+ * and the arena, advanced by tick(deltaTime)
+ * (or by advance(deltaTime), which runs as many fixed ticks as a frame's time calls for)
+ * Uses only vector math (no scene, DOM or timers), so the same rules run in the browser, on the server and in Node scripts
+ * Views and servers follow along by listening for events:
+ *   snowballThrown, snowballHit, snowballRemoved, playerHit, playerEliminated, snowballsReplenished,
+ *   playerHealed, protectionExpired,
+ *   scoopStarted, snowballScooped, scoopInterrupted, iglooDamaged, iglooCollapsed, iglooRepaired,
+ *   diamondSpawned, diamondCollected, diamondRemoved, upgradeApplied,
+ *   powerUpSpawned, powerUpCollected, powerUpRemoved, powerUpExpired, shieldHit, weatherWarning, weatherChanged,
+ *   stormWarning, stormShrinking, stormDamage, iglooEngulfed,
+ *   hillControlChanged, hillTargetReached, playerRespawned,
+ *   tick (at the start of every tick) and aiDecision (when an AI controller changes state)
+ */
+
+// Using SnowBrawlSimulation instead of Simulation to avoid conflicts with built-in globals
+class SnowBrawlSimulation {
+    constructor() {
+        this.physics = new Physics();
+        this.time = 0; // Milliseconds of simulated time
+        this.tickCount = 0; // Ticks run so far
+        
+        this.players = [];
+        this.snowballs = [];
+        this.diamonds = [];
+        this.powerUps = [];
+        this.igloos = [];
+        
+        this.arena = null;
+        this.arenaColliders = []; // Arena boxes registered with physics, kept so they can be swapped out
+        this.diamondSpawnTimer = 0; // milliseconds since the last diamond spawn
+        this.powerUpSpawnTimer = 0; // milliseconds since the last power-up spawn
+        
+        // Weather, see startWeather()
+        this.weather = 'clear'; // Current weather type (a lowercase key of WEATHER.TYPES)
+        this.weatherChanges = false; // Whether the weather changes mid-round
+        this.nextWeather = null; // Weather the next change brings
+        this.weatherTimer = 0; // milliseconds until the next change
+        
+        // Storm mode, see startStorm()
+        this.storm = null; // Start time, duration and circles while a storm closes in, null when it's off
+        this.stormDamageTimer = 0; // milliseconds since the storm last hurt the players outside the circle
+        
+        // King of the Hill, see startHill()
+        this.hill = null; // Control zone (x, z and radius) and who holds it while playing King of the Hill, null otherwise
+        
+        // Wind, see startWind()
+        this.wind = new THREE.Vector3(); // Air velocity across the arena (horizontal), before gusts
+        this.windTarget = new THREE.Vector3(); // Wind the current wind is easing towards, before the weather's WIND_MULTIPLIER
+        this.windTimer = 0; // milliseconds until the wind shifts again
+        this.physics.windField = this;
+        
+        // Fixed-step loop state, see advance()
+        this.accumulator = 0; // Seconds of frame time not yet simulated
+        this.alpha = 0; // How far rendering is between the previous tick and the current one (0-1)
+        
+        this.listeners = {};
+    }
+    
+    /**
+     * Listen for a simulation event
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event data
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+    
+    /**
+     * Stop listening for a simulation event
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners[type];
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+    
+    /**
+     * Notify listeners of an event
+     * @param {string} type - Event type
+     * @param {Object} event - Event data
+     */
+    emit(type, event) {
+        const listeners = this.listeners[type];
+        if (!listeners) return;
+        
+        for (const listener of [...listeners]) {
+            listener(event);
+        }
+    }
+    
+    /**
+     * Whether snowballs can damage the thrower's teammates
+     * @param {boolean} enabled - Friendly fire setting
+     */
+    set friendlyFire(enabled) {
+        this.physics.friendlyFire = enabled;
+    }
+    
+    get friendlyFire() {
+        return this.physics.friendlyFire;
+    }
+    
+    /**
+     * Use an arena's terrain, walls and obstacles for collisions, replacing any previous arena
+     * Call again after changing the arena's obstacles or terrain to pick up the new ones
+     * @param {Arena} arena - Arena layout
+     */
+    setArena(arena) {
+        for (const collider of this.arenaColliders) {
+            this.physics.unregisterCollider(collider, 'walls');
+        }
+        
+        this.arena = arena;
+        this.arenaColliders = arena ? arena.colliders : [];
+        this.physics.terrain = arena ? arena.terrain : null;
+        
+        for (const collider of this.arenaColliders) {
+            this.physics.registerCollider(collider, 'walls');
+        }
+    }
+    
+    /**
+     * Add a player to the world
+     * @param {SimPlayer} player - Player state
+     */
+    addPlayer(player) {
+        player.world = this;
+        this.players.push(player);
+        this.physics.registerCollider(player, 'players');
+    }
+    
+    /**
+     * Remove a player from the world
+     * @param {SimPlayer} player - Player state
+     */
+    removePlayer(player) {
+        const index = this.players.indexOf(player);
+        if (index !== -1) {
+            this.players.splice(index, 1);
+        }
+        this.physics.unregisterCollider(player, 'players');
+        player.world = null;
+    }
+    
+    /**
+     * Get player by ID
+     * @param {string} id - Player ID
+     * @returns {SimPlayer|null} Player state or null if not found
+     */
+    getPlayerById(id) {
+        return this.players.find(player => player.id === id) || null;
+    }
+    
+    /**
+     * Add a thrown snowball to the world
+     * @param {SimSnowball} snowball - Snowball state
+     * @param {SimPlayer} thrower - Player who threw it
+     */
+    addSnowball(snowball, thrower) {
+        snowball.world = this;
+        this.snowballs.push(snowball);
+        this.physics.registerCollider(snowball, 'snowballs');
+        this.emit('snowballThrown', { snowball, player: thrower });
+    }
+    
+    /**
+     * Remove a snowball from the world
+     * @param {SimSnowball} snowball - Snowball state
+     */
+    removeSnowball(snowball) {
+        const index = this.snowballs.indexOf(snowball);
+        if (index === -1) return;
+        
+        this.snowballs.splice(index, 1);
+        this.physics.unregisterCollider(snowball, 'snowballs');
+        this.emit('snowballRemoved', { snowball });
+    }
+    
+    /**
+     * Remove every snowball in flight
+     */
+    clearSnowballs() {
+        for (const snowball of [...this.snowballs]) {
+            this.removeSnowball(snowball);
+        }
+    }
+    
+    /**
+     * Add an igloo to the world
+     * @param {SimIgloo} igloo - Igloo state
+     */
+    addIgloo(igloo) {
+        igloo.world = this;
+        this.igloos.push(igloo);
+        this.physics.registerCollider(igloo, 'igloos');
+        
+        // A standing igloo gives its owners their safe zone back
+        if (!igloo.isCollapsed) {
+            for (const player of igloo.getOwners()) {
+                player.hasIgloo = true;
+            }
+        }
+    }
+    
+    /**
+     * Remove an igloo from the world
+     * @param {SimIgloo} igloo - Igloo state
+     */
+    removeIgloo(igloo) {
+        const index = this.igloos.indexOf(igloo);
+        if (index !== -1) {
+            this.igloos.splice(index, 1);
+        }
+        this.physics.unregisterCollider(igloo, 'igloos');
+        igloo.world = null;
+    }
+    
+    /**
+     * Spawn a single diamond at a random position inside the diamond garden
+     * @returns {SimDiamond|null} The new diamond, or null if the garden is full
+     */
+    spawnDiamond() {
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        if (this.diamonds.length >= garden.MAX_DIAMONDS) {
+            return null;
+        }
+        
+        // Uniform random point inside the garden, kept clear of the wall
+        const spawnRadius = garden.RADIUS - garden.WALL_BLOCK_SIZE * 2;
+        const angle = Utils.randomRange(0, Math.PI * 2);
+        const distance = Math.sqrt(Utils.random()) * spawnRadius;
+        
+        const position = new THREE.Vector3(
+            garden.CENTER_X + Math.cos(angle) * distance,
+            garden.DIAMOND_HEIGHT,
+            garden.CENTER_Z + Math.sin(angle) * distance
+        );
+        
+        return this.addDiamond(position);
+    }
+    
+    /**
+     * Add a diamond at a given position (spawnDiamond picks a random one; replays restore recorded ones)
+     * @param {THREE.Vector3} position - Position of the diamond
+     * @returns {SimDiamond} The new diamond
+     */
+    addDiamond(position) {
+        const diamond = new SimDiamond(position);
+        this.diamonds.push(diamond);
+        this.physics.registerCollider(diamond, 'diamonds');
+        
+        console.log(`Diamond spawned at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+        this.emit('diamondSpawned', { diamond });
+        
+        return diamond;
+    }
+    
+    /**
+     * Remove a diamond from the world
+     * @param {SimDiamond} diamond - Diamond state
+     */
+    removeDiamond(diamond) {
+        const index = this.diamonds.indexOf(diamond);
+        if (index === -1) return;
+        
+        this.diamonds.splice(index, 1);
+        this.physics.unregisterCollider(diamond, 'diamonds');
+        this.emit('diamondRemoved', { diamond });
+    }
+    
+    /**
+     * Remove all diamonds and seed a fresh set (used when a game or round starts)
+     */
+    resetDiamonds() {
+        for (const diamond of [...this.diamonds]) {
+            this.removeDiamond(diamond);
+        }
+        
+        for (let i = 0; i < GAME_CONSTANTS.DIAMOND_GARDEN.INITIAL_DIAMONDS; i++) {
+            this.spawnDiamond();
+        }
+        this.diamondSpawnTimer = 0;
+    }
+    
+    /**
+     * Remove collected diamonds and spawn a new one every SPAWN_INTERVAL
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateDiamonds(deltaTime) {
+        for (const diamond of [...this.diamonds]) {
+            if (diamond.isCollected) {
+                this.removeDiamond(diamond);
+            }
+        }
+        
+        this.diamondSpawnTimer += deltaTime * 1000;
+        if (this.diamondSpawnTimer >= GAME_CONSTANTS.DIAMOND_GARDEN.SPAWN_INTERVAL) {
+            this.diamondSpawnTimer = 0;
+            this.spawnDiamond();
+        }
+    }
+    
+    /**
+     * Spawn a power-up of a random type at a free spawn point (see Arena.getPowerUpSpawnPoints)
+     * @returns {SimPowerUp|null} The new power-up, or null if the arena is full or has no free spawn point
+     */
+    spawnPowerUp() {
+        const settings = GAME_CONSTANTS.POWER_UPS;
+        if (!this.arena || this.powerUps.length >= settings.MAX_ACTIVE) {
+            return null;
+        }
+        
+        // Don't stack power-ups on top of each other
+        const freePoints = this.arena.getPowerUpSpawnPoints().filter(point =>
+            !this.powerUps.some(powerUp => Utils.isPointInCircle(point, powerUp.position, settings.COLLECTION_RADIUS)));
+        if (freePoints.length === 0) {
+            return null;
+        }
+        
+        const point = freePoints[Utils.randomInt(0, freePoints.length - 1)];
+        const position = new THREE.Vector3(point.x, point.y + settings.HEIGHT, point.z);
+        return this.addPowerUp(position, SnowBrawlSimulation.pickPowerUpType());
+    }
+    
+    /**
+     * Pick a power-up type at random, weighted by each type's WEIGHT
+     * @returns {string} Power-up type
+     */
+    static pickPowerUpType() {
+        const types = Object.entries(GAME_CONSTANTS.POWER_UPS.TYPES);
+        const totalWeight = types.reduce((total, [, settings]) => total + settings.WEIGHT, 0);
+        
+        let roll = Utils.random() * totalWeight;
+        for (const [type, settings] of types) {
+            roll -= settings.WEIGHT;
+            if (roll < 0) {
+                return type.toLowerCase();
+            }
+        }
+        return types[types.length - 1][0].toLowerCase();
+    }
+    
+    /**
+     * Add a power-up at a given position (spawnPowerUp picks one; replays restore recorded ones)
+     * @param {THREE.Vector3} position - Position of the power-up
+     * @param {string} type - Power-up type
+     * @param {number} spawnTime - Simulation time in milliseconds it appeared at (defaults to now)
+     * @returns {SimPowerUp} The new power-up
+     */
+    addPowerUp(position, type, spawnTime = this.time) {
+        const powerUp = new SimPowerUp(position, type, spawnTime);
+        this.powerUps.push(powerUp);
+        this.physics.registerCollider(powerUp, 'powerUps');
+        
+        console.log(`Power-up ${type} spawned at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+        this.emit('powerUpSpawned', { powerUp });
+        
+        return powerUp;
+    }
+    
+    /**
+     * Remove a power-up from the world
+     * @param {SimPowerUp} powerUp - Power-up state
+     */
+    removePowerUp(powerUp) {
+        const index = this.powerUps.indexOf(powerUp);
+        if (index === -1) return;
+        
+        this.powerUps.splice(index, 1);
+        this.physics.unregisterCollider(powerUp, 'powerUps');
+        this.emit('powerUpRemoved', { powerUp });
+    }
+    
+    /**
+     * Remove all power-ups and start the spawn timer again (used when a game or round starts)
+     */
+    resetPowerUps() {
+        for (const powerUp of [...this.powerUps]) {
+            this.removePowerUp(powerUp);
+        }
+        this.powerUpSpawnTimer = 0;
+    }
+    
+    /**
+     * Remove collected and melted power-ups and spawn a new one every SPAWN_INTERVAL
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updatePowerUps(deltaTime) {
+        for (const powerUp of [...this.powerUps]) {
+            if (powerUp.isCollected || powerUp.isExpired(this.time)) {
+                this.removePowerUp(powerUp);
+            }
+        }
+        
+        this.powerUpSpawnTimer += deltaTime * 1000;
+        if (this.powerUpSpawnTimer >= GAME_CONSTANTS.POWER_UPS.SPAWN_INTERVAL) {
+            this.powerUpSpawnTimer = 0;
+            this.spawnPowerUp();
+        }
+    }
+    
+    /**
+     * Start a round's weather - a fixed type for the whole match, or a random one that changes every so often
+     * @param {string} setting - 'changing', or a weather type to keep (defaults to WEATHER.DEFAULT)
+     */
+    startWeather(setting = GAME_CONSTANTS.WEATHER.DEFAULT) {
+        this.weatherChanges = setting === 'changing' || !SnowBrawlSimulation.getWeatherSettings(setting);
+        
+        const weather = this.weatherChanges ? SnowBrawlSimulation.pickWeather() : setting;
+        this.setWeather(weather, true);
+        
+        if (this.weatherChanges) {
+            this.scheduleWeatherChange();
+        } else {
+            this.nextWeather = null;
+            this.weatherTimer = 0;
+        }
+    }
+    
+    /**
+     * Change the weather
+     * @param {string} weather - Weather type
+     * @param {boolean} immediate - Whether views should switch straight away instead of fading (at the start of a round)
+     */
+    setWeather(weather, immediate = false) {
+        const previous = this.weather;
+        this.weather = weather;
+        
+        console.log(`Weather: ${this.getWeatherSettings().NAME}`);
+        this.emit('weatherChanged', { weather, previous, immediate });
+    }
+    
+    /**
+     * Pick the next weather and when it arrives
+     */
+    scheduleWeatherChange() {
+        const interval = GAME_CONSTANTS.WEATHER.CHANGE_INTERVAL;
+        this.nextWeather = SnowBrawlSimulation.pickWeather(this.weather);
+        this.weatherTimer = Utils.randomRange(interval.MIN, interval.MAX);
+    }
+    
+    /**
+     * Count down to the next weather change, warning WARNING_TIME ahead of it
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateWeather(deltaTime) {
+        if (!this.weatherChanges) return;
+        
+        const warningTime = GAME_CONSTANTS.WEATHER.WARNING_TIME;
+        const previousTimer = this.weatherTimer;
+        this.weatherTimer -= deltaTime * 1000;
+        
+        if (this.weatherTimer <= 0) {
+            this.setWeather(this.nextWeather);
+            this.scheduleWeatherChange();
+        } else if (previousTimer > warningTime && this.weatherTimer <= warningTime) {
+            this.emit('weatherWarning', { weather: this.nextWeather, timeLeft: this.weatherTimer });
+        }
+    }
+    
+    /**
+     * Settings of a weather type
+     * @param {string} weather - Weather type
+     * @returns {Object|null} Settings from GAME_CONSTANTS.WEATHER.TYPES, or null for an unknown type
+     */
+    static getWeatherSettings(weather) {
+        return GAME_CONSTANTS.WEATHER.TYPES[String(weather).toUpperCase()] || null;
+    }
+    
+    /**
+     * Settings of the current weather
+     * @returns {Object} Settings from GAME_CONSTANTS.WEATHER.TYPES
+     */
+    getWeatherSettings() {
+        return SnowBrawlSimulation.getWeatherSettings(this.weather) || GAME_CONSTANTS.WEATHER.TYPES.CLEAR;
+    }
+    
+    /**
+     * Pick a weather type at random, weighted by each type's WEIGHT
+     * @param {string} exclude - Weather type to leave out (the current one, so a change is always a change)
+     * @returns {string} Weather type
+     */
+    static pickWeather(exclude = null) {
+        const types = Object.entries(GAME_CONSTANTS.WEATHER.TYPES).filter(([type]) => type.toLowerCase() !== exclude);
+        const totalWeight = types.reduce((total, [, settings]) => total + settings.WEIGHT, 0);
+        
+        let roll = Utils.random() * totalWeight;
+        for (const [type, settings] of types) {
+            roll -= settings.WEIGHT;
+            if (roll < 0) {
+                return type.toLowerCase();
+            }
+        }
+        return types[types.length - 1][0].toLowerCase();
+    }
+    
+    /**
+     * Current weather and, while the HUD should warn about it, the coming change
+     * @returns {Object} Status with weather, plus next and remaining (milliseconds) during the warning
+     */
+    getWeatherStatus() {
+        const isWarning = this.weatherChanges && this.weatherTimer <= GAME_CONSTANTS.WEATHER.WARNING_TIME;
+        return {
+            weather: this.weather,
+            next: isWarning ? this.nextWeather : null,
+            remaining: isWarning ? this.weatherTimer : 0
+        };
+    }
+    
+    /**
+     * Weather state to save with a replay
+     * @returns {Object} Weather state
+     */
+    getWeatherState() {
+        return {
+            weather: this.weather,
+            changes: this.weatherChanges,
+            next: this.nextWeather,
+            timer: this.weatherTimer
+        };
+    }
+    
+    /**
+     * Put back weather saved by getWeatherState()
+     * @param {Object} state - Weather state
+     */
+    restoreWeatherState(state) {
+        this.weatherChanges = state.changes;
+        this.nextWeather = state.next;
+        this.weatherTimer = state.timer;
+        this.setWeather(state.weather, true);
+    }
+    
+    /**
+     * Start a round's wind, already blowing at full strength
+     */
+    startWind() {
+        this.shiftWind();
+        this.wind.copy(this.windTarget).multiplyScalar(this.getWeatherSettings().WIND_MULTIPLIER);
+    }
+    
+    /**
+     * Pick a new direction and strength for the wind to ease into, and when it shifts after that
+     */
+    shiftWind() {
+        const settings = GAME_CONSTANTS.WIND;
+        const angle = Utils.randomRange(0, Math.PI * 2);
+        const strength = Utils.randomRange(settings.STRENGTH.MIN, settings.STRENGTH.MAX);
+        
+        this.windTarget.set(Math.cos(angle) * strength, 0, Math.sin(angle) * strength);
+        this.windTimer = Utils.randomRange(settings.CHANGE_INTERVAL.MIN, settings.CHANGE_INTERVAL.MAX);
+    }
+    
+    /**
+     * Shift the wind every so often and ease it towards its target (picking up or dying down with the weather)
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateWind(deltaTime) {
+        this.windTimer -= deltaTime * 1000;
+        if (this.windTimer <= 0) {
+            this.shiftWind();
+        }
+        
+        const target = this.windTarget.clone().multiplyScalar(this.getWeatherSettings().WIND_MULTIPLIER);
+        this.wind.lerp(target, 1 - Math.exp(-GAME_CONSTANTS.WIND.CHANGE_RATE * deltaTime));
+    }
+    
+    /**
+     * Air velocity at a point - the wind, stronger or weaker as gust fronts blow through
+     * @param {THREE.Vector3} position - Point to sample
+     * @param {THREE.Vector3} target - Vector to write the result to (defaults to a new one)
+     * @returns {THREE.Vector3} Air velocity
+     */
+    getWindAt(position, target = new THREE.Vector3()) {
+        target.copy(this.wind);
+        
+        const speed = this.wind.length();
+        if (speed < 1e-6) {
+            return target;
+        }
+        
+        // Fronts are lines across the wind, moving downwind at the wind's speed
+        const downwind = (position.x * this.wind.x + position.z * this.wind.z) / speed;
+        const phase = (downwind - speed * this.time / 1000) / GAME_CONSTANTS.WIND.GUST_LENGTH * Math.PI * 2;
+        return target.multiplyScalar(1 + GAME_CONSTANTS.WIND.GUST_STRENGTH * Math.sin(phase));
+    }
+    
+    /**
+     * Wind state to save with a replay
+     * @returns {Object} Wind state
+     */
+    getWindState() {
+        return {
+            wind: this.wind.toArray(),
+            target: this.windTarget.toArray(),
+            timer: this.windTimer
+        };
+    }
+    
+    /**
+     * Put back wind saved by getWindState()
+     * @param {Object} state - Wind state
+     */
+    restoreWindState(state) {
+        this.wind.fromArray(state.wind);
+        this.windTarget.fromArray(state.target);
+        this.windTimer = state.timer;
+    }
+    
+    /**
+     * Start a round's storm, or turn it off
+     * The circles it closes in to are all picked now, each somewhere inside the last (see STORM.PHASES)
+     * @param {number|null} duration - Time limit in milliseconds the storm closes in over, or null for no storm
+     */
+    startStorm(duration = null) {
+        this.storm = duration ? {
+            startTime: this.time,
+            duration,
+            circles: SnowBrawlSimulation.planStormCircles()
+        } : null;
+        this.stormDamageTimer = 0;
+        
+        for (const igloo of this.igloos) {
+            igloo.isInStorm = false;
+        }
+    }
+    
+    /**
+     * Pick the storm's circles - the first covers the whole arena, then one for each phase
+     * @returns {Array} Circles (x, z and radius)
+     */
+    static planStormCircles() {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        const firstRadius = mapConstants.BOUNDARY === 'circle' ?
+            Utils.getArenaRadius() : Math.hypot(mapConstants.WIDTH, mapConstants.LENGTH) / 2;
+        
+        const circles = [{ x: 0, z: 0, radius: firstRadius }];
+        for (const phase of GAME_CONSTANTS.STORM.PHASES) {
+            const radius = firstRadius * phase.RADIUS;
+            circles.push({ ...SnowBrawlSimulation.pickStormCenter(circles[circles.length - 1], radius), radius });
+        }
+        return circles;
+    }
+    
+    /**
+     * Pick the center of a smaller circle so it fits inside the last one and at least half of it is on the arena
+     * @param {Object} previous - Circle it has to fit inside
+     * @param {number} radius - Radius of the new circle
+     * @returns {Object} Center (x and z)
+     */
+    static pickStormCenter(previous, radius) {
+        const maxOffset = Math.max(0, previous.radius - radius);
+        
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const angle = Utils.randomRange(0, Math.PI * 2);
+            const distance = Math.sqrt(Utils.random()) * maxOffset;
+            const x = previous.x + Math.cos(angle) * distance;
+            const z = previous.z + Math.sin(angle) * distance;
+            if (Utils.isPointInArena(x, z, radius / 2)) {
+                return { x, z };
+            }
+        }
+        
+        // The last circle's center always fits
+        return { x: previous.x, z: previous.z };
+    }
+    
+    /**
+     * How far the storm is through the time limit it closes in over
+     * @param {number} time - Simulation time in milliseconds (defaults to now)
+     * @returns {number} Progress (0 when the round starts, 1 when time runs out)
+     */
+    getStormProgress(time = this.time) {
+        return this.storm ? (time - this.storm.startTime) / this.storm.duration : 0;
+    }
+    
+    /**
+     * The safe circle, shrinking from one phase's circle to the next while a phase runs
+     * @param {number} time - Simulation time in milliseconds (defaults to now)
+     * @returns {Object|null} Circle (x, z and radius), or null without a storm
+     */
+    getStormCircle(time = this.time) {
+        if (!this.storm) return null;
+        
+        const progress = this.getStormProgress(time);
+        const circles = this.storm.circles;
+        const phases = GAME_CONSTANTS.STORM.PHASES;
+        const index = phases.findIndex(phase => progress < phase.END);
+        if (index === -1) {
+            return circles[circles.length - 1];
+        }
+        
+        const phase = phases[index];
+        const from = circles[index];
+        const to = circles[index + 1];
+        const t = Math.max(0, (progress - phase.START) / (phase.END - phase.START));
+        return {
+            x: from.x + (to.x - from.x) * t,
+            z: from.z + (to.z - from.z) * t,
+            radius: from.radius + (to.radius - from.radius) * t
+        };
+    }
+    
+    /**
+     * Check whether a point is out in the storm
+     * @param {THREE.Vector3|Object} point - Point to check (only X and Z are used)
+     * @returns {boolean} True outside the safe circle, false inside it or without a storm
+     */
+    isInStorm(point) {
+        const circle = this.getStormCircle();
+        if (!circle || !point) return false;
+        return Math.hypot(point.x - circle.x, point.z - circle.z) > circle.radius;
+    }
+    
+    /**
+     * Health the storm takes from each player outside the circle every DAMAGE_INTERVAL, rising as the phases go by
+     * @returns {number} Damage
+     */
+    getStormDamage() {
+        const progress = this.getStormProgress();
+        const phases = GAME_CONSTANTS.STORM.PHASES;
+        const started = phases.filter(phase => progress >= phase.START);
+        return (started.length > 0 ? started[started.length - 1] : phases[0]).DAMAGE;
+    }
+    
+    /**
+     * Close the storm in, warning WARNING_TIME ahead of each shrink, take over any igloo it reaches
+     * and hurt everyone outside the circle every DAMAGE_INTERVAL
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateStorm(deltaTime) {
+        if (!this.storm) return;
+        
+        this.announceStormPhases(this.time - deltaTime * 1000, this.time);
+        
+        // The circle only ever shrinks, so an igloo it has passed stays out in the storm
+        for (const igloo of this.igloos) {
+            if (!igloo.isInStorm && this.isInStorm(igloo.position)) {
+                igloo.isInStorm = true;
+                this.emit('iglooEngulfed', { igloo });
+            }
+        }
+        
+        this.stormDamageTimer += deltaTime * 1000;
+        if (this.stormDamageTimer < GAME_CONSTANTS.STORM.DAMAGE_INTERVAL) return;
+        
+        this.stormDamageTimer = 0;
+        const damage = this.getStormDamage();
+        for (const player of [...this.players]) {
+            if (player.isAlive && this.isInStorm(player.position)) {
+                player.takeStormDamage(damage);
+            }
+        }
+    }
+    
+    /**
+     * Emit stormWarning and stormShrinking for the phases whose warning or start falls between two times
+     * @param {number} from - Simulation time in milliseconds at the start of the step
+     * @param {number} to - Simulation time in milliseconds at the end of the step
+     */
+    announceStormPhases(from, to) {
+        const { startTime, duration, circles } = this.storm;
+        const phases = GAME_CONSTANTS.STORM.PHASES;
+        
+        phases.forEach((phase, index) => {
+            const shrinkTime = startTime + phase.START * duration;
+            const warningTime = shrinkTime - GAME_CONSTANTS.STORM.WARNING_TIME;
+            const isFinal = index === phases.length - 1;
+            
+            if (from < warningTime && to >= warningTime) {
+                this.emit('stormWarning', { phase: index, isFinal, timeLeft: shrinkTime - to });
+            }
+            if (from < shrinkTime && to >= shrinkTime) {
+                this.emit('stormShrinking', { phase: index, isFinal, circle: circles[index + 1] });
+            }
+        });
+    }
+    
+    /**
+     * Where the storm stands, for the HUD and minimap
+     * @returns {Object|null} Status with circle (the safe circle now), next (the circle it is closing in to, null after the last phase),
+     *   shrinking (whether it's closing in right now) and remaining (milliseconds until the next shrink starts, or until this one ends),
+     *   or null without a storm
+     */
+    getStormStatus() {
+        if (!this.storm) return null;
+        
+        const progress = this.getStormProgress();
+        const phases = GAME_CONSTANTS.STORM.PHASES;
+        const index = phases.findIndex(phase => progress < phase.END);
+        const circle = this.getStormCircle();
+        if (index === -1) {
+            return { circle, next: null, shrinking: false, remaining: 0 };
+        }
+        
+        const phase = phases[index];
+        const shrinking = progress >= phase.START;
+        return {
+            circle,
+            next: this.storm.circles[index + 1],
+            shrinking,
+            remaining: ((shrinking ? phase.END : phase.START) - progress) * this.storm.duration
+        };
+    }
+    
+    /**
+     * Storm state to save with a replay
+     * @returns {Object|null} Storm state, or null without a storm
+     */
+    getStormState() {
+        if (!this.storm) return null;
+        
+        return {
+            startTime: this.storm.startTime,
+            duration: this.storm.duration,
+            circles: this.storm.circles.map(circle => ({ ...circle })),
+            damageTimer: this.stormDamageTimer
+        };
+    }
+    
+    /**
+     * Put back a storm saved by getStormState()
+     * @param {Object|null} state - Storm state, or null for no storm
+     */
+    restoreStormState(state) {
+        this.storm = state ? {
+            startTime: state.startTime,
+            duration: state.duration,
+            circles: state.circles.map(circle => ({ ...circle }))
+        } : null;
+        this.stormDamageTimer = state ? state.damageTimer : 0;
+    }
+    
+    /**
+     * Start or stop King of the Hill for a new round - a control zone at the diamond garden's center that scores points
+     * for whoever holds it alone, with eliminated players coming back after KING_OF_THE_HILL.RESPAWN_DELAY
+     * @param {boolean} enabled - Whether the round is King of the Hill
+     */
+    startHill(enabled = false) {
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        this.hill = enabled ? {
+            x: garden.CENTER_X,
+            z: garden.CENTER_Z,
+            radius: GAME_CONSTANTS.KING_OF_THE_HILL.RADIUS,
+            holderId: null, // ID of the only player in the zone, null when it's empty or contested
+            contested: false,
+            targetReached: false
+        } : null;
+        
+        for (const player of this.players) {
+            player.hillPoints = 0;
+            player.respawnTime = null;
+        }
+    }
+    
+    /**
+     * Check whether a point is inside the King of the Hill zone
+     * @param {THREE.Vector3} point - Point to check (only x and z are used)
+     * @returns {boolean} True inside the zone, false outside it or when not playing King of the Hill
+     */
+    isOnHill(point) {
+        if (!this.hill) return false;
+        return Math.hypot(point.x - this.hill.x, point.z - this.hill.z) <= this.hill.radius;
+    }
+    
+    /**
+     * Bring back players whose respawn delay is up, score the zone for its holder and report changes of control
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateHill(deltaTime) {
+        if (!this.hill) return;
+        
+        const settings = GAME_CONSTANTS.KING_OF_THE_HILL;
+        this.respawnPlayers(settings.RESPAWN_DELAY);
+        
+        const occupants = this.players.filter(player => player.isAlive && this.isOnHill(player.position));
+        const holder = occupants.length === 1 ? occupants[0] : null;
+        this.hill.contested = occupants.length > 1;
+        
+        const holderId = holder ? holder.id : null;
+        if (holderId !== this.hill.holderId) {
+            const previous = this.getPlayerById(this.hill.holderId);
+            this.hill.holderId = holderId;
+            this.emit('hillControlChanged', { player: holder, previous, contested: this.hill.contested });
+        }
+        
+        if (!holder) return;
+        
+        holder.hillPoints += settings.POINTS_PER_SECOND * deltaTime;
+        if (!this.hill.targetReached && holder.hillPoints >= settings.TARGET_SCORE) {
+            this.hill.targetReached = true;
+            this.emit('hillTargetReached', { player: holder });
+        }
+    }
+    
+    /**
+     * Give eliminated players a respawn time, and bring back those whose time has come
+     * @param {number} delay - Milliseconds between elimination and respawn
+     */
+    respawnPlayers(delay) {
+        for (const player of this.players) {
+            if (player.isAlive) continue;
+            
+            if (player.respawnTime === null) {
+                player.respawnTime = this.time + delay;
+            } else if (this.time >= player.respawnTime) {
+                player.respawn();
+            }
+        }
+    }
+    
+    /**
+     * Player leading King of the Hill - the most hill points, ties going to the higher score
+     * (and then to whoever joined the world first, so the HUD and the round's result always agree)
+     * @returns {SimPlayer|null} Leading player, or null without players
+     */
+    getHillLeader() {
+        let leader = null;
+        for (const player of this.players) {
+            if (!leader || player.hillPoints > leader.hillPoints ||
+                (player.hillPoints === leader.hillPoints && player.score > leader.score)) {
+                leader = player;
+            }
+        }
+        return leader;
+    }
+    
+    /**
+     * Where the King of the Hill zone is, who holds it and who leads
+     * @returns {Object|null} Zone (x, z, radius), holder and leader (players or null), whether it's contested
+     *                        and the points that win, or null when not playing King of the Hill
+     */
+    getHillStatus() {
+        if (!this.hill) return null;
+        
+        return {
+            x: this.hill.x,
+            z: this.hill.z,
+            radius: this.hill.radius,
+            holder: this.getPlayerById(this.hill.holderId),
+            contested: this.hill.contested,
+            leader: this.getHillLeader(),
+            target: GAME_CONSTANTS.KING_OF_THE_HILL.TARGET_SCORE
+        };
+    }
+    
+    /**
+     * King of the Hill state to save with a replay (points and respawn times are saved with the players)
+     * @returns {Object|null} Zone state, or null when not playing King of the Hill
+     */
+    getHillState() {
+        return this.hill ? { ...this.hill } : null;
+    }
+    
+    /**
+     * Put back a King of the Hill zone saved by getHillState()
+     * @param {Object|null} state - Zone state, or null for none
+     */
+    restoreHillState(state) {
+        this.hill = state ? { ...state } : null;
+    }
+    
+    /**
+     * Advance the world by a frame's worth of time in fixed steps of PHYSICS.TIME_STEP
+     * Leftover time carries over to the next frame and sets alpha, so views can interpolate between the last two ticks
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {number} maxSteps - Most ticks to run (defaults to PHYSICS.MAX_SUBSTEPS)
+     * @returns {number} Number of ticks run
+     */
+    advance(deltaTime, maxSteps = GAME_CONSTANTS.PHYSICS.MAX_SUBSTEPS || 6) {
+        const timeStep = this.physics.timeStep;
+        
+        this.accumulator += deltaTime;
+        
+        let steps = 0;
+        while (this.accumulator >= timeStep && steps < maxSteps) {
+            this.tick(timeStep);
+            this.accumulator -= timeStep;
+            steps++;
+        }
+        
+        // Too far behind to catch up - drop the backlog rather than run ever more ticks per frame
+        if (this.accumulator >= timeStep) {
+            this.accumulator %= timeStep;
+        }
+        
+        this.alpha = this.accumulator / timeStep;
+        return steps;
+    }
+    
+    /**
+     * Advance the world by one step
+     * Weather, wind and storm first (so the AI sees as far as the weather lets them and knows where the circle is),
+     * then physics, players (which apply their input), snowballs, diamonds, power-ups and the King of the Hill zone
+     * @param {number} deltaTime - Step length in seconds
+     */
+    tick(deltaTime) {
+        // Let listeners (such as a replay recorder or player) see or set input before anything moves
+        this.emit('tick', { tick: this.tickCount, deltaTime });
+        this.tickCount++;
+        this.time += deltaTime * 1000;
+        
+        this.updateWeather(deltaTime);
+        this.updateWind(deltaTime);
+        this.updateStorm(deltaTime);
+        
+        // Remember where everything was so views can interpolate towards the new positions
+        for (const player of this.players) {
+            player.previousPosition.copy(player.position);
+        }
+        for (const snowball of this.snowballs) {
+            snowball.previousPosition.copy(snowball.position);
+        }
+        
+        this.physics.update(deltaTime);
+        
+        for (const player of [...this.players]) {
+            if (player.isAlive) {
+                player.update(deltaTime);
+            }
+        }
+        
+        for (let i = this.snowballs.length - 1; i >= 0; i--) {
+            const snowball = this.snowballs[i];
+            if (snowball) {
+                snowball.update(deltaTime);
+            }
+        }
+        
+        this.updateDiamonds(deltaTime);
+        this.updatePowerUps(deltaTime);
+        this.updateHill(deltaTime);
+    }
+}
+
+// Expose SnowBrawlSimulation to the global scope as Simulation to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Simulation = SnowBrawlSimulation;
@@ -1,32 +1,43 @@
 /**
  * Snowball class for SnowBrawl game
- * Handles snowball physics, collisions, and lifecycle
+ * View of a snowball in flight: mesh, trail and hit effect
+ * Flight, collisions and lifetime are simulated by its body (a SimSnowball)
  */
 
 // Using SnowBrawlSnowball instead of Snowball to avoid conflicts with built-in globals
 class SnowBrawlSnowball {
-    constructor(scene, position, direction, ownerId, damage, radius, speed, maxDistance) {
+    /**
+     * Create the view for a snowball
+     * @param {THREE.Scene} scene - Scene to add the snowball to
+     * @param {Object} snowball - Snowball state with position, radius and type (a SimSnowball, or a network snapshot entry)
+     */
+    constructor(scene, snowball) {
         this.scene = scene;
-        this.position = position.clone();
-        this.velocity = direction.clone().multiplyScalar(speed);
-        this.ownerId = ownerId;
-        this.damage = damage;
-        this.radius = radius;
-        this.speed = speed;
-        this.maxDistance = maxDistance;
+        this.body = snowball;
+        this.radius = snowball.radius;
         this.hasHit = false;
-        this.creationTime = Date.now();
-        this.lifetime = GAME_CONSTANTS.SNOWBALL.LIFETIME;
         
-        // Distance tracking
-        this.initialPosition = position.clone();
-        this.distanceTraveled = 0;
+        // Colors and opacity of this snowball's type (see GAME_CONSTANTS.SNOWBALL_TYPES)
+        this.look = SimSnowball.getTypeSettings(snowball.type);
         
         // Create snowball mesh
         this.createSnowballMesh();
         
         // Add to scene
         this.scene.add(this.mesh);
+        
+        // A new snowball has just been thrown
+        if (Game.audio) {
+            Game.audio.play('throw', this.position);
+        }
+    }
+    
+    /**
+     * Current position of the snowball
+     * @returns {THREE.Vector3} Position from the body
+     */
+    get position() {
+        return this.body.position;
     }
     
     /**
@@ -34,7 +45,12 @@ class SnowBrawlSnowball {
      */
     createSnowballMesh() {
         const geometry = new THREE.SphereGeometry(this.radius, 8, 8);
-        const material = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
+        const material = new THREE.MeshLambertMaterial({
+            color: this.look.COLOR,
+            emissive: this.look.EMISSIVE,
+            transparent: this.look.OPACITY < 1,
+            opacity: this.look.OPACITY
+        });
         this.mesh = new THREE.Mesh(geometry, material);
         this.mesh.position.copy(this.position);
         
@@ -50,7 +66,7 @@ class SnowBrawlSnowball {
         this.trail = [];
         const trailLength = 5;
         const trailMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFFFFF,
+            color: this.look.TRAIL_COLOR,
             transparent: true,
             opacity: 0.5
         });
@@ -72,37 +88,19 @@ class SnowBrawlSnowball {
     }
     
     /**
-     * Update snowball state
+     * Update the snowball's view from its body
      * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} alpha - How far between the last two simulation ticks to draw the snowball (0-1)
      */
-    update(deltaTime) {
+    update(deltaTime, alpha = 1) {
         // If we've already hit something, don't continue
         if (this.hasHit) return;
         
-        // Check lifetime
-        if (Date.now() - this.creationTime > this.lifetime) {
-            this.remove();
-            return;
-        }
+        // Update position from the simulation
+        this.mesh.position.lerpVectors(this.body.previousPosition || this.position, this.position, alpha);
         
-        // Update position from physics system
-        this.mesh.position.copy(this.position);
-
         // Update trail
         this.updateTrail(deltaTime);
-        
-        // Calculate distance traveled
-        this.distanceTraveled = this.position.distanceTo(this.initialPosition);
-        
-        // Check if snowball has traveled its maximum distance
-        if (this.distanceTraveled > this.maxDistance) {
-            this.remove();
-        }
-        
-        // Apply air resistance
-        const airResistance = GAME_CONSTANTS.SNOWBALL.AIR_RESISTANCE;
-        this.velocity.x *= (1 - airResistance);
-        this.velocity.z *= (1 - airResistance);
     }
     
     /**
@@ -119,7 +117,7 @@ class SnowBrawlSnowball {
             
             if (i === 0) {
                 // First trail point follows the snowball with a delay
-                trailPoint.position.lerp(this.position, 0.5);
+                trailPoint.position.lerp(this.mesh.position, 0.5);
             } else {
                 // Other trail points follow the previous point
                 trailPoint.position.lerp(this.trail[i - 1].position, 0.5);
@@ -132,90 +130,31 @@ class SnowBrawlSnowball {
     }
     
     /**
-     * Handle snowball hit
+     * Show the snowball's impact (the simulation removes it shortly after)
      */
     hit() {
         if (this.hasHit) return;
         
         this.hasHit = true;
         
+        if (Game.audio) {
+            Game.audio.play('impact', this.position);
+        }
+        
         // Create hit effect
         this.createHitEffect();
-        
-        // Schedule for removal
-        setTimeout(() => {
-            this.remove();
-        }, 100);
-    }
-    
-    /**
-     * Check for hits against AI players directly from the snowball
-     * This is a special case to ensure player snowballs can hit AI players
-     */
-    checkAIPlayerHits() {
-        // Skip if already hit
-        if (this.hasHit) return;
-        
-        try {
-            // Check if Game.aiPlayers exists
-            if (!window.Game) {
-                console.error('Game is not available for direct hit detection');
-                return;
-            }
-            
-            if (!window.Game.aiPlayers || !window.Game.aiPlayers.length) {
-                console.error(`Game.aiPlayers is not available or empty: ${JSON.stringify(window.Game.aiPlayers)}`);
-                return;
-            }
-                        
-            // Check for hits against AI players with reasonable distance checks
-            for (const ai of window.Game.aiPlayers) {
-                // Skip invalid or dead AI players
-                if (!ai || !ai.isAlive) {
-                    continue;
-                }
-                
-                // Calculate distance to AI player
-                const distance = this.position.distanceTo(ai.position);
-                const hitThreshold = this.radius + ai.radius * 1.5; // Reasonable hit threshold
-                                
-                // Skip AI players in safe zone (respecting the game mechanics)
-                if (ai.isInSafeZone) {
-                    console.log(`AI ${ai.id} is in safe zone, skipping`);
-                    continue;
-                }
-                
-                // If close enough, register a hit
-                if (distance < hitThreshold) {
-                    console.log(`Snowball hit AI ${ai.id} at distance ${distance.toFixed(1)}`);
-                    
-                    // Apply damage to AI player
-                    try {
-                        ai.takeDamage(this.damage, this.ownerId);
-                    } catch (damageError) {
-                        console.error(`Error applying damage to AI ${ai.id}: ${damageError.message}`);
-                    }
-                    
-                    // Mark as hit
-                    this.hit();
-                    return;
-                }
-            }
-        } catch (error) {
-            console.error(`CRITICAL ERROR in checkAIPlayerHits: ${error.message}`);
-            console.error(error.stack);
-        }
     }
     
     /**
      * Create a visual effect when snowball hits something
      */
     createHitEffect() {
-        // Create particle effect for hit
-        const particleCount = 10;
+        // Create particle effect for hit - splashing snowballs burst into a bigger cloud
+        const particleCount = this.look.SPLASH_RADIUS > 0 ? 30 : 10;
+        const spread = this.look.SPLASH_RADIUS > 0 ? this.look.SPLASH_RADIUS : 1;
         const particleGeometry = new THREE.SphereGeometry(this.radius / 3, 4, 4);
         const particleMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFFFFF,
+            color: this.look.COLOR,
             transparent: true,
             opacity: 0.8
         });
@@ -228,16 +167,16 @@ class SnowBrawlSnowball {
             
             // Random velocity for particle
             const velocity = new THREE.Vector3(
-                Utils.randomRange(-1, 1),
-                Utils.randomRange(0.5, 2),
-                Utils.randomRange(-1, 1)
-            ).normalize().multiplyScalar(Utils.randomRange(1, 3));
+                Utils.randomRange(-1, 1, 'cosmetic'),
+                Utils.randomRange(0.5, 2, 'cosmetic'),
+                Utils.randomRange(-1, 1, 'cosmetic')
+            ).normalize().multiplyScalar(Utils.randomRange(1, 3, 'cosmetic') * spread);
             
             this.scene.add(particle);
             this.hitParticles.push({
                 mesh: particle,
                 velocity: velocity,
-                lifetime: Utils.randomRange(0.2, 0.5)
+                lifetime: Utils.randomRange(0.2, 0.5, 'cosmetic')
             });
         }
         
@@ -298,15 +237,6 @@ class SnowBrawlSnowball {
      * Remove snowball from scene
      */
     remove() {
-        // Remove from physics system
-        Game.physics.unregisterCollider(this, 'snowballs');
-        
-        // Remove from game
-        const index = Game.snowballs.indexOf(this);
-        if (index !== -1) {
-            Game.snowballs.splice(index, 1);
-        }
-        
         // Remove mesh from scene
         this.scene.remove(this.mesh);
         
@@ -0,0 +1,112 @@
+/**
+ * Storm class for SnowBrawl game
+ * View of storm mode - a see-through wall of storm around the safe circle, a line where it meets the ground,
+ * and an outline on the ground of the circle it is closing in to
+ * The storm itself (its circles and the damage it does) is simulated by the Simulation (see Simulation.startStorm)
+ */
+
+// Using SnowBrawlStorm instead of Storm to avoid conflicts with built-in globals
+class SnowBrawlStorm {
+    /**
+     * Create the storm view, hidden until there is a storm to show
+     * @param {THREE.Scene} scene - The scene to add the storm to
+     * @param {Arena} arena - Arena whose ground the outlines follow
+     */
+    constructor(scene, arena) {
+        this.scene = scene;
+        this.arena = arena;
+        this.nextCircle = null; // Circle the next outline was last drawn for, so it's only redrawn when it changes
+        
+        const settings = GAME_CONSTANTS.STORM;
+        
+        // Open cylinder of radius 1, scaled to the circle; it starts a little underground so it meets the lowest dips
+        const wallGeometry = new THREE.CylinderGeometry(1, 1, settings.WALL_HEIGHT, settings.SEGMENTS, 1, true);
+        wallGeometry.translate(0, settings.WALL_HEIGHT / 2 - 2, 0);
+        this.wall = new THREE.Mesh(wallGeometry, new THREE.MeshBasicMaterial({
+            color: settings.WALL_COLOR,
+            transparent: true,
+            opacity: settings.WALL_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        
+        this.edge = SnowBrawlStorm.createOutline(settings.WALL_COLOR);
+        this.nextOutline = SnowBrawlStorm.createOutline(settings.NEXT_CIRCLE_COLOR);
+        
+        this.group = new THREE.Group();
+        this.group.add(this.wall, this.edge, this.nextOutline);
+        this.group.visible = false;
+        this.scene.add(this.group);
+    }
+    
+    /**
+     * Create a closed line for drawing a circle on the ground
+     * @param {number} color - Line color
+     * @returns {THREE.LineLoop} Line with room for STORM.SEGMENTS points
+     */
+    static createOutline(color) {
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(GAME_CONSTANTS.STORM.SEGMENTS * 3);
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        
+        return new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color }));
+    }
+    
+    /**
+     * Lay an outline along the ground around a circle
+     * @param {THREE.LineLoop} outline - Outline to move
+     * @param {Object} circle - Circle (x, z and radius)
+     */
+    placeOutline(outline, circle) {
+        const positions = outline.geometry.attributes.position;
+        const segments = positions.count;
+        
+        for (let i = 0; i < segments; i++) {
+            const angle = i / segments * Math.PI * 2;
+            const x = circle.x + Math.cos(angle) * circle.radius;
+            const z = circle.z + Math.sin(angle) * circle.radius;
+            
+            // Just above the ground so it doesn't flicker into it
+            positions.setXYZ(i, x, this.arena.getGroundHeight(x, z) + 0.05, z);
+        }
+        
+        positions.needsUpdate = true;
+        outline.geometry.computeBoundingSphere();
+    }
+    
+    /**
+     * Move the storm to match the simulation
+     * @param {Object|null} status - Storm status (see Simulation.getStormStatus), or null to hide the storm
+     */
+    update(status) {
+        this.group.visible = !!status;
+        if (!status) return;
+        
+        const circle = status.circle;
+        this.wall.position.set(circle.x, 0, circle.z);
+        this.wall.scale.set(circle.radius, 1, circle.radius);
+        this.placeOutline(this.edge, circle);
+        
+        // The next circle only changes when a phase ends
+        this.nextOutline.visible = !!status.next;
+        if (status.next && status.next !== this.nextCircle) {
+            this.placeOutline(this.nextOutline, status.next);
+        }
+        this.nextCircle = status.next;
+    }
+    
+    /**
+     * Remove the storm from the scene
+     */
+    remove() {
+        this.scene.remove(this.group);
+        for (const object of [this.wall, this.edge, this.nextOutline]) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+}
+
+// Expose SnowBrawlStorm to the global scope as Storm to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Storm = SnowBrawlStorm;
@@ -0,0 +1,368 @@
+/**
+ * Terrain class for SnowBrawl game
+ * Height of the ground across the arena, as a grid of samples blended between - hills and snow drifts
+ * generated from seeded noise, or read from a greyscale heightmap image
+ * The physics stands players on it and lands snowballs on it, the AI looks over it and GameMap builds the ground mesh from it
+ */
+
+// Using SnowBrawlTerrain instead of Terrain to avoid conflicts with built-in globals
+class SnowBrawlTerrain {
+    /**
+     * Create terrain from a grid of heights
+     * @param {number} width - Size along the X axis
+     * @param {number} length - Size along the Z axis
+     * @param {number} columns - Samples along the X axis, from edge to edge
+     * @param {number} rows - Samples along the Z axis, from edge to edge
+     * @param {Float32Array|Array} heights - Heights row by row (rows * columns)
+     * @param {number|null} seed - Seed the heights were generated from, or null for a loaded heightmap
+     */
+    constructor(width, length, columns, rows, heights, seed = null) {
+        this.width = width;
+        this.length = length;
+        this.columns = columns;
+        this.rows = rows;
+        this.heights = Float32Array.from(heights);
+        this.seed = seed;
+        
+        this.cellWidth = width / (columns - 1);
+        this.cellLength = length / (rows - 1);
+        this.maxHeight = this.heights.reduce((max, height) => Math.max(max, height), 0);
+    }
+    
+    /**
+     * Heightmap grid size for the map
+     * @returns {Object} Map width and length, and the columns and rows of samples covering it
+     */
+    static getGridSize() {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        const cellSize = GAME_CONSTANTS.TERRAIN.CELL_SIZE;
+        return {
+            width: mapConstants.WIDTH,
+            length: mapConstants.LENGTH,
+            columns: Math.round(mapConstants.WIDTH / cellSize) + 1,
+            rows: Math.round(mapConstants.LENGTH / cellSize) + 1
+        };
+    }
+    
+    /**
+     * Generate hills and snow drifts from a seed
+     * The noise has its own random generator, so the same seed always gives the same terrain
+     * @param {number} seed - 32-bit unsigned seed (pass Utils.random() draws to follow the match seed)
+     * @returns {SnowBrawlTerrain} Generated terrain
+     */
+    static generate(seed) {
+        const settings = GAME_CONSTANTS.TERRAIN;
+        const { width, length, columns, rows } = SnowBrawlTerrain.getGridSize();
+        const random = new Random(seed);
+        
+        // Each layer of noise gets its own lattice, and the drifts all run along one wind direction
+        const hillSeed = Math.floor(random.next('terrain') * 4294967296);
+        const driftSeed = Math.floor(random.next('terrain') * 4294967296);
+        const driftAngle = random.next('terrain') * Math.PI;
+        const along = { x: Math.cos(driftAngle), z: Math.sin(driftAngle) };
+        
+        const heights = new Float32Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = -width / 2 + column * width / (columns - 1);
+                const z = -length / 2 + row * length / (rows - 1);
+                
+                // Hills rise out of the higher parts of the noise, leaving open valleys between them
+                const hillNoise = SnowBrawlTerrain.fractalNoise(hillSeed, x / settings.HILL_SCALE, z / settings.HILL_SCALE, 3);
+                const hill = Utils.clamp((hillNoise - 0.4) / 0.4, 0, 1);
+                
+                // Drifts are ridges stretched out along the direction the snow was blown in
+                const u = (x * along.x + z * along.z) / (settings.DRIFT_SCALE * settings.DRIFT_STRETCH);
+                const v = (z * along.x - x * along.z) / settings.DRIFT_SCALE;
+                const drift = Utils.clamp((SnowBrawlTerrain.fractalNoise(driftSeed, u, v, 2) - 0.5) / 0.3, 0, 1);
+                
+                const height = settings.HILL_HEIGHT * hill * hill * (3 - 2 * hill) + settings.DRIFT_HEIGHT * drift * drift;
+                heights[row * columns + column] = height * SnowBrawlTerrain.getFlatness(x, z);
+            }
+        }
+        
+        return new SnowBrawlTerrain(width, length, columns, rows, heights, seed);
+    }
+    
+    /**
+     * Read terrain from the pixels of a greyscale heightmap image, stretched over the map
+     * @param {Object} imageData - Pixels as RGBA bytes, like a canvas ImageData (width, height and data)
+     * @param {number} maxHeight - Height of a white pixel
+     * @returns {SnowBrawlTerrain} Terrain, kept level around the garden and igloos like generated terrain
+     */
+    static fromImageData(imageData, maxHeight = GAME_CONSTANTS.TERRAIN.HEIGHTMAP_HEIGHT) {
+        const { width, length, columns, rows } = SnowBrawlTerrain.getGridSize();
+        
+        // Brightness of a pixel, clamped to the image
+        const brightness = (px, py) => {
+            const index = (Utils.clamp(py, 0, imageData.height - 1) * imageData.width + Utils.clamp(px, 0, imageData.width - 1)) * 4;
+            const data = imageData.data;
+            return (data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114) / 255;
+        };
+        
+        const heights = new Float32Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Blend between the four nearest pixels, so a small image still gives smooth slopes
+                const px = column / (columns - 1) * (imageData.width - 1);
+                const py = row / (rows - 1) * (imageData.height - 1);
+                const x0 = Math.floor(px);
+                const y0 = Math.floor(py);
+                const tx = px - x0;
+                const ty = py - y0;
+                const value = Utils.lerp(
+                    Utils.lerp(brightness(x0, y0), brightness(x0 + 1, y0), tx),
+                    Utils.lerp(brightness(x0, y0 + 1), brightness(x0 + 1, y0 + 1), tx),
+                    ty
+                );
+                
+                const x = -width / 2 + column * width / (columns - 1);
+                const z = -length / 2 + row * length / (rows - 1);
+                heights[row * columns + column] = value * maxHeight * SnowBrawlTerrain.getFlatness(x, z);
+            }
+        }
+        
+        return new SnowBrawlTerrain(width, length, columns, rows, heights);
+    }
+    
+    /**
+     * Load terrain from a heightmap image (browser only - the server always generates its terrain)
+     * @param {string} url - Image URL
+     * @param {number} maxHeight - Height of a white pixel
+     * @returns {Promise<SnowBrawlTerrain>} Resolves with the terrain once the image has loaded
+     */
+    static loadImage(url, maxHeight = GAME_CONSTANTS.TERRAIN.HEIGHTMAP_HEIGHT) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0);
+                resolve(SnowBrawlTerrain.fromImageData(context.getImageData(0, 0, image.width, image.height), maxHeight));
+            };
+            image.onerror = () => reject(new Error(`Could not load heightmap ${url}`));
+            image.src = url;
+        });
+    }
+    
+    /**
+     * How much of the terrain's height to keep at a position - the diamond garden and the igloo spots stay level,
+     * so the garden wall, igloos and spawns all sit on flat ground however many igloos there are
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @returns {number} 0 on level ground, rising to 1 over BLEND_DISTANCE
+     */
+    static getFlatness(x, z) {
+        const settings = GAME_CONSTANTS.TERRAIN;
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        const igloo = GAME_CONSTANTS.IGLOO;
+        const smoothstep = (edge, distance) => {
+            const t = Utils.clamp((distance - edge) / settings.BLEND_DISTANCE, 0, 1);
+            return t * t * (3 - 2 * t);
+        };
+        
+        const gardenDistance = Math.hypot(x - garden.CENTER_X, z - garden.CENTER_Z);
+        const gardenFlatness = smoothstep(garden.RADIUS + settings.FLAT_MARGIN, gardenDistance);
+        
+        // Around each of the map's igloo slots, or without them the same ring Utils.calculateIglooPositions puts the igloos on
+        const iglooExtent = igloo.SAFE_ZONE_RADIUS + Math.max(igloo.WIDTH, igloo.DEPTH) / 2 + settings.FLAT_MARGIN;
+        const slots = GAME_CONSTANTS.MAP.IGLOO_SLOTS;
+        const iglooDistance = slots ?
+            Math.min(...slots.map(([slotX, slotZ]) => Math.hypot(x - slotX, z - slotZ))) :
+            Math.abs(Math.hypot(x, z) - (Utils.getArenaRadius() - 5));
+        const iglooFlatness = smoothstep(iglooExtent, iglooDistance);
+        
+        return gardenFlatness * iglooFlatness;
+    }
+    
+    /**
+     * Smooth value noise summed over several octaves
+     * @param {number} seed - Seed for the noise lattice
+     * @param {number} x - X position in noise space
+     * @param {number} z - Z position in noise space
+     * @param {number} octaves - Number of octaves, each twice as detailed and half as strong as the last
+     * @returns {number} Noise value between 0 and 1
+     */
+    static fractalNoise(seed, x, z, octaves) {
+        let total = 0;
+        let amplitude = 1;
+        let totalAmplitude = 0;
+        let frequency = 1;
+        
+        for (let octave = 0; octave < octaves; octave++) {
+            total += SnowBrawlTerrain.valueNoise(seed + octave, x * frequency, z * frequency) * amplitude;
+            totalAmplitude += amplitude;
+            amplitude /= 2;
+            frequency *= 2;
+        }
+        
+        return total / totalAmplitude;
+    }
+    
+    /**
+     * Smooth value noise - random values on a unit lattice, blended with a smoothstep between them
+     * @param {number} seed - Seed for the lattice
+     * @param {number} x - X position in noise space
+     * @param {number} z - Z position in noise space
+     * @returns {number} Noise value between 0 and 1
+     */
+    static valueNoise(seed, x, z) {
+        const x0 = Math.floor(x);
+        const z0 = Math.floor(z);
+        const tx = x - x0;
+        const tz = z - z0;
+        const sx = tx * tx * (3 - 2 * tx);
+        const sz = tz * tz * (3 - 2 * tz);
+        
+        const lattice = SnowBrawlTerrain.latticeValue;
+        return Utils.lerp(
+            Utils.lerp(lattice(seed, x0, z0), lattice(seed, x0 + 1, z0), sx),
+            Utils.lerp(lattice(seed, x0, z0 + 1), lattice(seed, x0 + 1, z0 + 1), sx),
+            sz
+        );
+    }
+    
+    /**
+     * Random value at a lattice point, the same every time for the same seed and point
+     * @param {number} seed - Seed for the lattice
+     * @param {number} x - Lattice X coordinate
+     * @param {number} z - Lattice Z coordinate
+     * @returns {number} Value between 0 and 1
+     */
+    static latticeValue(seed, x, z) {
+        let hash = Math.imul(x, 0x27D4EB2D) ^ Math.imul(z, 0x165667B1) ^ seed;
+        hash = Math.imul(hash ^ (hash >>> 15), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Height of a sample, clamped to the edge of the grid
+     * @param {number} column - Sample column
+     * @param {number} row - Sample row
+     * @returns {number} Height
+     */
+    getSample(column, row) {
+        column = Utils.clamp(column, 0, this.columns - 1);
+        row = Utils.clamp(row, 0, this.rows - 1);
+        return this.heights[row * this.columns + column];
+    }
+    
+    /**
+     * Height of the ground at a position, blended between the four surrounding samples
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @returns {number} Ground height
+     */
+    getHeightAt(x, z) {
+        const gridX = Utils.clamp((x + this.width / 2) / this.cellWidth, 0, this.columns - 1);
+        const gridZ = Utils.clamp((z + this.length / 2) / this.cellLength, 0, this.rows - 1);
+        const column = Math.min(Math.floor(gridX), this.columns - 2);
+        const row = Math.min(Math.floor(gridZ), this.rows - 2);
+        const tx = gridX - column;
+        const tz = gridZ - row;
+        
+        return Utils.lerp(
+            Utils.lerp(this.getSample(column, row), this.getSample(column + 1, row), tx),
+            Utils.lerp(this.getSample(column, row + 1), this.getSample(column + 1, row + 1), tx),
+            tz
+        );
+    }
+    
+    /**
+     * Upward-facing normal of the ground at a position
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {THREE.Vector3} target - Vector to write the normal into (a new one if omitted)
+     * @returns {THREE.Vector3} Normalized ground normal
+     */
+    getNormalAt(x, z, target = new THREE.Vector3()) {
+        const dx = this.cellWidth / 2;
+        const dz = this.cellLength / 2;
+        const slopeX = (this.getHeightAt(x + dx, z) - this.getHeightAt(x - dx, z)) / (dx * 2);
+        const slopeZ = (this.getHeightAt(x, z + dz) - this.getHeightAt(x, z - dz)) / (dz * 2);
+        return target.set(-slopeX, 1, -slopeZ).normalize();
+    }
+    
+    /**
+     * Lowest and highest ground within a square footprint
+     * @param {number} x - Center X position
+     * @param {number} z - Center Z position
+     * @param {number} halfWidth - Half the footprint's size along the X axis
+     * @param {number} halfDepth - Half the footprint's size along the Z axis
+     * @returns {Object} min and max ground height
+     */
+    getHeightRange(x, z, halfWidth, halfDepth = halfWidth) {
+        let min = Infinity;
+        let max = -Infinity;
+        const stepsX = Math.max(1, Math.ceil(halfWidth * 2 / this.cellWidth));
+        const stepsZ = Math.max(1, Math.ceil(halfDepth * 2 / this.cellLength));
+        
+        for (let i = 0; i <= stepsX; i++) {
+            for (let j = 0; j <= stepsZ; j++) {
+                const height = this.getHeightAt(x - halfWidth + i * halfWidth * 2 / stepsX, z - halfDepth + j * halfDepth * 2 / stepsZ);
+                min = Math.min(min, height);
+                max = Math.max(max, height);
+            }
+        }
+        
+        return { min, max };
+    }
+    
+    /**
+     * Check whether the ground gets in the way of a straight line
+     * @param {THREE.Vector3} from - Start of the line (an eye)
+     * @param {THREE.Vector3} to - End of the line (what it is looking at)
+     * @returns {boolean} True if the line stays above the ground all the way
+     */
+    isLineOfSightClear(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.z - from.z);
+        const steps = Math.ceil(distance / (Math.min(this.cellWidth, this.cellLength) / 2));
+        
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const y = Utils.lerp(from.y, to.y, t);
+            if (this.getHeightAt(Utils.lerp(from.x, to.x, t), Utils.lerp(from.z, to.z, t)) > y) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Describe the terrain so another arena can recreate it (used to sync network clients and in replays)
+     * @returns {Object} The seed for generated terrain, or the grid of heights for a loaded heightmap
+     */
+    getLayout() {
+        if (this.seed !== null) {
+            return { seed: this.seed };
+        }
+        
+        return {
+            columns: this.columns,
+            rows: this.rows,
+            heights: Array.from(this.heights, height => Math.round(height * 100) / 100)
+        };
+    }
+    
+    /**
+     * Recreate terrain from a layout from getLayout
+     * @param {Object} layout - Terrain layout
+     * @returns {SnowBrawlTerrain} Terrain
+     */
+    static fromLayout(layout) {
+        if (layout.seed !== undefined) {
+            return SnowBrawlTerrain.generate(layout.seed);
+        }
+        
+        const { width, length } = SnowBrawlTerrain.getGridSize();
+        return new SnowBrawlTerrain(width, length, layout.columns, layout.rows, layout.heights);
+    }
+}
+
+// Expose SnowBrawlTerrain to the global scope as Terrain to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Terrain = SnowBrawlTerrain;
@@ -24,10 +24,16 @@ window.SnowBrawlUI = class {
         this.snowballsValue = document.getElementById('snowballs-value');
         this.snowballBar = document.getElementById('snowball-bar');
         this.snowballIcon = document.getElementById('snowball-icon');
+        this.iglooContainer = document.getElementById('igloo-container');
+        this.iglooValue = document.getElementById('igloo-value');
+        this.iglooBar = document.getElementById('igloo-bar');
         this.diamondsValue = document.getElementById('diamonds-value');
         this.scoreValue = document.getElementById('score-value');
         this.roundValue = document.getElementById('round-value');
+        this.timeContainer = document.getElementById('time-container');
+        this.timeValue = document.getElementById('time-value');
         this.upgradeButton = document.getElementById('upgrade-button');
+        this.hud = document.getElementById('hud');
         
         // Menus
         this.startMenu = document.getElementById('start-menu');
@@ -36,20 +42,78 @@ window.SnowBrawlUI = class {
         
         // Menu buttons
         this.startGameButton = document.getElementById('start-game');
+        this.joinNetworkGameButton = document.getElementById('join-network-game');
         this.closeUpgradeMenuButton = document.getElementById('close-upgrade-menu');
         this.restartGameButton = document.getElementById('restart-game');
+        this.mapOptions = document.querySelectorAll('.map-option');
+        this.importMapButton = document.querySelector('.import-map');
+        this.mapFileInput = document.getElementById('map-file');
+        this.mapInfo = document.getElementById('map-info');
         this.durationOptions = document.querySelectorAll('.duration-option');
+        this.modeOptions = document.querySelectorAll('.mode-option');
+        this.friendlyFireOptions = document.querySelectorAll('.friendly-fire-option');
+        this.weatherOptions = document.querySelectorAll('.weather-option');
+        this.dayNightOptions = document.querySelectorAll('.day-night-option');
+        this.stormOptions = document.querySelectorAll('.storm-option');
+        this.seedInput = document.getElementById('seed-input');
+        this.volumeSliders = document.querySelectorAll('.volume-slider');
         this.upgradeOptions = document.querySelectorAll('.upgrade-option');
         
         // Game over elements
         this.gameOverTitle = document.getElementById('game-over-title');
         this.gameOverMessage = document.getElementById('game-over-message');
         this.finalScore = document.getElementById('final-score');
+        this.gameOverSeed = document.getElementById('game-over-seed');
+        
+        // Replay elements
+        this.watchReplayButton = document.getElementById('watch-replay');
+        this.exportReplayButton = document.getElementById('export-replay');
+        this.importReplayButtons = document.querySelectorAll('.import-replay');
+        this.replayFileInput = document.getElementById('replay-file');
+        this.replayHud = document.getElementById('replay-hud');
+        this.replayStatus = document.getElementById('replay-status');
+        this.replayPauseButton = document.getElementById('replay-pause');
+        this.replaySlowerButton = document.getElementById('replay-slower');
+        this.replayFasterButton = document.getElementById('replay-faster');
+        this.replayRestartButton = document.getElementById('replay-restart');
+        this.replayExitButton = document.getElementById('replay-exit');
+        this.menuBeforeReplay = null; // Menu to go back to when the replay is closed
+        
+        // Map editor elements
+        this.openEditorButton = document.getElementById('open-editor');
+        this.editorHud = document.getElementById('editor-hud');
+        this.editorName = document.getElementById('editor-name');
+        this.editorWidth = document.getElementById('editor-width');
+        this.editorLength = document.getElementById('editor-length');
+        this.editorBoundary = document.getElementById('editor-boundary');
+        this.editorTools = document.querySelectorAll('.editor-tool');
+        this.editorSnap = document.getElementById('editor-snap');
+        this.editorSelection = document.getElementById('editor-selection');
+        this.editorStatus = document.getElementById('editor-status');
+        this.editorUndoButton = document.getElementById('editor-undo');
+        this.editorRedoButton = document.getElementById('editor-redo');
+        this.editorRotateButton = document.getElementById('editor-rotate');
+        this.editorDeleteButton = document.getElementById('editor-delete');
+        this.editorImportButton = document.getElementById('editor-import');
+        this.editorExportButton = document.getElementById('editor-export');
+        this.editorPlaytestButton = document.getElementById('editor-playtest');
+        this.editorExitButton = document.getElementById('editor-exit');
+        this.editorFileInput = document.getElementById('editor-map-file');
+        this.editorReturnButton = document.getElementById('editor-return');
         
         // Create additional UI elements
         this.createHitIndicator();
         this.createDiamondIndicator();
         this.createCrosshair();
+        this.createChargeMeter();
+        this.createSnowballTypeBar();
+        this.createProtectionTimer();
+        this.createPowerUpBar();
+        this.createWeatherIndicator();
+        this.createWindIndicator();
+        this.createStormIndicator();
+        this.createHillIndicator();
+        this.createMinimap();
     }
     
     /**
@@ -86,6 +150,34 @@ window.SnowBrawlUI = class {
             console.error('Start Game button not found in the DOM');
         }
         
+        // Multiplayer
+        if (this.joinNetworkGameButton) {
+            this.joinNetworkGameButton.addEventListener('click', () => {
+                Game.startNetworkGame();
+            });
+        }
+        
+        // Map options - shipped maps load from maps/, or pick a map file of your own
+        this.mapOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.mapOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                Game.setMap(option.dataset.map);
+            });
+        });
+        
+        if (this.importMapButton) {
+            this.importMapButton.addEventListener('click', () => this.mapFileInput.click());
+            this.mapFileInput.addEventListener('change', () => {
+                const file = this.mapFileInput.files[0];
+                if (file) {
+                    this.mapOptions.forEach(opt => opt.classList.remove('selected'));
+                    Game.importMap(file);
+                }
+                this.mapFileInput.value = '';
+            });
+        }
+        
         // Duration options
         this.durationOptions.forEach(option => {
             option.addEventListener('click', () => {
@@ -101,6 +193,79 @@ window.SnowBrawlUI = class {
             });
         });
         
+        // Game mode options
+        this.modeOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.modeOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                Game.setMode(option.dataset.mode);
+            });
+        });
+        
+        // Friendly fire options
+        this.friendlyFireOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.friendlyFireOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                Game.setFriendlyFire(option.dataset.friendlyFire === 'on');
+            });
+        });
+        
+        // Weather options - changing through the match, or one weather kept all match
+        this.weatherOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.weatherOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                Game.setWeather(option.dataset.weather);
+            });
+        });
+        
+        // Day/night cycle options
+        this.dayNightOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.dayNightOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                Game.setDayNightCycle(option.dataset.dayNight === 'on');
+            });
+        });
+        
+        // Storm mode options
+        this.stormOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.stormOptions.forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                Game.setStormMode(option.dataset.storm === 'on');
+            });
+        });
+        
+        // Seed - blank picks a fresh one each match; a ?seed= link fills it in to replay a match
+        if (this.seedInput) {
+            const linkedSeed = new URLSearchParams(window.location.search).get('seed');
+            if (linkedSeed) {
+                this.seedInput.value = linkedSeed;
+                if (typeof Game !== 'undefined') {
+                    Game.setSeed(linkedSeed);
+                }
+            }
+            
+            this.seedInput.addEventListener('input', () => {
+                Game.setSeed(this.seedInput.value);
+            });
+        }
+        
+        // Volume sliders - the audio manager saves them for the next session
+        this.volumeSliders.forEach(slider => {
+            if (typeof Game !== 'undefined' && Game.audio) {
+                slider.value = Game.audio.getVolume(slider.dataset.bus);
+            }
+            
+            slider.addEventListener('input', () => {
+                if (Game.audio) {
+                    Game.audio.setVolume(slider.dataset.bus, parseFloat(slider.value));
+                }
+            });
+        });
+        
         // Upgrade menu
         this.upgradeButton.addEventListener('click', () => {
             this.showUpgradeMenu();
@@ -127,6 +292,246 @@ window.SnowBrawlUI = class {
             this.hideGameOverMenu();
             Game.restart();
         });
+        
+        this.setupReplayListeners();
+        this.setupEditorListeners();
+    }
+    
+    /**
+     * Set up the replay buttons on the menus and the replay HUD
+     */
+    setupReplayListeners() {
+        if (!this.replayHud) return;
+        
+        this.watchReplayButton.addEventListener('click', () => Game.watchReplay());
+        this.exportReplayButton.addEventListener('click', () => Game.exportReplay());
+        
+        // Importing goes through the hidden file input
+        this.importReplayButtons.forEach(button => {
+            button.addEventListener('click', () => this.replayFileInput.click());
+        });
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            if (file) {
+                Game.importReplay(file);
+            }
+            this.replayFileInput.value = '';
+        });
+        
+        // Playback controls (clicks stay in the HUD rather than capturing the mouse for the camera)
+        const controls = [
+            [this.replayPauseButton, replay => replay.togglePause()],
+            [this.replaySlowerButton, replay => replay.changeSpeed(-1)],
+            [this.replayFasterButton, replay => replay.changeSpeed(1)]
+        ];
+        for (const [button, action] of controls) {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (Game.replay) {
+                    action(Game.replay);
+                }
+            });
+        }
+        
+        this.replayRestartButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            Game.watchReplay(Game.lastReplay);
+        });
+        
+        this.replayExitButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            Game.stopReplay();
+        });
+    }
+    
+    /**
+     * Set up the map editor button on the start menu, the editor HUD and the button back to it during playtests
+     */
+    setupEditorListeners() {
+        if (!this.editorHud) return;
+        
+        this.openEditorButton.addEventListener('click', () => Game.openEditor());
+        
+        // Map settings are changed once the field is done with, so each edit is one step to undo
+        this.editorName.addEventListener('change', () => {
+            const name = this.editorName.value.trim();
+            if (name) {
+                Game.editor.setName(name);
+            }
+        });
+        for (const input of [this.editorWidth, this.editorLength]) {
+            input.addEventListener('change', () => {
+                Game.editor.setSize(Number(this.editorWidth.value), Number(this.editorLength.value));
+            });
+        }
+        this.editorBoundary.addEventListener('change', () => Game.editor.setBoundary(this.editorBoundary.value));
+        
+        this.editorTools.forEach(button => {
+            button.addEventListener('click', () => Game.editor.setTool(button.dataset.tool));
+        });
+        this.editorSnap.addEventListener('change', () => Game.editor.setSnapToGrid(this.editorSnap.checked));
+        
+        const actions = [
+            [this.editorUndoButton, editor => editor.undo()],
+            [this.editorRedoButton, editor => editor.redo()],
+            [this.editorRotateButton, editor => editor.rotate()],
+            [this.editorDeleteButton, editor => editor.deleteSelection()]
+        ];
+        for (const [button, action] of actions) {
+            button.addEventListener('click', () => {
+                if (Game.editor) {
+                    action(Game.editor);
+                }
+            });
+        }
+        
+        // Importing goes through the hidden file input
+        this.editorImportButton.addEventListener('click', () => this.editorFileInput.click());
+        this.editorFileInput.addEventListener('change', () => {
+            const file = this.editorFileInput.files[0];
+            if (file) {
+                Game.importEditorMap(file);
+            }
+            this.editorFileInput.value = '';
+        });
+        this.editorExportButton.addEventListener('click', () => Game.exportEditedMap());
+        this.editorPlaytestButton.addEventListener('click', () => Game.playtestEditedMap());
+        this.editorExitButton.addEventListener('click', () => Game.exitEditor());
+        
+        // Back from a playtest (the click stays on the button rather than capturing the mouse)
+        this.editorReturnButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            Game.returnToEditor();
+        });
+    }
+    
+    /**
+     * Hide the menus and HUD and show the map editor
+     */
+    showEditorHud() {
+        this.startMenu.classList.add('hidden');
+        this.gameOverMenu.classList.add('hidden');
+        this.upgradeMenu.classList.add('hidden');
+        this.upgradeButton.classList.add('hidden');
+        this.hud.classList.add('hidden');
+        this.minimap.classList.add('hidden');
+        this.stormIndicator.classList.add('hidden');
+        this.hillIndicator.classList.add('hidden');
+        this.editorHud.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the map editor
+     * @param {boolean} returnToMenu - Whether to show the start menu again
+     */
+    hideEditorHud(returnToMenu) {
+        this.editorHud.classList.add('hidden');
+        this.hud.classList.remove('hidden');
+        
+        if (returnToMenu) {
+            this.startMenu.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Update the map editor's fields and buttons
+     * @param {Object} status - Editor state from MapEditor.getStatus
+     */
+    updateEditorHud(status) {
+        // Leave a field alone while it is being typed in
+        const fields = [
+            [this.editorName, status.name],
+            [this.editorWidth, status.width],
+            [this.editorLength, status.length],
+            [this.editorBoundary, status.boundary]
+        ];
+        for (const [field, value] of fields) {
+            if (document.activeElement !== field) {
+                field.value = value;
+            }
+        }
+        
+        this.editorTools.forEach(button => button.classList.toggle('selected', button.dataset.tool === status.tool));
+        this.editorSnap.checked = status.snapToGrid;
+        this.editorUndoButton.disabled = !status.canUndo;
+        this.editorRedoButton.disabled = !status.canRedo;
+        this.editorSelection.textContent = status.selection ? `Selected: ${status.selection}` : 'Nothing selected';
+        
+        this.editorStatus.textContent = status.problem ?
+            `Not playable yet: ${status.problem}` :
+            `Ready to play - ${status.players} players`;
+        this.editorStatus.classList.toggle('problem', !!status.problem);
+    }
+    
+    /**
+     * Show or hide the button back to the editor during a playtest
+     * @param {boolean} show - Whether the match is a playtest
+     */
+    toggleEditorReturn(show) {
+        if (this.editorReturnButton) {
+            this.editorReturnButton.classList.toggle('hidden', !show);
+        }
+    }
+    
+    /**
+     * Mark which arena is picked on the start menu
+     * @param {string|null} mapId - Map option to select, or null for a map that isn't one of them (imported or edited)
+     */
+    selectMapOption(mapId) {
+        this.mapOptions.forEach(option => option.classList.toggle('selected', option.dataset.map === mapId));
+    }
+    
+    /**
+     * Hide the menus and HUD and show the replay controls
+     */
+    showReplayHud() {
+        // Remember which menu the replay was opened from (a restart keeps the original one)
+        if (!this.menuBeforeReplay) {
+            if (!this.gameOverMenu.classList.contains('hidden')) {
+                this.menuBeforeReplay = this.gameOverMenu;
+            } else {
+                this.menuBeforeReplay = this.startMenu;
+            }
+        }
+        
+        this.startMenu.classList.add('hidden');
+        this.gameOverMenu.classList.add('hidden');
+        this.upgradeMenu.classList.add('hidden');
+        this.upgradeButton.classList.add('hidden');
+        this.hud.classList.add('hidden');
+        this.replayHud.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the replay controls and go back to the menu the replay was opened from
+     */
+    hideReplayHud() {
+        this.replayHud.classList.add('hidden');
+        this.hud.classList.remove('hidden');
+        
+        if (this.menuBeforeReplay) {
+            this.menuBeforeReplay.classList.remove('hidden');
+            this.menuBeforeReplay = null;
+        }
+    }
+    
+    /**
+     * Update the replay controls
+     * @param {Object} status - Playback status from ReplayPlayer.getStatus
+     */
+    updateReplayHud(status) {
+        const elapsed = Utils.formatTime(status.tick * status.timeStep);
+        const total = Utils.formatTime(status.length * status.timeStep);
+        
+        let state = `${status.speed}x`;
+        if (status.isFinished) {
+            state = 'Finished';
+        } else if (status.isPaused) {
+            state = 'Paused';
+        }
+        
+        this.replayStatus.textContent = `Replay ${elapsed} / ${total} - ${state}${status.isDesynced ? ' (out of sync)' : ''}`;
+        this.replayPauseButton.textContent = status.isPaused ? 'Play' : 'Pause';
     }
     
     /**
@@ -157,6 +562,508 @@ window.SnowBrawlUI = class {
         document.getElementById('game-container').appendChild(this.crosshair);
     }
     
+    /**
+     * Create the throw charge meter shown under the crosshair (it also shows scooping progress)
+     */
+    createChargeMeter() {
+        this.chargeMeter = document.createElement('div');
+        this.chargeMeter.id = 'charge-meter';
+        this.chargeFill = document.createElement('div');
+        this.chargeFill.id = 'charge-fill';
+        this.chargeMeter.appendChild(this.chargeFill);
+        document.getElementById('game-container').appendChild(this.chargeMeter);
+    }
+    
+    /**
+     * Show how far the local player's throw is charged, or how far along the snowball they're scooping is
+     * @param {SimPlayer} player - Local player's state
+     */
+    updateChargeMeter(player) {
+        if (!this.chargeMeter) return;
+        
+        const isCharging = player.isAlive && player.chargingThrow !== null;
+        const isScooping = player.isAlive && player.isScooping;
+        this.chargeMeter.classList.toggle('visible', isCharging || isScooping);
+        this.chargeMeter.classList.toggle('lob', player.chargingThrow === 'lob');
+        this.chargeMeter.classList.toggle('scoop', isScooping);
+        
+        let progress = 0;
+        if (isScooping) {
+            progress = player.getScoopProgress();
+        } else if (isCharging) {
+            progress = player.getThrowCharge();
+        }
+        this.chargeFill.style.width = `${progress * 100}%`;
+    }
+    
+    /**
+     * Create the safe zone protection timer shown above the crosshair
+     */
+    createProtectionTimer() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest timer
+        const existingTimer = document.getElementById('protection-timer');
+        if (existingTimer) {
+            existingTimer.remove();
+        }
+        
+        this.protectionTimer = document.createElement('div');
+        this.protectionTimer.id = 'protection-timer';
+        this.protectionTimer.className = 'hidden';
+        document.getElementById('game-container').appendChild(this.protectionTimer);
+    }
+    
+    /**
+     * Show how much safe zone protection the local player has left, or how long until their zone protects again
+     * @param {Object|null} status - Protection status (see SimPlayer.getProtectionStatus), or null to hide the timer
+     */
+    updateProtectionTimer(status) {
+        if (!this.protectionTimer) return;
+        
+        this.protectionTimer.classList.toggle('hidden', !status);
+        if (!status) return;
+        
+        // Remaining time is unlimited (Infinity, or null once it has been through JSON) when there's no stay limit
+        const seconds = Number.isFinite(status.remaining) ? ` ${Math.ceil(status.remaining / 1000)}s` : '';
+        const labels = {
+            safe: `Safe zone${seconds}`,
+            exit: `Exit protection${seconds}`,
+            cooldown: `Safe zone recharging${seconds}`,
+            expired: 'Safe zone protection worn off'
+        };
+        this.protectionTimer.textContent = labels[status.mode];
+        this.protectionTimer.dataset.mode = status.mode;
+    }
+    
+    /**
+     * Create the row of active power-up icons, one slot per power-up type (hidden while it isn't active)
+     */
+    createPowerUpBar() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest bar
+        const existingBar = document.getElementById('power-ups');
+        if (existingBar) {
+            existingBar.remove();
+        }
+        
+        this.powerUpBar = document.createElement('div');
+        this.powerUpBar.id = 'power-ups';
+        this.powerUpSlots = {};
+        
+        for (const type of SimPlayer.getPowerUpTypes()) {
+            const settings = SimPlayer.getPowerUpSettings(type);
+            const slot = document.createElement('div');
+            slot.className = 'power-up hidden';
+            slot.title = settings.NAME;
+            slot.innerHTML = `<span class="power-up-icon">${settings.ICON}</span>` +
+                `<span class="power-up-time"></span>`;
+            slot.querySelector('.power-up-icon').style.backgroundColor = `#${settings.COLOR.toString(16).padStart(6, '0')}`;
+            
+            this.powerUpBar.appendChild(slot);
+            this.powerUpSlots[type] = slot;
+        }
+        
+        document.getElementById('game-container').appendChild(this.powerUpBar);
+    }
+    
+    /**
+     * Show the local player's active power-ups with the seconds each has left (and the hits a shield has left)
+     * @param {Array} statuses - Active power-ups (see SimPlayer.getPowerUpStatus)
+     */
+    updatePowerUps(statuses) {
+        if (!this.powerUpSlots) return;
+        
+        const active = new Map(statuses.map(status => [status.type, status]));
+        for (const [type, slot] of Object.entries(this.powerUpSlots)) {
+            const status = active.get(type);
+            slot.classList.toggle('hidden', !status);
+            if (!status) continue;
+            
+            const hits = status.hits !== null && status.hits !== undefined ? ` ×${status.hits}` : '';
+            slot.querySelector('.power-up-time').textContent = `${Math.ceil(status.remaining / 1000)}s${hits}`;
+            
+            // Blink during the last few seconds
+            slot.classList.toggle('ending', status.remaining < 3000);
+        }
+    }
+    
+    /**
+     * Create the weather readout in the top right corner
+     */
+    createWeatherIndicator() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest readout
+        const existingIndicator = document.getElementById('weather-status');
+        if (existingIndicator) {
+            existingIndicator.remove();
+        }
+        
+        this.weatherIndicator = document.createElement('div');
+        this.weatherIndicator.id = 'weather-status';
+        this.weatherIndicator.className = 'hidden';
+        document.getElementById('game-container').appendChild(this.weatherIndicator);
+    }
+    
+    /**
+     * Show the current weather, and a countdown to the next while a change is coming
+     * @param {Object|null} status - Weather status (see Simulation.getWeatherStatus), or null to hide the readout
+     */
+    updateWeather(status) {
+        if (!this.weatherIndicator) return;
+        
+        this.weatherIndicator.classList.toggle('hidden', !status);
+        if (!status) return;
+        
+        const settings = Simulation.getWeatherSettings(status.weather) || GAME_CONSTANTS.WEATHER.TYPES.CLEAR;
+        let text = `${settings.ICON} ${settings.NAME}`;
+        
+        const next = status.next ? Simulation.getWeatherSettings(status.next) : null;
+        if (next) {
+            text += ` → ${next.ICON} ${next.NAME} in ${Math.ceil(status.remaining / 1000)}s`;
+        }
+        
+        this.weatherIndicator.textContent = text;
+        this.weatherIndicator.classList.toggle('warning', Boolean(next));
+    }
+    
+    /**
+     * Create the wind readout under the weather, an arrow showing which way the wind blows and its speed
+     */
+    createWindIndicator() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest readout
+        const existingIndicator = document.getElementById('wind-indicator');
+        if (existingIndicator) {
+            existingIndicator.remove();
+        }
+        
+        this.windIndicator = document.createElement('div');
+        this.windIndicator.id = 'wind-indicator';
+        this.windIndicator.className = 'hidden';
+        this.windIndicator.innerHTML = '<span class="wind-arrow">↑</span><span class="wind-speed"></span>';
+        this.windArrow = this.windIndicator.querySelector('.wind-arrow');
+        this.windSpeed = this.windIndicator.querySelector('.wind-speed');
+        document.getElementById('game-container').appendChild(this.windIndicator);
+    }
+    
+    /**
+     * Point the wind arrow the way the wind blows, relative to where the camera looks (up is straight ahead)
+     * @param {Object} wind - Wind velocity (x and z)
+     * @param {THREE.Camera} camera - Camera the arrow is relative to
+     */
+    updateWind(wind, camera) {
+        if (!this.windIndicator || !wind || !camera) return;
+        
+        this.windIndicator.classList.remove('hidden');
+        const forward = camera.getWorldDirection(new THREE.Vector3());
+        const forwardLength = Math.hypot(forward.x, forward.z) || 1;
+        const forwardX = forward.x / forwardLength;
+        const forwardZ = forward.z / forwardLength;
+        
+        // Right of the view is (-forward.z, forward.x) on the ground plane
+        const ahead = wind.x * forwardX + wind.z * forwardZ;
+        const right = wind.x * -forwardZ + wind.z * forwardX;
+        const angle = Math.atan2(right, ahead);
+        const speed = Math.hypot(wind.x, wind.z);
+        
+        this.windArrow.style.transform = `rotate(${angle}rad)`;
+        this.windArrow.classList.toggle('calm', speed < 0.1);
+        this.windSpeed.textContent = `Wind ${speed.toFixed(1)}`;
+    }
+    
+    /**
+     * Create the storm readout above the minimap
+     */
+    createStormIndicator() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest readout
+        const existingIndicator = document.getElementById('storm-status');
+        if (existingIndicator) {
+            existingIndicator.remove();
+        }
+        
+        this.stormIndicator = document.createElement('div');
+        this.stormIndicator.id = 'storm-status';
+        this.stormIndicator.className = 'hidden';
+        document.getElementById('game-container').appendChild(this.stormIndicator);
+    }
+    
+    /**
+     * Show when the storm closes in next, warning while it's about to or is closing in, and alarming while the player is out in it
+     * @param {Object|null} status - Storm status (see Simulation.getStormStatus), or null to hide the readout
+     * @param {boolean} inStorm - Whether the local player is outside the safe circle
+     */
+    updateStorm(status, inStorm) {
+        if (!this.stormIndicator) return;
+        
+        this.stormIndicator.classList.toggle('hidden', !status);
+        if (!status) return;
+        
+        const time = Utils.formatTime(status.remaining / 1000);
+        let text = 'Storm: final circle';
+        let mode = '';
+        if (status.shrinking) {
+            text = `Storm closing in - ${time}`;
+            mode = 'warning';
+        } else if (status.next) {
+            text = `Storm closes in ${time}`;
+            mode = status.remaining <= GAME_CONSTANTS.STORM.WARNING_TIME ? 'warning' : '';
+        }
+        
+        if (inStorm) {
+            text = `In the storm! ${text}`;
+            mode = 'danger';
+        }
+        
+        this.stormIndicator.textContent = text;
+        this.stormIndicator.dataset.mode = mode;
+    }
+    
+    /**
+     * Create the King of the Hill capture bar at the top of the screen
+     */
+    createHillIndicator() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest bar
+        const existingIndicator = document.getElementById('hill-status');
+        if (existingIndicator) {
+            existingIndicator.remove();
+        }
+        
+        this.hillIndicator = document.createElement('div');
+        this.hillIndicator.id = 'hill-status';
+        this.hillIndicator.className = 'hidden';
+        this.hillIndicator.innerHTML = '<div class="hill-label"></div><div class="hill-bar"><div class="hill-fill"></div><div class="hill-leader"></div></div>';
+        this.hillLabel = this.hillIndicator.querySelector('.hill-label');
+        this.hillFill = this.hillIndicator.querySelector('.hill-fill');
+        this.hillLeader = this.hillIndicator.querySelector('.hill-leader');
+        document.getElementById('game-container').appendChild(this.hillIndicator);
+    }
+    
+    /**
+     * Show who holds the King of the Hill zone, and how close the player (and the leader, if it isn't them) is to the target
+     * @param {Object|null} status - Zone status (see Simulation.getHillStatus), or null to hide the bar
+     * @param {SimPlayer} player - The local player's body
+     */
+    updateHill(status, player) {
+        if (!this.hillIndicator) return;
+        
+        this.hillIndicator.classList.toggle('hidden', !status);
+        if (!status) return;
+        
+        let text = 'The hill is free';
+        let mode = '';
+        if (status.contested) {
+            text = 'The hill is contested!';
+            mode = 'contested';
+        } else if (status.holder === player) {
+            text = 'You hold the hill';
+            mode = 'held';
+        } else if (status.holder) {
+            text = `${status.holder.id} holds the hill`;
+            mode = 'taken';
+        }
+        
+        const leader = status.leader && status.leader !== player && status.leader.hillPoints > player.hillPoints ? status.leader : null;
+        const leaderText = leader ? ` - ${leader.id} leads with ${Math.floor(leader.hillPoints)}` : '';
+        this.hillLabel.textContent = `${text} · ${Math.floor(player.hillPoints)}/${status.target}${leaderText}`;
+        this.hillIndicator.dataset.mode = mode;
+        
+        const toPercent = points => `${Math.min(1, points / status.target) * 100}%`;
+        this.hillFill.style.width = toPercent(player.hillPoints);
+        this.hillLeader.classList.toggle('hidden', !leader);
+        if (leader) {
+            this.hillLeader.style.left = toPercent(leader.hillPoints);
+        }
+    }
+    
+    /**
+     * Create the minimap in the bottom right corner
+     */
+    createMinimap() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest minimap
+        const existingMinimap = document.getElementById('minimap');
+        if (existingMinimap) {
+            existingMinimap.remove();
+        }
+        
+        this.minimap = document.createElement('canvas');
+        this.minimap.id = 'minimap';
+        this.minimap.className = 'hidden';
+        this.minimap.width = GAME_CONSTANTS.UI.MINIMAP_SIZE;
+        this.minimap.height = GAME_CONSTANTS.UI.MINIMAP_SIZE;
+        this.minimapContext = this.minimap.getContext('2d');
+        document.getElementById('game-container').appendChild(this.minimap);
+    }
+    
+    /**
+     * Draw the arena from above with north up - the boundary, the diamond garden, the King of the Hill zone, the storm,
+     * the igloos, and where the player and their teammates are
+     * @param {Simulation} world - Simulation to draw
+     * @param {SimPlayer} player - The local player's body
+     * @param {Object|null} storm - Storm status (see Simulation.getStormStatus), or null without a storm
+     */
+    updateMinimap(world, player, storm) {
+        if (!this.minimapContext || !world || !player) return;
+        
+        this.minimap.classList.remove('hidden');
+        const context = this.minimapContext;
+        const size = this.minimap.width;
+        const mapConstants = GAME_CONSTANTS.MAP;
+        const scale = size / Math.max(mapConstants.WIDTH, mapConstants.LENGTH);
+        const toMinimap = (x, z) => [size / 2 + x * scale, size / 2 + z * scale];
+        
+        context.clearRect(0, 0, size, size);
+        
+        // Arena and diamond garden
+        context.beginPath();
+        if (mapConstants.BOUNDARY === 'circle') {
+            context.arc(size / 2, size / 2, Utils.getArenaRadius() * scale, 0, Math.PI * 2);
+        } else {
+            context.rect(...toMinimap(-mapConstants.WIDTH / 2, -mapConstants.LENGTH / 2), mapConstants.WIDTH * scale, mapConstants.LENGTH * scale);
+        }
+        context.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        context.fill();
+        
+        const garden = GAME_CONSTANTS.DIAMOND_GARDEN;
+        context.beginPath();
+        context.arc(...toMinimap(garden.CENTER_X, garden.CENTER_Z), garden.RADIUS * scale, 0, Math.PI * 2);
+        context.fillStyle = 'rgba(255, 215, 0, 0.5)';
+        context.fill();
+        
+        const hill = world.getHillStatus();
+        if (hill) {
+            this.drawMinimapHill(hill, toMinimap, scale);
+        }
+        
+        if (storm) {
+            this.drawMinimapStorm(storm, toMinimap, scale);
+        }
+        
+        // Igloos - green for ours, red for the others, grey once collapsed or swallowed by the storm
+        for (const igloo of world.igloos) {
+            let color = world.physics.isIglooOwner(player, igloo) ? '#4CAF50' : '#F44336';
+            if (igloo.isCollapsed || igloo.isInStorm) {
+                color = '#888888';
+            }
+            const [x, y] = toMinimap(igloo.position.x, igloo.position.z);
+            context.fillStyle = color;
+            context.fillRect(x - 3, y - 3, 6, 6);
+        }
+        
+        // Teammates as dots, and the player as an arrow pointing the way they look
+        context.fillStyle = '#3498db';
+        for (const teammate of world.players.filter(other => other.isAlive && player.isTeammate(other))) {
+            context.beginPath();
+            context.arc(...toMinimap(teammate.position.x, teammate.position.z), 3, 0, Math.PI * 2);
+            context.fill();
+        }
+        
+        const [x, y] = toMinimap(player.position.x, player.position.z);
+        const look = player.getLookDirection();
+        const angle = Math.atan2(look.z, look.x);
+        context.save();
+        context.translate(x, y);
+        context.rotate(angle);
+        context.beginPath();
+        context.moveTo(6, 0);
+        context.lineTo(-4, 4);
+        context.lineTo(-4, -4);
+        context.closePath();
+        context.fillStyle = player.isAlive ? '#FFFFFF' : '#888888';
+        context.fill();
+        context.restore();
+    }
+    
+    /**
+     * Outline the King of the Hill zone on the minimap in the colors of its ground ring
+     * @param {Object} hill - Zone status (see Simulation.getHillStatus)
+     * @param {Function} toMinimap - Converts arena x and z to minimap pixels
+     * @param {number} scale - Minimap pixels per unit
+     */
+    drawMinimapHill(hill, toMinimap, scale) {
+        const settings = GAME_CONSTANTS.KING_OF_THE_HILL;
+        let color = settings.FREE_COLOR;
+        if (hill.contested) {
+            color = settings.CONTESTED_COLOR;
+        } else if (hill.holder) {
+            color = settings.HELD_COLOR;
+        }
+        
+        const context = this.minimapContext;
+        context.beginPath();
+        context.arc(...toMinimap(hill.x, hill.z), hill.radius * scale, 0, Math.PI * 2);
+        context.strokeStyle = `#${color.toString(16).padStart(6, '0')}`;
+        context.lineWidth = 2;
+        context.stroke();
+    }
+    
+    /**
+     * Shade the storm outside the safe circle on the minimap and outline the circle it is closing in to
+     * @param {Object} storm - Storm status (see Simulation.getStormStatus)
+     * @param {Function} toMinimap - Converts arena x and z to minimap pixels
+     * @param {number} scale - Minimap pixels per unit
+     */
+    drawMinimapStorm(storm, toMinimap, scale) {
+        const context = this.minimapContext;
+        const size = this.minimap.width;
+        const circle = storm.circle;
+        
+        context.beginPath();
+        context.rect(0, 0, size, size);
+        context.arc(...toMinimap(circle.x, circle.z), circle.radius * scale, 0, Math.PI * 2);
+        context.fillStyle = 'rgba(123, 79, 214, 0.5)';
+        context.fill('evenodd');
+        
+        if (storm.next) {
+            context.beginPath();
+            context.arc(...toMinimap(storm.next.x, storm.next.z), storm.next.radius * scale, 0, Math.PI * 2);
+            context.strokeStyle = '#FFFFFF';
+            context.lineWidth = 1;
+            context.stroke();
+        }
+    }
+    
+    /**
+     * Create the bar of snowball types along the bottom of the screen, one slot per number key
+     */
+    createSnowballTypeBar() {
+        // Both the global UIInstance and the game's UI get built - keep only the newest bar, since it's visible all the time
+        const existingBar = document.getElementById('snowball-types');
+        if (existingBar) {
+            existingBar.remove();
+        }
+
+        this.snowballTypeBar = document.createElement('div');
+        this.snowballTypeBar.id = 'snowball-types';
+        this.snowballTypeSlots = {};
+        
+        SimPlayer.getSnowballTypes().forEach((type, index) => {
+            const settings = SimSnowball.getTypeSettings(type);
+            const slot = document.createElement('div');
+            slot.className = 'snowball-type';
+            slot.innerHTML = `<span class="snowball-type-key">${index + 1}</span>` +
+                `<span class="snowball-type-icon"></span>` +
+                `<span class="snowball-type-name">${settings.NAME}</span>` +
+                `<span class="snowball-type-count"></span>`;
+            slot.querySelector('.snowball-type-icon').style.backgroundColor = `#${settings.COLOR.toString(16).padStart(6, '0')}`;
+            
+            this.snowballTypeBar.appendChild(slot);
+            this.snowballTypeSlots[type] = slot;
+        });
+        
+        document.getElementById('game-container').appendChild(this.snowballTypeBar);
+    }
+    
+    /**
+     * Show how many snowballs of each type the local player has, and which type is selected
+     * @param {SimPlayer} player - Local player's state
+     */
+    updateSnowballTypes(player) {
+        if (!this.snowballTypeSlots) return;
+        
+        for (const [type, slot] of Object.entries(this.snowballTypeSlots)) {
+            const count = player.getSnowballCount(type);
+            slot.querySelector('.snowball-type-count').textContent = count;
+            slot.classList.toggle('selected', player.snowballType === type);
+            slot.classList.toggle('empty', count <= 0);
+        }
+    }
+    
     /**
      * Show start menu
      */
@@ -223,13 +1130,36 @@ window.SnowBrawlUI = class {
         
         if (isWinner) {
             this.gameOverTitle.textContent = 'Victory!';
-            this.gameOverMessage.textContent = 'You are the last player standing!';
+            this.gameOverMessage.textContent = this.getVictoryMessage();
         } else {
             this.gameOverTitle.textContent = 'Game Over';
-            this.gameOverMessage.textContent = 'You were eliminated!';
+            this.gameOverMessage.textContent = this.getDefeatMessage();
         }
         
         this.finalScore.textContent = `Final Score: ${Game.player.score}`;
+        
+        // Show the seed so the match can be replayed or a bug reproduced
+        if (this.gameOverSeed) {
+            this.gameOverSeed.textContent = Game.seed !== null ? `Seed: ${Game.seed}` : '';
+        }
+    }
+    
+    /**
+     * Game over message for a win in the current game mode
+     * @returns {string} Message
+     */
+    getVictoryMessage() {
+        if (Game.isKingOfTheHill) return 'You are the king of the hill!';
+        return Game.isTeamMode ? 'Your team is the last one standing!' : 'You are the last player standing!';
+    }
+    
+    /**
+     * Game over message for a loss in the current game mode
+     * @returns {string} Message
+     */
+    getDefeatMessage() {
+        if (Game.isKingOfTheHill) return 'Someone else held the hill longer!';
+        return Game.isTeamMode ? 'Your team was defeated!' : 'You were eliminated!';
     }
     
     /**
@@ -280,6 +1210,27 @@ window.SnowBrawlUI = class {
         }
     }
     
+    /**
+     * Update the local player's igloo health display
+     * @param {Object|null} igloo - The local player's igloo (health, maxHealth, isCollapsed), or null to hide the display
+     */
+    updateIglooHealth(igloo) {
+        this.iglooContainer.classList.toggle('hidden', !igloo);
+        if (!igloo) return;
+        
+        const percentage = igloo.isCollapsed ? 0 : Math.max(0, Math.round((igloo.health / igloo.maxHealth) * 100));
+        this.iglooValue.textContent = igloo.isCollapsed ? 'Collapsed' : `${percentage}%`;
+        this.iglooBar.style.width = `${percentage}%`;
+        
+        if (percentage > 70) {
+            this.iglooBar.style.backgroundColor = '#4CAF50'; // Green
+        } else if (percentage > 30) {
+            this.iglooBar.style.backgroundColor = '#FFC107'; // Yellow/Orange
+        } else {
+            this.iglooBar.style.backgroundColor = '#F44336'; // Red
+        }
+    }
+    
     /**
      * Update snowball count display
      * @param {number} count - Current snowball count
@@ -332,6 +1283,18 @@ window.SnowBrawlUI = class {
         this.scoreValue.textContent = score;
     }
     
+    /**
+     * Show the map matches will be played on under the map options
+     * @param {string} name - Map name
+     * @param {string|null} description - Map description, if it has one
+     */
+    updateMapInfo(name, description = null) {
+        if (this.mapInfo) {
+            const players = GAME_CONSTANTS.NUM_AI_PLAYERS + 1;
+            this.mapInfo.textContent = `${name} - ${players} players${description ? ` - ${description}` : ''}`;
+        }
+    }
+    
     /**
      * Update round display
      * @param {number} round - Current round number
@@ -342,6 +1305,19 @@ window.SnowBrawlUI = class {
         }
     }
     
+    /**
+     * Update the time left on the HUD
+     * @param {number|null} seconds - Seconds left before time runs out, or null to hide the clock (network rounds have no time limit)
+     */
+    updateMatchTime(seconds) {
+        if (!this.timeContainer) return;
+        
+        this.timeContainer.classList.toggle('hidden', seconds === null);
+        if (seconds !== null) {
+            this.timeValue.textContent = Utils.formatTime(Math.max(0, seconds));
+        }
+    }
+    
     /**
      * Show hit indicator when player takes damage
      */
@@ -3,28 +3,132 @@
  * Exposed as a global object for use throughout the application
  */
 
+/**
+ * Seedable pseudo-random number generator with independent named streams
+ * Gameplay randomness (AI decisions, aim error, diamond spawns, obstacle placement) draws from the 'gameplay' stream
+ * and effects (particles, decoration) from the 'cosmetic' stream, so a match replays exactly from its seed
+ * however many frames the effects happened to be drawn on
+ */
+// Using SnowBrawlRandom instead of Random to avoid conflicts with built-in globals
+class SnowBrawlRandom {
+    /**
+     * Create a generator
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Restart every stream from a new seed
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.streams = {}; // Stream name -> mulberry32 state
+    }
+    
+    /**
+     * Next number from a stream
+     * @param {string} stream - Stream name; each name gets its own sequence derived from the seed
+     * @returns {number} Number in [0, 1)
+     */
+    next(stream = 'gameplay') {
+        if (!(stream in this.streams)) {
+            this.streams[stream] = SnowBrawlRandom.hashString(`${this.seed}:${stream}`);
+        }
+        
+        // mulberry32
+        let t = this.streams[stream] = (this.streams[stream] + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Hash
+     */
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Pick a fresh seed for a new match
+     * @returns {number} 32-bit unsigned seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
+
+// Expose SnowBrawlRandom to the global scope as Random to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Random = SnowBrawlRandom;
+
 // Define Utils in the global scope to make it accessible to all files
 window.Utils = {
+    /**
+     * Random number generator behind the random helpers below, reseeded at the start of each match
+     */
+    rng: new SnowBrawlRandom(SnowBrawlRandom.createSeed()),
+    
+    /**
+     * Restart the random streams from a seed
+     * @param {number|string} seed - Seed; whole numbers are used as they are, any other text is hashed
+     * @returns {number} The 32-bit seed in use
+     */
+    setRandomSeed: (seed) => {
+        const text = String(seed).trim();
+        Utils.rng.setSeed(/^\d+$/.test(text) ? Number(text) : SnowBrawlRandom.hashString(text));
+        return Utils.rng.seed;
+    },
+    
+    /**
+     * Seed the random streams were last started from
+     * @returns {number} 32-bit seed
+     */
+    getRandomSeed: () => {
+        return Utils.rng.seed;
+    },
+    
+    /**
+     * Generate a random number between 0 (inclusive) and 1 (exclusive)
+     * @param {string} stream - Random stream, 'gameplay' (default) or 'cosmetic' for effects
+     * @returns {number} Random number
+     */
+    random: (stream = 'gameplay') => {
+        return Utils.rng.next(stream);
+    },
+    
     /**
      * Generate a random number between min and max (inclusive)
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
+     * @param {string} stream - Random stream, 'gameplay' (default) or 'cosmetic' for effects
      * @returns {number} Random number between min and max
      */
-    randomRange: (min, max) => {
-        return Math.random() * (max - min) + min;
+    randomRange: (min, max, stream = 'gameplay') => {
+        return Utils.rng.next(stream) * (max - min) + min;
     },
     
     /**
      * Generate a random integer between min and max (inclusive)
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
+     * @param {string} stream - Random stream, 'gameplay' (default) or 'cosmetic' for effects
      * @returns {number} Random integer between min and max
      */
-    randomInt: (min, max) => {
+    randomInt: (min, max, stream = 'gameplay') => {
         min = Math.ceil(min);
         max = Math.floor(max);
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(Utils.rng.next(stream) * (max - min + 1)) + min;
     },
     
     /**
@@ -92,17 +196,69 @@ window.Utils = {
         const halfLength = GAME_CONSTANTS.MAP.LENGTH / 2;
         const x = Utils.randomRange(-halfWidth + 5, halfWidth - 5);
         const z = Utils.randomRange(-halfLength + 5, halfLength - 5);
-        return new THREE.Vector3(x, 0, z);
+        return Utils.clampToArena(new THREE.Vector3(x, 0, z), 5);
     },
     
     /**
-     * Calculate positions around a circle for player igloos
-     * @param {number} numPlayers - Number of players
-     * @returns {Array} Array of positions for igloos
+     * Radius of a circular arena - the circle fits the shorter side of the map
+     * @returns {number} Distance from the center to the boundary wall
      */
-    calculateIglooPositions: (numPlayers) => {
+    getArenaRadius: () => {
+        return Math.min(GAME_CONSTANTS.MAP.WIDTH, GAME_CONSTANTS.MAP.LENGTH) / 2;
+    },
+    
+    /**
+     * Check if a point is inside the map boundary
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {number} margin - Distance the point must keep from the boundary
+     * @returns {boolean} True if the point is at least margin inside the boundary
+     */
+    isPointInArena: (x, z, margin = 0) => {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        if (mapConstants.BOUNDARY === 'circle') {
+            return Math.hypot(x, z) <= Utils.getArenaRadius() - margin;
+        }
+        return Math.abs(x) <= mapConstants.WIDTH / 2 - margin && Math.abs(z) <= mapConstants.LENGTH / 2 - margin;
+    },
+    
+    /**
+     * Pull a point back inside the map boundary
+     * @param {THREE.Vector3|Object} point - Point to move (only X and Z are changed)
+     * @param {number} margin - Distance the point must keep from the boundary
+     * @returns {THREE.Vector3|Object} The same point
+     */
+    clampToArena: (point, margin = 0) => {
+        const mapConstants = GAME_CONSTANTS.MAP;
+        if (mapConstants.BOUNDARY === 'circle') {
+            const limit = Math.max(0, Utils.getArenaRadius() - margin);
+            const distance = Math.hypot(point.x, point.z);
+            if (distance > limit) {
+                point.x *= limit / distance;
+                point.z *= limit / distance;
+            }
+        } else {
+            const halfWidth = Math.max(0, mapConstants.WIDTH / 2 - margin);
+            const halfLength = Math.max(0, mapConstants.LENGTH / 2 - margin);
+            point.x = Utils.clamp(point.x, -halfWidth, halfWidth);
+            point.z = Utils.clamp(point.z, -halfLength, halfLength);
+        }
+        return point;
+    },
+    
+    /**
+     * Every igloo spot on the map - the map's IGLOO_SLOTS, or a ring of numPlayers spots without them
+     * @param {number} numPlayers - Number of spots on the ring when the map has no slots of its own
+     * @returns {THREE.Vector3[]} Igloo spots
+     */
+    getIglooSlots: (numPlayers) => {
+        const slots = GAME_CONSTANTS.MAP.IGLOO_SLOTS;
+        if (slots) {
+            return slots.map(([x, z]) => new THREE.Vector3(x, 0, z));
+        }
+        
         const positions = [];
-        const radius = Math.min(GAME_CONSTANTS.MAP.WIDTH, GAME_CONSTANTS.MAP.LENGTH) / 2 - 5;
+        const radius = Utils.getArenaRadius() - 5;
         
         for (let i = 0; i < numPlayers; i++) {
             const angle = (i / numPlayers) * Math.PI * 2;
@@ -114,6 +270,40 @@ window.Utils = {
         return positions;
     },
     
+    /**
+     * Calculate igloo positions for the players
+     * Maps with fewer players than slots spread them out, taking every other slot (or so) around the arena
+     * @param {number} numPlayers - Number of players
+     * @returns {Array} Array of positions for igloos
+     */
+    calculateIglooPositions: (numPlayers) => {
+        const slots = Utils.getIglooSlots(numPlayers);
+        const positions = [];
+        
+        for (let i = 0; i < numPlayers; i++) {
+            const index = numPlayers <= slots.length ? Math.floor(i * slots.length / numPlayers) : i % slots.length;
+            positions.push(slots[index].clone());
+        }
+        
+        return positions;
+    },
+    
+    /**
+     * Copy constant values into GAME_CONSTANTS (or one of its sections), keeping the existing objects
+     * so code holding a reference to a section sees the new values
+     * @param {Object} target - Constants to update
+     * @param {Object} source - Values to copy
+     */
+    assignConstants: (target, source) => {
+        for (const [key, value] of Object.entries(source)) {
+            if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+                Utils.assignConstants(target[key], value);
+            } else {
+                target[key] = Array.isArray(value) ? [...value] : value;
+            }
+        }
+    },
+    
     /**
      * Show a temporary message on screen
      * @param {string} message - Message to display
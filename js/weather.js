@@ -0,0 +1,223 @@
+/**
+ * Weather class for SnowBrawl game
+ * View of the weather - falling snow around the camera, fog, sky color and dimmed lights,
+ * fading from one weather to the next over WEATHER.TRANSITION_TIME
+ * The light and sky it sets are also scaled by the daylight from the day/night cycle (see setDaylight)
+ * The weather itself (and when it changes) is simulated by the Simulation (see Simulation.startWeather)
+ */
+
+// Using SnowBrawlWeather instead of Weather to avoid conflicts with built-in globals
+class SnowBrawlWeather {
+    /**
+     * Create the weather view
+     * @param {THREE.Scene} scene - The scene to add the snowfall and fog to
+     * @param {GameMap} map - Map whose lights the weather dims
+     */
+    constructor(scene, map) {
+        this.scene = scene;
+        this.map = map;
+        
+        // Light intensities on a clear day, which LIGHT_MULTIPLIER scales
+        this.baseAmbientIntensity = map && map.ambientLight ? map.ambientLight.intensity : 0;
+        this.baseSunIntensity = map && map.sunLight ? map.sunLight.intensity : 0;
+        
+        // Fade state, from the settings the last fade started at towards the new weather's
+        this.from = SnowBrawlWeather.captureSettings(GAME_CONSTANTS.WEATHER.TYPES.CLEAR);
+        this.to = this.from;
+        this.progress = 1; // 0-1 through the fade
+        this.age = 0; // Seconds the view has run, for the snowflakes' sway
+        this.daylight = { sun: 1, ambient: 1, skyTint: new THREE.Color(0xFFFFFF) }; // See setDaylight
+        this.current = { ...this.from };
+        
+        this.fog = new THREE.FogExp2(this.current.skyColor.getHex(), this.current.fogDensity);
+        this.scene.fog = this.fog;
+        
+        this.createSnowfall();
+        this.scene.add(this.snowfall);
+        
+        this.apply();
+    }
+    
+    /**
+     * The parts of a weather type's settings the view fades between
+     * @param {Object} settings - Settings from GAME_CONSTANTS.WEATHER.TYPES
+     * @returns {Object} Snowfall, fog, light and sky values
+     */
+    static captureSettings(settings) {
+        return {
+            particles: settings.SNOW_PARTICLES,
+            fallSpeed: settings.FALL_SPEED,
+            drift: settings.DRIFT,
+            fogDensity: settings.FOG_DENSITY,
+            lightMultiplier: settings.LIGHT_MULTIPLIER,
+            skyColor: new THREE.Color(settings.SKY_COLOR)
+        };
+    }
+    
+    /**
+     * Create the snowflakes, enough for the heaviest weather; lighter weather draws only some of them
+     */
+    createSnowfall() {
+        const types = Object.values(GAME_CONSTANTS.WEATHER.TYPES);
+        this.maxParticles = Math.max(...types.map(type => type.SNOW_PARTICLES));
+        
+        const area = GAME_CONSTANTS.WEATHER.SNOW_AREA;
+        const height = GAME_CONSTANTS.WEATHER.SNOW_HEIGHT;
+        const positions = new Float32Array(this.maxParticles * 3);
+        this.flakeSpeeds = new Float32Array(this.maxParticles); // Per-flake speed variation so the snow doesn't fall as a sheet
+        
+        for (let i = 0; i < this.maxParticles; i++) {
+            positions[i * 3] = Utils.randomRange(-area / 2, area / 2, 'cosmetic');
+            positions[i * 3 + 1] = Utils.randomRange(0, height, 'cosmetic');
+            positions[i * 3 + 2] = Utils.randomRange(-area / 2, area / 2, 'cosmetic');
+            this.flakeSpeeds[i] = Utils.randomRange(0.7, 1.3, 'cosmetic');
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+        
+        const material = new THREE.PointsMaterial({
+            color: 0xFFFFFF,
+            size: 0.15,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        
+        this.snowfall = new THREE.Points(geometry, material);
+        this.snowfall.frustumCulled = false; // The flakes move every frame, so their bounds are never up to date
+    }
+    
+    /**
+     * Switch to a weather type
+     * @param {string} weather - Weather type
+     * @param {boolean} immediate - Whether to switch straight away instead of fading
+     */
+    setWeather(weather, immediate = false) {
+        const settings = Simulation.getWeatherSettings(weather) || GAME_CONSTANTS.WEATHER.TYPES.CLEAR;
+        
+        this.from = { ...this.current, skyColor: this.current.skyColor.clone() };
+        this.to = SnowBrawlWeather.captureSettings(settings);
+        this.progress = immediate ? 1 : 0;
+        this.apply();
+    }
+    
+    /**
+     * Light the scene for the time of day as well as the weather
+     * @param {Object} daylight - Sun and ambient intensity relative to a clear midday, and a tint for the sky
+     * (see DayNight.update)
+     */
+    setDaylight(daylight) {
+        this.daylight = daylight;
+        this.apply();
+    }
+    
+    /**
+     * Set the fog, lights, sky and snowflake count for the current point in the fade
+     */
+    apply() {
+        const t = this.progress;
+        const lerp = (from, to) => from + (to - from) * t;
+        
+        this.current = {
+            particles: Math.round(lerp(this.from.particles, this.to.particles)),
+            fallSpeed: lerp(this.from.fallSpeed, this.to.fallSpeed),
+            drift: lerp(this.from.drift, this.to.drift),
+            fogDensity: lerp(this.from.fogDensity, this.to.fogDensity),
+            lightMultiplier: lerp(this.from.lightMultiplier, this.to.lightMultiplier),
+            skyColor: new THREE.Color().lerpColors(this.from.skyColor, this.to.skyColor, t)
+        };
+        
+        // Fog takes the sky's color so the distance fades into it, day or night
+        const skyColor = this.current.skyColor.clone().multiply(this.daylight.skyTint);
+        this.fog.density = this.current.fogDensity;
+        this.fog.color.copy(skyColor);
+        if (this.scene.background && this.scene.background.isColor) {
+            this.scene.background.copy(skyColor);
+        }
+        
+        if (this.map && this.map.ambientLight) {
+            this.map.ambientLight.intensity = this.baseAmbientIntensity * this.current.lightMultiplier * this.daylight.ambient;
+        }
+        if (this.map && this.map.sunLight) {
+            this.map.sunLight.intensity = this.baseSunIntensity * this.current.lightMultiplier * this.daylight.sun;
+        }
+        
+        this.snowfall.geometry.setDrawRange(0, this.current.particles);
+    }
+    
+    /**
+     * Fade towards the current weather and move the snowflakes
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} center - Point to keep the snowfall around (the camera)
+     * @param {Object} wind - Wind velocity (x and z) to blow the snowflakes along with
+     */
+    update(deltaTime, center, wind = null) {
+        this.age += deltaTime;
+        
+        if (this.progress < 1) {
+            this.progress = Math.min(1, this.progress + deltaTime / GAME_CONSTANTS.WEATHER.TRANSITION_TIME);
+            this.apply();
+        }
+        
+        if (this.current.particles > 0 && center) {
+            this.updateSnowfall(deltaTime, center, wind);
+        }
+    }
+    
+    /**
+     * Let the snowflakes fall, drift and blow with the wind, wrapping those that leave the box around the camera
+     * back to the other side
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} center - Point to keep the snowfall around
+     * @param {Object} wind - Wind velocity (x and z), or null for still air
+     */
+    updateSnowfall(deltaTime, center, wind) {
+        const windX = wind ? wind.x : 0;
+        const windZ = wind ? wind.z : 0;
+        const area = GAME_CONSTANTS.WEATHER.SNOW_AREA;
+        const height = GAME_CONSTANTS.WEATHER.SNOW_HEIGHT;
+        const attribute = this.snowfall.geometry.attributes.position;
+        const positions = attribute.array;
+        
+        // Move a flake by whole box widths until it is back within half a box of the camera
+        const wrap = (value, middle) => value - area * Math.round((value - middle) / area);
+        
+        for (let i = 0; i < this.current.particles; i++) {
+            const speed = this.flakeSpeeds[i];
+            let y = positions[i * 3 + 1] - this.current.fallSpeed * speed * deltaTime;
+            if (y < 0) {
+                y += height;
+            }
+            
+            // Each flake sways on its own phase on top of the wind
+            const swayX = this.current.drift * Math.sin(this.age * 1.5 + i);
+            const swayZ = this.current.drift * Math.cos(this.age * 1.3 + i);
+            
+            positions[i * 3] = wrap(positions[i * 3] + (windX * speed + swayX) * deltaTime, center.x);
+            positions[i * 3 + 1] = y;
+            positions[i * 3 + 2] = wrap(positions[i * 3 + 2] + (windZ * speed + swayZ) * deltaTime, center.z);
+        }
+        
+        attribute.needsUpdate = true;
+    }
+    
+    /**
+     * Remove the snowfall and fog and put the lights and sky back to a clear day
+     */
+    remove() {
+        this.setWeather('clear', true);
+        this.scene.remove(this.snowfall);
+        this.snowfall.geometry.dispose();
+        this.snowfall.material.dispose();
+        
+        if (this.scene.fog === this.fog) {
+            this.scene.fog = null;
+        }
+    }
+}
+
+// Expose SnowBrawlWeather to the global scope as Weather to avoid conflicts with built-in objects
+// and to maintain compatibility with existing code
+window.Weather = SnowBrawlWeather;
@@ -0,0 +1,58 @@
+/**
+ * Headless loader for SnowBrawl game scripts
+ * Runs the game's simulation scripts in a Node sandbox - they only need THREE's vector math,
+ * so no window, document or scene has to be faked
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const THREE = require('three');
+
+// Scripts shared with the browser, in index.html load order
+// Only the simulation is loaded - views, UI, input and AI stay in the browser
+const GAME_SCRIPTS = [
+    'js/constants.js',
+    'js/utils.js',
+    'js/physics.js',
+    'js/entities.js',
+    'js/terrain.js',
+    'js/arena.js',
+    'js/mapLoader.js',
+    'js/simulation.js'
+];
+
+/**
+ * Create a sandbox with the simulation scripts loaded
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Pass the game's console.log output through (it is very chatty)
+ * @returns {Object} Sandbox global object with the simulation classes (Simulation, SimPlayer, Arena, ...)
+ */
+function createHeadlessContext(options = {}) {
+    const rootDir = path.join(__dirname, '..');
+    
+    const quietConsole = {
+        log() {},
+        info() {},
+        debug() {},
+        warn: console.warn.bind(console),
+        error: console.error.bind(console)
+    };
+    
+    const sandbox = {
+        THREE,
+        console: options.verbose ? console : quietConsole
+    };
+    sandbox.window = sandbox;
+    
+    vm.createContext(sandbox);
+    
+    for (const script of GAME_SCRIPTS) {
+        const code = fs.readFileSync(path.join(rootDir, script), 'utf8');
+        vm.runInContext(code, sandbox, { filename: script });
+    }
+    
+    return sandbox;
+}
+
+module.exports = { createHeadlessContext, GAME_SCRIPTS };
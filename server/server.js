@@ -0,0 +1,584 @@
+/**
+ * SnowBrawl multiplayer server
+ * Serves the game files and runs the authoritative simulation for browser clients connected over WebSocket
+ * Usage: npm run server [-- <port>]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { createHeadlessContext } = require('./headless');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Only the game's own files are served (not the server, node_modules or repo metadata)
+const STATIC_DIRECTORIES = ['css', 'js', 'maps'];
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png'
+};
+
+// Fields of Player.input that clients send each step
+const INPUT_KEYS = ['forward', 'backward', 'left', 'right', 'jump', 'shoot', 'lob', 'scoop', 'repair'];
+
+class SnowBrawlServer {
+    /**
+     * Create the server and its game world
+     * @param {number|null} port - Port to listen on (defaults to NETWORK.DEFAULT_PORT)
+     * @param {Object} options - Options
+     * @param {boolean} options.verbose - Pass the game scripts' console.log output through
+     * @param {number|string} options.seed - Seed for the world's random streams (a fresh one by default)
+     * @param {string} options.map - Path of a map file to play on (the classic arena by default)
+     */
+    constructor(port = null, options = {}) {
+        this.clients = new Map(); // WebSocket -> client record
+        this.nextPlayerNumber = 1;
+        this.nextEntityId = 1; // Network ids for snowballs, diamonds and power-ups
+        this.tickCount = 0;
+        this.roundNumber = 1;
+        this.roundStartTime = 0; // Simulation time the round started at, which clients set their time of day from
+        this.isRoundOver = false;
+        this.roundRestartTimer = null;
+        
+        this.createWorld(options);
+        this.port = port ?? this.constants.NETWORK.DEFAULT_PORT;
+    }
+    
+    /**
+     * Load the game scripts headlessly and build the simulation and its arena
+     * @param {Object} options - Options passed to the headless loader
+     */
+    createWorld(options) {
+        this.context = createHeadlessContext({ verbose: options.verbose });
+        this.constants = this.context.GAME_CONSTANTS;
+        this.map = options.map ? this.loadMap(options.map) : null;
+        
+        // Obstacles and diamond spawns follow from the seed
+        this.seed = this.context.Utils.setRandomSeed(options.seed ?? this.context.Random.createSeed());
+        
+        this.world = new this.context.Simulation();
+        this.world.on('playerEliminated', () => this.checkRoundOver());
+        
+        // Keep obstacles clear of every igloo spot a client could be given
+        const maxPlayers = Math.min(this.constants.NETWORK.MAX_PLAYERS, this.map ? this.map.igloos.length : Infinity);
+        this.arena = new this.context.Arena(maxPlayers);
+        this.world.setArena(this.arena);
+        this.iglooPositions = this.context.Utils.calculateIglooPositions(maxPlayers);
+        
+        this.world.resetDiamonds();
+        this.world.startWeather();
+        this.world.startWind();
+    }
+    
+    /**
+     * Read a map file and apply it to the game constants, before the arena is built from them
+     * Heightmap images can't be loaded here, so a map's heightmap is left out and its terrain generated
+     * @param {string} mapPath - Path of the map file
+     * @returns {Object} The map, as sent to clients
+     * @throws {Error} If the file can't be read or isn't a valid map
+     */
+    loadMap(mapPath) {
+        let map;
+        try {
+            map = this.context.MapLoader.parse(fs.readFileSync(mapPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load map ${mapPath}: ${error.message}`);
+        }
+        
+        if (map.terrain && map.terrain.heightmap) {
+            console.warn(`Map ${map.name} has a heightmap, which the server can't load - generating its terrain instead`);
+            map = { ...map, terrain: { ...map.terrain, heightmap: null } };
+        }
+        
+        this.context.Utils.assignConstants(this.constants, this.context.MapLoader.toConstants(map));
+        return map;
+    }
+    
+    /**
+     * Start serving files and accepting WebSocket connections
+     * @returns {Promise} Resolves once the server is listening
+     */
+    start() {
+        this.httpServer = http.createServer((request, response) => this.handleRequest(request, response));
+        this.webSocketServer = new WebSocketServer({ server: this.httpServer });
+        this.webSocketServer.on('connection', (socket) => this.handleConnection(socket));
+        
+        // Run the simulation at a fixed rate, catching up if the timer fires late
+        const timeStep = this.constants.PHYSICS.TIME_STEP;
+        this.accumulator = 0;
+        this.lastTickTime = performance.now();
+        this.tickInterval = setInterval(() => this.runTicks(), timeStep * 1000);
+        
+        return new Promise((resolve) => {
+            this.httpServer.listen(this.port, () => {
+                this.port = this.httpServer.address().port;
+                console.log(`SnowBrawl server running at http://localhost:${this.port} (seed ${this.seed}${this.map ? `, map ${this.map.name}` : ''})`);
+                resolve();
+            });
+        });
+    }
+    
+    /**
+     * Stop the simulation and close all connections
+     */
+    stop() {
+        clearInterval(this.tickInterval);
+        clearTimeout(this.roundRestartTimer);
+        
+        for (const socket of this.clients.keys()) {
+            socket.close();
+        }
+        
+        if (this.webSocketServer) {
+            this.webSocketServer.close();
+        }
+        if (this.httpServer) {
+            this.httpServer.close();
+        }
+    }
+    
+    /**
+     * Serve the game's static files
+     * @param {http.IncomingMessage} request - HTTP request
+     * @param {http.ServerResponse} response - HTTP response
+     */
+    handleRequest(request, response) {
+        const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        const relativePath = urlPath === '/' ? 'index.html' : path.normalize(urlPath).replace(/^[/\\]+/, '');
+        const topLevel = relativePath.split(/[/\\]/)[0];
+        const filePath = path.join(ROOT_DIR, relativePath);
+        
+        const isAllowed = relativePath === 'index.html' || STATIC_DIRECTORIES.includes(topLevel);
+        if (!isAllowed || !filePath.startsWith(ROOT_DIR + path.sep)) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        
+        fs.readFile(filePath, (error, contents) => {
+            if (error) {
+                response.writeHead(404);
+                response.end('Not found');
+                return;
+            }
+            
+            const contentType = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+            response.writeHead(200, { 'Content-Type': contentType });
+            response.end(contents);
+        });
+    }
+    
+    /**
+     * Add a player for a new WebSocket connection
+     * @param {WebSocket} socket - Client socket
+     */
+    handleConnection(socket) {
+        const slot = this.getFreeSlot();
+        if (slot === -1) {
+            this.send(socket, { type: 'full' });
+            socket.close();
+            return;
+        }
+        
+        const id = `p${this.nextPlayerNumber++}`;
+        
+        // Network players are "human" so SimPlayer.update drives them from their input, yaw and pitch
+        const player = new this.context.SimPlayer(id, true);
+        const iglooPosition = this.iglooPositions[slot].clone();
+        player.iglooPosition = iglooPosition;
+        player.position.set(iglooPosition.x, 1, iglooPosition.z);
+        this.world.addPlayer(player);
+        
+        const igloo = new this.context.SimIgloo(iglooPosition, 0, id);
+        this.world.addIgloo(igloo);
+        
+        const client = {
+            socket,
+            id,
+            slot,
+            player,
+            igloo,
+            inputQueue: [],
+            lastInput: null,
+            lastInputSeq: 0
+        };
+        this.clients.set(socket, client);
+        
+        socket.on('message', (data) => this.handleMessage(client, data));
+        socket.on('close', () => this.removeClient(client));
+        
+        this.send(socket, {
+            type: 'welcome',
+            id,
+            round: this.roundNumber,
+            seed: this.seed,
+            map: this.map,
+            obstacles: this.arena.getObstacleLayout(),
+            terrain: this.arena.getTerrainLayout()
+        });
+        
+        console.log(`Player ${id} joined in slot ${slot} (${this.clients.size} connected)`);
+    }
+    
+    /**
+     * Find the first igloo slot not taken by a connected client
+     * @returns {number} Slot index, or -1 if the server is full
+     */
+    getFreeSlot() {
+        const takenSlots = new Set([...this.clients.values()].map(client => client.slot));
+        for (let slot = 0; slot < this.iglooPositions.length; slot++) {
+            if (!takenSlots.has(slot)) {
+                return slot;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Handle a message from a client
+     * @param {Object} client - Client record
+     * @param {Buffer|string} data - Raw message data
+     */
+    handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn(`Ignoring malformed message from ${client.id}: ${error.message}`);
+            return;
+        }
+        
+        if (message.type === 'input') {
+            this.queueInput(client, message.input);
+        }
+    }
+    
+    /**
+     * Validate and queue an input step from a client
+     * @param {Object} client - Client record
+     * @param {Object} input - Input step (seq, Player.input flags, yaw, pitch, snowballType)
+     */
+    queueInput(client, input) {
+        if (!input || !Number.isInteger(input.seq) || input.seq <= client.lastInputSeq ||
+            !Number.isFinite(input.yaw) || !Number.isFinite(input.pitch)) {
+            return;
+        }
+        
+        const step = { seq: input.seq, yaw: input.yaw, pitch: input.pitch };
+        for (const key of INPUT_KEYS) {
+            step[key] = input[key] === true;
+        }
+        
+        // Unknown types are turned down by SimPlayer.selectSnowballType
+        step.snowballType = typeof input.snowballType === 'string' ? input.snowballType : 'normal';
+        
+        client.inputQueue.push(step);
+        
+        // Drop the oldest inputs if a client gets too far ahead of the simulation
+        while (client.inputQueue.length > this.constants.NETWORK.MAX_INPUT_QUEUE) {
+            client.inputQueue.shift();
+        }
+    }
+    
+    /**
+     * Remove a disconnected client's player and igloo
+     * @param {Object} client - Client record
+     */
+    removeClient(client) {
+        if (!this.clients.has(client.socket)) return;
+        this.clients.delete(client.socket);
+        
+        this.world.removePlayer(client.player);
+        this.world.removeIgloo(client.igloo);
+        
+        console.log(`Player ${client.id} left (${this.clients.size} connected)`);
+        
+        // The leaver may have been the last opponent standing
+        this.checkRoundOver();
+    }
+    
+    /**
+     * Run as many fixed simulation steps as real time calls for
+     */
+    runTicks() {
+        const timeStep = this.constants.PHYSICS.TIME_STEP;
+        const now = performance.now();
+        
+        // Cap the catch-up so a long stall doesn't freeze the server in a burst of ticks
+        this.accumulator += Math.min((now - this.lastTickTime) / 1000, 0.25);
+        this.lastTickTime = now;
+        
+        while (this.accumulator >= timeStep) {
+            this.tick(timeStep);
+            this.accumulator -= timeStep;
+        }
+    }
+    
+    /**
+     * Advance the simulation by one step
+     * Same simulation as single player - the clients' inputs are applied, then the world ticks
+     * @param {number} deltaTime - Step length in seconds
+     */
+    tick(deltaTime) {
+        for (const client of this.clients.values()) {
+            this.applyNextInput(client);
+        }
+        
+        this.world.tick(deltaTime);
+        
+        this.tickCount++;
+        const ticksPerSnapshot = Math.max(1, Math.round(1 / (deltaTime * this.constants.NETWORK.SNAPSHOT_RATE)));
+        if (this.tickCount % ticksPerSnapshot === 0) {
+            this.broadcastSnapshot();
+        }
+    }
+    
+    /**
+     * Apply a client's next queued input to their player
+     * If nothing has arrived, the previous input is held so movement doesn't stutter
+     * @param {Object} client - Client record
+     */
+    applyNextInput(client) {
+        const input = client.inputQueue.shift();
+        if (input) {
+            client.lastInput = input;
+            client.lastInputSeq = input.seq;
+        }
+        
+        const current = client.lastInput;
+        if (!current) return;
+        
+        const player = client.player;
+        for (const key of INPUT_KEYS) {
+            player.input[key] = current[key];
+        }
+        player.yaw = current.yaw;
+        player.pitch = current.pitch;
+        player.selectSnowballType(current.snowballType);
+    }
+    
+    /**
+     * Send the current world state to every client
+     */
+    broadcastSnapshot() {
+        const snapshot = {
+            type: 'snapshot',
+            tick: this.tickCount,
+            time: Date.now(),
+            players: [...this.clients.values()].map(client => this.serializePlayer(client)),
+            snowballs: this.world.snowballs.map(snowball => this.serializeSnowball(snowball)),
+            diamonds: this.world.diamonds
+                .filter(diamond => !diamond.isCollected)
+                .map(diamond => this.serializeDiamond(diamond)),
+            powerUps: this.world.powerUps
+                .filter(powerUp => !powerUp.isCollected)
+                .map(powerUp => this.serializePowerUp(powerUp)),
+            roundTime: this.world.time - this.roundStartTime,
+            weather: this.world.getWeatherStatus(),
+            wind: { x: this.world.wind.x, z: this.world.wind.z }
+        };
+        
+        this.broadcast(snapshot);
+    }
+    
+    /**
+     * Snapshot state for a player
+     * @param {Object} client - Client record
+     * @returns {Object} Serialized player
+     */
+    serializePlayer(client) {
+        const player = client.player;
+        return {
+            id: client.id,
+            x: player.position.x,
+            y: player.position.y,
+            z: player.position.z,
+            vx: player.velocity.x,
+            vy: player.velocity.y,
+            vz: player.velocity.z,
+            onGround: player.isOnGround,
+            charging: player.chargingThrow,
+            chargeTime: player.throwChargeTime,
+            scooping: player.isScooping,
+            scoopTime: player.scoopTime,
+            scoopBlocked: player.scoopBlocked,
+            yaw: client.lastInput ? client.lastInput.yaw : 0,
+            alive: player.isAlive,
+            health: player.health,
+            snowballs: player.snowballCount,
+            maxSnowballs: player.maxSnowballCount,
+            specialSnowballs: { ...player.specialSnowballs },
+            slowed: player.now() < player.slowUntil,
+            slowMultiplier: player.slowMultiplier,
+            score: player.score,
+            diamonds: player.diamondCount,
+            iglooX: player.iglooPosition.x,
+            iglooZ: player.iglooPosition.z,
+            protected: player.isProtected,
+            protection: player.getProtectionStatus(),
+            powerUps: player.getPowerUpStatus(),
+            iglooHealth: client.igloo.health,
+            iglooCollapsed: client.igloo.isCollapsed,
+            lastInputSeq: client.lastInputSeq
+        };
+    }
+    
+    /**
+     * Snapshot state for a snowball
+     * @param {SimSnowball} snowball - Snowball state
+     * @returns {Object} Serialized snowball
+     */
+    serializeSnowball(snowball) {
+        if (!snowball.netId) {
+            snowball.netId = this.nextEntityId++;
+        }
+        
+        return {
+            id: snowball.netId,
+            ownerId: snowball.ownerId,
+            x: snowball.position.x,
+            y: snowball.position.y,
+            z: snowball.position.z,
+            radius: snowball.radius,
+            type: snowball.type,
+            hit: snowball.hasHit
+        };
+    }
+    
+    /**
+     * Snapshot state for a diamond
+     * @param {SimDiamond} diamond - Diamond state
+     * @returns {Object} Serialized diamond
+     */
+    serializeDiamond(diamond) {
+        if (!diamond.netId) {
+            diamond.netId = this.nextEntityId++;
+        }
+        
+        return {
+            id: diamond.netId,
+            x: diamond.position.x,
+            z: diamond.position.z
+        };
+    }
+    
+    /**
+     * Snapshot state for a power-up
+     * @param {SimPowerUp} powerUp - Power-up state
+     * @returns {Object} Serialized power-up
+     */
+    serializePowerUp(powerUp) {
+        if (!powerUp.netId) {
+            powerUp.netId = this.nextEntityId++;
+        }
+        
+        return {
+            id: powerUp.netId,
+            type: powerUp.type,
+            x: powerUp.position.x,
+            y: powerUp.position.y,
+            z: powerUp.position.z
+        };
+    }
+    
+    /**
+     * End the round once one player (or nobody) is left standing
+     */
+    checkRoundOver() {
+        if (this.isRoundOver) return;
+        
+        const players = this.getPlayers();
+        if (players.length === 0) return;
+        const alivePlayers = players.filter(player => player.isAlive);
+        
+        // A lone player keeps playing until someone joins; a round only ends early if nobody is left standing
+        if (alivePlayers.length > 1 || (players.length < 2 && alivePlayers.length > 0)) return;
+        
+        this.isRoundOver = true;
+        const winner = alivePlayers.length === 1 ? alivePlayers[0] : null;
+        console.log(`Round ${this.roundNumber} over. Winner: ${winner ? winner.id : 'none'}`);
+        
+        this.broadcast({ type: 'roundOver', round: this.roundNumber, winnerId: winner ? winner.id : null });
+        this.roundRestartTimer = setTimeout(() => this.startNextRound(), this.constants.NETWORK.ROUND_RESTART_DELAY);
+    }
+    
+    /**
+     * Reset every player, the diamonds, the power-ups, the weather and the wind for a new round
+     */
+    startNextRound() {
+        this.roundNumber++;
+        this.isRoundOver = false;
+        
+        // Clear snowballs still in flight and put collapsed igloos back up
+        this.world.clearSnowballs();
+        for (const client of this.clients.values()) {
+            client.igloo.rebuild();
+        }
+        
+        for (const player of this.getPlayers()) {
+            player.revive();
+            player.health = this.constants.PLAYER.INITIAL_HEALTH;
+            player.snowballCount = player.maxSnowballCount;
+            player.resetSnowballTypes();
+            player.velocity.set(0, 0, 0);
+            player.position.set(player.iglooPosition.x, 1, player.iglooPosition.z);
+        }
+        
+        this.world.resetDiamonds();
+        this.world.resetPowerUps();
+        this.world.startWeather();
+        this.roundStartTime = this.world.time;
+        this.world.startWind();
+        
+        console.log(`Round ${this.roundNumber} started`);
+        this.broadcast({ type: 'roundStart', round: this.roundNumber });
+    }
+    
+    /**
+     * Players of all connected clients
+     * @returns {Array} Array of player objects
+     */
+    getPlayers() {
+        return [...this.clients.values()].map(client => client.player);
+    }
+    
+    /**
+     * Send a message to one client
+     * @param {WebSocket} socket - Client socket
+     * @param {Object} message - Message to send as JSON
+     */
+    send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Send a message to every client
+     * @param {Object} message - Message to send as JSON
+     */
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        for (const socket of this.clients.keys()) {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(data);
+            }
+        }
+    }
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT, 10) || null;
+    const server = new SnowBrawlServer(port, {
+        verbose: process.env.SNOWBRAWL_VERBOSE === '1',
+        seed: process.env.SNOWBRAWL_SEED,
+        map: process.env.SNOWBRAWL_MAP
+    });
+    server.start();
+}
+
+module.exports = { SnowBrawlServer };